@@ -0,0 +1,111 @@
+// Checks the configured alert rules after a widget refresh and posts a local notification
+// for each rule that fires (see lib/yield_alerts.js for the rules)
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const runtime = requireModule("./widget_runtime");
+const treasuryData = requireModule("./treasury_data");
+const yieldAlerts = requireModule("./yield_alerts");
+
+// Groups the alerts in Notification Center
+const ALERT_THREAD = "us-treasury-yield-alerts";
+
+/**
+ * Returns the state store next to the yield cache, in the configured storage
+ * @returns {Object} Store from yieldAlerts.createAlertStateStore
+ */
+function getAlertStateStore() {
+  return yieldAlerts.createAlertStateStore(treasuryData.getFileManager());
+}
+
+/**
+ * Posts a local notification for an alert
+ * @param {Object} alert - Alert from yieldAlerts.evaluateRules
+ * @param {string} date - Curve date the alert fired for
+ */
+async function postNotification(alert, date) {
+  const notification = new Notification();
+  notification.identifier = `${alert.rule.id}@${date}`;
+  notification.threadIdentifier = ALERT_THREAD;
+  notification.title = alert.title;
+  notification.body = alert.body;
+  await notification.schedule();
+}
+
+/**
+ * Checks the rules of one dataset against its current curve and the previous business day's
+ * curve, with every maturity whatever the widget plots
+ * @param {string} dataset - Dataset the rules watch
+ * @param {Array<Object>} rules - Normalized rules of that dataset
+ * @param {Object} store - Store from getAlertStateStore
+ * @returns {Promise<Array>} Alerts posted
+ */
+async function checkDatasetAlerts(dataset, rules, store) {
+  const current = await treasuryData.fetchCurveForDate(null, dataset);
+  if (!current || !current.yieldData || current.yieldData.length === 0) {
+    console.log(`No current ${dataset} curve to check the alert rules against`);
+    return [];
+  }
+
+  let state = store.load();
+  const pending = rules.filter(rule => !yieldAlerts.hasFired(state, rule, current.date));
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const previous = await treasuryData.fetchPreviousDayCurve(current, dataset);
+  if (!previous) {
+    console.log(`No ${dataset} curve before ${current.date} to check the alert rules against`);
+    return [];
+  }
+
+  const posted = [];
+  for (const alert of yieldAlerts.evaluateRules(pending, current, previous)) {
+    await postNotification(alert, current.date);
+    state = yieldAlerts.recordAlert(state, alert, current.date, runtime.now());
+    store.save(state);
+    posted.push(alert);
+  }
+  if (posted.length > 0) {
+    console.log(`Posted ${posted.length} ${dataset} yield alert(s) for ${current.date}`);
+  }
+  return posted;
+}
+
+/**
+ * Checks the alert rules against the current curve and the previous business day's curve
+ * Each rule watches its own dataset, whatever dataset and maturities the widget shows, and
+ * notifies at most once per curve date, however often widgets refresh.
+ * Failures are logged, so alerts never keep the widget from showing.
+ * @returns {Promise<Array>} Alerts posted in this run
+ */
+async function checkAlerts() {
+  const configuredRules = runtime.getOptions().alertRules || [];
+  if (configuredRules.length === 0) {
+    return [];
+  }
+
+  const posted = [];
+  try {
+    const rulesByDataset = new Map();
+    for (const rule of yieldAlerts.normalizeRules(configuredRules)) {
+      rulesByDataset.set(rule.dataset, [...(rulesByDataset.get(rule.dataset) || []), rule]);
+    }
+
+    const store = getAlertStateStore();
+    for (const [dataset, rules] of rulesByDataset) {
+      try {
+        posted.push(...await checkDatasetAlerts(dataset, rules, store));
+      } catch (error) {
+        console.error(`Error checking the ${dataset} yield alerts:`, error);
+      }
+    }
+  } catch (error) {
+    console.error("Error checking the yield alerts:", error);
+  }
+  return posted;
+}
+
+module.exports = {
+  getAlertStateStore,
+  checkAlerts
+};
@@ -0,0 +1,280 @@
+// US bond market (SIFMA) holiday calendar and business-day arithmetic
+// Loaded by the widget through Scriptable's importModule(); plain CommonJS otherwise
+
+/**
+ * Holiday rules for the US bond market, following the SIFMA recommended close schedule
+ * Supported rule types:
+ * - "fixed": a calendar date, shifted to Monday when it falls on a Sunday and to
+ *   Friday when it falls on a Saturday (unless observeSaturdayOnFriday is false)
+ * - "nthWeekday": the nth weekday of a month (nth = -1 for the last one)
+ * - "easter": an offset in days from Easter Sunday
+ * Rules with fromYear only apply from that year onwards
+ */
+const HOLIDAY_RULES = [
+  { name: "New Year's Day", type: "fixed", month: 0, day: 1, observeSaturdayOnFriday: false },
+  { name: "Martin Luther King Jr. Day", type: "nthWeekday", month: 0, weekday: 1, nth: 3 },
+  { name: "Presidents Day", type: "nthWeekday", month: 1, weekday: 1, nth: 3 },
+  { name: "Good Friday", type: "easter", offset: -2 },
+  { name: "Memorial Day", type: "nthWeekday", month: 4, weekday: 1, nth: -1 },
+  { name: "Juneteenth", type: "fixed", month: 5, day: 19, fromYear: 2022 },
+  { name: "Independence Day", type: "fixed", month: 6, day: 4 },
+  { name: "Labor Day", type: "nthWeekday", month: 8, weekday: 1, nth: 1 },
+  { name: "Columbus Day", type: "nthWeekday", month: 9, weekday: 1, nth: 2 },
+  { name: "Veterans Day", type: "fixed", month: 10, day: 11, observeSaturdayOnFriday: false },
+  { name: "Thanksgiving Day", type: "nthWeekday", month: 10, weekday: 4, nth: 4 },
+  { name: "Christmas Day", type: "fixed", month: 11, day: 25 }
+];
+
+// Holidays are computed once per year and kept here, keyed by year
+const holidayCache = new Map();
+
+/**
+ * Formats a Date object into YYYY-MM-DD using its local calendar date
+ * @param {Date} date - The date to format
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function formatISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses a YYYY-MM-DD string into a Date at local midnight
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {Date} The parsed date
+ */
+function parseISODate(dateString) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateString);
+  if (!match) {
+    throw new Error(`Invalid date string: ${dateString}`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Returns a copy of the date moved by a number of calendar days, at local midnight
+ * @param {Date} date - The starting date
+ * @param {number} days - Number of days to add (negative to go back)
+ * @returns {Date} The shifted date
+ */
+function addCalendarDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Computes Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year - Four-digit year
+ * @returns {Date} Easter Sunday of that year
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Finds the nth occurrence of a weekday within a month
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month index (0 = January)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} nth - Occurrence, starting at 1; -1 for the last occurrence
+ * @returns {Date} The matching date
+ */
+function getNthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    const offset = (lastDay.getDay() - weekday + 7) % 7;
+    return addCalendarDays(lastDay, -offset);
+  }
+  const firstDay = new Date(year, month, 1);
+  const offset = (weekday - firstDay.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (nth - 1) * 7);
+}
+
+/**
+ * Resolves a single holiday rule to the date the market is closed in a given year
+ * @param {Object} rule - Entry from HOLIDAY_RULES
+ * @param {number} year - Four-digit year
+ * @returns {Date|null} Observed closing date, or null if the rule doesn't apply that year
+ */
+function resolveHolidayRule(rule, year) {
+  if (rule.fromYear && year < rule.fromYear) return null;
+
+  switch (rule.type) {
+    case "fixed": {
+      const date = new Date(year, rule.month, rule.day);
+      if (date.getDay() === 0) return addCalendarDays(date, 1);
+      if (date.getDay() === 6) {
+        return rule.observeSaturdayOnFriday === false ? null : addCalendarDays(date, -1);
+      }
+      return date;
+    }
+    case "nthWeekday":
+      return getNthWeekdayOfMonth(year, rule.month, rule.weekday, rule.nth);
+    case "easter":
+      return addCalendarDays(getEasterSunday(year), rule.offset);
+    default:
+      throw new Error(`Unknown holiday rule type: ${rule.type}`);
+  }
+}
+
+/**
+ * Lists the bond market holidays observed in a given year
+ * @param {number} year - Four-digit year
+ * @returns {Map<string, string>} Map of observed date (YYYY-MM-DD) to holiday name
+ */
+function getHolidaysForYear(year) {
+  if (!holidayCache.has(year)) {
+    const holidays = new Map();
+    for (const rule of HOLIDAY_RULES) {
+      const date = resolveHolidayRule(rule, year);
+      if (date) {
+        holidays.set(formatISODate(date), rule.name);
+      }
+    }
+    holidayCache.set(year, holidays);
+  }
+  return holidayCache.get(year);
+}
+
+/**
+ * Returns the name of the bond market holiday on a given date
+ * @param {Date} date - The date to check
+ * @returns {string|null} Holiday name, or null if the market is not closed for a holiday
+ */
+function getHolidayName(date) {
+  return getHolidaysForYear(date.getFullYear()).get(formatISODate(date)) || null;
+}
+
+/**
+ * Checks if a given date falls on a weekend (Saturday or Sunday)
+ * @param {Date} date - The date to check
+ * @returns {boolean} True if the date is a weekend
+ */
+function isWeekend(date) {
+  const day = date.getDay();
+  return day === 0 || day === 6; // Sunday or Saturday
+}
+
+/**
+ * Checks if a given date is a US bond market holiday
+ * @param {Date} date - The date to check
+ * @returns {boolean} True if the bond market is closed for a holiday
+ */
+function isHoliday(date) {
+  return getHolidayName(date) !== null;
+}
+
+/**
+ * Determines if a given date is a business day (not weekend or holiday)
+ * @param {Date} date - The date to check
+ * @returns {boolean} True if the date is a business day
+ */
+function isBusinessDay(date) {
+  return !isWeekend(date) && !isHoliday(date);
+}
+
+/**
+ * Finds the first business day strictly after a given date
+ * @param {Date} date - The starting date
+ * @returns {Date} The next business day
+ */
+function nextBusinessDay(date) {
+  let result = addCalendarDays(date, 1);
+  while (!isBusinessDay(result)) {
+    result = addCalendarDays(result, 1);
+  }
+  return result;
+}
+
+/**
+ * Finds the last business day strictly before a given date
+ * @param {Date} date - The starting date
+ * @returns {Date} The previous business day
+ */
+function previousBusinessDay(date) {
+  let result = addCalendarDays(date, -1);
+  while (!isBusinessDay(result)) {
+    result = addCalendarDays(result, -1);
+  }
+  return result;
+}
+
+/**
+ * Finds the closest business day on or before a given date
+ * @param {Date} date - The starting date
+ * @returns {Date} The date itself if it is a business day, otherwise the previous business day
+ */
+function getClosestPreviousBusinessDay(date) {
+  const result = addCalendarDays(date, 0);
+  return isBusinessDay(result) ? result : previousBusinessDay(result);
+}
+
+/**
+ * Moves a date by a number of business days
+ * Starting from a non-business day, the first step lands on the adjacent business day
+ * @param {Date} date - The starting date
+ * @param {number} count - Business days to add (negative to go back)
+ * @returns {Date} The resulting business day, or the start date at midnight when count is 0
+ */
+function addBusinessDays(date, count) {
+  let result = addCalendarDays(date, 0);
+  const step = count < 0 ? previousBusinessDay : nextBusinessDay;
+  for (let i = 0; i < Math.abs(count); i++) {
+    result = step(result);
+  }
+  return result;
+}
+
+/**
+ * Counts the business days between two dates
+ * Counts days after startDate up to and including endDate, so consecutive
+ * business days are one apart; negative when endDate is before startDate
+ * @param {Date} startDate - The starting date
+ * @param {Date} endDate - The ending date
+ * @returns {number} Number of business days between the two dates
+ */
+function countBusinessDays(startDate, endDate) {
+  const start = addCalendarDays(startDate, 0);
+  const end = addCalendarDays(endDate, 0);
+  if (end < start) {
+    return -countBusinessDays(end, start);
+  }
+
+  let count = 0;
+  for (let day = addCalendarDays(start, 1); day <= end; day = addCalendarDays(day, 1)) {
+    if (isBusinessDay(day)) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  HOLIDAY_RULES,
+  formatISODate,
+  parseISODate,
+  addCalendarDays,
+  getEasterSunday,
+  getHolidaysForYear,
+  getHolidayName,
+  isWeekend,
+  isHoliday,
+  isBusinessDay,
+  nextBusinessDay,
+  previousBusinessDay,
+  getClosestPreviousBusinessDay,
+  addBusinessDays,
+  countBusinessDays
+};
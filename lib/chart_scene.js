@@ -0,0 +1,1093 @@
+// Chart layout as a backend-agnostic scene: the yield curve chart, the delta chart, the
+// history chart and the sparkline are built as lists of rects, ellipses, polygons, lines and
+// text, which lib/draw_context_renderer.js draws in Scriptable and lib/svg_renderer.js turns into SVG.
+// Nothing here touches a Scriptable API, so scenes can be built and checked under Node.
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const tenorAxis = requireModule("./tenor_axis");
+const datasets = requireModule("./treasury_datasets");
+const analytics = requireModule("./curve_analytics");
+const yieldHistory = requireModule("./yield_history");
+const curveFit = requireModule("./curve_fit");
+const forwardRates = requireModule("./forward_rates");
+const pointLabels = requireModule("./point_labels");
+
+// Shown next to the date when a newer curve should have been posted by now
+const STALE_DATA_NOTE = "update overdue";
+
+// Curve colors: the current curve is always blue, historical spans take palette colors in order
+const CURRENT_CURVE_COLOR = "#007AFF"; // iOS blue
+const HISTORICAL_CURVE_PALETTE = [
+  "#FF9500", // iOS orange
+  "#FF3B30", // iOS red
+  "#34C759", // iOS green
+  "#AF52DE", // iOS purple
+  "#FFCC00", // iOS yellow
+  "#5AC8FA", // iOS teal
+  "#FF2D55", // iOS pink
+  "#A2845E"  // iOS brown
+];
+
+// Fitted curve drawn over the quoted yields, with its legend label per model
+const FITTED_CURVE_COLOR = "#8E8E93"; // iOS gray
+const FIT_LABELS = { nelsonSiegel: "Nelson-Siegel fit", svensson: "Svensson fit" };
+
+// Curves bootstrapped from the current par curve, with their colors and legend labels
+const OVERLAY_STYLES = {
+  zero: { color: "#5856D6", label: "Zero curve" }, // iOS indigo
+  forward: { color: "#00C7BE", label: "1y forward" } // iOS mint
+};
+
+// Curve colors per palette setting; "colorblind" uses the Okabe-Ito colors, which stay
+// apart for the common forms of color blindness (sky blue for the current curve, as the
+// darker blue is hard to see on a dark background)
+const CURVE_PALETTES = {
+  standard: {
+    current: CURRENT_CURVE_COLOR,
+    historical: HISTORICAL_CURVE_PALETTE,
+    fitted: FITTED_CURVE_COLOR,
+    overlays: { zero: OVERLAY_STYLES.zero.color, forward: OVERLAY_STYLES.forward.color }
+  },
+  colorblind: {
+    current: "#56B4E9", // sky blue
+    historical: ["#E69F00", "#CC79A7", "#009E73", "#F0E442", "#D55E00", "#0072B2"], // orange, reddish purple, bluish green, yellow, vermillion, blue
+    fitted: FITTED_CURVE_COLOR,
+    overlays: { zero: "#0072B2", forward: "#009E73" }
+  }
+};
+
+// With curveStyle "dashes", comparison curves also differ by dash pattern (dash and gap
+// lengths in points, repeated); with "markers", by the shape marking each maturity.
+// The current curve stays solid with round markers.
+const DASH_PATTERNS = [[6, 3], [2, 2], [8, 3, 2, 3], [4, 4], [1, 3], [10, 4]];
+const MARKER_SHAPES = ["square", "triangle", "diamond", "invertedTriangle"];
+
+// Legend sizing
+const LEGEND_FONT_SIZE = 8;
+const LEGEND_ROW_HEIGHT = 10;
+const LEGEND_SWATCH_WIDTH = 12; // Color indicator plus gap before the label
+const LEGEND_ITEM_GAP = 10;
+
+// Number of changes labelled with their value in the delta chart
+const DELTA_LABEL_COUNT = 3;
+
+// Yield labels at the points of the current curve
+const POINT_LABEL_FONT_SIZE = 7;
+const EXTREME_RING_DIAMETER = 9;
+
+// History chart panels: one sparkline per series with a header and a low/high footer
+const HISTORY_PANEL_GAP = 8;
+const HISTORY_HEADER_HEIGHT = 11;
+const HISTORY_FOOTER_HEIGHT = 9;
+const HISTORY_TITLES = {
+  real: "Real Yield History",
+  bills: "Bill Rate History",
+  longTerm: "Long-Term Rate History",
+  breakeven: "Breakeven History"
+};
+
+/**
+ * Creates an empty scene
+ * Elements are plain objects, drawn in order:
+ * - { type: "rect" | "ellipse", x, y, width, height, color, alpha }: filled shape
+ * - { type: "polygon", points: [{ x, y }], color, alpha }: filled closed shape
+ * - { type: "line", points: [{ x, y }], color, alpha, lineWidth }: open polyline
+ * - { type: "text", text, x, y, width, height, size, weight, color, alpha, align }: text
+ *   in a box, weight "regular", "semibold" or "bold", align "left", "center" or "right"
+ * Colors are hex strings such as "#007AFF"
+ * @param {Object} size - Scene size with width and height
+ * @returns {Object} Scene with width, height and elements
+ */
+function createScene(size) {
+  return { width: size.width, height: size.height, elements: [] };
+}
+
+/**
+ * Builds a rectangle
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Object} Rectangle with x, y, width and height
+ */
+function rect(x, y, width, height) {
+  return { x, y, width, height };
+}
+
+function addRect(scene, bounds, color, alpha = 1) {
+  scene.elements.push({ type: "rect", ...bounds, color, alpha });
+}
+
+function addEllipse(scene, bounds, color, alpha = 1) {
+  scene.elements.push({ type: "ellipse", ...bounds, color, alpha });
+}
+
+function addPolygon(scene, points, color, alpha = 1) {
+  scene.elements.push({ type: "polygon", points: points.map(({ x, y }) => ({ x, y })), color, alpha });
+}
+
+function addLine(scene, points, color, lineWidth, alpha = 1) {
+  scene.elements.push({ type: "line", points: points.map(({ x, y }) => ({ x, y })), color, alpha, lineWidth });
+}
+
+/**
+ * Splits a polyline into the dashes of a dash pattern
+ * DrawContext can't stroke dashed paths, so dashes are drawn as separate lines
+ * @param {Array} points - Polyline points as { x, y }
+ * @param {Array<number>} pattern - Alternating dash and gap lengths, repeated along the line
+ * @returns {Array<Array>} Dashes, each a polyline of two or more points
+ */
+function dashPolyline(points, pattern) {
+  const dashes = [];
+  let patternIndex = 0;
+  let remaining = pattern[0];
+  let dash = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    let from = points[i - 1];
+    const to = points[i];
+    let length = Math.hypot(to.x - from.x, to.y - from.y);
+    while (length >= remaining) {
+      const fraction = remaining / length;
+      const split = { x: from.x + (to.x - from.x) * fraction, y: from.y + (to.y - from.y) * fraction };
+      if (patternIndex % 2 === 0) {
+        dash.push(split);
+        dashes.push(dash);
+      } else {
+        dash = [split];
+      }
+      length -= remaining;
+      from = split;
+      patternIndex = (patternIndex + 1) % pattern.length;
+      remaining = pattern[patternIndex];
+    }
+    remaining -= length;
+    if (patternIndex % 2 === 0) {
+      dash.push(to);
+    }
+  }
+  if (patternIndex % 2 === 0 && dash.length > 1) {
+    dashes.push(dash);
+  }
+  return dashes;
+}
+
+function addDashedLine(scene, points, color, lineWidth, pattern, alpha = 1) {
+  for (const dash of dashPolyline(points, pattern)) {
+    addLine(scene, dash, color, lineWidth, alpha);
+  }
+}
+
+/**
+ * Adds a marker centred on a point
+ * @param {Object} scene - Scene to add to
+ * @param {string} shape - "circle" or one of MARKER_SHAPES
+ * @param {Object} center - Center as { x, y }
+ * @param {number} size - Width and height of the marker
+ * @param {string} color - Hex color
+ * @param {number} alpha - Opacity
+ */
+function addMarker(scene, shape, { x, y }, size, color, alpha = 1) {
+  const r = size / 2;
+  switch (shape) {
+    case "square":
+      addRect(scene, rect(x - r * 0.9, y - r * 0.9, r * 1.8, r * 1.8), color, alpha);
+      break;
+    case "triangle":
+      addPolygon(scene, [{ x, y: y - r * 1.2 }, { x: x + r * 1.1, y: y + r * 0.8 }, { x: x - r * 1.1, y: y + r * 0.8 }], color, alpha);
+      break;
+    case "invertedTriangle":
+      addPolygon(scene, [{ x, y: y + r * 1.2 }, { x: x + r * 1.1, y: y - r * 0.8 }, { x: x - r * 1.1, y: y - r * 0.8 }], color, alpha);
+      break;
+    case "diamond":
+      addPolygon(scene, [{ x, y: y - r * 1.2 }, { x: x + r * 1.2, y }, { x, y: y + r * 1.2 }, { x: x - r * 1.2, y }], color, alpha);
+      break;
+    default:
+      addEllipse(scene, rect(x - r, y - r, size, size), color, alpha);
+  }
+}
+
+function addText(scene, text, bounds, { size, weight = "regular", color, alpha = 1, align = "left" }) {
+  scene.elements.push({ type: "text", text, ...bounds, size, weight, color, alpha, align });
+}
+
+/**
+ * Converts an HSL color to a hex string
+ * @param {number} hue - Hue in degrees (0-360)
+ * @param {number} saturation - Saturation (0-1)
+ * @param {number} lightness - Lightness (0-1)
+ * @returns {string} Hex color string such as "#3fa9f5"
+ */
+function hslToHex(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Returns the curve colors of a palette setting
+ * @param {string} name - Palette setting, a CURVE_PALETTES key; unknown names get the standard palette
+ * @returns {Object} Palette with current, historical, fitted and overlays colors
+ */
+function getCurvePalette(name) {
+  return CURVE_PALETTES[name] || CURVE_PALETTES.standard;
+}
+
+/**
+ * Picks the color for the nth historical curve
+ * Uses the palette first, then steps around the hue wheel by the golden angle
+ * so any number of curves stay distinguishable
+ * @param {number} index - Position of the curve among historical curves
+ * @param {Object} palette - Entry from CURVE_PALETTES
+ * @returns {string} Hex color string
+ */
+function getHistoricalCurveColor(index, palette = CURVE_PALETTES.standard) {
+  if (index < palette.historical.length) {
+    return palette.historical[index];
+  }
+  return hslToHex((index * 137.508) % 360, 0.75, 0.6);
+}
+
+/**
+ * Assigns a color to every curve, keyed by curve key
+ * @param {Array} curves - Curves in display order, as collected by buildYieldCurveScene
+ * @param {Object} palette - Entry from CURVE_PALETTES
+ * @returns {Object} Map of curve key to hex color
+ */
+function getCurveColors(curves, palette = CURVE_PALETTES.standard) {
+  const colors = {};
+  let historicalIndex = 0;
+  for (const { key } of curves) {
+    colors[key] = key === "current" ? palette.current : getHistoricalCurveColor(historicalIndex++, palette);
+  }
+  return colors;
+}
+
+/**
+ * Assigns a dash pattern or marker shape to every curve besides the current one, in curve order
+ * @param {Array} curves - Curves in display order, as collected by buildYieldCurveScene
+ * @param {string} curveStyle - "color" (color only), "dashes" or "markers"
+ * @returns {Object} Map of curve key to { dash, marker }; dash null for a solid line, marker null
+ *   for no markers
+ */
+function getCurveStyles(curves, curveStyle = "color") {
+  const styles = {};
+  let historicalIndex = 0;
+  for (const { key } of curves) {
+    if (key === "current") {
+      styles[key] = { dash: null, marker: "circle" };
+      continue;
+    }
+    const index = historicalIndex++;
+    styles[key] = {
+      dash: curveStyle === "dashes" ? DASH_PATTERNS[index % DASH_PATTERNS.length] : null,
+      marker: curveStyle === "markers" ? MARKER_SHAPES[index % MARKER_SHAPES.length] : null
+    };
+  }
+  return styles;
+}
+
+/**
+ * Lays out legend entries into as many rows as needed to fit the available width
+ * Text width is estimated from the character count since DrawContext can't measure text
+ * @param {Array} entries - Legend entries with label and color
+ * @param {number} maxWidth - Available width in points
+ * @param {number} fontSize - Legend font size
+ * @returns {Array} Rows of entries, each entry with an x offset and width
+ */
+function layoutLegend(entries, maxWidth, fontSize = LEGEND_FONT_SIZE) {
+  const rows = [];
+  let row = [];
+  let x = 0;
+
+  for (const entry of entries) {
+    const width = LEGEND_SWATCH_WIDTH + Math.ceil(entry.label.length * fontSize * 0.55);
+    if (row.length > 0 && x + width > maxWidth) {
+      rows.push(row);
+      row = [];
+      x = 0;
+    }
+    row.push({ ...entry, x, width });
+    x += width + LEGEND_ITEM_GAP;
+  }
+  if (row.length > 0) {
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Computes the plot area for a chart of the given size
+ * Text margins are fixed by font sizes; the right margin scales with the width
+ * @param {Object} size - Chart size with width and height
+ * @param {number} legendRowCount - Number of legend rows drawn below the plot
+ * @param {Object} margins - Space reserved for text: top, bottom, left
+ * @returns {Object} Plot area as { x, y, width, height }
+ */
+function computeChartRect(size, legendRowCount, margins) {
+  const right = Math.max(10, Math.round(size.width * 0.06));
+  const bottom = margins.bottom + Math.max(0, legendRowCount - 1) * LEGEND_ROW_HEIGHT;
+  return rect(
+    margins.left,
+    margins.top,
+    size.width - margins.left - right,
+    size.height - margins.top - bottom
+  );
+}
+
+/**
+ * Adds the horizontal grid lines and the x and y axes of a chart
+ * @param {Object} scene - Scene to add to
+ * @param {Object} chartRect - Plot area
+ * @param {Object} theme - Entry from THEMES
+ */
+function addGridAndAxes(scene, chartRect, theme) {
+  const left = chartRect.x;
+  const right = chartRect.x + chartRect.width;
+  const bottom = chartRect.y + chartRect.height;
+
+  // Horizontal grid lines (yield levels)
+  for (let i = 0; i <= 4; i++) {
+    const y = chartRect.y + (i / 4) * chartRect.height;
+    addLine(scene, [{ x: left, y }, { x: right, y }], theme.grid, 0.5);
+  }
+
+  addLine(scene, [{ x: left, y: chartRect.y }, { x: left, y: bottom }], theme.axis, 1);
+  addLine(scene, [{ x: left, y: bottom }, { x: right, y: bottom }], theme.axis, 1);
+}
+
+/**
+ * Adds the maturity labels under the x-axis, as many as fit without colliding, benchmarks first
+ * @param {Object} scene - Scene to add to
+ * @param {Array} tenors - Tenors on the axis
+ * @param {Function} xForMonths - Tenor scale from tenorAxis.createTenorScale
+ * @param {Object} chartRect - Plot area
+ * @param {Object} theme - Entry from THEMES
+ */
+function addTenorTicks(scene, tenors, xForMonths, chartRect, theme) {
+  for (const tick of tenorAxis.chooseTickLabels(tenors, xForMonths, 4.5)) {
+    const labelRect = rect(tick.x - 15, chartRect.y + chartRect.height + 5, 30, 12);
+    addText(scene, tick.label, labelRect, { size: 8, color: theme.text, align: "center" });
+  }
+}
+
+/**
+ * Adds the named spreads as a compact right-aligned readout, e.g. "2s10s +12  3m10y -40"
+ * Spreads are laid out right to left so each can take its own color; negative
+ * (inverted) spreads use the error color, and spreads that don't fit are dropped
+ * @param {Object} scene - Scene to add to
+ * @param {Array} spreads - Spreads from analytics.computeSpreads
+ * @param {Object} bounds - Area of the readout
+ * @param {Object} theme - Entry from THEMES
+ */
+function addSpreadReadout(scene, spreads, bounds, theme) {
+  const charWidth = 4.8; // Estimated width of a 9 pt character
+  let right = bounds.x + bounds.width;
+  for (const spread of [...spreads].reverse()) {
+    const text = `${spread.name} ${analytics.formatBasisPoints(spread.bp, false)}`;
+    const width = text.length * charWidth;
+    if (right - width < bounds.x) break;
+    addText(scene, text, rect(right - width, bounds.y, width, bounds.height), {
+      size: 9,
+      color: spread.bp < 0 ? theme.error : theme.text,
+      align: "right"
+    });
+    right -= width + 2 * charWidth;
+  }
+}
+
+/**
+ * Adds the status line at the bottom of a chart: curve date(s), cache status, overdue and feed failure notes
+ * @param {Object} scene - Scene to add to
+ * @param {string} dateText - Date part of the status
+ * @param {Object} currentData - Current yield data object
+ * @param {string|null} cacheStatus - Cache status override
+ * @param {Object} theme - Entry from THEMES
+ */
+function addStatusLine(scene, dateText, currentData, cacheStatus, theme) {
+  let statusText = dateText;
+  if (cacheStatus || currentData.cacheStatus) {
+    statusText += ` • ${cacheStatus || currentData.cacheStatus}`;
+  }
+  if (currentData.stale) {
+    statusText += ` • ${STALE_DATA_NOTE}`;
+  }
+  if (currentData.feedStatus) {
+    statusText += ` • ${currentData.feedStatus}`;
+  }
+  addText(scene, statusText, rect(10, scene.height - 15, scene.width - 20, 12), {
+    size: 10,
+    color: currentData.stale || currentData.feedStatus ? theme.error : theme.text
+  });
+}
+
+/**
+ * Adds a centered message in place of a chart
+ * @param {Object} scene - Scene to add to
+ * @param {string} message - Message text
+ * @param {Object} theme - Entry from THEMES
+ */
+function addMessage(scene, message, theme) {
+  addText(scene, message, rect(10, scene.height / 2 - 15, scene.width - 20, 30), { size: 14, color: theme.error });
+}
+
+/**
+ * Returns the chart title for a dataset setting
+ * @param {string} dataset - Dataset setting, e.g. "nominal" or "breakeven"
+ * @returns {string} Chart title
+ */
+function getChartTitle(dataset) {
+  switch (dataset) {
+    case "breakeven":
+      return "Breakeven Inflation (Nominal − Real)";
+    case "nominal+real":
+      return "US Treasury Nominal & Real Yields";
+    default:
+      return datasets.getDataset(dataset).title;
+  }
+}
+
+/**
+ * Picks the theme color for a change, red for falling values and green for rising ones
+ * @param {Object} theme - Entry from THEMES
+ * @param {number|null} change - Signed change in basis points
+ * @returns {string} Hex color for the change
+ */
+function getChangeColorHex(theme, change) {
+  if (change === null || Math.round(change) === 0) return theme.text;
+  return change > 0 ? theme.positive : theme.negative;
+}
+
+/**
+ * Fits the configured curve model to each curve on a chart and fills the maturities a curve
+ * doesn't quote but another one does (e.g. 4M or 20Y on older dates) from its fit
+ * @param {Array} curves - Curves as { key, data }
+ * @param {string} model - Fit model setting, "none" to leave the curves as they are
+ * @returns {Object} { curves, fits } with filled curves and each curve's fit (or null) keyed by curve key
+ */
+function applyCurveFits(curves, model) {
+  if (!model || model === "none") {
+    return { curves, fits: {} };
+  }
+  const tenors = tenorAxis.collectTenors(curves.map(curve => curve.data.yieldData));
+  const fits = {};
+  const filled = curves.map(({ key, data }) => {
+    fits[key] = curveFit.fitCurve(data.fullYieldData || data.yieldData, model);
+    return { key, data: { ...data, yieldData: curveFit.fillGaps(data.yieldData, tenors, fits[key]) } };
+  });
+  return { curves: filled, fits };
+}
+
+/**
+ * Builds the overlay curves derived from the current par curve
+ * @param {Array} yieldData - Current par yields, every maturity
+ * @param {Array<string>} overlays - Overlays to build: "zero" and/or "forward"
+ * @param {Array} shownYieldData - Par yields of the maturities plotted, which the overlays are kept within
+ * @returns {Array} Overlays as { key, points }, points as { months, yield }; none when the curve
+ *   is too short to bootstrap
+ */
+function buildOverlayCurves(yieldData, overlays = [], shownYieldData = yieldData) {
+  const zeroCurve = overlays.length > 0 ? forwardRates.bootstrapZeroCurve(yieldData) : null;
+  if (!zeroCurve) return [];
+  // Kept within the plotted maturities, where the axis has room for them
+  const quotedMonths = shownYieldData.filter(point => typeof point.months === "number").map(point => point.months);
+  const inRange = point => point.months >= Math.min(...quotedMonths) && point.months <= Math.max(...quotedMonths);
+  return overlays.map(key => {
+    const points = key === "zero" ? forwardRates.getZeroCurvePoints(zeroCurve) : forwardRates.getForwardCurvePoints(zeroCurve, 1);
+    return { key, points: points.filter(inRange) };
+  }).filter(overlay => overlay.points.length > 1);
+}
+
+/**
+ * Builds the chart scene for the chart mode in the settings
+ * @param {Object} allData - Object containing current and historical yield data
+ * @param {Object} options - Chart options
+ * @param {Object} options.size - Chart size with width and height
+ * @param {Object} options.theme - Entry from THEMES
+ * @param {Object} options.margins - Space reserved around the plot area for text
+ * @param {Object} options.settings - Widget settings (mode, dataset, xAxis, deltaStyle, historySeries, fit, showResiduals,
+ *   overlays, palette, curveStyle, valueLabels, highlightExtremes)
+ * @param {string|null} options.cacheStatus - Optional cache status override for display
+ * @returns {Object} Scene
+ */
+function buildChartScene(allData, options) {
+  // If old format (single curve), convert to new format
+  if (allData.yieldData && !allData.current) {
+    allData = { current: allData };
+  }
+  switch (options.settings.mode) {
+    case "delta":
+      return buildDeltaScene(allData, options);
+    case "history":
+      return buildHistoryScene(allData, options);
+    default:
+      return buildYieldCurveScene(allData, options);
+  }
+}
+
+/**
+ * Builds the yield curve chart with support for multiple historical curves
+ * Current and historical curves share one maturity axis and one yield scale
+ * @param {Object} allData - Object containing current and historical yield data
+ * @param {Object} options - Chart options, see buildChartScene
+ * @returns {Object} Scene
+ */
+function buildYieldCurveScene(allData, { size, theme, margins, settings, cacheStatus = null }) {
+  const scene = createScene(size);
+  addRect(scene, rect(0, 0, size.width, size.height), theme.background);
+
+  // Extract current data
+  const currentData = allData.current;
+  if (!currentData || !currentData.yieldData || currentData.yieldData.length === 0) {
+    addMessage(scene, "No yield data available", theme);
+    return scene;
+  }
+
+  // With a curve fit, every curve gets its fit and the maturities it's missing filled in
+  const quotedCurves = Object.entries(allData)
+    .filter(([, data]) => data && data.yieldData && data.yieldData.length > 0)
+    .map(([key, data]) => ({ key, data }));
+  const { curves, fits } = applyCurveFits(quotedCurves, settings.fit);
+  const quotedMonths = currentData.yieldData.filter(point => point.months !== null).map(point => point.months);
+  // Fitted to every maturity, but the residuals are only marked at the plotted ones
+  const currentFit = fits.current
+    ? { ...fits.current, residuals: fits.current.residuals.filter(residual => quotedMonths.includes(residual.months)) }
+    : null;
+  const fittedPoints = currentFit ? curveFit.sampleFit(currentFit, Math.min(...quotedMonths), Math.max(...quotedMonths)) : [];
+  // Bootstrapped from every maturity, so the selection of maturities doesn't change the rates
+  const overlays = buildOverlayCurves(currentData.fullYieldData || currentData.yieldData, settings.overlays, currentData.yieldData);
+
+  // Collect all yield data for scaling
+  const allYieldValues = [];
+  for (const { data } of curves) {
+    allYieldValues.push(...data.yieldData.map(d => d.yield));
+  }
+  allYieldValues.push(...fittedPoints.map(point => point.yield));
+  for (const overlay of overlays) {
+    allYieldValues.push(...overlay.points.map(point => point.yield));
+  }
+
+  // Colors come from the palette in curve order, so any number of spans gets a color;
+  // dash patterns or marker shapes tell the comparison curves apart without relying on color
+  const palette = getCurvePalette(settings.palette);
+  const curveColors = getCurveColors(curves, palette);
+  const curveStyles = getCurveStyles(curves, settings.curveStyle);
+
+  // Legend rows are laid out up front; each extra row takes height from the chart
+  const legendEntries = curves.map(({ key, data }) => ({
+    label: key === "current" ? "Current" : data.label || key,
+    color: curveColors[key],
+    dash: curveStyles[key].dash,
+    marker: key === "current" ? null : curveStyles[key].marker
+  }));
+  if (currentFit) {
+    legendEntries.push({ label: FIT_LABELS[currentFit.model], color: palette.fitted });
+  }
+  for (const overlay of overlays) {
+    legendEntries.push({ label: OVERLAY_STYLES[overlay.key].label, color: palette.overlays[overlay.key] });
+  }
+  const legendRows = legendEntries.length > 1 ? layoutLegend(legendEntries, computeChartRect(size, 1, margins).width) : [];
+
+  // Find min and max yields for scaling across all curves
+  const minYield = Math.min(...allYieldValues);
+  const maxYield = Math.max(...allYieldValues);
+  const yieldRange = maxYield - minYield;
+  const yPadding = (yieldRange || 1) * 0.1; // 10% padding, or 0.1% around a flat curve
+  // Real yields and breakevens can be negative; only clamp at zero when nothing is
+  const yMin = minYield >= 0 ? Math.max(0, minYield - yPadding) : minYield - yPadding;
+  const yMax = maxYield + yPadding;
+  const adjustedYieldRange = yMax - yMin;
+
+  // Chart area
+  const chartRect = computeChartRect(size, legendRows.length, margins);
+  const yForYield = value => chartRect.y + chartRect.height - ((value - yMin) / adjustedYieldRange) * chartRect.height;
+
+  addGridAndAxes(scene, chartRect, theme);
+
+  // Shared tenor axis: every curve is positioned by maturity on the same scale,
+  // so curves missing a maturity still line up with the others
+  const tenors = tenorAxis.collectTenors(curves.map(curve => curve.data.yieldData));
+  const xForMonths = tenorAxis.createTenorScale(tenors, settings.xAxis, chartRect.x, chartRect.width);
+
+  // Shade the maturity ranges where the current curve is inverted
+  const analysis = analytics.analyzeCurves(allData);
+  for (const segment of analysis.invertedSegments) {
+    const startX = xForMonths(segment.start.months);
+    const endX = xForMonths(segment.end.months);
+    addRect(scene, rect(startX, chartRect.y, endX - startX, chartRect.height), theme.error, 0.15);
+  }
+
+  // Draw yield curves (historical first, then current on top)
+  const sortedCurves = [...curves].sort((a, b) => {
+    if (a.key === "current") return 1;
+    if (b.key === "current") return -1;
+    return 0;
+  });
+  // Every line drawn, for placing the value labels clear of them
+  const drawnLines = [];
+  let currentPoints = [];
+
+  for (const { key, data } of sortedCurves) {
+    if (data.yieldData.length < 2) continue;
+    const color = curveColors[key];
+    const { dash, marker } = curveStyles[key];
+    const points = data.yieldData.map(point => ({ ...point, x: xForMonths(point.months), y: yForYield(point.yield) }));
+    drawnLines.push(points);
+
+    if (key === "current") {
+      currentPoints = points;
+      // The fitted curve, its residuals and the overlays go under the current curve
+      if (currentFit) {
+        addFittedCurve(scene, currentFit, fittedPoints, settings.showResiduals, { xForMonths, yForYield }, theme, palette.fitted);
+        drawnLines.push(fittedPoints.map(point => ({ x: xForMonths(point.months), y: yForYield(point.yield) })));
+      }
+      for (const overlay of overlays) {
+        const overlayPoints = overlay.points.map(point => ({ x: xForMonths(point.months), y: yForYield(point.yield) }));
+        addLine(scene, overlayPoints, palette.overlays[overlay.key], 1.5);
+        drawnLines.push(overlayPoints);
+      }
+      if (settings.highlightExtremes) {
+        addExtremeRings(scene, points, theme);
+      }
+      addLine(scene, points, color, 2.5);
+      // Data points for the current curve; filled-in maturities are faded
+      for (const point of points) {
+        addEllipse(scene, rect(point.x - 2, point.y - 2, 4, 4), color, point.fitted ? 0.4 : 1);
+      }
+    } else {
+      if (dash) {
+        addDashedLine(scene, points, color, 1.5, dash, 0.7);
+      } else {
+        addLine(scene, points, color, 1.5, 0.7);
+      }
+      // Comparison curves only get data points when told apart by marker shape
+      if (marker) {
+        for (const point of points) {
+          addMarker(scene, marker, point, 4, color, point.fitted ? 0.4 : 0.9);
+        }
+      }
+    }
+  }
+
+  if (settings.valueLabels || settings.highlightExtremes) {
+    addPointLabels(scene, currentPoints, drawnLines, chartRect, settings, theme);
+  }
+
+  // Title, with the spread readout on the right of the title row
+  addText(scene, getChartTitle(settings.dataset), rect(10, 5, size.width - 20, 15), { size: 12, weight: "bold", color: theme.title });
+  addSpreadReadout(scene, analysis.spreads, rect(size.width / 2, 7, size.width / 2 - 10, 12), theme);
+
+  // Legend for multiple curves, wrapped onto as many rows as the labels need
+  let legendY = chartRect.y + chartRect.height + 18;
+  for (const row of legendRows) {
+    for (const entry of row) {
+      const legendX = chartRect.x + entry.x;
+      addLegendSwatch(scene, entry, legendX, legendY);
+      const legendTextRect = rect(legendX + LEGEND_SWATCH_WIDTH, legendY - 3, entry.width - LEGEND_SWATCH_WIDTH, LEGEND_ROW_HEIGHT);
+      addText(scene, entry.label, legendTextRect, { size: LEGEND_FONT_SIZE, color: theme.text });
+    }
+    legendY += LEGEND_ROW_HEIGHT;
+  }
+
+  addStatusLine(scene, currentData.date, currentData, cacheStatus, theme);
+
+  // Y-axis labels (yield percentages)
+  for (let i = 0; i <= 4; i++) {
+    const yieldValue = yMin + (i / 4) * adjustedYieldRange;
+    const y = chartRect.y + chartRect.height - (i / 4) * chartRect.height;
+    addText(scene, `${yieldValue.toFixed(1)}%`, rect(5, y - 6, 30, 12), { size: 8, color: theme.text });
+  }
+
+  addTenorTicks(scene, tenors, xForMonths, chartRect, theme);
+
+  return scene;
+}
+
+/**
+ * Rings the highest and lowest quoted yields of the current curve, in the theme's positive
+ * and negative colors as in the history chart
+ * @param {Object} scene - Scene to add to
+ * @param {Array} points - Current curve points with yield, fitted, x and y
+ * @param {Object} theme - Entry from THEMES
+ */
+function addExtremeRings(scene, points, theme) {
+  const extremes = analytics.findExtremes(points.filter(point => !point.fitted));
+  if (!extremes) return;
+  const r = EXTREME_RING_DIAMETER / 2;
+  for (const [point, color] of [[extremes.max, theme.positive], [extremes.min, theme.negative]]) {
+    addEllipse(scene, rect(point.x - r, point.y - r, EXTREME_RING_DIAMETER, EXTREME_RING_DIAMETER), color, 0.45);
+  }
+}
+
+/**
+ * Labels the yields of the current curve, placed clear of each other, the curves and the points
+ * With valueLabels every quoted yield is labelled, the high and low first and then the benchmark
+ * maturities, so those win when space runs out; with only highlightExtremes just the high and
+ * low are. The high and low are labelled in bold in their ring colors.
+ * @param {Object} scene - Scene to add to
+ * @param {Array} points - Current curve points with label, yield, fitted, x and y
+ * @param {Array<Array>} lines - Every line drawn on the plot
+ * @param {Object} chartRect - Plot area
+ * @param {Object} settings - Widget settings (valueLabels, highlightExtremes)
+ * @param {Object} theme - Entry from THEMES
+ */
+function addPointLabels(scene, points, lines, chartRect, settings, theme) {
+  const quoted = points.filter(point => !point.fitted);
+  const extremes = settings.highlightExtremes ? analytics.findExtremes(quoted) : null;
+  const colorOf = point => {
+    if (extremes && point === extremes.max) return theme.positive;
+    if (extremes && point === extremes.min) return theme.negative;
+    return null;
+  };
+
+  const candidates = (settings.valueLabels ? quoted : quoted.filter(colorOf))
+    .map(point => ({ x: point.x, y: point.y, text: point.yield.toFixed(2), label: point.label, color: colorOf(point) }))
+    .sort((a, b) => Number(b.color !== null) - Number(a.color !== null) ||
+      tenorAxis.getTenorPriority(a.label) - tenorAxis.getTenorPriority(b.label));
+
+  const placed = pointLabels.placeLabels(candidates, {
+    bounds: chartRect,
+    lines,
+    points: quoted,
+    fontSize: POINT_LABEL_FONT_SIZE
+  });
+  for (const label of placed) {
+    addText(scene, label.text, label.rect, {
+      size: POINT_LABEL_FONT_SIZE,
+      weight: label.color ? "bold" : "regular",
+      color: label.color || theme.text,
+      align: "center"
+    });
+  }
+}
+
+/**
+ * Draws the swatch of a legend entry: a short bar in its color, dashed like its curve
+ * or with its marker shape in the middle
+ * @param {Object} scene - Scene to add to
+ * @param {Object} entry - Legend entry with color, and optionally dash and marker
+ * @param {number} x - Left edge of the swatch
+ * @param {number} y - Top edge of the swatch bar
+ */
+function addLegendSwatch(scene, entry, x, y) {
+  if (entry.dash) {
+    // Half-size dashes, so the pattern shows within the swatch
+    addDashedLine(scene, [{ x, y: y + 1 }, { x: x + 8, y: y + 1 }], entry.color, 2, entry.dash.map(length => length / 2));
+  } else {
+    addRect(scene, rect(x, y, 8, 2), entry.color);
+  }
+  if (entry.marker) {
+    addMarker(scene, entry.marker, { x: x + 4, y: y + 1 }, 5, entry.color);
+  }
+}
+
+/**
+ * Draws a fitted curve, optionally with a residual mark from the fit to each quoted yield
+ * Residuals above the fit use the theme's positive color, those below it the negative one
+ * @param {Object} scene - Scene to add to
+ * @param {Object} fit - Fit from curveFit.fitCurve
+ * @param {Array} fittedPoints - Samples of the fit as { months, yield }
+ * @param {boolean} showResiduals - Whether to mark the residuals
+ * @param {Object} scales - xForMonths and yForYield of the chart
+ * @param {Object} theme - Theme colors
+ * @param {string} color - Hex color of the fitted curve
+ */
+function addFittedCurve(scene, fit, fittedPoints, showResiduals, { xForMonths, yForYield }, theme, color = FITTED_CURVE_COLOR) {
+  addLine(scene, fittedPoints.map(point => ({ x: xForMonths(point.months), y: yForYield(point.yield) })), color, 1.5);
+  if (!showResiduals) return;
+  for (const residual of fit.residuals) {
+    const x = xForMonths(residual.months);
+    addLine(scene, [{ x, y: yForYield(residual.fitted) }, { x, y: yForYield(residual.yield) }], getChangeColorHex(theme, residual.bp), 2, 0.8);
+  }
+}
+
+/**
+ * Builds the delta chart: the change of each maturity against the comparison curve
+ * Bars (or a line) rise above the zero baseline for higher yields and fall below it for lower ones
+ * @param {Object} allData - Current yield data plus the comparison curve (keyed by its span)
+ * @param {Object} options - Chart options, see buildChartScene
+ * @returns {Object} Scene
+ */
+function buildDeltaScene(allData, { size, theme, margins, settings, cacheStatus = null }) {
+  const scene = createScene(size);
+  addRect(scene, rect(0, 0, size.width, size.height), theme.background);
+
+  // The comparison curve is the historical entry (it carries its span); the real overlay has none
+  const currentData = allData.current;
+  const referenceData = Object.values(allData).find(data => data && data.span && data.yieldData);
+  // With a curve fit, maturities only one of the curves quotes are taken from the other's fit
+  const [current, reference] = currentData && referenceData
+    ? applyCurveFits([{ key: "current", data: currentData }, { key: "reference", data: referenceData }], settings.fit).curves
+    : [];
+  const fittedLabels = new Set(
+    [current, reference].flatMap(curve => (curve ? curve.data.yieldData : [])).filter(point => point.fitted).map(point => point.label)
+  );
+  const changes = current && reference
+    ? analytics.computeTenorChanges(current.data.yieldData, reference.data.yieldData).filter(change => change.months !== null)
+    : [];
+
+  const titleText = referenceData ? `Change since ${referenceData.label} (bp)` : "Change (bp)";
+  addText(scene, titleText, rect(10, 5, size.width - 20, 15), { size: 12, weight: "bold", color: theme.title });
+
+  if (changes.length === 0) {
+    addMessage(scene, "No comparison data available", theme);
+    return scene;
+  }
+
+  // Value range always includes the zero baseline, with at least ±5 bp so small moves aren't exaggerated
+  const values = changes.map(change => change.bp);
+  const padding = Math.max(Math.max(...values) - Math.min(...values), 10) * 0.15;
+  const yMin = Math.min(0, ...values) - padding;
+  const yMax = Math.max(0, ...values) + padding;
+  const chartRect = computeChartRect(size, 0, margins);
+  const yForBasisPoints = bp => chartRect.y + chartRect.height - ((bp - yMin) / (yMax - yMin)) * chartRect.height;
+  const zeroY = yForBasisPoints(0);
+
+  addGridAndAxes(scene, chartRect, theme);
+
+  // Bars need room on both sides of the first and last maturity
+  const tenors = tenorAxis.collectTenors([changes]);
+  const inset = settings.deltaStyle === "bars" ? 8 : 0;
+  const xForMonths = tenorAxis.createTenorScale(tenors, settings.xAxis, chartRect.x + inset, chartRect.width - 2 * inset);
+
+  // Zero baseline
+  addLine(scene, [{ x: chartRect.x, y: zeroY }, { x: chartRect.x + chartRect.width, y: zeroY }], theme.axis, 1);
+
+  const points = changes.map(change => ({ ...change, x: xForMonths(change.months), y: yForBasisPoints(change.bp) }));
+  if (settings.deltaStyle === "bars") {
+    // Bar width follows the narrowest gap between maturities so neighbouring bars never touch
+    const gaps = points.slice(1).map((point, i) => point.x - points[i].x);
+    const barWidth = Math.max(2, Math.min(14, ...gaps.map(gap => gap * 0.6)));
+    for (const point of points) {
+      const bar = rect(point.x - barWidth / 2, Math.min(point.y, zeroY), barWidth, Math.max(Math.abs(point.y - zeroY), 1));
+      addRect(scene, bar, getChangeColorHex(theme, point.bp), fittedLabels.has(point.label) ? 0.5 : 1);
+    }
+  } else {
+    addLine(scene, points, getCurvePalette(settings.palette).current, 2);
+    for (const point of points) {
+      addEllipse(scene, rect(point.x - 2.5, point.y - 2.5, 5, 5), getChangeColorHex(theme, point.bp), fittedLabels.has(point.label) ? 0.5 : 1);
+    }
+  }
+
+  // Value labels on the biggest movers, above rises and below falls
+  for (const mover of analytics.findBiggestMovers(points, DELTA_LABEL_COUNT)) {
+    const labelY = mover.bp >= 0 ? mover.y - 11 : mover.y + 1;
+    addText(scene, analytics.formatBasisPoints(mover.bp, false), rect(mover.x - 15, labelY, 30, 10), {
+      size: 8,
+      weight: "bold",
+      color: getChangeColorHex(theme, mover.bp),
+      align: "center"
+    });
+  }
+
+  // Y-axis labels (basis points)
+  for (let i = 0; i <= 4; i++) {
+    const bp = yMin + (i / 4) * (yMax - yMin);
+    addText(scene, analytics.formatBasisPoints(bp, false), rect(5, yForBasisPoints(bp) - 6, 30, 12), { size: 8, color: theme.text });
+  }
+
+  addTenorTicks(scene, tenors, xForMonths, chartRect, theme);
+  addStatusLine(scene, `${currentData.date} vs ${referenceData.date}`, currentData, cacheStatus, theme);
+
+  return scene;
+}
+
+/**
+ * Formats a history value in the unit of its series
+ * @param {number} value - Yield in percent or spread in basis points
+ * @param {string} unit - "%" or "bp"
+ * @returns {string} Formatted value such as "4.28%" or "-34 bp"
+ */
+function formatSeriesValue(value, unit) {
+  return unit === "bp" ? analytics.formatBasisPoints(value) : `${value.toFixed(2)}%`;
+}
+
+/**
+ * Splits an area into equally sized panels, filled row by row
+ * Wide charts fit up to four panels in a row, others two
+ * @param {number} count - Number of panels
+ * @param {Object} bounds - Area to fill
+ * @returns {Array} Panel rectangles
+ */
+function layoutPanels(count, bounds) {
+  const columns = Math.min(count, bounds.width >= 500 ? 4 : 2);
+  const rows = Math.ceil(count / columns);
+  const width = (bounds.width - (columns - 1) * HISTORY_PANEL_GAP) / columns;
+  const height = (bounds.height - (rows - 1) * HISTORY_PANEL_GAP) / rows;
+  return Array.from({ length: count }, (_, i) => rect(
+    bounds.x + (i % columns) * (width + HISTORY_PANEL_GAP),
+    bounds.y + Math.floor(i / columns) * (height + HISTORY_PANEL_GAP),
+    width,
+    height
+  ));
+}
+
+/**
+ * Adds one history panel: the series name and latest value, the sparkline with its
+ * low, high and latest points marked, and the low and high values with their dates
+ * @param {Object} scene - Scene to add to
+ * @param {Object} series - Series from yieldHistory.buildSeries
+ * @param {Object} bounds - Panel area
+ * @param {Object} theme - Entry from THEMES
+ * @param {string} color - Hex color of the sparkline and the latest value
+ */
+function addHistoryPanel(scene, series, bounds, theme, color = CURRENT_CURVE_COLOR) {
+  const halfWidth = bounds.width / 2;
+  addText(scene, series.key, rect(bounds.x, bounds.y, halfWidth, HISTORY_HEADER_HEIGHT), { size: 9, weight: "semibold", color: theme.title });
+
+  const summary = yieldHistory.summarizeSeries(series);
+  const valueRect = rect(bounds.x + halfWidth, bounds.y, halfWidth, HISTORY_HEADER_HEIGHT);
+  if (!summary) {
+    addText(scene, "No data", valueRect, { size: 8, color: theme.text, align: "right" });
+    return;
+  }
+  addText(scene, formatSeriesValue(summary.current.value, series.unit), valueRect, {
+    size: 9,
+    weight: "bold",
+    color,
+    align: "right"
+  });
+
+  const plot = rect(
+    bounds.x + 3,
+    bounds.y + HISTORY_HEADER_HEIGHT + 3,
+    bounds.width - 6,
+    bounds.height - HISTORY_HEADER_HEIGHT - HISTORY_FOOTER_HEIGHT - 6
+  );
+  const { min, max, current } = summary;
+  const count = series.points.length;
+  const xForIndex = i => (count === 1 ? plot.x + plot.width : plot.x + (i / (count - 1)) * plot.width);
+  // A flat series runs through the middle of the plot
+  const yForValue = value => (max.value === min.value
+    ? plot.y + plot.height / 2
+    : plot.y + ((max.value - value) / (max.value - min.value)) * plot.height);
+
+  // Spreads that change sign get a zero line, so inversions stand out
+  if (series.unit === "bp" && min.value < 0 && max.value > 0) {
+    addLine(scene, [{ x: plot.x, y: yForValue(0) }, { x: plot.x + plot.width, y: yForValue(0) }], theme.axis, 0.5);
+  }
+
+  const points = series.points.map((point, i) => ({ x: xForIndex(i), y: yForValue(point.value) }));
+  if (points.length > 1) {
+    addLine(scene, points, color, 1.5);
+  }
+  const markers = [[max, theme.positive, 4], [min, theme.negative, 4], [current, color, 5]];
+  for (const [point, color, diameter] of markers) {
+    const { x, y } = points[series.points.indexOf(point)];
+    addEllipse(scene, rect(x - diameter / 2, y - diameter / 2, diameter, diameter), color);
+  }
+
+  // Low and high with their dates as M/D
+  const shortDate = date => date.slice(5).split("-").map(Number).join("/");
+  const footerY = bounds.y + bounds.height - HISTORY_FOOTER_HEIGHT;
+  addText(scene, `L ${formatSeriesValue(min.value, series.unit)} ${shortDate(min.date)}`, rect(bounds.x, footerY, halfWidth, HISTORY_FOOTER_HEIGHT), {
+    size: 7,
+    color: theme.negative
+  });
+  addText(scene, `H ${formatSeriesValue(max.value, series.unit)} ${shortDate(max.date)}`, rect(bounds.x + halfWidth, footerY, halfWidth, HISTORY_FOOTER_HEIGHT), {
+    size: 7,
+    color: theme.positive,
+    align: "right"
+  });
+}
+
+/**
+ * Builds the history chart: a sparkline per maturity or spread over the history's business days
+ * @param {Object} allData - Current yield data plus the history from fetchHistory
+ * @param {Object} options - Chart options, see buildChartScene; settings.historySeries picks the series
+ * @returns {Object} Scene
+ */
+function buildHistoryScene(allData, { size, theme, margins, settings, cacheStatus = null }) {
+  const scene = createScene(size);
+  addRect(scene, rect(0, 0, size.width, size.height), theme.background);
+
+  const history = allData.history;
+  addText(scene, HISTORY_TITLES[settings.dataset] || "Yield History", rect(10, 5, size.width - 20, 15), {
+    size: 12,
+    weight: "bold",
+    color: theme.title
+  });
+  if (!history || history.curves.length === 0 || !allData.current) {
+    addMessage(scene, "No history available", theme);
+    return scene;
+  }
+  addText(scene, `last ${history.days} business days`, rect(size.width / 2, 7, size.width / 2 - 10, 12), {
+    size: 9,
+    color: theme.text,
+    align: "right"
+  });
+
+  const series = yieldHistory.buildSeries(history.curves, settings.historySeries);
+  const panels = layoutPanels(series.length, rect(10, margins.top, size.width - 20, size.height - margins.top - 20));
+  const color = getCurvePalette(settings.palette).current;
+  series.forEach((entry, i) => addHistoryPanel(scene, entry, panels[i], theme, color));
+
+  const first = history.curves[0].date;
+  const last = history.curves[history.curves.length - 1].date;
+  addStatusLine(scene, `${first} – ${last}`, allData.current, cacheStatus, theme);
+
+  return scene;
+}
+
+/**
+ * Builds a minimal line chart without axes or labels, with a dot on the last value
+ * @param {Array<number>} values - Values to plot, in order
+ * @param {Object} size - Size with width and height
+ * @param {string} color - Hex line color
+ * @returns {Object} Scene, empty with fewer than two values
+ */
+function buildSparklineScene(values, size, color) {
+  const scene = createScene(size);
+  if (values.length < 2) {
+    return scene;
+  }
+
+  const min = Math.min(...values);
+  const range = (Math.max(...values) - min) || 1;
+  const inset = 3; // Keeps the stroke and end point inside the image
+  const points = values.map((value, i) => ({
+    x: inset + (i / (values.length - 1)) * (size.width - 2 * inset),
+    y: inset + (1 - (value - min) / range) * (size.height - 2 * inset)
+  }));
+
+  addLine(scene, points, color, 2);
+  const last = points[points.length - 1];
+  addEllipse(scene, rect(last.x - 2.5, last.y - 2.5, 5, 5), color);
+
+  return scene;
+}
+
+module.exports = {
+  STALE_DATA_NOTE,
+  CURRENT_CURVE_COLOR,
+  HISTORICAL_CURVE_PALETTE,
+  FITTED_CURVE_COLOR,
+  FIT_LABELS,
+  OVERLAY_STYLES,
+  CURVE_PALETTES,
+  DASH_PATTERNS,
+  MARKER_SHAPES,
+  hslToHex,
+  dashPolyline,
+  getCurvePalette,
+  getHistoricalCurveColor,
+  getCurveColors,
+  getCurveStyles,
+  layoutLegend,
+  computeChartRect,
+  applyCurveFits,
+  buildOverlayCurves,
+  getChartTitle,
+  getChangeColorHex,
+  formatSeriesValue,
+  layoutPanels,
+  buildChartScene,
+  buildYieldCurveScene,
+  buildDeltaScene,
+  buildHistoryScene,
+  buildSparklineScene
+};
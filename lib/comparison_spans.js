@@ -0,0 +1,196 @@
+// Historical comparison spans ("1W", "3M", "1Y", "YTD", "FOMC", "2024-03-01", ...)
+// Parses span specs into dates relative to today, with generated legend labels
+// Anchors (period starts, the last FOMC decision and named dates) are labelled with their date too
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const calendar = requireModule("./bond_market_calendar");
+const fomcCalendar = requireModule("./fomc_calendar");
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Unit suffixes accepted in relative specs such as "10D" or "6M"
+const SPAN_UNITS = {
+  D: { singular: "day", plural: "days" },
+  B: { singular: "business day", plural: "business days" },
+  W: { singular: "week", plural: "weeks" },
+  M: { singular: "month", plural: "months" },
+  Y: { singular: "year", plural: "years" }
+};
+
+// Period starts: the last close of the previous year, quarter or month
+const PERIOD_STARTS = {
+  YTD: { label: "YTD start", resolve: today => new Date(today.getFullYear() - 1, 11, 31) },
+  QTD: { label: "QTD start", resolve: today => new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 0) },
+  MTD: { label: "MTD start", resolve: today => new Date(today.getFullYear(), today.getMonth(), 0) }
+};
+
+/**
+ * Formats a date as a short human label, e.g. "Mar 1, 2024"
+ * @param {Date} date - The date to format
+ * @returns {string} Human readable date
+ */
+function formatShortDate(date) {
+  return `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+/**
+ * Moves a date back by whole months, clamping to the end of shorter months
+ * (e.g. one month before March 31 is the last day of February)
+ * @param {Date} date - The starting date
+ * @param {number} months - Number of months to go back
+ * @returns {Date} The shifted date
+ */
+function subtractMonths(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() - months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+}
+
+/**
+ * Parses an explicit YYYY-MM-DD date
+ * @param {string} text - Date text
+ * @param {string} name - What the date is for, in error messages
+ * @returns {Date} The date at local midnight
+ * @throws {Error} For text that isn't a valid date
+ */
+function parseExactDate(text, name) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? calendar.parseISODate(text) : null;
+  if (!date || calendar.formatISODate(date) !== text) {
+    throw new Error(`Invalid ${name}: ${text}`);
+  }
+  return date;
+}
+
+/**
+ * Builds a span for a relative spec such as "2W" or "1Y"
+ * @param {number} amount - How many units back from today
+ * @param {string} unit - One of the SPAN_UNITS keys
+ * @returns {Object} Span with key, label and resolve function
+ */
+function createRelativeSpan(amount, unit) {
+  const names = SPAN_UNITS[unit];
+  return {
+    key: `${amount}${unit}`,
+    label: `${amount} ${amount === 1 ? names.singular : names.plural} ago`,
+    resolve(today) {
+      switch (unit) {
+        case "D": return calendar.addCalendarDays(today, -amount);
+        case "B": return calendar.addBusinessDays(today, -amount);
+        case "W": return calendar.addCalendarDays(today, -amount * 7);
+        case "M": return subtractMonths(today, amount);
+        case "Y": return subtractMonths(today, amount * 12);
+      }
+    }
+  };
+}
+
+/**
+ * Parses a comparison span spec
+ * Accepts a number of days (legacy HISTORICAL_PERIODS format, also as a string), a relative spec
+ * like "7D", "10B", "2W", "3M" or "1Y", "YTD" / "YTD start", "QTD" or "MTD" for the last close
+ * of the previous year, quarter or month, "FOMC" for the last FOMC decision, an explicit
+ * YYYY-MM-DD date, or the name of a named date
+ * @param {number|string} spec - The span spec to parse
+ * @param {Object} anchors - Anchor dates from the main script
+ * @param {Array<string>} anchors.fomcMeetings - FOMC decision days added to the bundled calendar
+ * @param {Object} anchors.namedDates - YYYY-MM-DD dates keyed by name, e.g. { Election: "2024-11-05" }
+ * @returns {Object} Span with key, label, dated (label the resolved date too) and resolve(today)
+ *   returning the target date, or null when there is none (no FOMC meeting before today)
+ */
+function parseSpan(spec, { fomcMeetings = [], namedDates = {} } = {}) {
+  if (typeof spec === "number") {
+    if (!Number.isInteger(spec) || spec <= 0) {
+      throw new Error(`Invalid comparison span: ${spec}`);
+    }
+    // Whole weeks read better in the legend ("1 week ago" rather than "7 days ago")
+    return spec % 7 === 0 ? createRelativeSpan(spec / 7, "W") : createRelativeSpan(spec, "D");
+  }
+
+  const text = String(spec).trim();
+
+  if (/^\d+$/.test(text)) {
+    return parseSpan(Number(text));
+  }
+
+  const periodStart = /^([YQM]TD)( start)?$/i.exec(text);
+  if (periodStart) {
+    const key = periodStart[1].toUpperCase();
+    return { key, ...PERIOD_STARTS[key], dated: true };
+  }
+
+  if (/^FOMC$/i.test(text)) {
+    // Checked here so a bad added date is reported with the span
+    fomcCalendar.getMeetingDates(fomcMeetings);
+    return {
+      key: "FOMC",
+      label: "FOMC",
+      dated: true,
+      resolve(today) {
+        const meeting = fomcCalendar.findLastMeeting(today, fomcMeetings);
+        return meeting ? calendar.parseISODate(meeting) : null;
+      }
+    };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = parseExactDate(text, "comparison date");
+    return {
+      key: text,
+      label: formatShortDate(date),
+      resolve: () => date
+    };
+  }
+
+  const name = Object.keys(namedDates).find(candidate => candidate.toLowerCase() === text.toLowerCase());
+  if (name) {
+    const date = parseExactDate(String(namedDates[name]).trim(), `date for "${name}"`);
+    return { key: name, label: name, dated: true, resolve: () => date };
+  }
+
+  const match = /^(\d+)\s*([A-Za-z])$/.exec(text);
+  if (match && SPAN_UNITS[match[2].toUpperCase()] && Number(match[1]) > 0) {
+    return createRelativeSpan(Number(match[1]), match[2].toUpperCase());
+  }
+
+  throw new Error(`Invalid comparison span: ${spec}`);
+}
+
+/**
+ * Resolves a list of span specs into historical comparison dates
+ * Dates are snapped to the closest previous bond market business day, anchors are labelled
+ * with that day (e.g. "FOMC Jun 12, 2024"), duplicate spans are dropped and spans without a
+ * date are left out
+ * @param {Array<number|string>} specs - Span specs, see parseSpan
+ * @param {Date} today - Reference date the spans count back from
+ * @param {Object} anchors - Anchor dates from the main script, see parseSpan
+ * @returns {Array} Array of objects with key, label, date and dateString
+ */
+function resolveSpans(specs, today, anchors = {}) {
+  const dates = [];
+  const seenKeys = new Set();
+
+  for (const spec of specs) {
+    const span = parseSpan(spec, anchors);
+    if (seenKeys.has(span.key)) continue;
+    seenKeys.add(span.key);
+
+    const target = span.resolve(today);
+    if (!target) continue;
+    const businessDay = calendar.getClosestPreviousBusinessDay(target);
+    dates.push({
+      key: span.key,
+      label: span.dated ? `${span.label} ${formatShortDate(businessDay)}` : span.label,
+      date: businessDay,
+      dateString: calendar.formatISODate(businessDay)
+    });
+  }
+
+  return dates;
+}
+
+module.exports = {
+  formatShortDate,
+  parseSpan,
+  resolveSpans
+};
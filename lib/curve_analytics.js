@@ -0,0 +1,201 @@
+// Yield curve analytics on the yieldData arrays returned by fetchYieldDataForDate
+// Spreads, inverted segments and per-tenor changes, all in basis points
+
+// Named spreads: long minus short maturity. Spreads flagged as inversion signals
+// decide whether the curve as a whole counts as inverted.
+const SPREADS = [
+  { name: "2s10s", short: "2Y", long: "10Y", inversionSignal: true },
+  { name: "3m10y", short: "3M", long: "10Y", inversionSignal: true },
+  { name: "5s30s", short: "5Y", long: "30Y", inversionSignal: false }
+];
+
+/**
+ * Converts a difference in percentage points to basis points
+ * Rounded to a hundredth of a basis point to drop floating point noise
+ * @param {number} percentDifference - Difference in percentage points
+ * @returns {number} Difference in basis points
+ */
+function toBasisPoints(percentDifference) {
+  return Math.round(percentDifference * 10000) / 100;
+}
+
+/**
+ * Formats a difference in basis points with an explicit sign
+ * @param {number} basisPoints - Difference in basis points
+ * @param {boolean} withUnit - Whether to append the " bp" unit
+ * @returns {string} Formatted value such as "+12 bp" or "-3 bp"
+ */
+function formatBasisPoints(basisPoints, withUnit = true) {
+  const bp = Math.round(basisPoints);
+  return `${bp > 0 ? "+" : ""}${bp}${withUnit ? " bp" : ""}`;
+}
+
+/**
+ * Looks up the yield of a maturity
+ * @param {Array} yieldData - yieldData array
+ * @param {string} label - Maturity label, e.g. "10Y"
+ * @returns {number|null} Yield in percent, or null if the maturity is missing
+ */
+function getYield(yieldData, label) {
+  const point = yieldData.find(p => p.label === label);
+  return point ? point.yield : null;
+}
+
+/**
+ * Computes the spread between two maturities
+ * @param {Array} yieldData - yieldData array
+ * @param {string} shortLabel - Shorter maturity label
+ * @param {string} longLabel - Longer maturity label
+ * @returns {number|null} Long minus short yield in basis points, or null if either is missing
+ */
+function computeSpread(yieldData, shortLabel, longLabel) {
+  const shortYield = getYield(yieldData, shortLabel);
+  const longYield = getYield(yieldData, longLabel);
+  if (shortYield === null || longYield === null) return null;
+  return toBasisPoints(longYield - shortYield);
+}
+
+/**
+ * Computes the named spreads the curve has both maturities for
+ * @param {Array} yieldData - yieldData array
+ * @param {Array} definitions - Spread definitions, SPREADS by default
+ * @returns {Array} Spreads as { name, short, long, bp, inversionSignal }
+ */
+function computeSpreads(yieldData, definitions = SPREADS) {
+  const spreads = [];
+  for (const definition of definitions) {
+    const bp = computeSpread(yieldData, definition.short, definition.long);
+    if (bp !== null) {
+      spreads.push({ ...definition, bp });
+    }
+  }
+  return spreads;
+}
+
+/**
+ * Finds the stretches of the curve where yields fall as maturity increases
+ * Neighbouring falling steps are merged into one segment
+ * @param {Array} yieldData - yieldData array
+ * @returns {Array} Segments as { start, end, bp }, where start and end are curve points
+ *   and bp is the (negative) change from start to end
+ */
+function findInvertedSegments(yieldData) {
+  const points = yieldData
+    .filter(point => point.months !== null)
+    .sort((a, b) => a.months - b.months);
+
+  const segments = [];
+  let current = null;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].yield < points[i - 1].yield) {
+      if (current) {
+        current.end = points[i];
+      } else {
+        current = { start: points[i - 1], end: points[i] };
+      }
+    } else if (current) {
+      segments.push(current);
+      current = null;
+    }
+  }
+  if (current) segments.push(current);
+
+  return segments.map(segment => ({
+    ...segment,
+    bp: toBasisPoints(segment.end.yield - segment.start.yield)
+  }));
+}
+
+/**
+ * Tells whether the curve is inverted by any of the inversion-signal spreads
+ * @param {Array} spreads - Spreads from computeSpreads
+ * @returns {boolean} True when a signal spread is negative
+ */
+function isInverted(spreads) {
+  return spreads.some(spread => spread.inversionSignal && spread.bp < 0);
+}
+
+/**
+ * Computes per-tenor changes from an earlier curve, matching points by maturity label
+ * @param {Array} currentYieldData - Current yieldData array
+ * @param {Array} previousYieldData - Earlier yieldData array
+ * @returns {Array} Changes as { label, months, bp } for maturities present in both curves
+ */
+function computeTenorChanges(currentYieldData, previousYieldData) {
+  const changes = [];
+  for (const point of currentYieldData) {
+    const previous = previousYieldData.find(p => p.label === point.label);
+    if (previous) {
+      changes.push({ label: point.label, months: point.months, bp: toBasisPoints(point.yield - previous.yield) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Picks the largest changes by size, ignoring those that round to zero
+ * @param {Array} changes - Changes from computeTenorChanges
+ * @param {number} count - Maximum number of changes to return
+ * @returns {Array} The biggest movers, in maturity order
+ */
+function findBiggestMovers(changes, count) {
+  return changes
+    .filter(change => Math.round(change.bp) !== 0)
+    .sort((a, b) => Math.abs(b.bp) - Math.abs(a.bp))
+    .slice(0, count)
+    .sort((a, b) => a.months - b.months);
+}
+
+/**
+ * Finds the highest and lowest yields of a curve
+ * @param {Array} yieldData - Curve points with label, months and yield
+ * @returns {Object|null} { min, max } points (the shortest maturity on a tie), or null for
+ *   a flat curve or one with fewer than two points
+ */
+function findExtremes(yieldData) {
+  const points = yieldData.filter(point => typeof point.yield === "number");
+  if (points.length < 2) return null;
+  const min = points.reduce((lowest, point) => (point.yield < lowest.yield ? point : lowest));
+  const max = points.reduce((highest, point) => (point.yield > highest.yield ? point : highest));
+  return min.yield === max.yield ? null : { min, max };
+}
+
+/**
+ * Runs every analysis on the current curve and compares it to each historical curve
+ * @param {Object} allData - Yield data keyed by curve; "current" plus historical entries with a label
+ * @returns {Object|null} { spreads, inverted, invertedSegments, changes }, where changes is
+ *   a list of { key, label, changes } per historical curve; null without a current curve
+ */
+function analyzeCurves(allData) {
+  const current = allData.current;
+  if (!current || !current.yieldData) return null;
+
+  const spreads = computeSpreads(current.yieldData);
+  const changes = [];
+  for (const [key, data] of Object.entries(allData)) {
+    if (key === "current" || !data || !data.yieldData) continue;
+    changes.push({ key, label: data.label || key, changes: computeTenorChanges(current.yieldData, data.yieldData) });
+  }
+
+  return {
+    spreads,
+    inverted: isInverted(spreads),
+    invertedSegments: findInvertedSegments(current.yieldData),
+    changes
+  };
+}
+
+module.exports = {
+  SPREADS,
+  toBasisPoints,
+  formatBasisPoints,
+  getYield,
+  computeSpread,
+  computeSpreads,
+  findInvertedSegments,
+  isInverted,
+  computeTenorChanges,
+  findBiggestMovers,
+  findExtremes,
+  analyzeCurves
+};
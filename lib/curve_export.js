@@ -0,0 +1,130 @@
+// CSV and JSON exports of yield curves, for spreadsheets and other tools
+// Curves are { date, yieldData } objects, optionally with a label; formatting only,
+// the in-app view and scripts/export_curves.js decide where the files go
+
+const EXPORT_FORMATS = ["csv", "json"];
+
+/**
+ * Collects the curves of a fetchAllYieldData result for export, the current curve first
+ * In history mode these are the history's curves, oldest first and unlabelled
+ * @param {Object} allData - Current and historical yield data keyed by span
+ * @returns {Array} Curves as { date, label, yieldData }
+ */
+function collectShownCurves(allData) {
+  if (allData.history) {
+    return allData.history.curves.map(({ date, yieldData }) => ({ date, yieldData }));
+  }
+  const curves = [];
+  for (const [key, data] of Object.entries(allData)) {
+    if (!data || !data.yieldData) continue;
+    curves.push({ date: data.date, label: key === "current" ? "Current" : data.label || key, yieldData: data.yieldData });
+  }
+  return curves;
+}
+
+/**
+ * Lists the maturities present in any of the curves, shortest first
+ * @param {Array} curves - Curves to export
+ * @returns {Array<string>} Maturity labels
+ */
+function getExportTenors(curves) {
+  const months = new Map();
+  for (const curve of curves) {
+    for (const point of curve.yieldData) {
+      months.set(point.label, point.months);
+    }
+  }
+  return [...months.keys()].sort((a, b) => months.get(a) - months.get(b));
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Formats curves as CSV: one row per curve, one column per maturity
+ * A curve column is added when the curves are labelled (e.g. "Current", "1 week ago");
+ * maturities a curve doesn't have are left empty
+ * @param {Array} curves - Curves to export
+ * @returns {string} CSV text with a header row
+ */
+function formatCurvesAsCsv(curves) {
+  const tenors = getExportTenors(curves);
+  const labelled = curves.some(curve => curve.label);
+  const header = ["date", ...(labelled ? ["curve"] : []), ...tenors];
+
+  const rows = curves.map(curve => {
+    const yields = new Map(curve.yieldData.map(point => [point.label, point.yield]));
+    return [
+      curve.date,
+      ...(labelled ? [curve.label || ""] : []),
+      ...tenors.map(tenor => (yields.has(tenor) ? String(yields.get(tenor)) : ""))
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(escapeCsvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Formats curves as JSON, each curve's yields keyed by maturity
+ * @param {Array} curves - Curves to export
+ * @param {Object} metadata - Fields written before the curves, e.g. { dataset, exportedAt }
+ * @returns {string} JSON text
+ */
+function formatCurvesAsJson(curves, metadata = {}) {
+  const exported = curves.map(curve => ({
+    date: curve.date,
+    ...(curve.label ? { label: curve.label } : {}),
+    yields: Object.fromEntries(curve.yieldData.map(point => [point.label, point.yield]))
+  }));
+  return JSON.stringify({ ...metadata, tenors: getExportTenors(curves), curves: exported }, null, 2) + "\n";
+}
+
+/**
+ * Formats curves in an export format
+ * @param {Array} curves - Curves to export
+ * @param {string} format - "csv" or "json"
+ * @param {Object} metadata - JSON metadata, see formatCurvesAsJson
+ * @returns {string} Export contents
+ * @throws {Error} For an unknown format
+ */
+function formatCurves(curves, format, metadata = {}) {
+  switch (format) {
+    case "csv":
+      return formatCurvesAsCsv(curves);
+    case "json":
+      return formatCurvesAsJson(curves, metadata);
+    default:
+      throw new Error(`Unknown export format "${format}", expected one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+}
+
+/**
+ * Names an export file after its dataset and the dates it covers
+ * @param {Array} curves - Exported curves
+ * @param {string} dataset - Dataset setting, e.g. "nominal"
+ * @param {string} format - "csv" or "json"
+ * @returns {string} File name such as "treasury_nominal_2024-07-01_2024-07-08.csv"
+ */
+function getExportFileName(curves, dataset, format) {
+  const dates = curves.map(curve => curve.date).sort();
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const range = first === last ? first : `${first}_${last}`;
+  return `treasury_${dataset.replace(/\+/g, "_")}_${range}.${format}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectShownCurves,
+  getExportTenors,
+  formatCurvesAsCsv,
+  formatCurvesAsJson,
+  formatCurves,
+  getExportFileName
+};
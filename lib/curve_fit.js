@@ -0,0 +1,287 @@
+// Smooth yield curves fitted to the quoted par yields
+// Fits the Nelson-Siegel model (level, slope and curvature terms with one decay time) or the
+// Svensson extension (a second curvature term with its own decay time) to a yieldData array.
+// For fixed decay times the model is linear in its betas, which are solved by least squares;
+// the decay times are searched on a log grid and refined by golden-section search.
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const analytics = requireModule("./curve_analytics");
+
+const FIT_MODELS = ["nelsonSiegel", "svensson"];
+
+// Fewest quoted maturities each model is fitted to: its betas plus at least one more point
+const MIN_POINTS = { nelsonSiegel: 4, svensson: 6 };
+
+// Decay times (years) searched for the curvature terms
+const DECAY_RANGE = { min: 0.1, max: 30 };
+const DECAY_GRID_STEPS = 24;
+const REFINE_ITERATIONS = 30;
+const SVENSSON_DECAY_RATIO = 2;
+
+const MATURITY_LABEL = /^(\d+(?:\.\d+)?)\s*([WMY])$/i;
+const MONTHS_PER_UNIT = { W: 12 / 52, M: 1, Y: 12 };
+
+/**
+ * Converts a maturity label to months
+ * @param {string|number} maturity - Label such as "15Y", "18M" or "26W", or months as a number
+ * @returns {number} Months
+ * @throws {Error} For a label that isn't a maturity
+ */
+function parseMaturity(maturity) {
+  if (typeof maturity === "number") return maturity;
+  const match = MATURITY_LABEL.exec(String(maturity).trim());
+  if (!match) {
+    throw new Error(`Not a maturity: "${maturity}", expected e.g. 15Y, 18M or 26W`);
+  }
+  return Number(match[1]) * MONTHS_PER_UNIT[match[2].toUpperCase()];
+}
+
+/**
+ * Slope and curvature loadings of the Nelson-Siegel family, with x = t / decay:
+ * (1 - e^(-x)) / x and (1 - e^(-x)) / x - e^(-x)
+ * @param {number} years - Maturity in years
+ * @param {number} decay - Decay time in years
+ * @returns {Array<number>} [slope loading, curvature loading]
+ */
+function loadings(years, decay) {
+  const x = years / decay;
+  // Limits at zero maturity: the slope loading tends to 1, the curvature loading to 0
+  if (x < 1e-9) return [1, 0];
+  const decayed = Math.exp(-x);
+  const slope = (1 - decayed) / x;
+  return [slope, slope - decayed];
+}
+
+/**
+ * Builds the regression row of a maturity for the given decay times
+ * @param {number} years - Maturity in years
+ * @param {Array<number>} decays - One decay time (Nelson-Siegel) or two (Svensson)
+ * @returns {Array<number>} Loadings of beta0 (level), beta1 (slope), beta2 and beta3 (curvature)
+ */
+function regressionRow(years, decays) {
+  const [slope, curvature] = loadings(years, decays[0]);
+  const row = [1, slope, curvature];
+  if (decays.length > 1) {
+    row.push(loadings(years, decays[1])[1]);
+  }
+  return row;
+}
+
+/**
+ * Solves a small linear system by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square coefficient matrix (modified)
+ * @param {Array<number>} vector - Right-hand side (modified)
+ * @returns {Array<number>|null} Solution, or null when the system is singular
+ */
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-12) return null;
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+    [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+
+    for (let row = column + 1; row < size; row++) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k < size; k++) matrix[row][k] -= factor * matrix[column][k];
+      vector[row] -= factor * vector[column];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * solution[k];
+    solution[row] = sum / matrix[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Fits the betas for fixed decay times by least squares
+ * @param {Array} points - Quoted points as { years, yield }
+ * @param {Array<number>} decays - Decay times in years
+ * @returns {Object|null} { betas, sse }, or null when the betas can't be determined
+ */
+function fitBetas(points, decays) {
+  const rows = points.map(point => regressionRow(point.years, decays));
+  const size = rows[0].length;
+  const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+  const target = new Array(size).fill(0);
+  rows.forEach((row, i) => {
+    for (let a = 0; a < size; a++) {
+      target[a] += row[a] * points[i].yield;
+      for (let b = 0; b < size; b++) normal[a][b] += row[a] * row[b];
+    }
+  });
+
+  const betas = solveLinearSystem(normal, target);
+  if (!betas) return null;
+  const sse = rows.reduce((sum, row, i) => {
+    const fitted = row.reduce((total, loading, k) => total + loading * betas[k], 0);
+    return sum + (fitted - points[i].yield) ** 2;
+  }, 0);
+  return { betas, sse };
+}
+
+/**
+ * Finds the decay time that minimizes an error function, on a log grid then by golden-section search
+ * @param {Function} error - Error of a decay time, Infinity when it can't be fitted
+ * @param {number} min - Shortest decay time
+ * @param {number} max - Longest decay time
+ * @returns {number} Best decay time
+ */
+function searchDecay(error, min, max) {
+  const logMin = Math.log(min);
+  const step = (Math.log(max) - logMin) / DECAY_GRID_STEPS;
+  let best = 0;
+  let bestError = Infinity;
+  for (let i = 0; i <= DECAY_GRID_STEPS; i++) {
+    const value = error(Math.exp(logMin + i * step));
+    if (value < bestError) {
+      best = i;
+      bestError = value;
+    }
+  }
+
+  // Golden-section search between the grid neighbours of the best grid point, in log space
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = logMin + Math.max(0, best - 1) * step;
+  let high = logMin + Math.min(DECAY_GRID_STEPS, best + 1) * step;
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const left = high - ratio * (high - low);
+    const right = low + ratio * (high - low);
+    if (error(Math.exp(left)) < error(Math.exp(right))) {
+      high = right;
+    } else {
+      low = left;
+    }
+  }
+  const refined = Math.exp((low + high) / 2);
+  return error(refined) <= bestError ? refined : Math.exp(logMin + best * step);
+}
+
+/**
+ * Fits a curve model to a set of quoted yields
+ * Maturities without a position on the curve (months null) are left out. Svensson needs six
+ * quoted maturities and falls back to Nelson-Siegel below that.
+ * @param {Array} yieldData - Quoted points as { label, months, yield }
+ * @param {string} model - One of FIT_MODELS
+ * @returns {Object|null} Fit as { model, params, rmse (bp), residuals }, or null with too few points;
+ *   residuals are { label, months, yield, fitted, bp } per quoted maturity
+ */
+function fitCurve(yieldData, model = "nelsonSiegel") {
+  if (!FIT_MODELS.includes(model)) {
+    throw new Error(`Unknown curve model "${model}", expected one of ${FIT_MODELS.join(", ")}`);
+  }
+  const quoted = yieldData.filter(point => typeof point.months === "number" && point.months > 0 && typeof point.yield === "number");
+  if (model === "svensson" && quoted.length < MIN_POINTS.svensson) {
+    model = "nelsonSiegel";
+  }
+  if (quoted.length < MIN_POINTS[model]) {
+    return null;
+  }
+
+  const points = quoted.map(point => ({ years: point.months / 12, yield: point.yield }));
+  const sseFor = decays => {
+    const result = fitBetas(points, decays);
+    return result ? result.sse : Infinity;
+  };
+
+  let decays;
+  if (model === "svensson") {
+    // The second curvature term takes a decay time at least SVENSSON_DECAY_RATIO times longer:
+    // with similar decay times the two terms cancel out with huge, meaningless betas
+    let short = 1;
+    let long = 5;
+    for (let round = 0; round < 3; round++) {
+      short = searchDecay(value => sseFor([value, long]), DECAY_RANGE.min, long / SVENSSON_DECAY_RATIO);
+      long = searchDecay(value => sseFor([short, value]), short * SVENSSON_DECAY_RATIO, DECAY_RANGE.max);
+    }
+    decays = [short, long];
+  } else {
+    decays = [searchDecay(value => sseFor([value]), DECAY_RANGE.min, DECAY_RANGE.max)];
+  }
+
+  const result = fitBetas(points, decays);
+  if (!result) {
+    return null;
+  }
+  const [beta0, beta1, beta2, beta3 = 0] = result.betas;
+  const fit = {
+    model,
+    params: { beta0, beta1, beta2, beta3, tau1: decays[0], tau2: decays[1] || null },
+    rmse: 0,
+    residuals: []
+  };
+  fit.residuals = quoted.map(point => {
+    const fitted = interpolateYield(fit, point.months);
+    return { label: point.label, months: point.months, yield: point.yield, fitted, bp: analytics.toBasisPoints(point.yield - fitted) };
+  });
+  fit.rmse = Math.sqrt(fit.residuals.reduce((sum, residual) => sum + residual.bp ** 2, 0) / fit.residuals.length);
+  return fit;
+}
+
+/**
+ * Evaluates a fitted curve at any maturity, e.g. 15Y or 25Y
+ * @param {Object} fit - Fit from fitCurve
+ * @param {string|number} maturity - Maturity label or months
+ * @returns {number} Fitted yield in percent
+ */
+function interpolateYield(fit, maturity) {
+  const { beta0, beta1, beta2, beta3, tau1, tau2 } = fit.params;
+  const row = regressionRow(parseMaturity(maturity) / 12, tau2 ? [tau1, tau2] : [tau1]);
+  return beta0 + beta1 * row[1] + beta2 * row[2] + (tau2 ? beta3 * row[3] : 0);
+}
+
+/**
+ * Fills the maturities a curve doesn't quote with fitted yields
+ * Only maturities inside the quoted range are filled, so the fit is never extrapolated
+ * @param {Array} yieldData - Quoted points as { label, months, yield }
+ * @param {Array} tenors - Maturities wanted, as { label, months }
+ * @param {Object|null} fit - Fit of the curve; without one the data is returned as is
+ * @returns {Array} Points sorted by maturity; filled ones have fitted: true
+ */
+function fillGaps(yieldData, tenors, fit) {
+  if (!fit) return yieldData;
+  const quotedMonths = yieldData.filter(point => typeof point.months === "number").map(point => point.months);
+  const shortest = Math.min(...quotedMonths);
+  const longest = Math.max(...quotedMonths);
+  const quotedLabels = new Set(yieldData.map(point => point.label));
+
+  const filled = tenors
+    .filter(tenor => !quotedLabels.has(tenor.label) && tenor.months > shortest && tenor.months < longest)
+    .map(tenor => ({ label: tenor.label, months: tenor.months, yield: interpolateYield(fit, tenor.months), fitted: true }));
+  if (filled.length === 0) return yieldData;
+  return [...yieldData, ...filled].sort((a, b) => a.months - b.months);
+}
+
+/**
+ * Samples a fitted curve for drawing, evenly in log maturity
+ * @param {Object} fit - Fit from fitCurve
+ * @param {number} fromMonths - Shortest maturity
+ * @param {number} toMonths - Longest maturity
+ * @param {number} count - Number of samples
+ * @returns {Array} Points as { months, yield }
+ */
+function sampleFit(fit, fromMonths, toMonths, count = 60) {
+  const logFrom = Math.log(fromMonths);
+  const step = (Math.log(toMonths) - logFrom) / (count - 1);
+  return Array.from({ length: count }, (_, i) => {
+    const months = Math.exp(logFrom + i * step);
+    return { months, yield: interpolateYield(fit, months) };
+  });
+}
+
+module.exports = {
+  FIT_MODELS,
+  MIN_POINTS,
+  parseMaturity,
+  fitCurve,
+  interpolateYield,
+  fillGaps,
+  sampleFit
+};
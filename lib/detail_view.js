@@ -0,0 +1,440 @@
+// In-app detail view, shown when the script runs in the app (e.g. after tapping the widget):
+// the chart with a mode switch and comparison picker, the spreads, every tenor's yield,
+// and the forward and zero-coupon rates, each with its change against each comparison curve
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const runtime = requireModule("./widget_runtime");
+const calendar = requireModule("./bond_market_calendar");
+const comparisonSpans = requireModule("./comparison_spans");
+const analytics = requireModule("./curve_analytics");
+const treasuryData = requireModule("./treasury_data");
+const chartScene = requireModule("./chart_scene");
+const yieldChart = requireModule("./yield_chart");
+const widgetLayouts = requireModule("./widget_layouts");
+const curveExport = requireModule("./curve_export");
+const curveFit = requireModule("./curve_fit");
+const forwardRates = requireModule("./forward_rates");
+const feedFetcher = requireModule("./feed_fetcher");
+
+// Chart size (from CHART_SIZES) used at the top of the table
+const DETAIL_CHART_FAMILY = "large";
+
+const MODE_TITLES = { curve: "Curve", delta: "Delta", history: "History" };
+const CUSTOM_DATE_ACTION = "Choose a date…";
+
+// Maturities Treasury doesn't quote, read from the fitted curve when a fit is configured
+const FITTED_MATURITIES = ["15Y", "25Y"];
+
+// Maturities whose zero-coupon rate is listed with the forward rates
+const ZERO_MATURITIES = ["2Y", "5Y", "10Y", "30Y"];
+
+/**
+ * Shows a message with a single OK button
+ * @param {string} title - Alert title
+ * @param {string} message - Alert message
+ */
+async function showMessage(title, message) {
+  const alert = new Alert();
+  alert.title = title;
+  alert.message = message;
+  alert.addAction("OK");
+  await alert.presentAlert();
+}
+
+/**
+ * Asks to pick one of several actions in a sheet
+ * @param {string} title - Sheet title
+ * @param {Array<string>} actions - Action titles
+ * @returns {Promise<number>} Index of the picked action, -1 when cancelled
+ */
+async function presentChoice(title, actions) {
+  const alert = new Alert();
+  alert.title = title;
+  for (const action of actions) {
+    alert.addAction(action);
+  }
+  alert.addCancelAction("Cancel");
+  return await alert.presentSheet();
+}
+
+/**
+ * Asks for a date up to today
+ * @param {Date} initialDate - Date the picker starts on
+ * @returns {Promise<Date|null>} Picked date, null when the picker was dismissed
+ */
+async function pickDate(initialDate) {
+  const picker = new DatePicker();
+  picker.initialDate = initialDate;
+  picker.maximumDate = runtime.now();
+  try {
+    return await picker.pickDate();
+  } catch (error) {
+    // Dismissing the picker cancels
+    return null;
+  }
+}
+
+/**
+ * Lists the comparison curves of the fetched data, in display order
+ * @param {Object} allData - Data from fetchAllYieldData, plus any picked comparisons
+ * @returns {Array} Comparisons as { key, data }
+ */
+function getComparisons(allData) {
+  return Object.entries(allData)
+    .filter(([key, data]) => key !== "current" && data && data.span)
+    .map(([key, data]) => ({ key, data }));
+}
+
+/**
+ * Picks the curves the chart shows: all of them, for the delta chart only the current
+ * curve and the selected comparison, and for the history chart the current curve and the history
+ * @param {Object} state - Detail view state
+ * @returns {Object} Data for createYieldCurveChart
+ */
+function getChartData(state) {
+  if (state.mode === "history") {
+    return { current: state.allData.current, history: state.history };
+  }
+  if (state.mode !== "delta" || !state.compareKey) {
+    return state.allData;
+  }
+  return { current: state.allData.current, [state.compareKey]: state.allData[state.compareKey] };
+}
+
+/**
+ * Adds a row of cells with equal widths
+ * @param {UITable} table - Table to add to
+ * @param {Array} cells - Cells as { title, color }, color optional
+ * @param {boolean} isHeader - Whether the row is a header
+ * @returns {UITableRow} The row
+ */
+function addCellRow(table, cells, isHeader = false) {
+  const row = new UITableRow();
+  row.isHeader = isHeader;
+  cells.forEach(({ title, color }, i) => {
+    const cell = row.addText(title);
+    cell.titleFont = isHeader ? Font.semiboldSystemFont(12) : Font.systemFont(14);
+    if (color) cell.titleColor = color;
+    if (i > 0) cell.rightAligned();
+  });
+  table.addRow(row);
+  return row;
+}
+
+/**
+ * Formats a change for a table cell, colored by direction
+ * @param {number|null} change - Change in basis points, null when unknown
+ * @returns {Object} Cell as { title, color }
+ */
+function changeCell(change) {
+  const theme = runtime.getTheme();
+  return {
+    title: change === null ? "—" : analytics.formatBasisPoints(change, false),
+    color: yieldChart.getChangeColor(theme, change)
+  };
+}
+
+/**
+ * Asks for a comparison curve: one already fetched, or any date picked from a calendar
+ * @param {Object} state - Detail view state; compareKey (and allData for a new date) are updated
+ * @returns {Promise<boolean>} True when the comparison changed
+ */
+async function chooseComparison(state) {
+  const comparisons = getComparisons(state.allData);
+  const choice = await presentChoice("Compare with", [
+    ...comparisons.map(({ data }) => `${data.label} (${data.date})`),
+    CUSTOM_DATE_ACTION
+  ]);
+  if (choice === -1) {
+    return false;
+  }
+  if (choice < comparisons.length) {
+    state.compareKey = comparisons[choice].key;
+    return true;
+  }
+
+  const selected = state.compareKey && state.allData[state.compareKey];
+  const date = await pickDate(selected ? calendar.parseISODate(selected.date) : runtime.now());
+  if (!date) {
+    return false;
+  }
+
+  const dateString = calendar.formatISODate(date);
+  const comparison = await treasuryData.fetchComparisonCurve(dateString);
+  if (!comparison) {
+    await showMessage("No data", `No Treasury data is available for ${dateString}.`);
+    return false;
+  }
+  state.allData[comparison.key] = comparison.data;
+  state.compareKey = comparison.key;
+  return true;
+}
+
+/**
+ * Saves an export to the configured folder, or hands it to the share sheet
+ * @param {string} contents - Export contents
+ * @param {string} fileName - File name from curveExport.getExportFileName
+ * @returns {Promise<string|null>} Path of the saved file, null when shared
+ */
+async function saveExport(contents, fileName) {
+  const directory = runtime.getOptions().exportDirectory;
+  if (!directory) {
+    await ShareSheet.present([contents]);
+    return null;
+  }
+
+  const fm = treasuryData.getFileManager();
+  const folder = fm.joinPath(fm.documentsDirectory(), directory);
+  if (!fm.fileExists(folder)) {
+    fm.createDirectory(folder, true);
+  }
+  const filePath = fm.joinPath(folder, fileName);
+  fm.writeString(filePath, contents);
+  return filePath;
+}
+
+/**
+ * Exports the curves shown, or every curve in a picked date range, as CSV or JSON
+ * @param {Object} state - Detail view state
+ */
+async function exportCurves(state) {
+  const scope = await presentChoice("Export", ["Curves shown", "Date range…"]);
+  if (scope === -1) return;
+  const formatChoice = await presentChoice("Export format", curveExport.EXPORT_FORMATS.map(format => format.toUpperCase()));
+  if (formatChoice === -1) return;
+  const format = curveExport.EXPORT_FORMATS[formatChoice];
+
+  let curves;
+  if (scope === 0) {
+    curves = curveExport.collectShownCurves(getChartData(state));
+  } else {
+    // The range starts on the oldest curve shown and ends on the current one
+    const shownDates = curveExport.collectShownCurves(state.allData).map(curve => curve.date).sort();
+    const start = await pickDate(calendar.parseISODate(shownDates[0]));
+    const end = start && await pickDate(calendar.parseISODate(state.allData.current.date));
+    if (!end) return;
+    const [startDate, endDate] = [calendar.formatISODate(start), calendar.formatISODate(end)].sort();
+    curves = await treasuryData.fetchCurvesInRange(startDate, endDate);
+    if (curves.length === 0) {
+      await showMessage("No data", `No Treasury data is available from ${startDate} to ${endDate}.`);
+      return;
+    }
+  }
+
+  const { dataset } = runtime.getSettings();
+  const contents = curveExport.formatCurves(curves, format, { dataset, exportedAt: runtime.now().toISOString() });
+  const savedPath = await saveExport(contents, curveExport.getExportFileName(curves, dataset, format));
+  if (savedPath) {
+    await showMessage("Export saved", savedPath);
+  }
+}
+
+/**
+ * Fills the table from the state; tapping a control updates the state and refills it
+ * @param {UITable} table - Table to fill
+ * @param {Object} state - Detail view state: allData, history, mode, compareKey and family
+ */
+function renderDetailTable(table, state) {
+  const theme = runtime.getTheme();
+  const current = state.allData.current;
+  const comparisons = getComparisons(state.allData);
+  const refresh = () => renderDetailTable(table, state);
+  table.removeAllRows();
+
+  // Chart, drawn in the selected mode
+  runtime.setSettings({ ...runtime.getSettings(), mode: state.mode });
+  const chartSize = runtime.getOptions().chartSizes[DETAIL_CHART_FAMILY];
+  const chartRow = new UITableRow();
+  chartRow.height = chartSize.height + 10;
+  chartRow.addImage(yieldChart.createYieldCurveChart(getChartData(state), null, chartSize)).centerAligned();
+  table.addRow(chartRow);
+
+  // Mode switch, the current mode marked
+  const modeRow = new UITableRow();
+  modeRow.dismissOnSelect = false;
+  for (const [mode, title] of Object.entries(MODE_TITLES)) {
+    const button = modeRow.addButton(mode === state.mode ? `● ${title}` : title);
+    button.centerAligned();
+    button.dismissOnTap = false;
+    button.onTap = async () => {
+      // The history is only read once the history chart is first shown
+      if (mode === "history" && !state.history) {
+        state.history = await treasuryData.fetchHistory(current.date);
+      }
+      state.mode = mode;
+      refresh();
+    };
+  }
+  table.addRow(modeRow);
+
+  // Comparison used by the delta chart
+  const selected = state.compareKey && state.allData[state.compareKey];
+  const compareRow = new UITableRow();
+  compareRow.dismissOnSelect = false;
+  compareRow.addText("Delta compares with", selected ? `${selected.label} (${selected.date})` : "Nothing yet");
+  const changeButton = compareRow.addText("Change…");
+  changeButton.rightAligned();
+  changeButton.titleColor = new Color(chartScene.getCurvePalette(runtime.getSettings().palette).current);
+  compareRow.onSelect = async () => {
+    if (await chooseComparison(state)) {
+      refresh();
+    }
+  };
+  table.addRow(compareRow);
+
+  // Spreads now and their change against each comparison
+  addCellRow(table, [{ title: "Spread" }, { title: "Now" }, ...comparisons.map(({ key }) => ({ title: `vs ${key}` }))], true);
+  for (const spread of analytics.computeSpreads(current.yieldData)) {
+    const changes = comparisons.map(({ data }) => {
+      const before = analytics.computeSpread(data.yieldData, spread.short, spread.long);
+      return changeCell(before === null ? null : spread.bp - before);
+    });
+    addCellRow(table, [
+      { title: spread.name },
+      { title: analytics.formatBasisPoints(spread.bp), color: spread.inversionSignal && spread.bp < 0 ? new Color(theme.error) : null },
+      ...changes
+    ]);
+  }
+
+  // Every tenor's yield and its change against each comparison
+  const changesByComparison = comparisons.map(({ data }) =>
+    new Map(analytics.computeTenorChanges(current.yieldData, data.yieldData).map(change => [change.label, change.bp]))
+  );
+  addCellRow(table, [{ title: "Tenor" }, { title: "Yield" }, ...comparisons.map(({ key }) => ({ title: `vs ${key}` }))], true);
+  for (const point of current.yieldData) {
+    addCellRow(table, [
+      { title: point.label },
+      { title: `${point.yield.toFixed(2)}%` },
+      ...changesByComparison.map(changes => changeCell(changes.has(point.label) ? changes.get(point.label) : null))
+    ]);
+  }
+
+  // Forward and zero-coupon rates bootstrapped from each whole curve, whatever maturities are shown,
+  // and their change
+  const zeroCurve = forwardRates.bootstrapZeroCurve(current.fullYieldData || current.yieldData);
+  if (zeroCurve) {
+    const comparisonCurves = comparisons.map(({ data }) => forwardRates.bootstrapZeroCurve(data.fullYieldData || data.yieldData));
+    const addRateRow = (title, rateOf) => {
+      const now = rateOf(zeroCurve);
+      if (now === null) return;
+      const changes = comparisonCurves.map(curve => {
+        const before = curve ? rateOf(curve) : null;
+        return changeCell(before === null ? null : analytics.toBasisPoints(now - before));
+      });
+      addCellRow(table, [{ title }, { title: `${now.toFixed(2)}%` }, ...changes]);
+    };
+
+    const labels = runtime.getSettings().forwards || forwardRates.DEFAULT_FORWARDS;
+    addCellRow(table, [{ title: "Forward" }, { title: "Rate" }, ...comparisons.map(({ key }) => ({ title: `vs ${key}` }))], true);
+    for (const forward of labels.map(forwardRates.parseForwardLabel)) {
+      addRateRow(forward.label, curve => forwardRates.forwardRate(curve, forward.start, forward.length));
+    }
+    for (const label of ZERO_MATURITIES) {
+      const point = current.yieldData.find(candidate => candidate.label === label);
+      if (point) {
+        addRateRow(`${label} zero`, curve => forwardRates.zeroRate(curve, point.months / 12));
+      }
+    }
+  }
+
+  // Fit quality and the maturities only the fitted curve has
+  const { fit: model } = runtime.getSettings();
+  const fit = model !== "none" ? curveFit.fitCurve(current.fullYieldData || current.yieldData, model) : null;
+  if (fit) {
+    addCellRow(table, [{ title: chartScene.FIT_LABELS[fit.model] }, { title: `RMSE ${fit.rmse.toFixed(1)} bp` }], true);
+    for (const label of FITTED_MATURITIES) {
+      addCellRow(table, [{ title: `${label} (fit)` }, { title: `${curveFit.interpolateYield(fit, label).toFixed(2)}%` }]);
+    }
+  }
+
+  // Data status, the widget preview and exports
+  let statusText = current.date;
+  if (current.cacheStatus) statusText += ` • ${current.cacheStatus}`;
+  if (current.stale) statusText += ` • ${chartScene.STALE_DATA_NOTE}`;
+  if (current.feedStatus) statusText += ` • ${current.feedStatus}`;
+  // A comparison that couldn't be downloaded is missing from the chart and the tables
+  const comparisonError = treasuryData.getComparisonFeedError();
+  if (comparisonError) statusText += ` • comparison ${feedFetcher.FEED_STATUS_NOTES[comparisonError.kind]}`;
+  const isWarning = current.stale || current.feedStatus || comparisonError;
+  addCellRow(table, [{ title: statusText, color: isWarning ? new Color(theme.error) : null }]);
+
+  const previewRow = new UITableRow();
+  previewRow.dismissOnSelect = false;
+  previewRow.addButton("Preview widget").onTap = async () => {
+    // The widget shows what the chart above shows: the history, or the comparison picked for the delta chart
+    if (state.mode === "history" && !state.history) {
+      state.history = await treasuryData.fetchHistory(current.date);
+    }
+    const widget = await widgetLayouts.layoutWidget(state.family, getChartData(state));
+    await widgetLayouts.presentPreview(widget, state.family);
+  };
+  previewRow.addButton("Export…").onTap = async () => {
+    try {
+      await exportCurves(state);
+    } catch (error) {
+      console.error("Export failed:", error);
+      await showMessage("Export failed", error.message);
+    }
+  };
+  table.addRow(previewRow);
+
+  table.reload();
+}
+
+/**
+ * Presents the detail view
+ * Uses the widget parameter's settings; the data is fetched once with every comparison
+ * span, and only a date picked in the view is fetched later
+ * @param {string|null} parameter - Widget parameter, e.g. from the URL the widget opens
+ * @param {string} family - Widget family the preview button lays out
+ */
+async function presentDetailView(parameter, family) {
+  const errorMessage = widgetLayouts.applyWidgetParameter(parameter);
+  if (errorMessage) {
+    await showMessage("Widget parameter", `${errorMessage}\nShowing the default settings.`);
+  }
+
+  // The table compares against every span, so fetch the data as for the curve chart
+  const settings = runtime.getSettings();
+  runtime.setSettings({ ...settings, mode: "curve" });
+  const allData = await treasuryData.fetchAllYieldData(true);
+  if (!allData.current || allData.current.yieldData.length === 0) {
+    await showMessage("US Treasury Yield Curve", feedFetcher.describeFeedError(treasuryData.getFeedError()) || "Unable to fetch current data");
+    return;
+  }
+
+  const state = { allData, history: null, mode: settings.mode, compareKey: null, family };
+  if (state.mode === "history") {
+    state.history = await treasuryData.fetchHistory(allData.current.date);
+  }
+
+  // The delta chart starts out on its configured comparison span, which may not be among the spans
+  const referenceSpan = settings.compareTo || settings.spans[0];
+  if (referenceSpan) {
+    const key = comparisonSpans.parseSpan(referenceSpan, runtime.getOptions().anchors).key;
+    if (allData[key]) {
+      state.compareKey = key;
+    } else {
+      const comparison = await treasuryData.fetchComparisonCurve(referenceSpan, treasuryData.getSpanAnchor(allData.current));
+      if (comparison) {
+        allData[comparison.key] = comparison.data;
+        state.compareKey = comparison.key;
+      }
+    }
+  }
+
+  const table = new UITable();
+  table.showSeparators = true;
+  renderDetailTable(table, state);
+  await table.present(true);
+}
+
+module.exports = {
+  getComparisons,
+  getChartData,
+  chooseComparison,
+  saveExport,
+  exportCurves,
+  renderDetailTable,
+  presentDetailView
+};
@@ -0,0 +1,88 @@
+// Draws chart scenes (see lib/chart_scene.js) with Scriptable's DrawContext
+
+/**
+ * Returns the system font for a scene text weight
+ * @param {number} size - Font size
+ * @param {string} weight - "regular", "semibold" or "bold"
+ * @returns {Font} Font
+ */
+function getFont(size, weight) {
+  switch (weight) {
+    case "bold":
+      return Font.boldSystemFont(size);
+    case "semibold":
+      return Font.semiboldSystemFont(size);
+    default:
+      return Font.systemFont(size);
+  }
+}
+
+/**
+ * Draws one scene element
+ * @param {DrawContext} drawContext - Context to draw into
+ * @param {Object} element - Scene element
+ */
+function drawElement(drawContext, element) {
+  switch (element.type) {
+    case "rect":
+      drawContext.setFillColor(new Color(element.color, element.alpha));
+      drawContext.fillRect(new Rect(element.x, element.y, element.width, element.height));
+      break;
+    case "ellipse":
+      drawContext.setFillColor(new Color(element.color, element.alpha));
+      drawContext.fillEllipse(new Rect(element.x, element.y, element.width, element.height));
+      break;
+    case "polygon": {
+      const path = new Path();
+      path.addLines(element.points.map(point => new Point(point.x, point.y)));
+      path.closeSubpath();
+      drawContext.addPath(path);
+      drawContext.setFillColor(new Color(element.color, element.alpha));
+      drawContext.fillPath();
+      break;
+    }
+    case "line": {
+      const path = new Path();
+      path.addLines(element.points.map(point => new Point(point.x, point.y)));
+      drawContext.addPath(path);
+      drawContext.setStrokeColor(new Color(element.color, element.alpha));
+      drawContext.setLineWidth(element.lineWidth);
+      drawContext.strokePath();
+      break;
+    }
+    case "text":
+      drawContext.setFont(getFont(element.size, element.weight));
+      drawContext.setTextColor(new Color(element.color, element.alpha));
+      if (element.align === "center") {
+        drawContext.setTextAlignedCenter();
+      } else if (element.align === "right") {
+        drawContext.setTextAlignedRight();
+      } else {
+        drawContext.setTextAlignedLeft();
+      }
+      drawContext.drawTextInRect(element.text, new Rect(element.x, element.y, element.width, element.height));
+      break;
+    default:
+      throw new Error(`Unknown scene element type: ${element.type}`);
+  }
+}
+
+/**
+ * Draws a scene into an image
+ * @param {Object} scene - Scene from lib/chart_scene.js
+ * @returns {Image} Rendered image
+ */
+function renderSceneToImage(scene) {
+  const drawContext = new DrawContext();
+  drawContext.size = new Size(scene.width, scene.height);
+  drawContext.opaque = false;
+  drawContext.respectScreenScale = true;
+  for (const element of scene.elements) {
+    drawElement(drawContext, element);
+  }
+  return drawContext.getImage();
+}
+
+module.exports = {
+  renderSceneToImage
+};
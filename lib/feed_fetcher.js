@@ -0,0 +1,196 @@
+// Downloads for the data feeds: timeouts, retries with backoff and response checks
+// Every failure is raised as a FeedError whose kind tells the widget what to show
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const feedParser = requireModule("./treasury_feed_parser");
+
+// What went wrong:
+// - offline: the device has no connection; not retried, and no other source is tried
+// - network: the connection to the server failed, e.g. an unknown host or a dropped connection
+// - timeout: no response within the timeout
+// - http: a response with an error status
+// - format: a response that isn't the document expected, e.g. an HTML page or a changed feed
+const FEED_ERROR_KINDS = ["offline", "network", "timeout", "http", "format"];
+
+// Used for any option the script doesn't set (see FETCH_TIMEOUT_SECONDS in the main script)
+const DEFAULT_FETCH_OPTIONS = { timeoutSeconds: 15, retries: 1, backoffSeconds: 1 };
+
+// Shown on the widget in place of a curve, and next to the date when only some requests failed
+const FEED_ERROR_MESSAGES = {
+  offline: "Offline: Treasury couldn't be reached",
+  network: "Treasury couldn't be reached",
+  timeout: "Treasury didn't respond in time",
+  http: "Treasury feed unavailable",
+  format: "Treasury feed changed"
+};
+const FEED_STATUS_NOTES = {
+  offline: "offline",
+  network: "feed unreachable",
+  timeout: "feed timed out",
+  http: "feed unavailable",
+  format: "feed changed"
+};
+
+/**
+ * Error raised when a feed can't be downloaded or read
+ */
+class FeedError extends Error {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {Object} details - Details
+   * @param {string} details.kind - One of FEED_ERROR_KINDS
+   * @param {string|null} details.url - URL requested
+   * @param {number|null} details.status - HTTP status, for kind "http"
+   */
+  constructor(message, { kind, url = null, status = null }) {
+    super(message);
+    this.name = "FeedError";
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+  }
+}
+
+/**
+ * Converts any failure of a download or its parsing to a FeedError
+ * Scriptable rejects requests with the operating system's message, e.g. "The request timed out."
+ * @param {Error} error - Failure
+ * @param {string|null} url - URL requested
+ * @returns {FeedError} The error as a FeedError
+ */
+function toFeedError(error, url = null) {
+  if (error instanceof FeedError) return error;
+  const message = error && error.message ? error.message : String(error);
+  if (error instanceof feedParser.FeedFormatError) {
+    return new FeedError(message, { kind: "format", url });
+  }
+  if (/timed out/i.test(message)) {
+    return new FeedError(message, { kind: "timeout", url });
+  }
+  if (/offline|not connected/i.test(message)) {
+    return new FeedError(message, { kind: "offline", url });
+  }
+  return new FeedError(message, { kind: "network", url });
+}
+
+/**
+ * Tells whether trying the same request again could help
+ * @param {FeedError} error - Failure
+ * @returns {boolean} True for timeouts, dropped connections, rate limits and server errors
+ */
+function isRetryable(error) {
+  switch (error.kind) {
+    case "network":
+    case "timeout":
+      return true;
+    case "http":
+      return error.status === 429 || error.status >= 500;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Reads the media type of a response, without parameters such as the charset
+ * @param {Object} response - Request.response
+ * @returns {string|null} Lower case media type, e.g. "text/csv", or null when not given
+ */
+function getMediaType(response) {
+  let type = response.mimeType || null;
+  if (!type && response.headers) {
+    const header = Object.keys(response.headers).find(name => name.toLowerCase() === "content-type");
+    type = header ? response.headers[header] : null;
+  }
+  return type ? String(type).split(";")[0].trim().toLowerCase() : null;
+}
+
+/**
+ * Checks the status and media type of a completed request
+ * A response without a media type is accepted; the parser has the final word
+ * @param {Object|null} response - Request.response
+ * @param {string} url - URL requested
+ * @param {Array<string>} mediaTypes - Accepted media types, matched as substrings, e.g. ["xml"]
+ * @throws {FeedError} On an error status or an unexpected media type
+ */
+function checkResponse(response, url, mediaTypes) {
+  if (!response) return;
+  const status = response.statusCode;
+  if (typeof status === "number" && (status < 200 || status >= 300)) {
+    throw new FeedError(`HTTP ${status} from ${url}`, { kind: "http", url, status });
+  }
+  const mediaType = getMediaType(response);
+  if (mediaType && mediaTypes.length > 0 && !mediaTypes.some(expected => mediaType.includes(expected))) {
+    throw new FeedError(`Expected ${mediaTypes.join(" or ")} from ${url} but received ${mediaType}`, { kind: "format", url });
+  }
+}
+
+/**
+ * Waits before a retry
+ * Scriptable has no setTimeout, so its Timer is used when there is one
+ * @param {number} seconds - Time to wait
+ * @returns {Promise<void>} Resolves after the wait
+ */
+function wait(seconds) {
+  return new Promise(resolve => {
+    if (typeof Timer === "function") {
+      Timer.schedule(seconds * 1000, false, resolve);
+    } else {
+      setTimeout(resolve, seconds * 1000);
+    }
+  });
+}
+
+/**
+ * Downloads a document, retrying transient failures with exponential backoff
+ * @param {string} url - URL to load
+ * @param {Object} options - Options; unset ones come from DEFAULT_FETCH_OPTIONS
+ * @param {Array<string>} options.mediaTypes - Accepted media types (see checkResponse)
+ * @param {number} options.timeoutSeconds - Timeout of each attempt
+ * @param {number} options.retries - Attempts after the first one
+ * @param {number} options.backoffSeconds - Wait before the first retry, doubled for each later one
+ * @returns {Promise<string>} Response body
+ * @throws {FeedError} When every attempt failed, with the last attempt's failure
+ */
+async function fetchText(url, options = {}) {
+  const { mediaTypes = [], timeoutSeconds, retries, backoffSeconds } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const request = new Request(url);
+      request.timeoutInterval = timeoutSeconds;
+      const text = await request.loadString();
+      checkResponse(request.response, url, mediaTypes);
+      return text;
+    } catch (error) {
+      const feedError = toFeedError(error, url);
+      if (attempt >= retries || !isRetryable(feedError)) {
+        throw feedError;
+      }
+      const delay = backoffSeconds * 2 ** attempt;
+      console.warn(`${feedError.message}; retrying in ${delay} s`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Describes a feed failure for the widget
+ * @param {FeedError|null} error - Failure, or null when nothing failed
+ * @returns {string|null} Message, e.g. "Treasury feed unavailable (HTTP 503)"
+ */
+function describeFeedError(error) {
+  if (!error) return null;
+  const message = FEED_ERROR_MESSAGES[error.kind] || FEED_ERROR_MESSAGES.network;
+  return error.kind === "http" && error.status ? `${message} (HTTP ${error.status})` : message;
+}
+
+module.exports = {
+  FEED_ERROR_KINDS,
+  DEFAULT_FETCH_OPTIONS,
+  FEED_STATUS_NOTES,
+  FeedError,
+  toFeedError,
+  isRetryable,
+  checkResponse,
+  fetchText,
+  describeFeedError
+};
@@ -0,0 +1,208 @@
+// Sources a year of a dataset's curves can be read from, in order of preference:
+// Treasury's XML feed, the same data as Treasury's CSV download, then the FRED
+// constant-maturity series (which lack some maturities, e.g. 1.5M, 2M and 4M)
+// Each source parses into the { curves, drift } shape of datasets.parseDatasetFeed
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const datasets = requireModule("./treasury_datasets");
+const feedParser = requireModule("./treasury_feed_parser");
+
+const CSV_BASE_URL = "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/daily-treasury-rates.csv";
+const FRED_BASE_URL = "https://fred.stlouisfed.org/graph/fredgraph.csv";
+
+// Names shown in the status line when a curve came from a fallback source
+const SOURCE_LABELS = {
+  treasuryXml: "Treasury XML",
+  treasuryCsv: "Treasury CSV",
+  fred: "FRED"
+};
+
+// FRED marks days without a value (market holidays) with a dot
+const FRED_MISSING_VALUE = ".";
+
+/**
+ * Splits CSV text into rows of cells, handling quoted cells with commas and doubled quotes
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows, blank lines left out
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ""));
+}
+
+/**
+ * Converts a CSV date, MM/DD/YYYY (Treasury) or YYYY-MM-DD (FRED), to YYYY-MM-DD
+ * @param {string} value - Date cell
+ * @returns {string|null} ISO date, or null when the cell isn't a date
+ */
+function parseCsvDate(value) {
+  const text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  return match ? `${match[3]}-${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}` : null;
+}
+
+/**
+ * Reads curves from a CSV document with a date column followed by one column per maturity
+ * @param {string} text - CSV document
+ * @param {Array} tenors - Tenors of the dataset that the document can hold
+ * @param {Function} columnOf - Returns a tenor's column name
+ * @param {string} sourceName - Source, for error messages
+ * @returns {Object} { curves (Map of YYYY-MM-DD to yieldData, in date order), drift }
+ * @throws {FeedFormatError} When the document has no date column or none of the maturities
+ */
+function parseCurveCsv(text, tenors, columnOf, sourceName) {
+  if (/^\s*(<!DOCTYPE html|<html)/i.test(text)) {
+    throw new feedParser.FeedFormatError(`Received an HTML page instead of the ${sourceName} CSV`);
+  }
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!/date/.test(columns[0] || "")) {
+    throw new feedParser.FeedFormatError(`The ${sourceName} CSV has no date column`);
+  }
+  const tenorColumns = tenors
+    .map(tenor => ({ tenor, index: columns.indexOf(columnOf(tenor).toLowerCase()) }))
+    .filter(({ index }) => index > 0);
+  if (tenorColumns.length === 0) {
+    throw new feedParser.FeedFormatError(`The ${sourceName} CSV has none of the expected columns`);
+  }
+
+  const drift = {
+    unknownFields: [],
+    missingFields: tenors.filter(tenor => !tenorColumns.some(({ tenor: found }) => found === tenor)).map(columnOf),
+    invalidValues: [],
+    undatedEntries: 0
+  };
+  let lastDate = null;
+  const records = [];
+  for (const cells of rows) {
+    const date = parseCsvDate(cells[0] || "");
+    if (!date) {
+      drift.undatedEntries++;
+      continue;
+    }
+    const yieldData = [];
+    for (const { tenor, index } of tenorColumns) {
+      const raw = (cells[index] || "").trim();
+      if (raw === "" || raw === FRED_MISSING_VALUE || raw.toUpperCase() === "N/A") continue;
+      const value = Number(raw);
+      if (Number.isFinite(value)) {
+        yieldData.push({ label: tenor.label, months: tenor.months, yield: value });
+      } else {
+        drift.invalidValues.push({ date, field: columnOf(tenor), value: raw });
+      }
+    }
+    if (yieldData.length > 0) {
+      records.push({ date, yieldData });
+    }
+    if (!lastDate || date > lastDate) lastDate = date;
+  }
+  drift.missingFields = datasets.filterMissingFields(drift.missingFields, tenors, columnOf, lastDate);
+
+  // Treasury lists the newest day first
+  records.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return { curves: new Map(records.map(record => [record.date, record.yieldData])), drift };
+}
+
+/**
+ * Builds the URL of Treasury's CSV download for one year of a dataset
+ * @param {string} name - Dataset name
+ * @param {number} year - Four-digit year
+ * @returns {string} CSV URL
+ */
+function getCsvUrl(name, year) {
+  return `${CSV_BASE_URL}/${year}/all?type=${datasets.getDataset(name).feedId}&field_tdr_date_value=${year}&page&_format=csv`;
+}
+
+/**
+ * Builds the URL of the FRED series of a dataset for one year
+ * @param {string} name - Dataset name
+ * @param {number} year - Four-digit year
+ * @returns {string} FRED CSV URL
+ */
+function getFredUrl(name, year) {
+  const series = datasets.getDataset(name).tenors.filter(tenor => tenor.fredSeries).map(tenor => tenor.fredSeries);
+  return `${FRED_BASE_URL}?id=${series.join(",")}&cosd=${year}-01-01&coed=${year}-12-31`;
+}
+
+/**
+ * Lists the sources for one year of a dataset, in the order they're tried
+ * @param {string} name - Dataset name
+ * @param {number} year - Four-digit year
+ * @returns {Array} Sources as { name, label, url, mediaTypes, parse(text) }, the XML feed first;
+ *   the CSV and FRED sources only for datasets with csvColumn or fredSeries tenors
+ */
+function getSources(name, year) {
+  const { tenors } = datasets.getDataset(name);
+  const sources = [{
+    name: "treasuryXml",
+    url: datasets.getFeedUrl(name, year),
+    mediaTypes: ["xml"],
+    parse: text => datasets.parseDatasetFeed(name, text)
+  }];
+
+  const csvTenors = tenors.filter(tenor => tenor.csvColumn);
+  if (csvTenors.length > 0) {
+    sources.push({
+      name: "treasuryCsv",
+      url: getCsvUrl(name, year),
+      mediaTypes: ["csv", "text/plain", "octet-stream"],
+      parse: text => parseCurveCsv(text, csvTenors, tenor => tenor.csvColumn, SOURCE_LABELS.treasuryCsv)
+    });
+  }
+
+  const fredTenors = tenors.filter(tenor => tenor.fredSeries);
+  if (fredTenors.length > 0) {
+    sources.push({
+      name: "fred",
+      url: getFredUrl(name, year),
+      mediaTypes: ["csv", "text/plain", "octet-stream"],
+      parse: text => parseCurveCsv(text, fredTenors, tenor => tenor.fredSeries, SOURCE_LABELS.fred)
+    });
+  }
+
+  return sources.map(source => ({ ...source, label: SOURCE_LABELS[source.name] }));
+}
+
+module.exports = {
+  SOURCE_LABELS,
+  parseCsv,
+  parseCsvDate,
+  parseCurveCsv,
+  getCsvUrl,
+  getFredUrl,
+  getSources
+};
@@ -0,0 +1,51 @@
+// Federal Reserve FOMC meeting calendar, for comparing the curve against the last policy decision
+// Dates are the last day of each scheduled meeting, when the decision is announced (2:00 p.m. ET,
+// before the Treasury curve is taken at the close). Later meetings and unscheduled ones are added
+// through FOMC_MEETINGS in the main script.
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const calendar = requireModule("./bond_market_calendar");
+
+// Decision days of the scheduled meetings, as published by the Federal Reserve
+const FOMC_DECISION_DATES = [
+  "2021-01-27", "2021-03-17", "2021-04-28", "2021-06-16", "2021-07-28", "2021-09-22", "2021-11-03", "2021-12-15",
+  "2022-01-26", "2022-03-16", "2022-05-04", "2022-06-15", "2022-07-27", "2022-09-21", "2022-11-02", "2022-12-14",
+  "2023-02-01", "2023-03-22", "2023-05-03", "2023-06-14", "2023-07-26", "2023-09-20", "2023-11-01", "2023-12-13",
+  "2024-01-31", "2024-03-20", "2024-05-01", "2024-06-12", "2024-07-31", "2024-09-18", "2024-11-07", "2024-12-18",
+  "2025-01-29", "2025-03-19", "2025-05-07", "2025-06-18", "2025-07-30", "2025-09-17", "2025-10-29", "2025-12-10",
+  "2026-01-28", "2026-03-18", "2026-04-29", "2026-06-17", "2026-07-29", "2026-09-16", "2026-10-28", "2026-12-09"
+];
+
+/**
+ * Lists the decision days of the bundled calendar and any added meetings
+ * @param {Array<string>} extraDates - Added decision days as YYYY-MM-DD
+ * @returns {Array<string>} Decision days in date order, without duplicates
+ * @throws {Error} For an added date that isn't a valid YYYY-MM-DD date
+ */
+function getMeetingDates(extraDates = []) {
+  for (const date of extraDates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || calendar.formatISODate(calendar.parseISODate(date)) !== date) {
+      throw new Error(`Invalid FOMC meeting date: ${date}`);
+    }
+  }
+  return [...new Set([...FOMC_DECISION_DATES, ...extraDates])].sort();
+}
+
+/**
+ * Finds the last FOMC decision before a day
+ * A decision on the day itself isn't counted: that day's curve may not be out yet
+ * @param {Date} today - Reference day
+ * @param {Array<string>} extraDates - Added decision days as YYYY-MM-DD
+ * @returns {string|null} Decision day as YYYY-MM-DD, or null before the first known meeting
+ */
+function findLastMeeting(today, extraDates = []) {
+  const todayString = calendar.formatISODate(today);
+  const earlier = getMeetingDates(extraDates).filter(date => date < todayString);
+  return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+module.exports = {
+  FOMC_DECISION_DATES,
+  getMeetingDates,
+  findLastMeeting
+};
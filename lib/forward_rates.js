@@ -0,0 +1,201 @@
+// Zero-coupon and forward rates derived from a par yield curve
+// Treasury quotes par yields: the coupon at which a bond maturing at each tenor prices at par,
+// with semiannual coupons. Bootstrapping turns them into discount factors at every half year
+// (par yields between quoted maturities are interpolated linearly), from which zero rates and
+// forward rates such as 5y5y follow. All rates are in percent, semiannually compounded.
+
+// Coupons per year of Treasury notes and bonds
+const PERIODS_PER_YEAR = 2;
+
+const FORWARD_LABEL = /^(\d+(?:\.\d+)?)([YM])(\d+(?:\.\d+)?)([YM])$/i;
+
+// Forward rates shown by default: start and length in years, e.g. 5y5y starts in 5 years for 5 years
+const DEFAULT_FORWARDS = ["1y1y", "2y1y", "5y5y", "10y10y"];
+
+/**
+ * Parses a forward rate label such as "5y5y" or "6m6m"
+ * @param {string} label - Start then length, each a number followed by y (years) or m (months)
+ * @returns {Object} { label (lower case), start, length } in years
+ * @throws {Error} For a label that isn't a forward rate
+ */
+function parseForwardLabel(label) {
+  const match = FORWARD_LABEL.exec(String(label).trim());
+  if (!match) {
+    throw new Error(`Not a forward rate: "${label}", expected e.g. 1y1y or 5y5y`);
+  }
+  const toYears = (value, unit) => Number(value) / (unit.toUpperCase() === "M" ? 12 : 1);
+  const length = toYears(match[3], match[4]);
+  if (length <= 0) {
+    throw new Error(`Forward rate ${label} needs a length`);
+  }
+  return { label: match[0].toLowerCase(), start: toYears(match[1], match[2]), length };
+}
+
+/**
+ * Interpolates a par yield linearly in maturity, flat beyond the quoted maturities
+ * @param {Array} points - Quoted points as { years, yield }, sorted by maturity
+ * @param {number} years - Maturity in years
+ * @returns {number} Par yield in percent
+ */
+function interpolateParYield(points, years) {
+  if (years <= points[0].years) return points[0].yield;
+  for (let i = 1; i < points.length; i++) {
+    if (years <= points[i].years) {
+      const fraction = (years - points[i - 1].years) / (points[i].years - points[i - 1].years);
+      return points[i - 1].yield + fraction * (points[i].yield - points[i - 1].yield);
+    }
+  }
+  return points[points.length - 1].yield;
+}
+
+/**
+ * Converts a discount factor to a semiannually compounded zero rate
+ * @param {number} discount - Discount factor
+ * @param {number} years - Maturity in years
+ * @returns {number} Zero rate in percent
+ */
+function discountToRate(discount, years) {
+  return PERIODS_PER_YEAR * (Math.pow(discount, -1 / (PERIODS_PER_YEAR * years)) - 1) * 100;
+}
+
+/**
+ * Bootstraps the zero curve from par yields
+ * Maturities up to six months pay no coupon before maturity, so their zero rate is the quoted
+ * yield; from there each half-year par bond is priced at par with the discount factors found
+ * so far, which leaves one unknown: the discount factor of its final payment.
+ * @param {Array} yieldData - Quoted par yields as { label, months, yield }
+ * @returns {Object|null} Zero curve { nodes: [{ years, par, zero, discount }] } sorted by maturity,
+ *   or null with fewer than two quoted maturities
+ */
+function bootstrapZeroCurve(yieldData) {
+  const points = yieldData
+    .filter(point => typeof point.months === "number" && point.months > 0 && typeof point.yield === "number")
+    .map(point => ({ years: point.months / 12, yield: point.yield }))
+    .sort((a, b) => a.years - b.years);
+  if (points.length < 2) {
+    return null;
+  }
+
+  const step = 1 / PERIODS_PER_YEAR;
+  const nodes = points
+    .filter(point => point.years < step)
+    .map(point => ({
+      years: point.years,
+      par: point.yield,
+      zero: point.yield,
+      discount: Math.pow(1 + point.yield / 100 / PERIODS_PER_YEAR, -PERIODS_PER_YEAR * point.years)
+    }));
+
+  const longest = points[points.length - 1].years;
+  let couponDiscounts = 0;
+  for (let period = 1; period * step <= longest + 1e-9; period++) {
+    const years = period * step;
+    const par = interpolateParYield(points, years);
+    const coupon = par / 100 / PERIODS_PER_YEAR;
+    const discount = (1 - coupon * couponDiscounts) / (1 + coupon);
+    couponDiscounts += discount;
+    nodes.push({ years, par, zero: discountToRate(discount, years), discount });
+  }
+  return { nodes };
+}
+
+/**
+ * Returns the discount factor at any maturity on the zero curve
+ * Between nodes the log discount factor is interpolated linearly (constant forward rates)
+ * @param {Object} curve - Zero curve from bootstrapZeroCurve
+ * @param {number} years - Maturity in years, up to the curve's longest node
+ * @returns {number|null} Discount factor, or null beyond the curve
+ */
+function discountFactor(curve, years) {
+  const nodes = [{ years: 0, discount: 1 }, ...curve.nodes];
+  if (years <= 0) return 1;
+  for (let i = 1; i < nodes.length; i++) {
+    if (years <= nodes[i].years + 1e-9) {
+      const fraction = (years - nodes[i - 1].years) / (nodes[i].years - nodes[i - 1].years);
+      return Math.exp(Math.log(nodes[i - 1].discount) + fraction * (Math.log(nodes[i].discount) - Math.log(nodes[i - 1].discount)));
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the zero rate at any maturity on the zero curve
+ * @param {Object} curve - Zero curve from bootstrapZeroCurve
+ * @param {number} years - Maturity in years
+ * @returns {number|null} Zero rate in percent, or null beyond the curve
+ */
+function zeroRate(curve, years) {
+  const discount = discountFactor(curve, years);
+  return discount === null ? null : discountToRate(discount, years);
+}
+
+/**
+ * Returns the forward rate implied by the zero curve for a period starting in the future
+ * @param {Object} curve - Zero curve from bootstrapZeroCurve
+ * @param {number} start - Start in years
+ * @param {number} length - Length in years
+ * @returns {number|null} Forward rate in percent, or null when the period ends beyond the curve
+ */
+function forwardRate(curve, start, length) {
+  const startDiscount = discountFactor(curve, start);
+  const endDiscount = discountFactor(curve, start + length);
+  if (startDiscount === null || endDiscount === null) {
+    return null;
+  }
+  return discountToRate(endDiscount / startDiscount, length);
+}
+
+/**
+ * Computes named forward rates from par yields
+ * @param {Array} yieldData - Quoted par yields
+ * @param {Array<string>} labels - Forward rate labels such as "5y5y"
+ * @returns {Array} Forwards as { label, start, length, rate }, rate null when the curve is too short
+ */
+function computeForwards(yieldData, labels = DEFAULT_FORWARDS) {
+  const curve = bootstrapZeroCurve(yieldData);
+  return labels.map(parseForwardLabel).map(forward => ({
+    ...forward,
+    rate: curve ? forwardRate(curve, forward.start, forward.length) : null
+  }));
+}
+
+/**
+ * Builds the zero curve as chart points
+ * @param {Object} curve - Zero curve from bootstrapZeroCurve
+ * @returns {Array} Points as { months, yield }
+ */
+function getZeroCurvePoints(curve) {
+  return curve.nodes.map(node => ({ months: node.years * 12, yield: node.zero }));
+}
+
+/**
+ * Builds a forward curve as chart points: the rate for a fixed length starting at each half year,
+ * plotted at its start
+ * @param {Object} curve - Zero curve from bootstrapZeroCurve
+ * @param {number} length - Length of each forward in years
+ * @returns {Array} Points as { months, yield }
+ */
+function getForwardCurvePoints(curve, length = 1) {
+  const points = [];
+  for (const node of curve.nodes) {
+    if (node.years < 1 / PERIODS_PER_YEAR) continue;
+    const rate = forwardRate(curve, node.years, length);
+    if (rate === null) break;
+    points.push({ months: node.years * 12, yield: rate });
+  }
+  return points;
+}
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  DEFAULT_FORWARDS,
+  parseForwardLabel,
+  interpolateParYield,
+  bootstrapZeroCurve,
+  discountFactor,
+  zeroRate,
+  forwardRate,
+  computeForwards,
+  getZeroCurvePoints,
+  getForwardCurvePoints
+};
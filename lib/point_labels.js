@@ -0,0 +1,151 @@
+// Value labels next to chart points, placed so they don't overlap
+// Each label tries a few positions around its point, in order, then the same positions a line
+// further out, and takes the first one that stays inside the plot and clear of the labels
+// placed before it, the curves and the data points; a label without a free position is left out. DrawContext can't measure text, so
+// label widths are estimated from the character count, as for the legend.
+
+// Estimated character width as a fraction of the font size
+const CHAR_WIDTH_RATIO = 0.55;
+
+// Positions tried around a point, as directions: above, below, then the four diagonals
+// (right before left), then right and left
+const CANDIDATE_DIRECTIONS = [
+  { dx: 0, dy: -1 },
+  { dx: 0, dy: 1 },
+  { dx: 1, dy: -1 },
+  { dx: -1, dy: -1 },
+  { dx: 1, dy: 1 },
+  { dx: -1, dy: 1 },
+  { dx: 1, dy: 0 },
+  { dx: -1, dy: 0 }
+];
+
+/**
+ * Estimates the box a label's text takes
+ * @param {string} text - Label text
+ * @param {number} fontSize - Font size
+ * @returns {Object} { width, height }
+ */
+function estimateLabelSize(text, fontSize) {
+  return { width: Math.ceil(text.length * fontSize * CHAR_WIDTH_RATIO) + 2, height: fontSize + 2 };
+}
+
+/**
+ * Tells whether two rectangles overlap
+ * @param {Object} a - Rectangle with x, y, width and height
+ * @param {Object} b - Rectangle with x, y, width and height
+ * @returns {boolean} True when their interiors overlap
+ */
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Tells whether a line segment passes through a rectangle (Liang-Barsky clipping)
+ * @param {Object} from - Start point as { x, y }
+ * @param {Object} to - End point as { x, y }
+ * @param {Object} box - Rectangle with x, y, width and height
+ * @returns {boolean} True when part of the segment lies inside the rectangle
+ */
+function segmentIntersectsRect(from, to, box) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  let enter = 0;
+  let exit = 1;
+  const edges = [
+    [-dx, from.x - box.x],
+    [dx, box.x + box.width - from.x],
+    [-dy, from.y - box.y],
+    [dy, box.y + box.height - from.y]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false;
+    } else {
+      const t = q / p;
+      if (p < 0) {
+        enter = Math.max(enter, t);
+      } else {
+        exit = Math.min(exit, t);
+      }
+    }
+  }
+  return enter <= exit;
+}
+
+/**
+ * Tells whether a polyline passes through a rectangle
+ * @param {Array} points - Polyline points as { x, y }
+ * @param {Object} box - Rectangle with x, y, width and height
+ * @returns {boolean} True when any segment crosses the rectangle
+ */
+function polylineIntersectsRect(points, box) {
+  for (let i = 1; i < points.length; i++) {
+    if (segmentIntersectsRect(points[i - 1], points[i], box)) return true;
+  }
+  return false;
+}
+
+/**
+ * Lists the boxes a label may take around its point, in the order they're tried
+ * @param {Object} point - Point as { x, y }
+ * @param {Object} size - Label size as { width, height }
+ * @param {number} offset - Distance between the point and the nearest edge of the label
+ * @returns {Array} Rectangles with x, y, width and height
+ */
+function getCandidateRects(point, size, offset) {
+  return CANDIDATE_DIRECTIONS.map(({ dx, dy }) => ({
+    x: point.x + dx * (size.width / 2 + offset) - size.width / 2,
+    y: point.y + dy * (size.height / 2 + offset) - size.height / 2,
+    width: size.width,
+    height: size.height
+  }));
+}
+
+/**
+ * Places labels next to their points without overlaps
+ * Labels are placed in the order given, so the most important ones should come first
+ * @param {Array} labels - Labels as { x, y, text } (the point they belong to), with any other fields
+ * @param {Object} options - Options
+ * @param {Object} options.bounds - Area labels must stay inside, e.g. the plot area
+ * @param {Array<Array>} options.lines - Polylines labels must not cross, as arrays of { x, y }
+ * @param {Array} options.points - Data points labels must not cover, as { x, y }
+ * @param {number} options.fontSize - Label font size
+ * @param {number} options.pointRadius - Space kept clear around each data point
+ * @returns {Array} Placed labels: the input labels with a rect, in the order given
+ */
+function placeLabels(labels, { bounds, lines = [], points = [], fontSize = 7, pointRadius = 3 }) {
+  const pointBoxes = points.map(point => ({
+    x: point.x - pointRadius,
+    y: point.y - pointRadius,
+    width: 2 * pointRadius,
+    height: 2 * pointRadius
+  }));
+  const inside = box => box.x >= bounds.x && box.y >= bounds.y &&
+    box.x + box.width <= bounds.x + bounds.width && box.y + box.height <= bounds.y + bounds.height;
+
+  const placed = [];
+  for (const label of labels) {
+    const size = estimateLabelSize(label.text, fontSize);
+    const candidates = [...getCandidateRects(label, size, pointRadius), ...getCandidateRects(label, size, pointRadius + size.height)];
+    const box = candidates.find(candidate =>
+      inside(candidate) &&
+      !placed.some(other => rectsOverlap(other.rect, candidate)) &&
+      !pointBoxes.some(pointBox => rectsOverlap(pointBox, candidate)) &&
+      !lines.some(line => polylineIntersectsRect(line, candidate))
+    );
+    if (box) {
+      placed.push({ ...label, rect: box });
+    }
+  }
+  return placed;
+}
+
+module.exports = {
+  estimateLabelSize,
+  rectsOverlap,
+  segmentIntersectsRect,
+  polylineIntersectsRect,
+  getCandidateRects,
+  placeLabels
+};
@@ -0,0 +1,156 @@
+// When Treasury publishes each day's curve
+// The daily rates are posted after the bond market close, Eastern Time, on bond market
+// business days. Times here are absolute Dates; dates are YYYY-MM-DD strings in Eastern Time.
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const calendar = requireModule("./bond_market_calendar");
+
+const DEFAULT_SCHEDULE = {
+  publicationHour: 17, // Eastern Time; the curve is usually posted in the late afternoon
+  publicationMinute: 0,
+  overdueAfterMinutes: 90, // How late past the publication time before data counts as stale
+  retryMinutes: 30 // Refresh interval while waiting for a late publication
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Finds the UTC day of the nth Sunday of a month
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month, 0-based
+ * @param {number} nth - 1 for the first Sunday, 2 for the second
+ * @returns {number} Day of month
+ */
+function getNthSunday(year, month, nth) {
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((7 - firstWeekday) % 7) + (nth - 1) * 7;
+}
+
+/**
+ * Returns the Eastern Time offset from UTC at an instant
+ * US daylight saving time runs from 2:00 local time on the second Sunday in March
+ * (7:00 UTC) to 2:00 local time on the first Sunday in November (6:00 UTC)
+ * @param {Date} date - Instant
+ * @returns {number} -4 during daylight saving time, -5 otherwise
+ */
+function getEasternOffsetHours(date) {
+  const year = date.getUTCFullYear();
+  const dstStart = Date.UTC(year, 2, getNthSunday(year, 2, 2), 7);
+  const dstEnd = Date.UTC(year, 10, getNthSunday(year, 10, 1), 6);
+  const time = date.getTime();
+  return time >= dstStart && time < dstEnd ? -4 : -5;
+}
+
+/**
+ * Reads the Eastern Time wall clock at an instant
+ * @param {Date} date - Instant
+ * @returns {Object} { dateString (YYYY-MM-DD), hour, minute }
+ */
+function toEasternTime(date) {
+  const shifted = new Date(date.getTime() + getEasternOffsetHours(date) * 60 * MINUTE_MS);
+  return {
+    dateString: shifted.toISOString().slice(0, 10),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes()
+  };
+}
+
+/**
+ * Converts an Eastern Time wall clock time to an instant
+ * @param {string} dateString - Eastern date (YYYY-MM-DD)
+ * @param {number} hour - Eastern hour
+ * @param {number} minute - Eastern minute
+ * @returns {Date} Instant
+ */
+function fromEasternTime(dateString, hour, minute) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset at the standard-time guess is right except within an hour of a switch,
+  // which never matters for an afternoon publication time
+  const offset = getEasternOffsetHours(new Date(wallClockAsUtc + 5 * 60 * MINUTE_MS));
+  return new Date(wallClockAsUtc - offset * 60 * MINUTE_MS);
+}
+
+/**
+ * Returns when the curve for a business day is expected to be posted
+ * @param {string} dateString - Business day (YYYY-MM-DD)
+ * @param {Object} schedule - Overrides of DEFAULT_SCHEDULE
+ * @returns {Date} Expected publication time
+ */
+function getPublicationTime(dateString, schedule = {}) {
+  const { publicationHour, publicationMinute } = { ...DEFAULT_SCHEDULE, ...schedule };
+  return fromEasternTime(dateString, publicationHour, publicationMinute);
+}
+
+/**
+ * Returns the date of the latest curve Treasury should have posted by a given time
+ * @param {Date} now - Current time
+ * @param {Object} schedule - Overrides of DEFAULT_SCHEDULE
+ * @returns {string} Business day (YYYY-MM-DD)
+ */
+function getLatestExpectedCurveDate(now, schedule = {}) {
+  const today = calendar.parseISODate(toEasternTime(now).dateString);
+  if (calendar.isBusinessDay(today) && now >= getPublicationTime(calendar.formatISODate(today), schedule)) {
+    return calendar.formatISODate(today);
+  }
+  return calendar.formatISODate(calendar.previousBusinessDay(today));
+}
+
+/**
+ * Returns the next time a new curve is expected to be posted
+ * @param {Date} now - Current time
+ * @param {Object} schedule - Overrides of DEFAULT_SCHEDULE
+ * @returns {Date} Next publication time after now
+ */
+function getNextPublicationTime(now, schedule = {}) {
+  const today = calendar.parseISODate(toEasternTime(now).dateString);
+  if (calendar.isBusinessDay(today)) {
+    const todayPublication = getPublicationTime(calendar.formatISODate(today), schedule);
+    if (now < todayPublication) return todayPublication;
+  }
+  return getPublicationTime(calendar.formatISODate(calendar.nextBusinessDay(today)), schedule);
+}
+
+/**
+ * Tells whether a newer curve than the one shown should have been posted by now
+ * A grace period after the publication time allows for Treasury posting a little late
+ * @param {string} curveDate - Date of the curve shown (YYYY-MM-DD)
+ * @param {Date} now - Current time
+ * @param {Object} schedule - Overrides of DEFAULT_SCHEDULE
+ * @returns {boolean} True when the curve is stale
+ */
+function isCurveOverdue(curveDate, now, schedule = {}) {
+  const settings = { ...DEFAULT_SCHEDULE, ...schedule };
+  const next = calendar.formatISODate(calendar.nextBusinessDay(calendar.parseISODate(curveDate)));
+  const overdueAt = getPublicationTime(next, settings).getTime() + settings.overdueAfterMinutes * MINUTE_MS;
+  return now.getTime() >= overdueAt;
+}
+
+/**
+ * Picks when the widget should refresh next
+ * Up-to-date data refreshes at the next publication time; data that is missing or
+ * behind the latest expected curve is retried every few minutes
+ * @param {string|null} curveDate - Date of the curve shown (YYYY-MM-DD), null if none could be loaded
+ * @param {Date} now - Current time
+ * @param {Object} schedule - Overrides of DEFAULT_SCHEDULE
+ * @returns {Date} Refresh time
+ */
+function getRefreshDate(curveDate, now, schedule = {}) {
+  const settings = { ...DEFAULT_SCHEDULE, ...schedule };
+  if (!curveDate || curveDate < getLatestExpectedCurveDate(now, settings)) {
+    return new Date(now.getTime() + settings.retryMinutes * MINUTE_MS);
+  }
+  return getNextPublicationTime(now, settings);
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  getEasternOffsetHours,
+  toEasternTime,
+  fromEasternTime,
+  getPublicationTime,
+  getLatestExpectedCurveDate,
+  getNextPublicationTime,
+  isCurveOverdue,
+  getRefreshDate
+};
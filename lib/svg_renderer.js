@@ -0,0 +1,99 @@
+// Renders chart scenes (see lib/chart_scene.js) as standalone SVG documents
+// Runs anywhere; used for snapshot tests and for sharing charts outside Scriptable
+
+const FONT_FAMILY = "-apple-system, 'SF Pro Text', 'Helvetica Neue', Arial, sans-serif";
+const FONT_WEIGHTS = { regular: 400, semibold: 600, bold: 700 };
+
+// Text is drawn top-aligned in its box, as DrawContext does; the baseline sits this far
+// below the top of the box, as a fraction of the font size
+const BASELINE_OFFSET = 0.85;
+
+/**
+ * Formats a coordinate with at most two decimals, so output is stable across platforms
+ * @param {number} value - Coordinate
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Escapes text for use in SVG content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds the color attributes of an element
+ * @param {string} attribute - "fill" or "stroke"
+ * @param {Object} element - Scene element with color and alpha
+ * @returns {string} Attributes, e.g. fill="#007AFF" fill-opacity="0.7"
+ */
+function colorAttributes(attribute, element) {
+  const opacity = element.alpha === undefined || element.alpha === 1 ? "" : ` ${attribute}-opacity="${formatNumber(element.alpha)}"`;
+  return `${attribute}="${escapeXml(element.color)}"${opacity}`;
+}
+
+/**
+ * Renders one scene element as an SVG tag
+ * @param {Object} element - Scene element
+ * @returns {string} SVG markup
+ */
+function renderElement(element) {
+  const n = formatNumber;
+  switch (element.type) {
+    case "rect":
+      return `<rect x="${n(element.x)}" y="${n(element.y)}" width="${n(element.width)}" height="${n(element.height)}" ${colorAttributes("fill", element)}/>`;
+    case "ellipse":
+      return `<ellipse cx="${n(element.x + element.width / 2)}" cy="${n(element.y + element.height / 2)}" rx="${n(element.width / 2)}" ry="${n(element.height / 2)}" ${colorAttributes("fill", element)}/>`;
+    case "polygon": {
+      const points = element.points.map(point => `${n(point.x)},${n(point.y)}`).join(" ");
+      return `<polygon points="${points}" ${colorAttributes("fill", element)}/>`;
+    }
+    case "line": {
+      const points = element.points.map(point => `${n(point.x)},${n(point.y)}`).join(" ");
+      return `<polyline points="${points}" fill="none" ${colorAttributes("stroke", element)} stroke-width="${n(element.lineWidth)}" stroke-linejoin="round"/>`;
+    }
+    case "text": {
+      const anchor = { left: "start", center: "middle", right: "end" }[element.align] || "start";
+      const x = element.align === "center"
+        ? element.x + element.width / 2
+        : element.align === "right" ? element.x + element.width : element.x;
+      const y = element.y + element.size * BASELINE_OFFSET;
+      const weight = FONT_WEIGHTS[element.weight] || FONT_WEIGHTS.regular;
+      return `<text x="${n(x)}" y="${n(y)}" font-size="${n(element.size)}" font-weight="${weight}" text-anchor="${anchor}" ${colorAttributes("fill", element)}>${escapeXml(element.text)}</text>`;
+    }
+    default:
+      throw new Error(`Unknown scene element type: ${element.type}`);
+  }
+}
+
+/**
+ * Renders a scene as an SVG document
+ * @param {Object} scene - Scene from lib/chart_scene.js
+ * @returns {string} SVG markup, one element per line
+ */
+function renderSceneToSvg(scene) {
+  const width = formatNumber(scene.width);
+  const height = formatNumber(scene.height);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    ...scene.elements.map(element => `  ${renderElement(element)}`),
+    "</svg>",
+    ""
+  ].join("\n");
+}
+
+module.exports = {
+  formatNumber,
+  escapeXml,
+  renderSceneToSvg
+};
@@ -0,0 +1,112 @@
+// Maturity (tenor) x-axis for yield curve charts
+// Places points by index, or proportionally to maturity on a linear or log time scale
+
+const X_AXIS_SCALES = ["index", "linear", "log"];
+
+// Order in which tick labels are kept when they would collide; the benchmark
+// tenors come first so they survive on narrow charts
+const TICK_PRIORITY = ["10Y", "2Y", "30Y", "5Y", "3M", "1Y", "1M", "6M", "20Y", "7Y", "3Y", "2M", "4M", "1.5M"];
+
+/**
+ * Collects every maturity present in any of the curves, so all curves share one axis
+ * @param {Array<Array>} yieldDataSets - yieldData arrays, each with label and months per point
+ * @returns {Array} Unique tenors ({ label, months }) sorted by maturity
+ */
+function collectTenors(yieldDataSets) {
+  const byMonths = new Map();
+  for (const yieldData of yieldDataSets) {
+    for (const point of yieldData) {
+      if (!byMonths.has(point.months)) {
+        byMonths.set(point.months, { label: point.label, months: point.months });
+      }
+    }
+  }
+  return [...byMonths.values()].sort((a, b) => a.months - b.months);
+}
+
+/**
+ * Creates a scale mapping maturities (in months) to x positions
+ * - "index": tenors evenly spaced in order, the classic yield curve chart layout
+ * - "linear": proportional to time to maturity
+ * - "log": proportional to the logarithm of time to maturity, which keeps the
+ *   bills readable while still showing the real spacing of the long end
+ * @param {Array} tenors - Tenors on the axis, as returned by collectTenors
+ * @param {string} mode - One of X_AXIS_SCALES
+ * @param {number} start - x position of the shortest tenor
+ * @param {number} width - Width of the axis
+ * @returns {Function} Function of months returning the x position
+ */
+function createTenorScale(tenors, mode, start, width) {
+  if (!X_AXIS_SCALES.includes(mode)) {
+    throw new Error(`Unknown x-axis scale: ${mode}`);
+  }
+  const months = tenors.map(t => t.months);
+  if (months.length < 2) {
+    return () => start + width / 2;
+  }
+
+  if (mode === "index") {
+    // Maturities between two tenors on the axis are interpolated between their slots
+    const step = width / (months.length - 1);
+    return value => {
+      if (value <= months[0]) return start;
+      for (let i = 1; i < months.length; i++) {
+        if (value <= months[i]) {
+          const fraction = (value - months[i - 1]) / (months[i] - months[i - 1]);
+          return start + (i - 1 + fraction) * step;
+        }
+      }
+      return start + width;
+    };
+  }
+
+  const transform = mode === "log" ? Math.log : value => value;
+  const min = transform(months[0]);
+  const range = transform(months[months.length - 1]) - min;
+  return value => start + ((transform(value) - min) / range) * width;
+}
+
+/**
+ * Ranks a tenor label by TICK_PRIORITY
+ * @param {string} label - Tenor label, e.g. "10Y"
+ * @returns {number} Rank, lower for more important tenors; tenors not in the list come last
+ */
+function getTenorPriority(label) {
+  const index = TICK_PRIORITY.indexOf(label);
+  return index === -1 ? TICK_PRIORITY.length : index;
+}
+
+/**
+ * Picks the tenor labels to draw under the axis without overlapping
+ * Labels are kept in TICK_PRIORITY order, skipping any that would collide with one already kept
+ * @param {Array} tenors - Tenors on the axis
+ * @param {Function} scale - Scale from createTenorScale
+ * @param {number} charWidth - Estimated width of one label character
+ * @param {number} gap - Minimum space between neighbouring labels
+ * @returns {Array} Tenors to label, each with its x position, sorted by maturity
+ */
+function chooseTickLabels(tenors, scale, charWidth, gap = 4) {
+  const candidates = tenors
+    .map(tenor => ({ ...tenor, x: scale(tenor.months), width: tenor.label.length * charWidth }))
+    .sort((a, b) => getTenorPriority(a.label) - getTenorPriority(b.label) || a.months - b.months);
+
+  const kept = [];
+  for (const candidate of candidates) {
+    const collides = kept.some(tick =>
+      Math.abs(tick.x - candidate.x) < (tick.width + candidate.width) / 2 + gap
+    );
+    if (!collides) {
+      kept.push(candidate);
+    }
+  }
+
+  return kept.sort((a, b) => a.months - b.months);
+}
+
+module.exports = {
+  X_AXIS_SCALES,
+  collectTenors,
+  createTenorScale,
+  getTenorPriority,
+  chooseTickLabels
+};
@@ -0,0 +1,763 @@
+// Treasury data for the widget: year feed downloads, the per-date cache and the
+// curves each view needs (current, historical comparisons, previous business day)
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const runtime = requireModule("./widget_runtime");
+const calendar = requireModule("./bond_market_calendar");
+const comparisonSpans = requireModule("./comparison_spans");
+const feedParser = requireModule("./treasury_feed_parser");
+const datasets = requireModule("./treasury_datasets");
+const yieldCacheStore = requireModule("./yield_cache");
+const publicationSchedule = requireModule("./publication_schedule");
+const yieldHistory = requireModule("./yield_history");
+const yieldAlerts = requireModule("./yield_alerts");
+const feedFetcher = requireModule("./feed_fetcher");
+const feedSources = requireModule("./feed_sources");
+
+/**
+ * Returns the appropriate FileManager instance based on storage preference
+ * @returns {FileManager} Either iCloud or local FileManager
+ */
+function getFileManager() {
+  return runtime.getSettings().storage === "icloud" ? FileManager.iCloud() : FileManager.local();
+}
+
+// Status of a current curve that had to be taken from the cache because the download failed
+const LAST_KNOWN_CURVE_STATUS = "Last known curve";
+
+// Cache instance for this run, created on first use for the configured storage
+let yieldCache = null;
+
+/**
+ * Returns the yield curve cache for the configured storage
+ * @returns {Object} Cache from yieldCacheStore.createYieldCache
+ */
+function getYieldCache() {
+  if (!yieldCache) {
+    yieldCache = yieldCacheStore.createYieldCache(getFileManager(), {
+      namespaces: Object.values(datasets.DATASETS).map(dataset => dataset.cacheNamespace),
+      limits: runtime.getOptions().cacheLimits,
+      now: runtime.now
+    });
+  }
+  return yieldCache;
+}
+
+// History store for this run, created on first use for the configured storage
+let historyStore = null;
+
+/**
+ * Returns the yield history store for the configured storage
+ * @returns {Object} Store from yieldHistory.createHistoryStore
+ */
+function getHistoryStore() {
+  if (!historyStore) {
+    historyStore = yieldHistory.createHistoryStore(getFileManager());
+  }
+  return historyStore;
+}
+
+/**
+ * Returns the span the delta chart compares against
+ * Falls back to the previous business day when no spans are configured
+ * @returns {string} Comparison span
+ */
+function getDeltaReferenceSpan() {
+  const settings = runtime.getSettings();
+  return settings.compareTo || settings.spans[0] || "1B";
+}
+
+/**
+ * Returns the date comparison spans count back from
+ * Normally today; when the current curve is the last known one from the cache, its date,
+ * so "1W" still means a week before the curve on screen
+ * @param {Object|null} currentData - Current yield data object
+ * @returns {Date} Reference date for comparisonSpans.resolveSpans
+ */
+function getSpanAnchor(currentData) {
+  return currentData && currentData.asOf ? calendar.parseISODate(currentData.asOf) : runtime.now();
+}
+
+/**
+ * Calculates historical dates for yield curve comparison
+ * Resolves each configured span to a business day and generates its label;
+ * the delta chart only needs its one comparison span
+ * @param {Date} today - Reference date the spans count back from (see getSpanAnchor)
+ * @returns {Array} Array of objects containing historical date information
+ */
+function getHistoricalDates(today = runtime.now()) {
+  const settings = runtime.getSettings();
+  const spans = settings.mode === "delta" ? [getDeltaReferenceSpan()] : settings.spans;
+  return comparisonSpans.resolveSpans(spans, today, runtime.getOptions().anchors);
+}
+
+/**
+ * Retrieves cached yield data for a specific date
+ * Curves stored before Treasury published the requested date are only served briefly,
+ * so the new day's data replaces them once it's posted
+ * @param {string} dateString - Date string (YYYY-MM-DD) for specific cache (required)
+ * @param {string} dataset - Dataset name
+ * @returns {Object|null} Cached data object with metadata, or null if no usable cache exists
+ */
+async function getCachedData(dateString, dataset = "nominal") {
+  if (!dateString) {
+    throw new Error("Date string is required for cache retrieval");
+  }
+  try {
+    const cached = getYieldCache().get(datasets.getDataset(dataset).cacheNamespace, dateString);
+    if (!cached) {
+      return null;
+    }
+
+    console.log(`Using cached ${dataset} data for ${dateString}`);
+    // Add cache metadata to the result
+    const result = { ...cached.data };
+    result.cacheStatus = "Cached data";
+    result.fromCache = true;
+    result.retrievedAt = cached.entry.retrievedAt;
+    return result;
+  } catch (error) {
+    console.error(`Error reading cache for ${dateString}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Retrieves the newest cached curve of a dataset, for when the current curve can't be downloaded
+ * The result is marked with asOf, the date of the curve, and always counts as cached data
+ * @param {string} dataset - Dataset name
+ * @returns {Object|null} Cached data object with metadata, or null if nothing usable is cached
+ */
+async function getLatestCachedData(dataset = "nominal") {
+  try {
+    const cached = getYieldCache().getLatest(datasets.getDataset(dataset).cacheNamespace);
+    if (!cached) {
+      return null;
+    }
+
+    console.log(`Using the last known ${dataset} curve, from ${cached.data.date}`);
+    const result = { ...cached.data };
+    result.cacheStatus = LAST_KNOWN_CURVE_STATUS;
+    result.fromCache = true;
+    result.retrievedAt = cached.entry.retrievedAt;
+    result.asOf = cached.data.date;
+    result.stale = publicationSchedule.isCurveOverdue(cached.data.date, runtime.now());
+    return result;
+  } catch (error) {
+    console.error(`Error reading the last known ${dataset} curve:`, error);
+    return null;
+  }
+}
+
+/**
+ * Stores yield data in cache for future retrieval and records it in the cache manifest
+ * @param {Object} data - The yield data object to cache (date and yieldData)
+ * @param {string} dateString - Date string (YYYY-MM-DD) the data answers (required)
+ * @param {string} dataset - Dataset name
+ * @param {string|null} url - Feed URL the data was read from
+ * @param {string} source - Name of the source it was read from (see feedSources.getSources)
+ */
+async function setCachedData(data, dateString, dataset = "nominal", url = null, source = "treasuryXml") {
+  if (!dateString) {
+    throw new Error("Date string is required for cache storage");
+  }
+  try {
+    const { date, yieldData } = data;
+    // A date before the latest curve Treasury should have posted by now that still has no curve
+    // of its own won't get one, so the earlier curve answering it is final too. Curves from a
+    // fallback source may lack tenors (FRED has no 1.5M, 2M or 4M), so Treasury's XML feed
+    // replaces them once it can be read again
+    const final = source === "treasuryXml" &&
+      (date === dateString || dateString < publicationSchedule.getLatestExpectedCurveDate(runtime.now()));
+    getYieldCache().set(datasets.getDataset(dataset).cacheNamespace, dateString, { date, yieldData }, { dataset, url, source, final });
+    console.log(`${dataset} data cached successfully for ${dateString}`);
+  } catch (error) {
+    console.error(`Error writing cache for ${dateString}:`, error);
+  }
+}
+
+// Year feeds downloaded during this run, keyed by "dataset:year"
+// Each entry is a promise so concurrent lookups for the same year share one request
+const yearIndexes = new Map();
+
+// Download failures of this run, including failures of the XML feed that a fallback source
+// made up for: the one behind the current curve, reported by the widget (see getFeedError), and
+// the most recent one behind an earlier curve, such as a comparison (see getComparisonFeedError)
+let currentFeedError = null;
+let comparisonFeedError = null;
+
+/**
+ * Returns the download options: the script's fetchOptions over the fetcher's defaults
+ * @returns {Object} Options for feedFetcher.fetchText
+ */
+function getFetchOptions() {
+  return { ...feedFetcher.DEFAULT_FETCH_OPTIONS, ...runtime.getOptions().fetchOptions };
+}
+
+/**
+ * Parses a year's feed into a date-keyed index of yield curves
+ * Schema drift (new or missing tenors, unreadable values) is logged and kept on the index
+ * @param {string} text - Raw feed for one year
+ * @param {string} dataset - Dataset name
+ * @param {Object|null} source - Source from feedSources.getSources; null for Treasury's XML feed
+ * @returns {Object} Index with dates (sorted YYYY-MM-DD strings), curves (Map of date to yieldData) and drift
+ */
+function parseYearFeed(text, dataset = "nominal", source = null) {
+  const { curves, drift } = source ? source.parse(text) : datasets.parseDatasetFeed(dataset, text);
+  if (feedParser.hasSchemaDrift(drift)) {
+    console.warn(`${source ? source.label : "Treasury XML"} ${dataset} feed schema drift: ${feedParser.describeSchemaDrift(drift)}`);
+  }
+  return { dates: [...curves.keys()], curves, drift };
+}
+
+/**
+ * Loads the parsed index for one year of a dataset, downloading the feed at most once per run
+ * When Treasury's XML feed fails the fallback sources are tried in turn; the XML feed's
+ * failure is the one reported, since it names the actual problem
+ * @param {number} year - Four-digit year
+ * @param {string} dataset - Dataset name
+ * @returns {Promise<Object>} Index as returned by parseYearFeed, plus the url and name of its source
+ * @throws {FeedError} When no source could be read
+ */
+function loadYearIndex(year, dataset = "nominal") {
+  const key = `${dataset}:${year}`;
+  if (!yearIndexes.has(key)) {
+    const load = (async () => {
+      let firstError = null;
+      for (const source of feedSources.getSources(dataset, year)) {
+        console.log(`Fetching ${source.label} ${dataset} data for ${year}...`);
+        try {
+          const text = await feedFetcher.fetchText(source.url, { ...getFetchOptions(), mediaTypes: source.mediaTypes });
+          const index = { ...parseYearFeed(text, dataset, source), url: source.url, source: source.name };
+          console.log(`Parsed ${index.dates.length} ${dataset} entries for ${year} from ${source.label}`);
+          // A fallback source answered, but the XML feed's failure is still worth showing
+          if (firstError) index.feedError = firstError;
+          return index;
+        } catch (error) {
+          const feedError = feedFetcher.toFeedError(error, source.url);
+          console.error(`${source.label} ${dataset} data for ${year} failed: ${feedError.message}`);
+          firstError = firstError || feedError;
+          // Without a connection no other source can be reached either
+          if (feedError.kind === "offline") break;
+        }
+      }
+      throw firstError;
+    })();
+    // A failed download shouldn't poison later lookups in the same run
+    load.catch(() => yearIndexes.delete(key));
+    yearIndexes.set(key, load);
+  }
+  return yearIndexes.get(key);
+}
+
+/**
+ * Returns the download failure behind the current curve in this run
+ * @returns {FeedError|null} Failure, or null when the current curve was downloaded or cached
+ */
+function getFeedError() {
+  return currentFeedError;
+}
+
+/**
+ * Returns the most recent download failure behind an earlier curve in this run
+ * These don't affect the current curve, so only the detail view notes them, in its status row
+ * @returns {FeedError|null} Failure, or null when every earlier curve was downloaded or cached
+ */
+function getComparisonFeedError() {
+  return comparisonFeedError;
+}
+
+/**
+ * Records a download failure for the current curve or for an earlier one
+ * Other failures, such as a date missing from the feed, aren't download failures and are ignored
+ * @param {Error} error - Failure
+ * @param {string|null} dateString - Date looked up, null for the current curve
+ * @returns {FeedError|null} The failure when it was recorded
+ */
+function recordFeedError(error, dateString) {
+  if (!(error instanceof feedFetcher.FeedError)) {
+    return null;
+  }
+  if (dateString) {
+    comparisonFeedError = error;
+  } else {
+    currentFeedError = error;
+  }
+  return error;
+}
+
+/**
+ * Finds the latest date in an index on or before a target date
+ * @param {Object} index - Index as returned by parseYearFeed
+ * @param {string|null} dateString - Target date (YYYY-MM-DD), null for the latest entry
+ * @returns {string|null} Matching date, or null if every entry is later than the target
+ */
+function findDateOnOrBefore(index, dateString) {
+  for (let i = index.dates.length - 1; i >= 0; i--) {
+    if (!dateString || index.dates[i] <= dateString) {
+      return index.dates[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up the curve for a date, or the closest earlier date with data
+ * Early in January the target year may have no entry on or before the date yet,
+ * in which case the previous year's feed is fetched as well
+ * @param {string|null} dateString - Target date (YYYY-MM-DD), null for the most recent curve
+ * @param {string} dataset - Dataset name
+ * @returns {Promise<Object>} Object with date, yieldData, the url and name of the source, and
+ *   feedError when the source stood in for the failed XML feed
+ */
+async function lookupYieldData(dateString, dataset = "nominal") {
+  const year = dateString ? Number(dateString.slice(0, 4)) : runtime.now().getFullYear();
+
+  for (const candidateYear of [year, year - 1]) {
+    const index = await loadYearIndex(candidateYear, dataset);
+    const date = findDateOnOrBefore(index, dateString);
+    if (date) {
+      if (dateString && date !== dateString) {
+        console.log(`No data found for ${dateString}, using closest available date: ${date}`);
+      }
+      return { date, yieldData: index.curves.get(date), url: index.url, source: index.source, feedError: index.feedError || null };
+    }
+  }
+
+  throw new Error(`No data available for or before ${dateString || "today"}`);
+}
+
+/**
+ * Fetches Treasury yield curve data for a specific date from API or cache
+ * Dates are answered from the parsed year index, so one download serves every date in that year
+ * @param {string|null} targetDateString - Target date (YYYY-MM-DD), null for most recent
+ * @param {string} dataset - Dataset name ("nominal", "real", "bills" or "longTerm")
+ * @returns {Object|null} Yield data object with date, yieldData array, and cache metadata; current
+ *   data that couldn't be downloaded is the last known curve, with asOf set (see getLatestCachedData).
+ *   A download failure behind the curve is kept as feedError
+ */
+async function fetchYieldDataForDate(targetDateString = null, dataset = "nominal") {
+  // Treasury only publishes on bond market business days, so snap the target to one
+  const dateString = targetDateString
+    ? calendar.formatISODate(calendar.getClosestPreviousBusinessDay(calendar.parseISODate(targetDateString)))
+    : null;
+
+  // For current data (no targetDateString) the cache is checked for the latest curve Treasury
+  // should have posted by now, so the network is only hit once a new curve is due
+  const cacheKey = dateString || publicationSchedule.getLatestExpectedCurveDate(runtime.now());
+  const cachedData = await getCachedData(cacheKey, dataset);
+  if (cachedData) {
+    cachedData.stale = !dateString && publicationSchedule.isCurveOverdue(cachedData.date, runtime.now());
+    return cachedData;
+  }
+
+  // If no valid cache, look the date up in the year index
+  try {
+    console.log(`Looking up ${dataset} data for ${dateString || "current"}...`);
+    const { date, yieldData, url, source, feedError } = await lookupYieldData(dateString, dataset);
+
+    const result = { date, yieldData };
+    // Curves from a fallback source say where they came from
+    result.cacheStatus = source === "treasuryXml" ? "Fresh data" : `Fresh data via ${feedSources.SOURCE_LABELS[source]}`;
+    result.fromCache = false;
+    // Current data older than the curve Treasury should have posted by now is marked stale
+    result.stale = !dateString && publicationSchedule.isCurveOverdue(date, runtime.now());
+
+    // Cache the successful result using the actual date from the API response
+    const actualCacheKey = dateString || date;
+    await setCachedData(result, actualCacheKey, dataset, url, source);
+
+    if (feedError) {
+      result.feedError = recordFeedError(feedError, dateString);
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error fetching ${dataset} yield data for ${dateString || "current"}:`, error);
+    const feedError = recordFeedError(error, dateString);
+    if (dateString) {
+      return null;
+    }
+    // Rather than no curve at all, show the newest one on disk, marked with its date
+    const latest = await getLatestCachedData(dataset);
+    return latest && feedError ? { ...latest, feedError } : latest;
+  }
+}
+
+/**
+ * Wrapper function for fetching current yield data (backwards compatibility)
+ * @returns {Object|null} Current yield data object
+ */
+async function fetchYieldData() {
+  return await fetchYieldDataForDate();
+}
+
+/**
+ * Restricts a curve to the maturities selected in the widget settings
+ * The cache keeps every maturity; filtering only affects what is displayed. The whole curve
+ * stays on the copy as fullYieldData, for what is derived from every maturity (zero and
+ * forward rates).
+ * @param {Object} data - Yield data object with a yieldData array
+ * @returns {Object} Copy of the data with only the selected maturities
+ */
+function selectMaturities(data) {
+  const { maturities } = runtime.getSettings();
+  if (!maturities) {
+    return data;
+  }
+  return {
+    ...data,
+    yieldData: data.yieldData.filter(point => maturities.includes(point.label)),
+    fullYieldData: data.fullYieldData || data.yieldData
+  };
+}
+
+/**
+ * Fetches the curve the chart plots for a date, according to the dataset setting
+ * Breakeven curves are derived from the nominal and real curves of the same day
+ * @param {string|null} dateString - Target date (YYYY-MM-DD), null for most recent
+ * @param {string} dataset - Dataset view (see widgetConfig.DATASET_VIEWS), by default the widget's
+ * @returns {Object|null} Yield data object with every maturity, or null if unavailable
+ */
+async function fetchCurveForDate(dateString = null, dataset = runtime.getSettings().dataset) {
+  switch (dataset) {
+    case "breakeven": {
+      const nominalData = await fetchYieldDataForDate(dateString, "nominal");
+      // Pin the real curve to the nominal curve's date so both describe the same day
+      const realData = nominalData && await fetchYieldDataForDate(nominalData.date, "real");
+      if (!realData) {
+        return null;
+      }
+      return {
+        ...nominalData,
+        yieldData: datasets.computeBreakeven(nominalData.yieldData, realData.yieldData),
+        feedError: nominalData.feedError || realData.feedError || null
+      };
+    }
+    case "nominal+real":
+      return await fetchYieldDataForDate(dateString, "nominal");
+    default:
+      return await fetchYieldDataForDate(dateString, dataset);
+  }
+}
+
+/**
+ * Notes the download failure behind the current curve, or the real curve shown with it, for the
+ * status line; failed comparison downloads only leave their comparison out
+ * @param {Object} results - Results of fetchAllYieldData
+ * @returns {Object} The results, the current curve copied with its feedStatus
+ */
+function noteFeedError(results) {
+  const feedError = results.current && (results.current.feedError || (results.real && results.real.feedError));
+  if (feedError) {
+    results.current = { ...results.current, feedStatus: feedFetcher.FEED_STATUS_NOTES[feedError.kind] };
+  }
+  return results;
+}
+
+/**
+ * Fetches all yield data including current and historical curves
+ * Orchestrates parallel fetching of multiple dates for performance
+ * @param {boolean} includeHistorical - Whether to fetch the historical comparison curves,
+ *   or in history mode the history
+ * @returns {Object} Object containing current and historical yield data keyed by span, or
+ *   in history mode the current data and the history (see fetchHistory); when a download
+ *   failed, the current data has a feedStatus note such as "offline"
+ */
+async function fetchAllYieldData(includeHistorical = runtime.getSettings().showHistorical) {
+  const results = {};
+
+  // Fetch current data
+  console.log("Fetching current yield data...");
+  const currentData = await fetchCurveForDate();
+  if (currentData) {
+    results.current = selectMaturities(currentData);
+  }
+
+  // The real curve is overlaid for the current date only, to keep the chart readable
+  if (currentData && runtime.getSettings().dataset === "nominal+real") {
+    const realData = await fetchYieldDataForDate(currentData.date, "real");
+    if (realData && realData.yieldData.length > 0) {
+      results.real = { ...selectMaturities(realData), label: "Real (TIPS)" };
+    }
+  }
+
+  // The history chart compares against the business days up to the current curve instead
+  if (includeHistorical && runtime.getSettings().mode === "history") {
+    if (currentData) {
+      results.history = await fetchHistory(currentData.date);
+    }
+    return noteFeedError(results);
+  }
+
+  // Fetch historical data if enabled; dates in the same year share one feed download
+  if (includeHistorical) {
+    const historicalDates = getHistoricalDates(getSpanAnchor(currentData));
+    const historicalResults = await Promise.all(historicalDates.map(fetchHistoricalCurve));
+    historicalDates.forEach((histDate, i) => {
+      if (historicalResults[i]) {
+        results[histDate.key] = historicalResults[i];
+      }
+    });
+  }
+
+  return noteFeedError(results);
+}
+
+/**
+ * Fetches the curve for a resolved comparison date, labelled for the legend
+ * @param {Object} histDate - Comparison date from comparisonSpans.resolveSpans (key, label, dateString)
+ * @returns {Object|null} Yield data object with label and span, or null if unavailable
+ */
+async function fetchHistoricalCurve(histDate) {
+  console.log(`Fetching historical data for ${histDate.label} (${histDate.dateString})...`);
+  try {
+    const historicalData = await fetchCurveForDate(histDate.dateString);
+    if (!historicalData || !historicalData.yieldData || historicalData.yieldData.length === 0) {
+      return null;
+    }
+    return { ...selectMaturities(historicalData), label: histDate.label, span: histDate.key };
+  } catch (error) {
+    console.error(`Failed to fetch data for ${histDate.label}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetches one more comparison curve for a span, e.g. a date picked in the detail view
+ * @param {string} spec - Comparison span such as "1M" or "2024-03-01"
+ * @param {Date} today - Reference date the span counts back from (see getSpanAnchor)
+ * @returns {Object|null} { key, data } where data is as in fetchAllYieldData, or null if unavailable
+ */
+async function fetchComparisonCurve(spec, today = runtime.now()) {
+  const [histDate] = comparisonSpans.resolveSpans([spec], today, runtime.getOptions().anchors);
+  if (!histDate) return null;
+  const data = await fetchHistoricalCurve(histDate);
+  return data ? { key: histDate.key, data } : null;
+}
+
+/**
+ * Fetches the curve for the business day before a given curve, with every maturity
+ * @param {Object} currentData - Yield data object whose date is the reference day
+ * @param {string} dataset - Dataset view, by default the widget's
+ * @returns {Object|null} Previous business day's yield data, or null if unavailable
+ */
+async function fetchPreviousDayCurve(currentData, dataset = runtime.getSettings().dataset) {
+  try {
+    const previousDay = calendar.previousBusinessDay(calendar.parseISODate(currentData.date));
+    return await fetchCurveForDate(calendar.formatISODate(previousDay), dataset);
+  } catch (error) {
+    console.error(`Failed to fetch previous day data for ${currentData.date}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetches the curve for the business day before a given curve, for day-over-day changes
+ * @param {Object} currentData - Yield data object whose date is the reference day
+ * @returns {Object|null} Previous business day's yield data with the selected maturities, or null if unavailable
+ */
+async function fetchPreviousDayData(currentData) {
+  const previousData = await fetchPreviousDayCurve(currentData);
+  return previousData ? selectMaturities(previousData) : null;
+}
+
+/**
+ * Reads every curve of a dataset between two dates from the year feeds
+ * A year whose feed can't be downloaded is answered from the final curves in the cache,
+ * unless useCache is off
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {string} dataset - Dataset name
+ * @param {Object} options - Options
+ * @param {boolean} options.useCache - Fall back to cached curves; when off, a failed download throws
+ * @returns {Promise<Map>} yieldData arrays keyed by date
+ */
+async function loadDatasetRange(startDate, endDate, dataset, { useCache = true } = {}) {
+  const curves = new Map();
+  for (let year = Number(startDate.slice(0, 4)); year <= Number(endDate.slice(0, 4)); year++) {
+    try {
+      const index = await loadYearIndex(year, dataset);
+      for (const date of index.dates) {
+        if (date >= startDate && date <= endDate) {
+          curves.set(date, index.curves.get(date));
+        }
+      }
+    } catch (error) {
+      if (!useCache) {
+        throw error;
+      }
+      console.error(`Error fetching the ${dataset} feed for ${year}, using cached curves:`, error);
+      // Entries for dates without a curve of their own hold an earlier curve, so select by the curve's date
+      const cachedEntries = getYieldCache().list().entries.filter(entry =>
+        entry.dataset === dataset && entry.final && entry.dataDate.startsWith(`${year}-`) &&
+        entry.dataDate >= startDate && entry.dataDate <= endDate
+      );
+      for (const entry of cachedEntries) {
+        const cached = await getCachedData(entry.date, dataset);
+        if (cached) {
+          curves.set(cached.date, cached.yieldData);
+        }
+      }
+    }
+  }
+  return curves;
+}
+
+/**
+ * Reads every published curve between two dates, according to the dataset setting
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {Object} options - Options for loadDatasetRange
+ * @returns {Promise<Array>} Curves as { date, yieldData } with every maturity, oldest first
+ */
+async function loadCurvesInRange(startDate, endDate, options = {}) {
+  const { dataset } = runtime.getSettings();
+  let curves;
+  if (dataset === "breakeven") {
+    const [nominal, real] = await Promise.all([
+      loadDatasetRange(startDate, endDate, "nominal", options),
+      loadDatasetRange(startDate, endDate, "real", options)
+    ]);
+    curves = [...nominal]
+      .filter(([date]) => real.has(date))
+      .map(([date, yieldData]) => ({ date, yieldData: datasets.computeBreakeven(yieldData, real.get(date)) }));
+  } else {
+    const feedDataset = dataset === "nominal+real" ? "nominal" : dataset;
+    curves = [...await loadDatasetRange(startDate, endDate, feedDataset, options)].map(([date, yieldData]) => ({ date, yieldData }));
+  }
+  return curves.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fetches every published curve between two dates, according to the dataset setting
+ * Used for exports; one feed download serves each year, and the curves aren't cached per date
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Curves as { date, yieldData }, oldest first
+ */
+async function fetchCurvesInRange(startDate, endDate) {
+  return (await loadCurvesInRange(startDate, endDate)).map(selectMaturities);
+}
+
+/**
+ * Fetches the curves of the business days up to a date, for the history chart
+ * The history file is only extended from the year feeds for dates it doesn't cover yet;
+ * when the feeds can't be reached the stored curves are used as they are
+ * @param {string} endDate - Last date (YYYY-MM-DD), normally the current curve's date
+ * @param {number} businessDays - Business days to cover, counting the end date
+ * @returns {Promise<Object>} { days, startDate, endDate, curves } with curves as { date, yieldData }
+ */
+async function fetchHistory(endDate, businessDays = runtime.getSettings().historyDays) {
+  const { dataset } = runtime.getSettings();
+  // The nominal+real view plots nominal yields, so it shares the nominal history
+  const historyDataset = dataset === "nominal+real" ? "nominal" : dataset;
+  const startDate = calendar.formatISODate(calendar.addBusinessDays(calendar.parseISODate(endDate), 1 - businessDays));
+
+  const store = getHistoryStore();
+  let history = store.load(historyDataset);
+  const missing = yieldHistory.getMissingRange(history, startDate, endDate);
+  if (missing) {
+    try {
+      console.log(`Reading ${historyDataset} history from ${missing.start} to ${missing.end}...`);
+      const curves = await loadCurvesInRange(missing.start, missing.end, { useCache: false });
+      history = yieldHistory.mergeHistory(history, curves, missing);
+      store.save(historyDataset, history);
+    } catch (error) {
+      console.error(`Error reading ${historyDataset} history, using the stored curves:`, error);
+    }
+  }
+
+  const curves = history ? yieldHistory.getHistoryCurves(history, startDate, endDate) : [];
+  return { days: businessDays, startDate, endDate, curves };
+}
+
+/**
+ * Clears cached curves for debugging or manual refresh
+ * @param {Object} options - What to clear
+ * @param {boolean} options.all - Remove every file the widget owns, including the manifest, the history
+ *   files and the alert state
+ * @param {string} options.dateString - Date (YYYY-MM-DD) to clear when not clearing everything
+ * @param {string} options.dataset - Dataset of the date to clear
+ * @returns {number} Number of cache files removed
+ */
+async function clearCache({ all = false, dateString = null, dataset = "nominal" } = {}) {
+  try {
+    const cache = getYieldCache();
+    if (all) {
+      const alertState = yieldAlerts.createAlertStateStore(getFileManager());
+      const removed = cache.clear() + getHistoryStore().clear() + alertState.clear();
+      console.log(`Cache cleared: ${removed} files removed`);
+      return removed;
+    }
+
+    if (!dateString) {
+      console.log("Pass { all: true } or a dateString to clear the cache");
+      return 0;
+    }
+    const removed = cache.remove(datasets.getDataset(dataset).cacheNamespace, dateString) ? 1 : 0;
+    console.log(removed ? "Cache cleared successfully" : "No cache file to clear");
+    return removed;
+  } catch (error) {
+    console.error("Error clearing cache:", error);
+    return 0;
+  }
+}
+
+/**
+ * Lists every cached curve with its manifest record, for debugging cache behavior
+ * @returns {Object} Cache information: entries (dataset, date, dataDate, retrievedAt, url, source,
+ *   schemaVersion, bytes, final, servable), totalBytes and untrackedFiles
+ */
+async function getCacheInfo() {
+  try {
+    return getYieldCache().list();
+  } catch (error) {
+    console.error("Error getting cache info:", error);
+    return { entries: [], totalBytes: 0, untrackedFiles: [], error: error.message };
+  }
+}
+
+/**
+ * Forgets the year feeds, the cache and the history store opened during this run
+ * A new run (or test) then starts from the files on disk, as a fresh script run would
+ */
+function resetRunState() {
+  yearIndexes.clear();
+  currentFeedError = null;
+  comparisonFeedError = null;
+  yieldCache = null;
+  historyStore = null;
+}
+
+module.exports = {
+  getFileManager,
+  getYieldCache,
+  getHistoryStore,
+  LAST_KNOWN_CURVE_STATUS,
+  getDeltaReferenceSpan,
+  getSpanAnchor,
+  getHistoricalDates,
+  getCachedData,
+  getLatestCachedData,
+  setCachedData,
+  getFeedError,
+  getComparisonFeedError,
+  parseYearFeed,
+  loadYearIndex,
+  findDateOnOrBefore,
+  lookupYieldData,
+  fetchYieldDataForDate,
+  fetchYieldData,
+  selectMaturities,
+  fetchCurveForDate,
+  fetchAllYieldData,
+  fetchHistoricalCurve,
+  fetchComparisonCurve,
+  fetchPreviousDayCurve,
+  fetchPreviousDayData,
+  fetchCurvesInRange,
+  fetchHistory,
+  clearCache,
+  getCacheInfo,
+  resetRunState
+};
@@ -0,0 +1,228 @@
+// Treasury interest rate datasets served by the same XML endpoint
+// Each dataset has its own feed id, field map and cache namespace
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const feedParser = requireModule("./treasury_feed_parser");
+
+const FEED_BASE_URL = "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/pages/xml";
+
+// Weeks to months, so bill tenors share the maturity axis with the coupon curves
+const weeks = count => Math.round((count * 12 / 52) * 100) / 100;
+
+/**
+ * Dataset definitions
+ * - feedId: value of the data= query parameter
+ * - dateField / fieldPattern: how to read the feed (see treasury_feed_parser)
+ * - pivot: for feeds that publish one entry per rate type and date
+ * - tenors: field map from feed fields to maturity labels and months (null when
+ *   the rate has no single maturity and can't be placed on the curve), with the column of
+ *   Treasury's CSV download (csvColumn) and the FRED series (fredSeries) holding the same
+ *   rate, where there is one; see lib/feed_sources.js. Tenors Treasury added later have the date
+ *   of their first quote (since), so older feeds without them don't count as schema drift
+ * - cacheNamespace: prefix of the per-date cache files
+ */
+const DATASETS = {
+  nominal: {
+    feedId: "daily_treasury_yield_curve",
+    title: "US Treasury Yield Curve",
+    label: "Nominal",
+    cacheNamespace: "treasury_yield_cache",
+    dateField: "NEW_DATE",
+    fieldPattern: /^BC_/,
+    tenors: [
+      { label: "1M", field: "BC_1MONTH", months: 1, csvColumn: "1 Mo", fredSeries: "DGS1MO" },
+      { label: "1.5M", field: "BC_1_5MONTH", months: 1.5, csvColumn: "1.5 Month", since: "2025-02-18" },
+      { label: "2M", field: "BC_2MONTH", months: 2, csvColumn: "2 Mo" },
+      { label: "3M", field: "BC_3MONTH", months: 3, csvColumn: "3 Mo", fredSeries: "DGS3MO" },
+      { label: "4M", field: "BC_4MONTH", months: 4, csvColumn: "4 Mo" },
+      { label: "6M", field: "BC_6MONTH", months: 6, csvColumn: "6 Mo", fredSeries: "DGS6MO" },
+      { label: "1Y", field: "BC_1YEAR", months: 12, csvColumn: "1 Yr", fredSeries: "DGS1" },
+      { label: "2Y", field: "BC_2YEAR", months: 24, csvColumn: "2 Yr", fredSeries: "DGS2" },
+      { label: "3Y", field: "BC_3YEAR", months: 36, csvColumn: "3 Yr", fredSeries: "DGS3" },
+      { label: "5Y", field: "BC_5YEAR", months: 60, csvColumn: "5 Yr", fredSeries: "DGS5" },
+      { label: "7Y", field: "BC_7YEAR", months: 84, csvColumn: "7 Yr", fredSeries: "DGS7" },
+      { label: "10Y", field: "BC_10YEAR", months: 120, csvColumn: "10 Yr", fredSeries: "DGS10" },
+      { label: "20Y", field: "BC_20YEAR", months: 240, csvColumn: "20 Yr", fredSeries: "DGS20" },
+      { label: "30Y", field: "BC_30YEAR", months: 360, csvColumn: "30 Yr", fredSeries: "DGS30" }
+    ]
+  },
+  real: {
+    feedId: "daily_treasury_real_yield_curve",
+    title: "US Treasury Real Yield Curve (TIPS)",
+    label: "Real",
+    cacheNamespace: "treasury_real_yield_cache",
+    dateField: "NEW_DATE",
+    fieldPattern: /^TC_/,
+    tenors: [
+      { label: "5Y", field: "TC_5YEAR", months: 60, csvColumn: "5 YR", fredSeries: "DFII5" },
+      { label: "7Y", field: "TC_7YEAR", months: 84, csvColumn: "7 YR", fredSeries: "DFII7" },
+      { label: "10Y", field: "TC_10YEAR", months: 120, csvColumn: "10 YR", fredSeries: "DFII10" },
+      { label: "20Y", field: "TC_20YEAR", months: 240, csvColumn: "20 YR", fredSeries: "DFII20" },
+      { label: "30Y", field: "TC_30YEAR", months: 360, csvColumn: "30 YR", fredSeries: "DFII30" }
+    ]
+  },
+  bills: {
+    feedId: "daily_treasury_bill_rates",
+    title: "US Treasury Bill Rates",
+    label: "Bills",
+    cacheNamespace: "treasury_bill_rates_cache",
+    dateField: "INDEX_DATE",
+    // Coupon-equivalent yields; the ROUND_B1_CLOSE_* discount rates aren't comparable to the curve
+    fieldPattern: /^ROUND_B1_YIELD_/,
+    tenors: [
+      { label: "4W", field: "ROUND_B1_YIELD_4WK_2", months: weeks(4), csvColumn: "4 WEEKS COUPON EQUIVALENT" },
+      { label: "6W", field: "ROUND_B1_YIELD_6WK_2", months: weeks(6), csvColumn: "6 WEEKS COUPON EQUIVALENT" },
+      { label: "8W", field: "ROUND_B1_YIELD_8WK_2", months: weeks(8), csvColumn: "8 WEEKS COUPON EQUIVALENT" },
+      { label: "13W", field: "ROUND_B1_YIELD_13WK_2", months: weeks(13), csvColumn: "13 WEEKS COUPON EQUIVALENT" },
+      { label: "17W", field: "ROUND_B1_YIELD_17WK_2", months: weeks(17), csvColumn: "17 WEEKS COUPON EQUIVALENT" },
+      { label: "26W", field: "ROUND_B1_YIELD_26WK_2", months: weeks(26), csvColumn: "26 WEEKS COUPON EQUIVALENT" },
+      { label: "52W", field: "ROUND_B1_YIELD_52WK_2", months: weeks(52), csvColumn: "52 WEEKS COUPON EQUIVALENT" }
+    ]
+  },
+  longTerm: {
+    feedId: "daily_treasury_long_term_rate",
+    title: "US Treasury Long-Term Rates",
+    label: "Long-term",
+    cacheNamespace: "treasury_long_term_rate_cache",
+    dateField: "QUOTE_DATE",
+    pivot: { keyField: "RATE_TYPE", valueField: "RATE" },
+    tenors: [
+      { label: "LT>10Y", field: "Over_10_Years", months: null },
+      { label: "20Y CMT", field: "BC_20year", months: 240 },
+      { label: "Real LT", field: "Real_Rate", months: null }
+    ]
+  }
+};
+
+/**
+ * Looks up a dataset definition
+ * @param {string} name - Dataset name, a key of DATASETS
+ * @returns {Object} Dataset definition
+ */
+function getDataset(name) {
+  const dataset = DATASETS[name];
+  if (!dataset) {
+    throw new Error(`Unknown dataset: ${name}`);
+  }
+  return dataset;
+}
+
+/**
+ * Builds the XML feed URL for one year of a dataset
+ * @param {string} name - Dataset name
+ * @param {number} year - Four-digit year
+ * @returns {string} Feed URL
+ */
+function getFeedUrl(name, year) {
+  return `${FEED_BASE_URL}?data=${getDataset(name).feedId}&field_tdr_date_value=${year}`;
+}
+
+/**
+ * Drops the missing tenors a feed can't have had yet: those first quoted after its last date
+ * @param {Array<string>} missingFields - Missing fields, in the naming of the feed
+ * @param {Array} tenors - Tenors of the dataset
+ * @param {Function} fieldOf - Returns a tenor's field name in the feed
+ * @param {string|null} lastDate - Last date in the feed (YYYY-MM-DD)
+ * @returns {Array<string>} Fields missing from a feed that should have them
+ */
+function filterMissingFields(missingFields, tenors, fieldOf, lastDate) {
+  const notYetQuoted = tenors.filter(tenor => tenor.since && (!lastDate || lastDate < tenor.since)).map(fieldOf);
+  return missingFields.filter(field => !notYetQuoted.includes(field));
+}
+
+/**
+ * Parses a dataset's year feed into yield curves keyed by date
+ * @param {string} name - Dataset name
+ * @param {string} xmlString - Raw feed document
+ * @returns {Object} Object with curves (Map of YYYY-MM-DD to yieldData, in date order) and drift
+ */
+function parseDatasetFeed(name, xmlString) {
+  const dataset = getDataset(name);
+  const feed = feedParser.parseTreasuryFeed(xmlString, {
+    knownFields: dataset.tenors.map(tenor => tenor.field),
+    dateField: dataset.dateField,
+    fieldPattern: dataset.fieldPattern,
+    pivot: dataset.pivot
+  });
+
+  const curves = new Map();
+  for (const record of feed.records) {
+    const yieldData = [];
+    for (const tenor of dataset.tenors) {
+      const value = record.fields[tenor.field];
+      if (typeof value === "number") {
+        yieldData.push({ label: tenor.label, months: tenor.months, yield: value });
+      }
+    }
+    curves.set(record.date, yieldData);
+  }
+
+  const lastDate = feed.records.length > 0 ? feed.records[feed.records.length - 1].date : null;
+  const missingFields = filterMissingFields(feed.drift.missingFields, dataset.tenors, tenor => tenor.field, lastDate);
+  return { curves, drift: { ...feed.drift, missingFields } };
+}
+
+/**
+ * Computes breakeven inflation (nominal minus real yield) at every tenor both curves quote
+ * @param {Array} nominalYieldData - Nominal yieldData array
+ * @param {Array} realYieldData - Real yieldData array
+ * @returns {Array} yieldData array of breakeven rates, in percent
+ */
+function computeBreakeven(nominalYieldData, realYieldData) {
+  const breakeven = [];
+  for (const real of realYieldData) {
+    const nominal = nominalYieldData.find(point => point.months === real.months);
+    if (nominal && real.months !== null) {
+      breakeven.push({
+        label: real.label,
+        months: real.months,
+        yield: Math.round((nominal.yield - real.yield) * 100) / 100
+      });
+    }
+  }
+  return breakeven;
+}
+
+/**
+ * Lists every maturity label any dataset can provide
+ * @returns {Array<string>} Unique maturity labels
+ */
+function getAllTenorLabels() {
+  const labels = new Set();
+  for (const dataset of Object.values(DATASETS)) {
+    for (const tenor of dataset.tenors) {
+      labels.add(tenor.label);
+    }
+  }
+  return [...labels];
+}
+
+/**
+ * Lists the maturity labels a dataset view plots (see widgetConfig.DATASET_VIEWS)
+ * The nominal+real view plots the nominal maturities, the breakeven view those both curves quote
+ * @param {string} view - Dataset view, e.g. "real" or "breakeven"
+ * @returns {Array<string>} Maturity labels
+ */
+function getViewTenorLabels(view) {
+  switch (view) {
+    case "nominal+real":
+      return getDataset("nominal").tenors.map(tenor => tenor.label);
+    case "breakeven": {
+      const nominalMonths = getDataset("nominal").tenors.map(tenor => tenor.months);
+      return getDataset("real").tenors.filter(tenor => nominalMonths.includes(tenor.months)).map(tenor => tenor.label);
+    }
+    default:
+      return getDataset(view).tenors.map(tenor => tenor.label);
+  }
+}
+
+module.exports = {
+  DATASETS,
+  getDataset,
+  getFeedUrl,
+  filterMissingFields,
+  parseDatasetFeed,
+  computeBreakeven,
+  getAllTenorLabels,
+  getViewTenorLabels
+};
@@ -0,0 +1,378 @@
+// Parser for the Treasury interest rate XML feed (Atom with OData properties)
+// Standalone: no Scriptable APIs, so it also runs under plain Node
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// Fields that start with BC_ but aren't tenors
+const NON_TENOR_FIELDS = ["BC_30YEARDISPLAY"];
+
+/**
+ * Error raised when the feed isn't the XML document we expect
+ * (an HTML error page, truncated download, or a changed document structure)
+ */
+class FeedFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FeedFormatError";
+  }
+}
+
+/**
+ * Decodes XML character and entity references
+ * @param {string} text - Raw text from the document
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (reference, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return name in XML_ENTITIES ? XML_ENTITIES[name] : reference;
+  });
+}
+
+/**
+ * Splits a qualified name into prefix and local name
+ * @param {string} qualifiedName - Name such as "d:NEW_DATE" or "entry"
+ * @returns {Object} Object with prefix (or null) and localName
+ */
+function splitName(qualifiedName) {
+  const colon = qualifiedName.indexOf(":");
+  return colon === -1
+    ? { prefix: null, localName: qualifiedName }
+    : { prefix: qualifiedName.slice(0, colon), localName: qualifiedName.slice(colon + 1) };
+}
+
+/**
+ * Parses an XML document into a tree of elements
+ * A small non-validating parser: handles comments, CDATA, processing instructions,
+ * self-closing elements, attributes, entities and namespace declarations
+ * @param {string} text - XML document
+ * @returns {Object} Document node; elements have name, localName, namespace,
+ *   attributes (keyed by local name), children and text
+ * @throws {FeedFormatError} On malformed markup
+ */
+function parseXml(text) {
+  const document = { name: "#document", localName: "#document", namespaces: {}, attributes: {}, children: [], text: "" };
+  const stack = [document];
+  let position = 0;
+
+  const current = () => stack[stack.length - 1];
+  const findEnd = (token, from) => {
+    const end = text.indexOf(token, from);
+    if (end === -1) {
+      throw new FeedFormatError(`Unterminated markup at offset ${from}`);
+    }
+    return end;
+  };
+
+  while (position < text.length) {
+    const open = text.indexOf("<", position);
+    if (open === -1) {
+      current().text += decodeEntities(text.slice(position));
+      break;
+    }
+    if (open > position) {
+      current().text += decodeEntities(text.slice(position, open));
+    }
+
+    if (text.startsWith("<!--", open)) {
+      position = findEnd("-->", open) + 3;
+    } else if (text.startsWith("<![CDATA[", open)) {
+      const end = findEnd("]]>", open);
+      current().text += text.slice(open + 9, end);
+      position = end + 3;
+    } else if (text.startsWith("<?", open) || text.startsWith("<!", open)) {
+      // Processing instructions and DOCTYPE carry nothing we need
+      position = findEnd(">", open) + 1;
+    } else if (text.startsWith("</", open)) {
+      const end = findEnd(">", open);
+      const name = text.slice(open + 2, end).trim();
+      const element = stack.pop();
+      if (element === document || element.name !== name) {
+        throw new FeedFormatError(`Unexpected closing tag </${name}> at offset ${open}`);
+      }
+      position = end + 1;
+    } else {
+      // Find the end of the tag, skipping ">" inside quoted attribute values
+      let end = open + 1;
+      let quote = null;
+      while (end < text.length && (quote || text[end] !== ">")) {
+        if (quote && text[end] === quote) quote = null;
+        else if (!quote && (text[end] === '"' || text[end] === "'")) quote = text[end];
+        end++;
+      }
+      if (end >= text.length) {
+        throw new FeedFormatError(`Unterminated tag at offset ${open}`);
+      }
+
+      const selfClosing = text[end - 1] === "/";
+      const body = text.slice(open + 1, selfClosing ? end - 1 : end);
+      const nameMatch = /^[^\s/>]+/.exec(body);
+      if (!nameMatch) {
+        throw new FeedFormatError(`Invalid tag at offset ${open}`);
+      }
+
+      const parent = current();
+      const namespaces = { ...parent.namespaces };
+      const rawAttributes = [];
+      const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+      let match;
+      while ((match = attributePattern.exec(body.slice(nameMatch[0].length))) !== null) {
+        const value = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+        if (match[1] === "xmlns") namespaces[""] = value;
+        else if (match[1].startsWith("xmlns:")) namespaces[match[1].slice(6)] = value;
+        else rawAttributes.push({ name: match[1], value });
+      }
+
+      const { prefix, localName } = splitName(nameMatch[0]);
+      const attributes = {};
+      for (const attribute of rawAttributes) {
+        const parts = splitName(attribute.name);
+        attributes[parts.localName] = {
+          value: attribute.value,
+          namespace: parts.prefix ? namespaces[parts.prefix] || null : null
+        };
+      }
+
+      const element = {
+        name: nameMatch[0],
+        prefix,
+        localName,
+        namespace: namespaces[prefix || ""] || null,
+        namespaces,
+        attributes,
+        children: [],
+        text: ""
+      };
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new FeedFormatError(`Document ended inside <${current().name}>`);
+  }
+  return document;
+}
+
+/**
+ * Returns the child elements with a given local name, whatever their prefix
+ * @param {Object} element - Parent element
+ * @param {string} localName - Local name to match
+ * @returns {Array} Matching child elements
+ */
+function childrenNamed(element, localName) {
+  return element.children.filter(child => child.localName === localName);
+}
+
+/**
+ * Normalizes a feed date to YYYY-MM-DD
+ * Accepts ISO dates with or without a time part ("2024-07-05T00:00:00"),
+ * OData JSON dates ("/Date(1720137600000)/") and US dates ("7/5/2024")
+ * @param {string} value - Raw date value
+ * @returns {string|null} Normalized date, or null if it isn't recognized
+ */
+function normalizeFeedDate(value) {
+  const text = String(value).trim();
+  let match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(text);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  match = /^\/Date\((-?\d+)\)\/$/.exec(text);
+  if (match) {
+    return new Date(Number(match[1])).toISOString().slice(0, 10);
+  }
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}`;
+  }
+  return null;
+}
+
+/**
+ * Converts an OData property element to a typed value using its m:type and m:null attributes
+ * @param {Object} element - Property element
+ * @returns {*} Number, boolean, normalized date or string; null for null or empty values
+ */
+function readPropertyValue(element) {
+  if (element.attributes.null && element.attributes.null.value === "true") {
+    return null;
+  }
+  const text = element.text.trim();
+  if (text === "" || text === "N/A") {
+    return null;
+  }
+
+  const type = element.attributes.type ? element.attributes.type.value : "Edm.String";
+  switch (type) {
+    case "Edm.Double":
+    case "Edm.Decimal":
+    case "Edm.Single":
+    case "Edm.Int16":
+    case "Edm.Int32":
+    case "Edm.Int64":
+      return Number(text);
+    case "Edm.Boolean":
+      return text === "true";
+    case "Edm.DateTime":
+    case "Edm.DateTimeOffset":
+      return normalizeFeedDate(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Reads a rate property as a number
+ * @param {Object} element - Property element
+ * @returns {Object} Object with value (number or null) and invalid (true if the text isn't a number)
+ */
+function readRate(element) {
+  let value = readPropertyValue(element);
+  if (typeof value === "string") {
+    // Untyped property: rates are still expected to be numeric
+    value = Number(value);
+  }
+  if ((typeof value !== "number" && value !== null) || Number.isNaN(value)) {
+    return { value: null, invalid: true };
+  }
+  return { value, invalid: false };
+}
+
+/**
+ * Parses a Treasury interest rate feed into typed records
+ * Every rate property of every entry is kept, so tenors the widget doesn't know
+ * about yet aren't lost; differences from the expected schema are reported in drift
+ * @param {string} xml - Raw feed document
+ * @param {Object} options - Parser options
+ * @param {Array<string>} options.knownFields - Rate fields the caller expects
+ * @param {string} options.dateField - Property holding the entry date (NEW_DATE for the yield curves)
+ * @param {RegExp} options.fieldPattern - Which properties are rates (BC_* for the nominal curve)
+ * @param {Object|null} options.pivot - For feeds with one entry per rate type and date:
+ *   { keyField, valueField } names the properties holding the rate type and its value
+ * @returns {Object} Object with updated (feed timestamp), records sorted by date
+ *   ({ date, fields }) and drift ({ unknownFields, missingFields, invalidValues, undatedEntries })
+ *   where invalidValues lists { date, field, value } for values that aren't numbers
+ * @throws {FeedFormatError} When the document isn't an Atom feed
+ */
+function parseTreasuryFeed(xml, { knownFields = [], dateField = "NEW_DATE", fieldPattern = /^BC_/, pivot = null } = {}) {
+  // Error pages come back as HTML, which isn't well-formed XML; name the problem directly
+  if (/^\s*(<!DOCTYPE html|<html)/i.test(xml)) {
+    throw new FeedFormatError("Received an HTML page instead of the XML feed");
+  }
+  const document = parseXml(xml);
+  const feed = childrenNamed(document, "feed")[0];
+  if (!feed) {
+    const rootName = document.children[0] ? document.children[0].localName : "nothing";
+    throw new FeedFormatError(`Expected an Atom feed but found <${rootName}>`);
+  }
+
+  // Pivoted feeds spread one date over several entries, so records are merged by date
+  const recordsByDate = new Map();
+  const seenFields = new Set();
+  const invalidValues = [];
+  let undatedEntries = 0;
+
+  for (const entry of childrenNamed(feed, "entry")) {
+    const content = childrenNamed(entry, "content")[0];
+    const properties = content && childrenNamed(content, "properties")[0];
+    if (!properties) {
+      undatedEntries++;
+      continue;
+    }
+
+    let date = null;
+    const fields = {};
+    const entryInvalidValues = [];
+    const addRate = (field, element) => {
+      const { value, invalid } = readRate(element);
+      if (invalid) {
+        entryInvalidValues.push({ field, value: element.text.trim() });
+      }
+      fields[field] = value;
+      seenFields.add(field);
+    };
+
+    if (pivot) {
+      const keyElement = childrenNamed(properties, pivot.keyField)[0];
+      const valueElement = childrenNamed(properties, pivot.valueField)[0];
+      if (keyElement && valueElement && keyElement.text.trim() !== "") {
+        addRate(keyElement.text.trim(), valueElement);
+      }
+    }
+    for (const property of properties.children) {
+      if (property.localName === dateField) {
+        date = normalizeFeedDate(property.text);
+      } else if (!pivot && fieldPattern.test(property.localName) && !NON_TENOR_FIELDS.includes(property.localName)) {
+        addRate(property.localName, property);
+      }
+    }
+
+    if (!date) {
+      undatedEntries++;
+      continue;
+    }
+    invalidValues.push(...entryInvalidValues.map(invalid => ({ date, ...invalid })));
+    if (recordsByDate.has(date)) {
+      Object.assign(recordsByDate.get(date).fields, fields);
+    } else {
+      recordsByDate.set(date, { date, fields });
+    }
+  }
+
+  const records = [...recordsByDate.values()]
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const updatedElement = childrenNamed(feed, "updated")[0];
+  return {
+    updated: updatedElement ? updatedElement.text.trim() : null,
+    records,
+    drift: {
+      unknownFields: [...seenFields].filter(field => !knownFields.includes(field)).sort(),
+      missingFields: records.length > 0 ? knownFields.filter(field => !seenFields.has(field)) : [],
+      invalidValues,
+      undatedEntries
+    }
+  };
+}
+
+/**
+ * Tells whether a drift report has anything worth mentioning
+ * @param {Object} drift - Drift report from parseTreasuryFeed
+ * @returns {boolean} True if the feed differs from the expected schema
+ */
+function hasSchemaDrift(drift) {
+  return drift.unknownFields.length > 0
+    || drift.missingFields.length > 0
+    || drift.invalidValues.length > 0
+    || drift.undatedEntries > 0;
+}
+
+/**
+ * Describes a drift report in one line for logs and status text
+ * @param {Object} drift - Drift report from parseTreasuryFeed
+ * @returns {string} Summary, empty when there is no drift
+ */
+function describeSchemaDrift(drift) {
+  const parts = [];
+  if (drift.unknownFields.length > 0) parts.push(`new fields ${drift.unknownFields.join(", ")}`);
+  if (drift.missingFields.length > 0) parts.push(`missing fields ${drift.missingFields.join(", ")}`);
+  if (drift.invalidValues.length > 0) parts.push(`${drift.invalidValues.length} unreadable values`);
+  if (drift.undatedEntries > 0) parts.push(`${drift.undatedEntries} entries without a date`);
+  return parts.join("; ");
+}
+
+module.exports = {
+  FeedFormatError,
+  decodeEntities,
+  parseXml,
+  normalizeFeedDate,
+  parseTreasuryFeed,
+  hasSchemaDrift,
+  describeSchemaDrift
+};
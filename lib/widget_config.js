@@ -0,0 +1,366 @@
+// Widget parameter parsing
+// Each home-screen instance can override the defaults through its widget parameter,
+// written either as JSON or as compact "key=value;key=value" pairs
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const comparisonSpans = requireModule("./comparison_spans");
+const tenorAxis = requireModule("./tenor_axis");
+const analytics = requireModule("./curve_analytics");
+const yieldHistory = requireModule("./yield_history");
+const curveFit = requireModule("./curve_fit");
+const forwardRates = requireModule("./forward_rates");
+const datasets = requireModule("./treasury_datasets");
+
+const CHART_MODES = ["curve", "delta", "history"];
+const DELTA_STYLES = ["bars", "line"];
+const DATASET_VIEWS = ["nominal", "real", "bills", "nominal+real", "breakeven"];
+const THEMES = ["dark", "light", "auto", "highContrast"];
+const CURVE_PALETTES = ["standard", "colorblind"];
+const CURVE_STYLES = ["color", "dashes", "markers"];
+const STORAGE_TYPES = ["local", "icloud"];
+const CURVE_FITS = ["none", ...curveFit.FIT_MODELS];
+const CURVE_OVERLAYS = ["zero", "forward"];
+
+// Short names accepted for the curve fit models
+const CURVE_FIT_ALIASES = { ns: "nelsonSiegel", nss: "svensson" };
+
+// Alternative parameter names accepted for convenience
+const KEY_ALIASES = {
+  periods: "spans",
+  tenors: "maturities",
+  chartMode: "mode",
+  vs: "compareTo",
+  scale: "xAxis",
+  series: "history",
+  historyDays: "days",
+  showResiduals: "residuals",
+  overlay: "overlays",
+  colors: "palette",
+  style: "curveStyle",
+  valueLabels: "labels",
+  highlightExtremes: "extremes"
+};
+
+// Parameter for each setting, to check the default settings as if they were a widget parameter
+const SETTING_PARAMETERS = {
+  spans: "spans",
+  showHistorical: "historical",
+  maturities: "maturities",
+  dataset: "dataset",
+  mode: "mode",
+  compareTo: "compareTo",
+  deltaStyle: "deltaStyle",
+  historySeries: "history",
+  historyDays: "days",
+  fit: "fit",
+  showResiduals: "residuals",
+  overlays: "overlays",
+  forwards: "forwards",
+  xAxis: "xAxis",
+  theme: "theme",
+  palette: "palette",
+  curveStyle: "curveStyle",
+  valueLabels: "labels",
+  highlightExtremes: "extremes",
+  storage: "storage"
+};
+
+// Most sparklines the history chart fits
+const MAX_HISTORY_SERIES = 6;
+
+/**
+ * Error raised for a widget parameter that can't be understood
+ * The widget shows its message inline instead of crashing
+ */
+class WidgetConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WidgetConfigError";
+  }
+}
+
+/**
+ * Splits a list value, accepting either an array or a comma separated string
+ * @param {Array|string} value - Raw list value
+ * @returns {Array<string|number>} List items with surrounding whitespace removed
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .split(",")
+    .map(item => item.trim())
+    .filter(item => item !== "" && item.toLowerCase() !== "none");
+}
+
+/**
+ * Parses a boolean value such as true, "yes", "off" or "0"
+ * @param {boolean|string} value - Raw value
+ * @param {string} key - Parameter name, for error messages
+ * @returns {boolean} Parsed value
+ */
+function parseBoolean(value, key) {
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toLowerCase();
+  if (["true", "yes", "on", "1"].includes(text)) return true;
+  if (["false", "no", "off", "0"].includes(text)) return false;
+  throw new WidgetConfigError(`${key} must be true or false, got "${value}"`);
+}
+
+/**
+ * Checks a value against the allowed choices, ignoring case
+ * @param {string} value - Raw value
+ * @param {Array<string>} choices - Allowed values
+ * @param {string} key - Parameter name, for error messages
+ * @returns {string} The matching choice
+ */
+function parseChoice(value, choices, key) {
+  const match = choices.find(choice => choice.toLowerCase() === String(value).trim().toLowerCase());
+  if (!match) {
+    throw new WidgetConfigError(`${key} must be one of ${choices.join(", ")}, got "${value}"`);
+  }
+  return match;
+}
+
+/**
+ * Checks that a comparison span can be parsed
+ * @param {string|number} spec - Span such as "1W", "YTD", "FOMC" or "2024-03-01"
+ * @param {Object} anchors - Anchor dates from the main script (see comparisonSpans.parseSpan)
+ * @throws {WidgetConfigError} When the span is invalid
+ */
+function parseSpanValue(spec, anchors) {
+  try {
+    comparisonSpans.parseSpan(spec, anchors);
+  } catch (error) {
+    throw new WidgetConfigError(error.message);
+  }
+}
+
+/**
+ * Parses the series of the history chart: maturities and named spreads
+ * @param {Array|string} value - Raw list value
+ * @param {Array<string>} knownMaturities - Maturity labels the data source provides
+ * @returns {Array<string>} Maturity labels and spread names
+ */
+function parseHistorySeries(value, knownMaturities) {
+  const choices = [...knownMaturities, ...analytics.SPREADS.map(spread => spread.name)];
+  const series = parseList(value).map(item => parseChoice(item, choices, "history"));
+  if (series.length === 0 || series.length > MAX_HISTORY_SERIES) {
+    throw new WidgetConfigError(`history needs between 1 and ${MAX_HISTORY_SERIES} entries`);
+  }
+  return series;
+}
+
+/**
+ * Parses the forward rates listed in the detail view, e.g. "1y1y,5y5y"
+ * @param {Array|string} value - Raw list value
+ * @returns {Array<string>} Forward rate labels in lower case
+ */
+function parseForwards(value) {
+  try {
+    return parseList(value).map(label => forwardRates.parseForwardLabel(label).label);
+  } catch (error) {
+    throw new WidgetConfigError(error.message);
+  }
+}
+
+/**
+ * Parses the number of business days the history chart covers
+ * @param {number|string} value - Raw value
+ * @returns {number} Business days
+ */
+function parseHistoryDays(value) {
+  const days = Number(String(value).trim());
+  if (!Number.isInteger(days) || days < 5 || days > yieldHistory.MAX_HISTORY_DAYS) {
+    throw new WidgetConfigError(`days must be a whole number from 5 to ${yieldHistory.MAX_HISTORY_DAYS}, got "${value}"`);
+  }
+  return days;
+}
+
+/**
+ * Parses a widget parameter string into raw key/value overrides
+ * JSON objects are used as-is; anything else is read as "key=value;key=value"
+ * @param {string|null} parameter - The widget parameter, e.g. args.widgetParameter
+ * @returns {Object} Raw overrides keyed by parameter name
+ */
+function parseWidgetParameter(parameter) {
+  const text = (parameter || "").trim();
+  if (text === "") return {};
+
+  if (text.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("expected an object");
+      }
+      return parsed;
+    } catch (error) {
+      throw new WidgetConfigError(`Invalid JSON parameter: ${error.message}`);
+    }
+  }
+
+  const overrides = {};
+  for (const pair of text.split(";")) {
+    if (pair.trim() === "") continue;
+    const separator = pair.indexOf("=");
+    if (separator === -1) {
+      throw new WidgetConfigError(`Expected key=value, got "${pair.trim()}"`);
+    }
+    overrides[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  }
+  return overrides;
+}
+
+/**
+ * Validates raw overrides and merges them over the defaults
+ * @param {Object} defaults - Default settings (spans, showHistorical, maturities, dataset, mode, compareTo,
+ *   deltaStyle, historySeries, historyDays, fit, showResiduals, overlays, forwards, xAxis, theme, palette, curveStyle,
+ *   valueLabels, highlightExtremes, storage)
+ * @param {Object} overrides - Raw overrides from parseWidgetParameter
+ * @param {Array<string>} knownMaturities - Maturity labels the data source provides
+ * @param {Object} anchors - Anchor dates the spans may name (see comparisonSpans.parseSpan)
+ * @returns {Object} Complete settings object
+ */
+function mergeWidgetConfig(defaults, overrides, knownMaturities, anchors = {}) {
+  const settings = { ...defaults };
+
+  for (const [rawKey, value] of Object.entries(overrides)) {
+    const key = KEY_ALIASES[rawKey] || rawKey;
+    switch (key) {
+      case "spans":
+        settings.spans = parseList(value);
+        settings.spans.forEach(spec => parseSpanValue(spec, anchors));
+        break;
+      case "historical":
+        settings.showHistorical = parseBoolean(value, key);
+        break;
+      case "maturities":
+        settings.maturities = parseList(value).map(label => parseChoice(label, knownMaturities, key));
+        if (settings.maturities.length < 2) {
+          throw new WidgetConfigError("maturities needs at least two entries to draw a curve");
+        }
+        break;
+      case "dataset":
+        settings.dataset = parseChoice(value, DATASET_VIEWS, key);
+        break;
+      case "mode":
+        settings.mode = parseChoice(value, CHART_MODES, key);
+        break;
+      case "compareTo":
+        settings.compareTo = String(value).trim();
+        parseSpanValue(settings.compareTo, anchors);
+        break;
+      case "deltaStyle":
+        settings.deltaStyle = parseChoice(value, DELTA_STYLES, key);
+        break;
+      case "history":
+        settings.historySeries = parseHistorySeries(value, knownMaturities);
+        break;
+      case "days":
+        settings.historyDays = parseHistoryDays(value);
+        break;
+      case "fit":
+        settings.fit = CURVE_FIT_ALIASES[String(value).trim().toLowerCase()] || parseChoice(value, CURVE_FITS, key);
+        break;
+      case "residuals":
+        settings.showResiduals = parseBoolean(value, key);
+        break;
+      case "overlays":
+        settings.overlays = parseList(value).map(overlay => parseChoice(overlay, CURVE_OVERLAYS, key));
+        break;
+      case "forwards":
+        settings.forwards = parseForwards(value);
+        break;
+      case "xAxis":
+        settings.xAxis = parseChoice(value, tenorAxis.X_AXIS_SCALES, key);
+        break;
+      case "theme":
+        settings.theme = parseChoice(value, THEMES, key);
+        break;
+      case "palette":
+        settings.palette = parseChoice(value, CURVE_PALETTES, key);
+        break;
+      case "curveStyle":
+        settings.curveStyle = parseChoice(value, CURVE_STYLES, key);
+        break;
+      case "labels":
+        settings.valueLabels = parseBoolean(value, key);
+        break;
+      case "extremes":
+        settings.highlightExtremes = parseBoolean(value, key);
+        break;
+      case "storage":
+        settings.storage = parseChoice(value, STORAGE_TYPES, key);
+        break;
+      default:
+        throw new WidgetConfigError(`Unknown parameter "${rawKey}"`);
+    }
+  }
+
+  // The maturities must be ones the dataset quotes, whichever of the two was overridden
+  if (settings.maturities && settings.dataset) {
+    const quoted = datasets.getViewTenorLabels(settings.dataset);
+    const unquoted = settings.maturities.filter(label => !quoted.includes(label));
+    if (unquoted.length > 0) {
+      throw new WidgetConfigError(`maturities ${unquoted.join(", ")} aren't quoted for dataset ${settings.dataset}`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Checks the default settings from the main script as if they were a widget parameter
+ * Settings left null (maturities, compareTo) or missing keep their value
+ * @param {Object} defaults - Default settings (see mergeWidgetConfig)
+ * @param {Array<string>} knownMaturities - Maturity labels the data source provides
+ * @param {Object} anchors - Anchor dates the spans may name (see comparisonSpans.parseSpan)
+ * @returns {Object} The defaults, with choices in their canonical spelling
+ * @throws {WidgetConfigError} When a default has an invalid value
+ */
+function resolveDefaultSettings(defaults, knownMaturities, anchors = {}) {
+  const overrides = {};
+  for (const [key, parameter] of Object.entries(SETTING_PARAMETERS)) {
+    if (defaults[key] !== undefined && defaults[key] !== null) {
+      overrides[parameter] = defaults[key];
+    }
+  }
+  try {
+    return mergeWidgetConfig(defaults, overrides, knownMaturities, anchors);
+  } catch (error) {
+    if (error instanceof WidgetConfigError) {
+      throw new WidgetConfigError(`Invalid default setting: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds the settings for this widget instance from its parameter string
+ * @param {string|null} parameter - The widget parameter, e.g. args.widgetParameter
+ * @param {Object} defaults - Default settings
+ * @param {Array<string>} knownMaturities - Maturity labels the data source provides
+ * @param {Object} anchors - Anchor dates the spans may name (see comparisonSpans.parseSpan)
+ * @returns {Object} Complete settings object
+ * @throws {WidgetConfigError} When the parameter is malformed or has invalid values
+ */
+function resolveWidgetConfig(parameter, defaults, knownMaturities, anchors = {}) {
+  return mergeWidgetConfig(defaults, parseWidgetParameter(parameter), knownMaturities, anchors);
+}
+
+module.exports = {
+  CHART_MODES,
+  DELTA_STYLES,
+  MAX_HISTORY_SERIES,
+  DATASET_VIEWS,
+  THEMES,
+  CURVE_PALETTES,
+  CURVE_STYLES,
+  STORAGE_TYPES,
+  CURVE_FITS,
+  CURVE_OVERLAYS,
+  WidgetConfigError,
+  parseWidgetParameter,
+  mergeWidgetConfig,
+  resolveDefaultSettings,
+  resolveWidgetConfig
+};
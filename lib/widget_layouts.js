@@ -0,0 +1,381 @@
+// Widget layouts for each widget family, and the entry points the main script calls
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const runtime = requireModule("./widget_runtime");
+const widgetConfig = requireModule("./widget_config");
+const datasets = requireModule("./treasury_datasets");
+const analytics = requireModule("./curve_analytics");
+const publicationSchedule = requireModule("./publication_schedule");
+const treasuryData = requireModule("./treasury_data");
+const chartScene = requireModule("./chart_scene");
+const yieldChart = requireModule("./yield_chart");
+const alertNotifier = requireModule("./alert_notifier");
+const feedFetcher = requireModule("./feed_fetcher");
+
+/**
+ * Looks up the yield for a maturity in a curve
+ * @param {Object|null} data - Yield data object with a yieldData array
+ * @param {string} label - Maturity label, e.g. "10Y"
+ * @returns {number|null} Yield in percent, or null if the maturity is missing
+ */
+function findYield(data, label) {
+  const point = data && data.yieldData.find(p => p.label === label);
+  return point ? point.yield : null;
+}
+
+/**
+ * Formats the date line of the small and accessory widgets
+ * @param {Object} currentData - Current yield data object
+ * @returns {string} Curve date, "as of" for the last known curve, with the overdue note when stale
+ */
+function formatDateLine(currentData) {
+  const dateText = currentData.asOf ? `as of ${currentData.date}` : currentData.date;
+  return currentData.stale ? `${dateText} • ${chartScene.STALE_DATA_NOTE}` : dateText;
+}
+
+/**
+ * Creates a text-only widget for error states
+ * @param {string} message - Message shown under the title
+ * @returns {ListWidget} Widget displaying the message
+ */
+function createMessageWidget(message) {
+  const theme = runtime.getTheme();
+  const widget = new ListWidget();
+  widget.backgroundColor = new Color(theme.background);
+
+  widget.addSpacer(20);
+  const titleText = widget.addText("US Treasury Yield Curve");
+  titleText.font = Font.boldSystemFont(16);
+  titleText.textColor = new Color(theme.title);
+  titleText.centerAlignText();
+
+  widget.addSpacer(10);
+  const errorText = widget.addText(message);
+  errorText.font = Font.systemFont(12);
+  errorText.textColor = new Color(theme.error);
+  errorText.centerAlignText();
+
+  widget.addSpacer(20);
+  return widget;
+}
+
+/**
+ * Creates the medium widget: the full chart with historical curves
+ * @param {Object} allData - Current and historical yield data
+ * @returns {ListWidget} Medium widget
+ */
+function createMediumWidget(allData) {
+  const widget = new ListWidget();
+  widget.backgroundColor = new Color(runtime.getTheme().background);
+
+  // Create and add chart image
+  const chartImage = yieldChart.createYieldCurveChart(allData, null, runtime.getOptions().chartSizes.medium);
+  const imageWidget = widget.addImage(chartImage);
+  imageWidget.centerAlignImage();
+
+  return widget;
+}
+
+/**
+ * Creates the small widget: the 2s10s spread as a headline with a sparkline of the current curve
+ * @param {Object} currentData - Current yield data
+ * @param {Object|null} previousData - Previous business day's yield data
+ * @returns {ListWidget} Small widget
+ */
+function createSmallWidget(currentData, previousData) {
+  const theme = runtime.getTheme();
+  const widget = new ListWidget();
+  widget.backgroundColor = new Color(theme.background);
+
+  const titleText = widget.addText("2s10s spread");
+  titleText.font = Font.semiboldSystemFont(12);
+  titleText.textColor = new Color(theme.text);
+
+  const spread = analytics.computeSpread(currentData.yieldData, "2Y", "10Y");
+
+  // Inverted curve (negative spread) is flagged in the error color
+  const spreadText = widget.addText(spread !== null ? analytics.formatBasisPoints(spread) : "—");
+  spreadText.font = Font.boldSystemFont(26);
+  spreadText.textColor = new Color(spread !== null && spread < 0 ? theme.error : theme.title);
+  spreadText.minimumScaleFactor = 0.6;
+
+  const previousSpread = previousData ? analytics.computeSpread(previousData.yieldData, "2Y", "10Y") : null;
+  if (spread !== null && previousSpread !== null) {
+    const change = spread - previousSpread;
+    const changeText = widget.addText(`${analytics.formatBasisPoints(change)} 1D`);
+    changeText.font = Font.systemFont(11);
+    changeText.textColor = yieldChart.getChangeColor(theme, change);
+  }
+
+  widget.addSpacer();
+  const sparklineSize = runtime.getOptions().sparklineSize;
+  const sparkline = yieldChart.createSparklineImage(currentData.yieldData.map(d => d.yield), sparklineSize, chartScene.getCurvePalette(runtime.getSettings().palette).current);
+  const sparklineImage = widget.addImage(sparkline);
+  sparklineImage.imageSize = new Size(sparklineSize.width, sparklineSize.height);
+
+  widget.addSpacer(4);
+  const dateText = widget.addText(formatDateLine(currentData));
+  dateText.font = Font.systemFont(9);
+  dateText.textColor = new Color(currentData.stale ? theme.error : theme.text);
+
+  return widget;
+}
+
+/**
+ * Adds one text cell of fixed width to a table row
+ * @param {WidgetStack} row - Row stack
+ * @param {string} text - Cell text
+ * @param {number} width - Cell width in points
+ * @param {Font} font - Cell font
+ * @param {Color} color - Text color
+ */
+function addTableCell(row, text, width, font, color) {
+  const cell = row.addStack();
+  cell.size = new Size(width, 0);
+  const cellText = cell.addText(text);
+  cellText.font = font;
+  cellText.textColor = color;
+  cellText.lineLimit = 1;
+}
+
+/**
+ * Adds a table of yields and day-over-day changes, split over two columns
+ * @param {ListWidget} widget - Widget to add the table to
+ * @param {Object} currentData - Current yield data
+ * @param {Object|null} previousData - Previous business day's yield data
+ * @param {Object} theme - Entry from THEMES
+ */
+function addYieldTable(widget, currentData, previousData, theme) {
+  const table = widget.addStack();
+  table.layoutHorizontally();
+
+  const points = currentData.yieldData;
+  const changes = new Map(previousData
+    ? analytics.computeTenorChanges(points, previousData.yieldData).map(change => [change.label, change.bp])
+    : []);
+  const rowsPerColumn = Math.ceil(points.length / 2);
+  const font = Font.systemFont(11);
+  const headerFont = Font.semiboldSystemFont(10);
+
+  for (let column = 0; column < 2; column++) {
+    if (column > 0) table.addSpacer();
+    const columnStack = table.addStack();
+    columnStack.layoutVertically();
+    columnStack.spacing = 2;
+
+    const header = columnStack.addStack();
+    addTableCell(header, "Tenor", 40, headerFont, new Color(theme.text));
+    addTableCell(header, "Yield", 52, headerFont, new Color(theme.text));
+    addTableCell(header, "1D", 52, headerFont, new Color(theme.text));
+
+    for (const point of points.slice(column * rowsPerColumn, (column + 1) * rowsPerColumn)) {
+      const change = changes.has(point.label) ? changes.get(point.label) : null;
+
+      const row = columnStack.addStack();
+      addTableCell(row, point.label, 40, font, new Color(theme.title));
+      addTableCell(row, `${point.yield.toFixed(2)}%`, 52, font, new Color(theme.title));
+      addTableCell(row, change !== null ? analytics.formatBasisPoints(change) : "—", 52, font, yieldChart.getChangeColor(theme, change));
+    }
+  }
+}
+
+/**
+ * Creates the large (or extra large) widget: the chart plus a table of yields and 1-day changes
+ * @param {Object} allData - Current and historical yield data
+ * @param {Object|null} previousData - Previous business day's yield data
+ * @param {Object} chartSize - Chart image size for this family
+ * @returns {ListWidget} Large widget
+ */
+function createLargeWidget(allData, previousData, chartSize) {
+  const theme = runtime.getTheme();
+  const widget = new ListWidget();
+  widget.backgroundColor = new Color(theme.background);
+
+  const chartImage = widget.addImage(yieldChart.createYieldCurveChart(allData, null, chartSize));
+  chartImage.centerAlignImage();
+
+  widget.addSpacer(8);
+  addYieldTable(widget, allData.current, previousData, theme);
+  widget.addSpacer();
+
+  return widget;
+}
+
+/**
+ * Creates a lock-screen accessory widget showing the 10Y yield and its 1-day change
+ * Accessory widgets are tinted by the system, so only font weight carries emphasis
+ * @param {string} family - accessoryCircular, accessoryRectangular or accessoryInline
+ * @param {Object} currentData - Current yield data
+ * @param {Object|null} previousData - Previous business day's yield data
+ * @returns {ListWidget} Accessory widget
+ */
+function createAccessoryWidget(family, currentData, previousData) {
+  const widget = new ListWidget();
+  const tenYear = findYield(currentData, "10Y");
+  const previousTenYear = findYield(previousData, "10Y");
+  const change = tenYear !== null && previousTenYear !== null ? analytics.toBasisPoints(tenYear - previousTenYear) : null;
+  const yieldText = tenYear !== null ? tenYear.toFixed(2) : "—";
+  const changeText = change !== null ? analytics.formatBasisPoints(change) : "";
+
+  if (family === "accessoryInline") {
+    widget.addText(`10Y ${yieldText}% ${changeText}`.trim());
+    return widget;
+  }
+
+  if (family === "accessoryCircular") {
+    widget.addAccessoryWidgetBackground = true;
+    const labelText = widget.addText("10Y");
+    labelText.font = Font.systemFont(10);
+    labelText.centerAlignText();
+    const valueText = widget.addText(yieldText);
+    valueText.font = Font.boldSystemFont(15);
+    valueText.minimumScaleFactor = 0.6;
+    valueText.centerAlignText();
+    const changeLine = widget.addText(change !== null ? analytics.formatBasisPoints(change, false) : "");
+    changeLine.font = Font.systemFont(10);
+    changeLine.centerAlignText();
+    return widget;
+  }
+
+  // accessoryRectangular
+  const titleText = widget.addText("10Y Treasury");
+  titleText.font = Font.semiboldSystemFont(13);
+  const valueText = widget.addText(`${yieldText}%  ${changeText}`.trim());
+  valueText.font = Font.boldSystemFont(17);
+  valueText.minimumScaleFactor = 0.7;
+  const dateText = widget.addText(formatDateLine(currentData));
+  dateText.font = Font.systemFont(11);
+  return widget;
+}
+
+/**
+ * Main function that creates and configures the Scriptable widget
+ * Orchestrates data fetching, checks the alert rules, picks the layout for the widget family,
+ * and schedules the next refresh for when Treasury is expected to post a new curve; without
+ * a curve it names the download failure, e.g. "Treasury feed changed"
+ * @param {string} family - Widget family (config.widgetFamily), e.g. "small" or "accessoryInline"
+ * @returns {ListWidget} Configured widget ready for display
+ */
+async function createWidget(family) {
+  // Only the chart layouts draw historical curves; the delta chart always needs its comparison
+  // curve and the history chart its history
+  const showsChart = family === "medium" || family === "large" || family === "extraLarge";
+  const settings = runtime.getSettings();
+  const allData = await treasuryData.fetchAllYieldData(showsChart && (settings.showHistorical || settings.mode !== "curve"));
+
+  const hasData = allData.current && allData.current.yieldData && allData.current.yieldData.length > 0;
+  if (hasData) {
+    await alertNotifier.checkAlerts();
+  }
+  const widget = hasData
+    ? await layoutWidget(family, allData)
+    : createMessageWidget(feedFetcher.describeFeedError(treasuryData.getFeedError()) || "Unable to fetch current data");
+  widget.refreshAfterDate = publicationSchedule.getRefreshDate(hasData ? allData.current.date : null, runtime.now());
+  return widget;
+}
+
+/**
+ * Lays out the widget for a family from the fetched data
+ * @param {string} family - Widget family
+ * @param {Object} allData - Current and historical yield data, with a current curve
+ * @returns {ListWidget} Widget for the family
+ */
+async function layoutWidget(family, allData) {
+  if (family === "medium") {
+    return createMediumWidget(allData);
+  }
+
+  const previousData = await treasuryData.fetchPreviousDayData(allData.current);
+  switch (family) {
+    case "small":
+      return createSmallWidget(allData.current, previousData);
+    case "large":
+    case "extraLarge":
+      return createLargeWidget(allData, previousData, runtime.getOptions().chartSizes[family]);
+    case "accessoryCircular":
+    case "accessoryRectangular":
+    case "accessoryInline":
+      return createAccessoryWidget(family, allData.current, previousData);
+    default:
+      return createMediumWidget(allData);
+  }
+}
+
+/**
+ * Applies a widget parameter over the defaults for this run
+ * @param {string|null} parameter - Widget parameter string
+ * @returns {string|null} Message for a malformed parameter, null when the settings were applied
+ */
+function applyWidgetParameter(parameter) {
+  try {
+    const { defaults, anchors } = runtime.getOptions();
+    runtime.setSettings(widgetConfig.resolveWidgetConfig(parameter, defaults, datasets.getAllTenorLabels(), anchors));
+    return null;
+  } catch (error) {
+    if (error instanceof widgetConfig.WidgetConfigError) {
+      console.error("Invalid widget parameter:", error);
+      return `Invalid parameter: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds the URL that runs this script in the app, where it opens the detail view
+ * The widget parameter travels along so the detail view uses the same settings
+ * @param {string|null} parameter - Widget parameter string
+ * @returns {string} scriptable:// URL
+ */
+function getDetailViewUrl(parameter) {
+  const url = `scriptable:///run/${encodeURIComponent(Script.name())}`;
+  return parameter ? `${url}?parameter=${encodeURIComponent(parameter)}` : url;
+}
+
+/**
+ * Builds the widget for this run, applying the widget parameter over the defaults
+ * A malformed parameter is reported on the widget itself rather than crashing the script
+ * @param {string|null} parameter - Widget parameter string (args.widgetParameter)
+ * @param {string} family - Widget family to lay out
+ * @returns {ListWidget} Widget ready for display
+ */
+async function createConfiguredWidget(parameter, family) {
+  const errorMessage = applyWidgetParameter(parameter);
+  const widget = errorMessage ? createMessageWidget(errorMessage) : await createWidget(family);
+  // Tapping the widget opens the detail view instead of re-running the widget
+  widget.url = getDetailViewUrl(parameter);
+  return widget;
+}
+
+/**
+ * Presents a widget preview inside the app at the size of its family
+ * Lock-screen accessories have no preview of their own and are shown at small size
+ * @param {ListWidget} widget - Widget to preview
+ * @param {string} family - Widget family it was laid out for
+ */
+async function presentPreview(widget, family) {
+  switch (family) {
+    case "large":
+      return await widget.presentLarge();
+    case "extraLarge":
+      return await widget.presentExtraLarge();
+    case "medium":
+      return await widget.presentMedium();
+    default:
+      return await widget.presentSmall();
+  }
+}
+
+module.exports = {
+  findYield,
+  createMessageWidget,
+  createMediumWidget,
+  createSmallWidget,
+  createLargeWidget,
+  createAccessoryWidget,
+  createWidget,
+  layoutWidget,
+  applyWidgetParameter,
+  getDetailViewUrl,
+  createConfiguredWidget,
+  presentPreview
+};
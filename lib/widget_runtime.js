@@ -0,0 +1,114 @@
+// State shared by the widget modules during one run
+// The main script passes in its configuration constants once; the settings for this
+// widget instance are replaced when the widget parameter has been parsed
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const widgetConfig = requireModule("./widget_config");
+const datasets = requireModule("./treasury_datasets");
+
+let options = null;
+let settings = null;
+
+/**
+ * Sets the configuration for this run, from the constants at the top of the main script
+ * @param {Object} runOptions - Configuration
+ * @param {Object} runOptions.chartSizes - Chart image size per widget family
+ * @param {Object} runOptions.sparklineSize - Sparkline image size in the small widget
+ * @param {Object} runOptions.chartTextMargins - Space around the plot area (top, bottom, left)
+ * @param {Object} runOptions.themes - Color themes keyed by name
+ * @param {Object} runOptions.defaults - Default settings for every widget instance
+ * @param {Object} runOptions.cacheLimits - Cache limits (see lib/yield_cache.js)
+ * @param {Object} runOptions.fetchOptions - Download timeout, retries and backoff (see lib/feed_fetcher.js)
+ * @param {string|null} runOptions.exportDirectory - Documents subfolder for exports, null for the share sheet
+ * @param {Array<Object>} runOptions.alertRules - Alert rules checked at each widget refresh (see lib/yield_alerts.js)
+ * @param {Object} runOptions.anchors - FOMC meetings and named dates comparison spans can name
+ *   (see lib/comparison_spans.js)
+ * @param {Function} runOptions.now - Clock, returns the current Date; lets tests pin the time
+ * @throws {WidgetConfigError} When a default setting has an invalid value, e.g. a misspelled dataset
+ */
+function configure(runOptions) {
+  const defaults = widgetConfig.resolveDefaultSettings(runOptions.defaults || {}, datasets.getAllTenorLabels(), runOptions.anchors);
+  options = { now: () => new Date(), ...runOptions, defaults };
+  settings = { ...defaults };
+}
+
+/**
+ * Returns the configuration passed to configure
+ * @returns {Object} Configuration
+ * @throws {Error} When configure hasn't been called
+ */
+function getOptions() {
+  if (!options) {
+    throw new Error("The widget runtime isn't configured; call configure() first");
+  }
+  return options;
+}
+
+/**
+ * Returns the settings of this widget instance
+ * @returns {Object} Settings (spans, showHistorical, maturities, dataset, mode, ...)
+ */
+function getSettings() {
+  getOptions();
+  return settings;
+}
+
+/**
+ * Replaces the settings of this widget instance
+ * @param {Object} newSettings - Complete settings, as returned by resolveWidgetConfig
+ */
+function setSettings(newSettings) {
+  settings = newSettings;
+}
+
+// Theme settings that follow the device's appearance, with the theme used in dark and light mode
+const APPEARANCE_THEMES = {
+  auto: { dark: "dark", light: "light" },
+  highContrast: { dark: "highContrastDark", light: "highContrastLight" }
+};
+
+/**
+ * Tells whether the device is in dark mode
+ * Outside Scriptable (e.g. rendering SVG under Node) there is no device, and dark is assumed
+ * @returns {boolean} True in dark mode
+ */
+function isUsingDarkAppearance() {
+  return typeof Device === "undefined" || Device.isUsingDarkAppearance();
+}
+
+/**
+ * Resolves a theme setting to the name of a theme in the configuration
+ * @param {string} name - Theme setting, e.g. "auto", "highContrast" or "light"
+ * @returns {string} Theme name, e.g. "highContrastDark" for "highContrast" in dark mode
+ */
+function resolveThemeName(name) {
+  const variants = APPEARANCE_THEMES[name];
+  return variants ? variants[isUsingDarkAppearance() ? "dark" : "light"] : name;
+}
+
+/**
+ * Returns the colors of the configured theme, following the device's appearance for
+ * "auto" and "highContrast"
+ * @returns {Object} Theme colors
+ */
+function getTheme() {
+  return getOptions().themes[resolveThemeName(getSettings().theme)];
+}
+
+/**
+ * Returns the current time from the configured clock
+ * @returns {Date} Current time
+ */
+function now() {
+  return getOptions().now();
+}
+
+module.exports = {
+  configure,
+  getOptions,
+  getSettings,
+  setSettings,
+  resolveThemeName,
+  getTheme,
+  now
+};
@@ -0,0 +1,290 @@
+// Alert rules: notable day-over-day moves of the curve, such as a spread changing sign,
+// a yield crossing a level or a maturity moving more than a number of basis points
+// Rules are checked against the previous business day's curve; a small state file next to
+// the yield cache remembers the curve date each rule last fired for, so refreshes of the same
+// data don't repeat an alert
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const analytics = requireModule("./curve_analytics");
+const datasets = requireModule("./treasury_datasets");
+
+const ALERT_STATE_FILE = "treasury_alert_state.json";
+
+// Bump when the stored state format changes; other versions start from an empty state
+const ALERT_STATE_SCHEMA_VERSION = 1;
+
+const RULE_TYPES = ["spreadFlip", "level", "move"];
+const LEVEL_DIRECTIONS = ["above", "below", "either"];
+
+/**
+ * Error for an alert rule that can't be checked
+ */
+class AlertRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AlertRuleError";
+  }
+}
+
+/**
+ * Checks an alert rule from the configuration and fills in its defaults
+ * Rules are { type: "spreadFlip", spread }, { type: "level", tenor, level, direction }
+ * or { type: "move", bp, tenor }, each with an optional dataset (default "nominal") and id
+ * The maturities a rule names, also through its spread, must be ones its dataset quotes
+ * @param {Object} rule - Rule as configured
+ * @returns {Object} Rule with dataset, id and, for level rules, direction set
+ * @throws {AlertRuleError} For an unknown type, dataset, spread or maturity, or a missing threshold
+ */
+function normalizeRule(rule) {
+  if (!rule || !RULE_TYPES.includes(rule.type)) {
+    throw new AlertRuleError(`Unknown alert rule type "${rule && rule.type}", expected one of ${RULE_TYPES.join(", ")}`);
+  }
+  const dataset = rule.dataset || "nominal";
+  let tenorLabels;
+  try {
+    tenorLabels = datasets.getViewTenorLabels(dataset);
+  } catch (error) {
+    throw new AlertRuleError(`Unknown dataset "${dataset}" in ${rule.type} alert rule`);
+  }
+  const checkTenor = tenor => {
+    if (!tenorLabels.includes(tenor)) {
+      throw new AlertRuleError(`Unknown maturity "${tenor}" in ${rule.type} alert rule for dataset ${dataset}`);
+    }
+  };
+
+  let normalized;
+  switch (rule.type) {
+    case "spreadFlip": {
+      const definition = analytics.SPREADS.find(spread => spread.name === rule.spread);
+      if (!definition) {
+        throw new AlertRuleError(`Unknown spread "${rule.spread}", expected one of ${analytics.SPREADS.map(spread => spread.name).join(", ")}`);
+      }
+      checkTenor(definition.short);
+      checkTenor(definition.long);
+      normalized = { type: rule.type, spread: rule.spread };
+      break;
+    }
+    case "level": {
+      checkTenor(rule.tenor);
+      if (typeof rule.level !== "number" || !isFinite(rule.level)) {
+        throw new AlertRuleError(`Level alert rule for ${rule.tenor} needs a level in percent`);
+      }
+      const direction = rule.direction || "either";
+      if (!LEVEL_DIRECTIONS.includes(direction)) {
+        throw new AlertRuleError(`Unknown direction "${direction}", expected one of ${LEVEL_DIRECTIONS.join(", ")}`);
+      }
+      normalized = { type: rule.type, tenor: rule.tenor, level: rule.level, direction };
+      break;
+    }
+    case "move":
+      if (rule.tenor !== undefined && rule.tenor !== null) {
+        checkTenor(rule.tenor);
+      }
+      if (typeof rule.bp !== "number" || !(rule.bp > 0)) {
+        throw new AlertRuleError("Move alert rule needs a positive bp threshold");
+      }
+      normalized = { type: rule.type, tenor: rule.tenor || null, bp: rule.bp };
+      break;
+  }
+
+  normalized.dataset = dataset;
+  normalized.id = rule.id || getRuleId(normalized);
+  return normalized;
+}
+
+/**
+ * Builds the id a rule's state is stored under when the configuration doesn't name it
+ * @param {Object} rule - Normalized rule
+ * @returns {string} Id such as "nominal:level:10Y:4.5:either"
+ */
+function getRuleId(rule) {
+  switch (rule.type) {
+    case "spreadFlip":
+      return `${rule.dataset}:spreadFlip:${rule.spread}`;
+    case "level":
+      return `${rule.dataset}:level:${rule.tenor}:${rule.level}:${rule.direction}`;
+    default:
+      return `${rule.dataset}:move:${rule.tenor || "any"}:${rule.bp}`;
+  }
+}
+
+/**
+ * Checks the configured rules, leaving out (and logging) the ones that can't be checked
+ * @param {Array<Object>} rules - Rules as configured
+ * @returns {Array<Object>} Normalized rules
+ */
+function normalizeRules(rules) {
+  const normalized = [];
+  for (const rule of rules) {
+    try {
+      normalized.push(normalizeRule(rule));
+    } catch (error) {
+      if (!(error instanceof AlertRuleError)) throw error;
+      console.error("Ignoring alert rule:", error);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Checks one rule against the current and previous business day's curves
+ * @param {Object} rule - Normalized rule
+ * @param {Object} current - Current yield data with date and yieldData
+ * @param {Object} previous - Previous business day's yield data
+ * @returns {Object|null} Alert as { rule, title, body }, or null when the rule doesn't fire
+ */
+function evaluateRule(rule, current, previous) {
+  switch (rule.type) {
+    case "spreadFlip": {
+      const definition = analytics.SPREADS.find(spread => spread.name === rule.spread);
+      const now = analytics.computeSpread(current.yieldData, definition.short, definition.long);
+      const before = analytics.computeSpread(previous.yieldData, definition.short, definition.long);
+      if (now === null || before === null || (now < 0) === (before < 0)) return null;
+      return {
+        rule,
+        title: now < 0 ? `${rule.spread} spread inverted` : `${rule.spread} spread no longer inverted`,
+        body: `${rule.spread} went from ${analytics.formatBasisPoints(before)} to ${analytics.formatBasisPoints(now)} on ${current.date}`
+      };
+    }
+    case "level": {
+      const now = analytics.getYield(current.yieldData, rule.tenor);
+      const before = analytics.getYield(previous.yieldData, rule.tenor);
+      if (now === null || before === null) return null;
+      const rose = before < rule.level && now >= rule.level;
+      const fell = before > rule.level && now <= rule.level;
+      if (!(rose && rule.direction !== "below") && !(fell && rule.direction !== "above")) return null;
+      return {
+        rule,
+        title: `${rule.tenor} yield ${rose ? "rose above" : "fell below"} ${rule.level.toFixed(2)}%`,
+        body: `${rule.tenor} at ${now.toFixed(2)}% on ${current.date}, from ${before.toFixed(2)}% the business day before`
+      };
+    }
+    case "move": {
+      const moves = analytics.computeTenorChanges(current.yieldData, previous.yieldData)
+        .filter(change => (!rule.tenor || change.label === rule.tenor) && Math.abs(change.bp) >= rule.bp);
+      if (moves.length === 0) return null;
+      const list = moves.map(change => `${change.label} ${analytics.formatBasisPoints(change.bp)}`).join(", ");
+      return {
+        rule,
+        title: moves.length === 1
+          ? `${moves[0].label} yield moved ${analytics.formatBasisPoints(moves[0].bp)}`
+          : `${moves.length} maturities moved ${rule.bp} bp or more`,
+        body: `${list} on ${current.date}`
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks every rule against the current and previous business day's curves
+ * @param {Array<Object>} rules - Normalized rules
+ * @param {Object} current - Current yield data
+ * @param {Object} previous - Previous business day's yield data
+ * @returns {Array<Object>} Alerts of the rules that fire, in rule order
+ */
+function evaluateRules(rules, current, previous) {
+  return rules.map(rule => evaluateRule(rule, current, previous)).filter(alert => alert !== null);
+}
+
+/**
+ * Tells whether a rule already fired for a curve date (or a later one)
+ * @param {Object} state - Alert state
+ * @param {Object} rule - Normalized rule
+ * @param {string} date - Curve date (YYYY-MM-DD)
+ * @returns {boolean} True when the alert shouldn't be repeated
+ */
+function hasFired(state, rule, date) {
+  const entry = state.fired[rule.id];
+  return Boolean(entry) && entry.date >= date;
+}
+
+/**
+ * Records that an alert fired for a curve date
+ * @param {Object} state - Alert state
+ * @param {Object} alert - Alert from evaluateRules
+ * @param {string} date - Curve date (YYYY-MM-DD)
+ * @param {Date} firedAt - Time the notification was posted
+ * @returns {Object} New alert state
+ */
+function recordAlert(state, alert, date, firedAt) {
+  return {
+    ...state,
+    fired: { ...state.fired, [alert.rule.id]: { date, firedAt: firedAt.toISOString(), title: alert.title } }
+  };
+}
+
+/**
+ * Creates an empty alert state
+ * @returns {Object} { schemaVersion, fired: {} }
+ */
+function createEmptyState() {
+  return { schemaVersion: ALERT_STATE_SCHEMA_VERSION, fired: {} };
+}
+
+/**
+ * Creates an alert state store over a Scriptable FileManager (or anything with the same methods)
+ * @param {FileManager} fm - File manager to store the state with
+ * @param {Object} options - Options
+ * @param {string} options.directory - Directory of the state file, defaults to the documents directory
+ * @returns {Object} Store with load, save and clear methods
+ */
+function createAlertStateStore(fm, { directory = fm.documentsDirectory() } = {}) {
+  const path = fm.joinPath(directory, ALERT_STATE_FILE);
+
+  /**
+   * Reads the stored state
+   * @returns {Object} State, empty when missing, outdated or unreadable
+   */
+  function load() {
+    if (!fm.fileExists(path)) {
+      return createEmptyState();
+    }
+    try {
+      const state = JSON.parse(fm.readString(path));
+      return state.schemaVersion === ALERT_STATE_SCHEMA_VERSION ? state : createEmptyState();
+    } catch (error) {
+      console.warn(`Ignoring unreadable alert state: ${error.message}`);
+      return createEmptyState();
+    }
+  }
+
+  /**
+   * Stores the state
+   * @param {Object} state - State from recordAlert
+   */
+  function save(state) {
+    fm.writeString(path, JSON.stringify(state));
+  }
+
+  /**
+   * Removes the state file
+   * @returns {number} Number of files removed
+   */
+  function clear() {
+    if (!fm.fileExists(path)) {
+      return 0;
+    }
+    fm.remove(path);
+    return 1;
+  }
+
+  return { load, save, clear };
+}
+
+module.exports = {
+  ALERT_STATE_FILE,
+  ALERT_STATE_SCHEMA_VERSION,
+  RULE_TYPES,
+  AlertRuleError,
+  normalizeRule,
+  normalizeRules,
+  getRuleId,
+  evaluateRule,
+  evaluateRules,
+  hasFired,
+  recordAlert,
+  createEmptyState,
+  createAlertStateStore
+};
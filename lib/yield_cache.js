@@ -0,0 +1,293 @@
+// Per-date yield curve cache with a manifest
+// Every data file the widget writes is recorded in the manifest with its dataset,
+// retrieval time, source and its URL and schema version, so the cache can be listed,
+// pruned and cleared without guessing which files belong to the widget
+
+const MANIFEST_FILE = "treasury_cache_manifest.json";
+
+// Bump when the stored data format changes; entries written with another version
+// (and data files the manifest doesn't know) are treated as misses and replaced
+const CACHE_SCHEMA_VERSION = 1;
+
+const DEFAULT_LIMITS = {
+  maxAgeDays: 45, // Entries not used for this long are pruned
+  maxBytes: 2 * 1024 * 1024, // Least recently used entries are pruned beyond this total
+  provisionalMaxAgeHours: 1 // How long a curve not yet published for its date is served
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Builds the data file name for a dataset and date
+ * @param {string} namespace - Dataset cache namespace, e.g. "treasury_yield_cache"
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {string} File name such as "treasury_yield_cache_20240705.json"
+ */
+function getCacheFileName(namespace, dateString) {
+  return `${namespace}_${dateString.replace(/-/g, "")}.json`;
+}
+
+/**
+ * Tells whether a cached entry can still be served
+ * Final entries hold the curve published for their date and never change. A provisional
+ * entry was stored before Treasury posted its date (it holds an earlier curve) and is
+ * only served for a short while, so the new day's data is picked up once posted.
+ * @param {Object} entry - Manifest entry
+ * @param {Date} now - Current time
+ * @param {Object} limits - Cache limits
+ * @returns {boolean} True when the entry can be served
+ */
+function isEntryServable(entry, now, limits) {
+  if (entry.schemaVersion !== CACHE_SCHEMA_VERSION) return false;
+  if (entry.final) return true;
+  return now.getTime() - Date.parse(entry.retrievedAt) < limits.provisionalMaxAgeHours * HOUR_MS;
+}
+
+/**
+ * Creates a cache over a Scriptable FileManager (or anything with the same methods)
+ * @param {FileManager} fm - File manager to store files with
+ * @param {Object} options - Options
+ * @param {Array<string>} options.namespaces - Cache namespaces of every dataset; files
+ *   named "<namespace>_YYYYMMDD.json" in the directory belong to the widget
+ * @param {string} options.directory - Directory for the cache files, defaults to the documents directory
+ * @param {Object} options.limits - Overrides of DEFAULT_LIMITS
+ * @param {Function} options.now - Clock, returns the current Date
+ * @returns {Object} Cache with get, getLatest, set, remove, clear, prune and list methods
+ */
+function createYieldCache(fm, { namespaces, directory = fm.documentsDirectory(), limits = {}, now = () => new Date() }) {
+  const settings = { ...DEFAULT_LIMITS, ...limits };
+  const manifestPath = fm.joinPath(directory, MANIFEST_FILE);
+  const ownedFilePattern = new RegExp(`^(${namespaces.join("|")})_\\d{8}\\.json$`);
+  let manifest = null;
+
+  function loadManifest() {
+    if (manifest) return manifest;
+    manifest = { schemaVersion: CACHE_SCHEMA_VERSION, entries: {} };
+    if (fm.fileExists(manifestPath)) {
+      try {
+        const stored = JSON.parse(fm.readString(manifestPath));
+        if (stored && stored.entries) {
+          manifest.entries = stored.entries;
+        }
+      } catch (error) {
+        // A damaged manifest only costs re-downloads: its files become untracked and are replaced
+        console.warn(`Ignoring unreadable cache manifest: ${error.message}`);
+      }
+    }
+    return manifest;
+  }
+
+  function saveManifest() {
+    fm.writeString(manifestPath, JSON.stringify(loadManifest()));
+  }
+
+  function removeFile(fileName) {
+    const path = fm.joinPath(directory, fileName);
+    if (fm.fileExists(path)) {
+      fm.remove(path);
+    }
+    delete loadManifest().entries[fileName];
+  }
+
+  /**
+   * Reads a cached curve
+   * @param {string} namespace - Dataset cache namespace
+   * @param {string} dateString - Requested date (YYYY-MM-DD)
+   * @returns {Object|null} { data, entry }, or null when missing, outdated or unreadable
+   */
+  function get(namespace, dateString) {
+    const fileName = getCacheFileName(namespace, dateString);
+    const entry = loadManifest().entries[fileName];
+    const path = fm.joinPath(directory, fileName);
+    if (!entry || !isEntryServable(entry, now(), settings) || !fm.fileExists(path)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(fm.readString(path));
+      entry.lastUsedAt = now().toISOString();
+      saveManifest();
+      return { data, entry };
+    } catch (error) {
+      console.error(`Removing unreadable cache file ${fileName}:`, error);
+      removeFile(fileName);
+      saveManifest();
+      return null;
+    }
+  }
+
+  /**
+   * Reads the newest curve cached for a dataset, whatever date it was stored for
+   * Provisional entries count too: they hold a published curve, just not the one for their date
+   * @param {string} namespace - Dataset cache namespace
+   * @returns {Object|null} { data, entry } of the entry with the latest curve date, or null when
+   *   nothing readable is cached
+   */
+  function getLatest(namespace) {
+    const candidates = Object.entries(loadManifest().entries)
+      .filter(([fileName, entry]) => fileName === getCacheFileName(namespace, entry.date) && entry.schemaVersion === CACHE_SCHEMA_VERSION)
+      .sort(([, a], [, b]) => b.dataDate.localeCompare(a.dataDate) || Date.parse(b.retrievedAt) - Date.parse(a.retrievedAt));
+
+    for (const [fileName, entry] of candidates) {
+      const path = fm.joinPath(directory, fileName);
+      if (!fm.fileExists(path)) continue;
+      try {
+        const data = JSON.parse(fm.readString(path));
+        entry.lastUsedAt = now().toISOString();
+        saveManifest();
+        return { data, entry };
+      } catch (error) {
+        console.error(`Removing unreadable cache file ${fileName}:`, error);
+        removeFile(fileName);
+        saveManifest();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stores a curve and records it in the manifest, then prunes the cache
+   * @param {string} namespace - Dataset cache namespace
+   * @param {string} dateString - Requested date (YYYY-MM-DD) the curve answers
+   * @param {Object} data - Data to store; data.date is the date of the curve itself
+   * @param {Object} source - Where the data came from: { dataset, url, source } (source naming the
+   *   feed, see feedSources.getSources), and final when the entry holds the answer for its date for
+   *   good; by default only when the curve is dateString's own
+   * @returns {Object} The manifest entry
+   */
+  function set(namespace, dateString, data, { dataset, url = null, source = null, final = data.date === dateString }) {
+    const fileName = getCacheFileName(namespace, dateString);
+    const contents = JSON.stringify(data);
+    fm.writeString(fm.joinPath(directory, fileName), contents);
+
+    const timestamp = now().toISOString();
+    const entry = {
+      dataset,
+      date: dateString,
+      dataDate: data.date,
+      final,
+      retrievedAt: timestamp,
+      lastUsedAt: timestamp,
+      url,
+      source,
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      bytes: contents.length
+    };
+    loadManifest().entries[fileName] = entry;
+    prune();
+    return entry;
+  }
+
+  /**
+   * Removes one cached curve
+   * @param {string} namespace - Dataset cache namespace
+   * @param {string} dateString - Requested date (YYYY-MM-DD)
+   * @returns {boolean} True if a file was removed
+   */
+  function remove(namespace, dateString) {
+    const fileName = getCacheFileName(namespace, dateString);
+    const existed = fm.fileExists(fm.joinPath(directory, fileName));
+    removeFile(fileName);
+    saveManifest();
+    return existed;
+  }
+
+  /**
+   * Lists data files in the directory that belong to the widget, tracked or not
+   * @returns {Array<string>} File names
+   */
+  function listOwnedFiles() {
+    return fm.listContents(directory).filter(name => ownedFilePattern.test(name));
+  }
+
+  /**
+   * Removes every file the widget owns, including untracked data files and the manifest
+   * @returns {number} Number of data files removed
+   */
+  function clear() {
+    const files = listOwnedFiles();
+    for (const fileName of files) {
+      fm.remove(fm.joinPath(directory, fileName));
+    }
+    if (fm.fileExists(manifestPath)) {
+      fm.remove(manifestPath);
+    }
+    manifest = null;
+    return files.length;
+  }
+
+  /**
+   * Prunes the cache: untracked or outdated files, entries unused for maxAgeDays,
+   * then least recently used entries until the total size is within maxBytes
+   * @returns {Array<string>} Names of the removed files
+   */
+  function prune() {
+    const { entries } = loadManifest();
+    const currentTime = now().getTime();
+    const removed = [];
+
+    // Data files without a current manifest entry are leftovers of older versions
+    for (const fileName of listOwnedFiles()) {
+      const entry = entries[fileName];
+      if (!entry || entry.schemaVersion !== CACHE_SCHEMA_VERSION) {
+        removeFile(fileName);
+        removed.push(fileName);
+      }
+    }
+
+    // Manifest entries whose file has disappeared (e.g. deleted by hand) are dropped
+    for (const fileName of Object.keys(entries)) {
+      if (!fm.fileExists(fm.joinPath(directory, fileName))) {
+        delete entries[fileName];
+      }
+    }
+
+    const byLastUse = Object.entries(entries)
+      .sort(([, a], [, b]) => Date.parse(a.lastUsedAt) - Date.parse(b.lastUsedAt));
+    let totalBytes = byLastUse.reduce((sum, [, entry]) => sum + entry.bytes, 0);
+    for (const [fileName, entry] of byLastUse) {
+      const unused = currentTime - Date.parse(entry.lastUsedAt) > settings.maxAgeDays * DAY_MS;
+      if (unused || totalBytes > settings.maxBytes) {
+        removeFile(fileName);
+        removed.push(fileName);
+        totalBytes -= entry.bytes;
+      }
+    }
+
+    saveManifest();
+    if (removed.length > 0) {
+      console.log(`Pruned ${removed.length} cache files`);
+    }
+    return removed;
+  }
+
+  /**
+   * Lists every cache entry with its manifest record
+   * @returns {Object} { entries (sorted by dataset and date, each with file and servable),
+   *   totalBytes, untrackedFiles }
+   */
+  function list() {
+    const { entries } = loadManifest();
+    const currentTime = now();
+    const listed = Object.entries(entries)
+      .map(([file, entry]) => ({ file, ...entry, servable: isEntryServable(entry, currentTime, settings) }))
+      .sort((a, b) => a.dataset.localeCompare(b.dataset) || a.date.localeCompare(b.date));
+    return {
+      entries: listed,
+      totalBytes: listed.reduce((sum, entry) => sum + entry.bytes, 0),
+      untrackedFiles: listOwnedFiles().filter(fileName => !entries[fileName])
+    };
+  }
+
+  return { get, getLatest, set, remove, clear, prune, list };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  CACHE_SCHEMA_VERSION,
+  DEFAULT_LIMITS,
+  getCacheFileName,
+  isEntryServable,
+  createYieldCache
+};
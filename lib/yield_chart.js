@@ -0,0 +1,64 @@
+// Chart images for the widget: builds the chart scenes (lib/chart_scene.js) from the
+// runtime configuration and draws them with Scriptable's DrawContext
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const runtime = requireModule("./widget_runtime");
+const chartScene = requireModule("./chart_scene");
+const drawContextRenderer = requireModule("./draw_context_renderer");
+
+/**
+ * Builds the chart scene for the running widget's settings and theme
+ * @param {Object} allData - Object containing current and historical yield data
+ * @param {string|null} cacheStatus - Optional cache status override for display
+ * @param {Object} size - Chart size with width and height, defaults to the medium widget
+ * @returns {Object} Scene
+ */
+function buildChartScene(allData, cacheStatus = null, size = runtime.getOptions().chartSizes.medium) {
+  return chartScene.buildChartScene(allData, {
+    size,
+    theme: runtime.getTheme(),
+    margins: runtime.getOptions().chartTextMargins,
+    settings: runtime.getSettings(),
+    cacheStatus
+  });
+}
+
+/**
+ * Creates a visual yield curve chart with support for multiple historical curves,
+ * or the delta chart when the widget is in delta mode
+ * @param {Object} allData - Object containing current and historical yield data
+ * @param {string|null} cacheStatus - Optional cache status override for display
+ * @param {Object} size - Chart image size with width and height, defaults to the medium widget
+ * @returns {Image} Rendered chart image for display in widget
+ */
+function createYieldCurveChart(allData, cacheStatus = null, size = runtime.getOptions().chartSizes.medium) {
+  return drawContextRenderer.renderSceneToImage(buildChartScene(allData, cacheStatus, size));
+}
+
+/**
+ * Picks the theme color for a change, red for falling values and green for rising ones
+ * @param {Object} theme - Entry from THEMES
+ * @param {number|null} change - Signed change in basis points
+ * @returns {Color} Color for the change text
+ */
+function getChangeColor(theme, change) {
+  return new Color(chartScene.getChangeColorHex(theme, change));
+}
+
+/**
+ * Draws a minimal line chart without axes or labels
+ * @param {Array<number>} values - Values to plot, in order
+ * @param {Object} size - Image size with width and height
+ * @param {string} color - Hex line color
+ * @returns {Image} Rendered sparkline image
+ */
+function createSparklineImage(values, size, color) {
+  return drawContextRenderer.renderSceneToImage(chartScene.buildSparklineScene(values, size, color));
+}
+
+module.exports = {
+  buildChartScene,
+  createYieldCurveChart,
+  getChangeColor,
+  createSparklineImage
+};
@@ -0,0 +1,192 @@
+// Time series of yields, built from the year feeds
+// The curves of a stretch of business days are kept in one history file per dataset,
+// next to the per-date cache, so a refresh only reads the feed for days it hasn't seen
+
+const requireModule = typeof importModule === "function" ? importModule : require;
+const analytics = requireModule("./curve_analytics");
+
+// Bump when the stored history format changes; other versions are rebuilt from the feeds
+const HISTORY_SCHEMA_VERSION = 1;
+
+// Business days kept in a history file, about two years
+const MAX_HISTORY_DAYS = 520;
+
+/**
+ * Builds the history file name for a dataset
+ * @param {string} dataset - Dataset name, e.g. "nominal" or "breakeven"
+ * @returns {string} File name such as "treasury_history_nominal.json"
+ */
+function getHistoryFileName(dataset) {
+  return `treasury_history_${dataset.replace(/\+/g, "_")}.json`;
+}
+
+/**
+ * Works out which dates still have to be read from the feeds for a requested stretch
+ * A stretch ending after the stored one is extended from the last stored date; one that
+ * starts before it is read in full
+ * @param {Object|null} history - Stored history, null when there is none
+ * @param {string} startDate - First requested date (YYYY-MM-DD)
+ * @param {string} endDate - Last requested date (YYYY-MM-DD)
+ * @returns {Object|null} Range to read as { start, end }, or null when the history covers it
+ */
+function getMissingRange(history, startDate, endDate) {
+  if (!history || startDate < history.coveredFrom) {
+    return { start: startDate, end: endDate };
+  }
+  if (endDate <= history.coveredTo) {
+    return null;
+  }
+  return { start: history.coveredTo, end: endDate };
+}
+
+/**
+ * Adds the curves read for a range to the history
+ * A range that doesn't touch the stored one replaces it, so the covered dates stay contiguous;
+ * dates more than MAX_HISTORY_DAYS entries before the newest are dropped
+ * @param {Object|null} history - Stored history, null when there is none
+ * @param {Array} curves - Curves read for the range, as { date, yieldData }
+ * @param {Object} range - Range that was read, as { start, end }
+ * @returns {Object} New history: { schemaVersion, coveredFrom, coveredTo, curves (yieldData by date) }
+ */
+function mergeHistory(history, curves, range) {
+  const overlaps = history && range.start <= history.coveredTo && range.end >= history.coveredFrom;
+  const merged = overlaps
+    ? {
+      coveredFrom: range.start < history.coveredFrom ? range.start : history.coveredFrom,
+      coveredTo: range.end > history.coveredTo ? range.end : history.coveredTo,
+      curves: { ...history.curves }
+    }
+    : { coveredFrom: range.start, coveredTo: range.end, curves: {} };
+
+  for (const curve of curves) {
+    merged.curves[curve.date] = curve.yieldData;
+  }
+
+  const dates = Object.keys(merged.curves).sort();
+  if (dates.length > MAX_HISTORY_DAYS) {
+    const dropped = dates.slice(0, dates.length - MAX_HISTORY_DAYS);
+    dropped.forEach(date => delete merged.curves[date]);
+    merged.coveredFrom = dates[dropped.length];
+  }
+  return { schemaVersion: HISTORY_SCHEMA_VERSION, ...merged };
+}
+
+/**
+ * Returns the stored curves of a stretch of dates
+ * @param {Object} history - Stored history
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array} Curves as { date, yieldData }, oldest first
+ */
+function getHistoryCurves(history, startDate, endDate) {
+  return Object.keys(history.curves)
+    .filter(date => date >= startDate && date <= endDate)
+    .sort()
+    .map(date => ({ date, yieldData: history.curves[date] }));
+}
+
+/**
+ * Builds time series from a run of curves
+ * Each entry is a maturity label ("10Y"), plotted in percent, or a spread name from
+ * analytics.SPREADS ("2s10s"), plotted in basis points; dates without a value are skipped
+ * @param {Array} curves - Curves as { date, yieldData }, oldest first
+ * @param {Array<string>} selection - Maturity labels and spread names
+ * @returns {Array} Series as { key, unit ("%" or "bp"), points: [{ date, value }] }
+ */
+function buildSeries(curves, selection) {
+  return selection.map(key => {
+    const spread = analytics.SPREADS.find(definition => definition.name === key);
+    const points = [];
+    for (const curve of curves) {
+      const value = spread
+        ? analytics.computeSpread(curve.yieldData, spread.short, spread.long)
+        : (curve.yieldData.find(point => point.label === key) || {}).yield;
+      if (typeof value === "number" && !isNaN(value)) {
+        points.push({ date: curve.date, value });
+      }
+    }
+    return { key, unit: spread ? "bp" : "%", points };
+  });
+}
+
+/**
+ * Picks the points a series annotates: its lowest, highest and latest values
+ * The earliest point wins ties
+ * @param {Object} series - Series from buildSeries
+ * @returns {Object|null} { min, max, current } points, or null for an empty series
+ */
+function summarizeSeries(series) {
+  if (series.points.length === 0) {
+    return null;
+  }
+  let min = series.points[0];
+  let max = series.points[0];
+  for (const point of series.points) {
+    if (point.value < min.value) min = point;
+    if (point.value > max.value) max = point;
+  }
+  return { min, max, current: series.points[series.points.length - 1] };
+}
+
+/**
+ * Creates a history store over a Scriptable FileManager (or anything with the same methods)
+ * @param {FileManager} fm - File manager to store files with
+ * @param {Object} options - Options
+ * @param {string} options.directory - Directory for the history files, defaults to the documents directory
+ * @returns {Object} Store with load, save and clear methods
+ */
+function createHistoryStore(fm, { directory = fm.documentsDirectory() } = {}) {
+  /**
+   * Reads the stored history of a dataset
+   * @param {string} dataset - Dataset name
+   * @returns {Object|null} History, or null when missing, outdated or unreadable
+   */
+  function load(dataset) {
+    const path = fm.joinPath(directory, getHistoryFileName(dataset));
+    if (!fm.fileExists(path)) {
+      return null;
+    }
+    try {
+      const history = JSON.parse(fm.readString(path));
+      return history.schemaVersion === HISTORY_SCHEMA_VERSION ? history : null;
+    } catch (error) {
+      console.warn(`Ignoring unreadable history file for ${dataset}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Stores the history of a dataset
+   * @param {string} dataset - Dataset name
+   * @param {Object} history - History from mergeHistory
+   */
+  function save(dataset, history) {
+    fm.writeString(fm.joinPath(directory, getHistoryFileName(dataset)), JSON.stringify(history));
+  }
+
+  /**
+   * Removes every history file
+   * @returns {number} Number of files removed
+   */
+  function clear() {
+    const files = fm.listContents(directory).filter(name => /^treasury_history_\w+\.json$/.test(name));
+    for (const fileName of files) {
+      fm.remove(fm.joinPath(directory, fileName));
+    }
+    return files.length;
+  }
+
+  return { load, save, clear };
+}
+
+module.exports = {
+  HISTORY_SCHEMA_VERSION,
+  MAX_HISTORY_DAYS,
+  getHistoryFileName,
+  getMissingRange,
+  mergeHistory,
+  getHistoryCurves,
+  buildSeries,
+  summarizeSeries,
+  createHistoryStore
+};
@@ -0,0 +1,25 @@
+// Node stand-ins for the Scriptable iOS APIs
+// createScriptableEnvironment sets everything up for one test; the classes are exported
+// for tests that only need a few of them
+
+const primitives = require("./lib/primitives");
+const drawContext = require("./lib/draw_context");
+const listWidget = require("./lib/list_widget");
+const request = require("./lib/request");
+const fileManager = require("./lib/file_manager");
+const ui = require("./lib/ui");
+const notification = require("./lib/notification");
+const timer = require("./lib/timer");
+const environment = require("./lib/environment");
+
+module.exports = {
+  ...primitives,
+  ...drawContext,
+  ...listWidget,
+  ...request,
+  ...fileManager,
+  ...ui,
+  ...notification,
+  ...timer,
+  ...environment
+};
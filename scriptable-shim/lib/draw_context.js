@@ -0,0 +1,87 @@
+// DrawContext stand-in that records every drawing operation instead of rendering
+
+const { Color, Font, Size, Image } = require("./primitives");
+
+/**
+ * Records drawing operations with the state they were drawn with
+ * Each entry of calls is a plain object: { method, ...geometry, color, font, ... }
+ */
+class DrawContext {
+  constructor() {
+    this.size = new Size(200, 200);
+    this.opaque = true;
+    this.respectScreenScale = false;
+    this.calls = [];
+    this.fillColor = new Color("000000");
+    this.strokeColor = new Color("000000");
+    this.lineWidth = 1;
+    this.font = Font.systemFont(12);
+    this.textColor = new Color("000000");
+    this.textAlignment = "left";
+    this.currentPath = null;
+  }
+
+  setFillColor(color) { this.fillColor = color; }
+  setStrokeColor(color) { this.strokeColor = color; }
+  setLineWidth(width) { this.lineWidth = width; }
+  setFont(font) { this.font = font; }
+  setTextColor(color) { this.textColor = color; }
+  setTextAlignedLeft() { this.textAlignment = "left"; }
+  setTextAlignedCenter() { this.textAlignment = "center"; }
+  setTextAlignedRight() { this.textAlignment = "right"; }
+
+  record(method, details) {
+    this.calls.push({ method, ...details });
+  }
+
+  fillRect(rect) { this.record("fillRect", { rect: rect.toJSON(), color: this.fillColor.toJSON() }); }
+  fillEllipse(rect) { this.record("fillEllipse", { rect: rect.toJSON(), color: this.fillColor.toJSON() }); }
+  strokeRect(rect) { this.record("strokeRect", { rect: rect.toJSON(), color: this.strokeColor.toJSON(), lineWidth: this.lineWidth }); }
+  strokeEllipse(rect) { this.record("strokeEllipse", { rect: rect.toJSON(), color: this.strokeColor.toJSON(), lineWidth: this.lineWidth }); }
+  fill(rect) { this.fillRect(rect); }
+  stroke(rect) { this.strokeRect(rect); }
+
+  addPath(path) {
+    this.currentPath = path;
+  }
+
+  strokePath() {
+    this.record("strokePath", { path: this.takePath(), color: this.strokeColor.toJSON(), lineWidth: this.lineWidth });
+  }
+
+  fillPath() {
+    this.record("fillPath", { path: this.takePath(), color: this.fillColor.toJSON() });
+  }
+
+  takePath() {
+    const path = this.currentPath;
+    this.currentPath = null;
+    return path ? path.elements.map(element => ({ ...element })) : [];
+  }
+
+  drawText(text, point) {
+    this.record("drawText", { text: String(text), x: point.x, y: point.y, ...this.textState() });
+  }
+
+  drawTextInRect(text, rect) {
+    this.record("drawTextInRect", { text: String(text), rect: rect.toJSON(), ...this.textState() });
+  }
+
+  textState() {
+    return { font: this.font.toJSON(), color: this.textColor.toJSON(), alignment: this.textAlignment };
+  }
+
+  drawImageInRect(image, rect) {
+    this.record("drawImageInRect", { image, rect: rect.toJSON() });
+  }
+
+  drawImageAtPoint(image, point) {
+    this.record("drawImageAtPoint", { image, x: point.x, y: point.y });
+  }
+
+  getImage() {
+    return new Image(new Size(this.size.width, this.size.height), this.calls.slice());
+  }
+}
+
+module.exports = { DrawContext };
@@ -0,0 +1,205 @@
+// A Scriptable environment for one test: the API globals, widget context and a script runner
+
+const fs = require("fs");
+const path = require("path");
+const primitives = require("./primitives");
+const { DrawContext } = require("./draw_context");
+const { ListWidget } = require("./list_widget");
+const { createRequestClass } = require("./request");
+const { createFileManagerClass } = require("./file_manager");
+const { createUIClasses } = require("./ui");
+const { createNotificationClass } = require("./notification");
+const { createTimerClass } = require("./timer");
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const RealDate = Date;
+
+/**
+ * Creates a Date class whose clock is stopped at a fixed time
+ * Dates built from explicit values behave as usual
+ * @param {Date|string|number} now - Fixed current time
+ * @returns {Function} Date subclass
+ */
+function createFixedDate(now) {
+  const fixedTime = new RealDate(now).getTime();
+  return class FixedDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length === 0 ? [fixedTime] : args));
+    }
+
+    static now() {
+      return fixedTime;
+    }
+  };
+}
+
+/**
+ * Creates a Scriptable environment
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.routes - Request routes (see lib/request.js)
+ * @param {string} options.files - File backend, "memory" or "tempdir"
+ * @param {string|null} options.widgetFamily - Family the widget runs in; null runs the script in the app
+ * @param {string|null} options.widgetParameter - Widget parameter (args.widgetParameter)
+ * @param {Object} options.queryParameters - URL query parameters the script was run with (args.queryParameters)
+ * @param {boolean} options.darkAppearance - Device.isUsingDarkAppearance()
+ * @param {Date|string|null} options.now - Fixed current time while a script runs; null uses the real clock
+ * @param {Function|null} options.onPresentTable - Called with each UITable presented (see lib/ui.js)
+ * @param {Array} options.alertResponses - Scripted Alert responses
+ * @param {Array} options.datePickerResponses - Scripted DatePicker responses
+ * @returns {Object} Environment with globals, requests, logs, install, uninstall, runScript and dispose;
+ *   after runScript, importModule loads modules the way the script did
+ */
+function createScriptableEnvironment({
+  routes = [],
+  files = "memory",
+  widgetFamily = null,
+  widgetParameter = null,
+  queryParameters = {},
+  darkAppearance = true,
+  now = null,
+  onPresentTable = null,
+  alertResponses = [],
+  datePickerResponses = []
+} = {}) {
+  const requests = [];
+  const logs = [];
+  const { FileManager, backend } = createFileManagerClass(files);
+  const env = {
+    requests,
+    logs,
+    backend,
+    widget: null,
+    importModule: null,
+    completed: false,
+    presentedTables: [],
+    alerts: [],
+    sharedItems: [],
+    notifications: [],
+    timers: []
+  };
+
+  env.globals = {
+    ...primitives,
+    DrawContext,
+    ListWidget,
+    ...createUIClasses(env, { onPresentTable, alertResponses, datePickerResponses }),
+    FileManager,
+    Request: createRequestClass(routes, requests),
+    Notification: createNotificationClass(env.notifications),
+    Timer: createTimerClass(env.timers),
+    Script: {
+      name: () => "US Treasury Yield Curve",
+      setWidget: widget => { env.widget = widget; },
+      complete: () => { env.completed = true; }
+    },
+    config: {
+      runsInWidget: widgetFamily !== null,
+      runsInApp: widgetFamily === null,
+      runsWithSiri: false,
+      runsInActionExtension: false,
+      widgetFamily
+    },
+    args: {
+      widgetParameter,
+      queryParameters,
+      plainTexts: [],
+      urls: [],
+      fileURLs: [],
+      images: []
+    },
+    Device: {
+      isUsingDarkAppearance: () => darkAppearance,
+      locale: () => "en_US",
+      language: () => "en",
+      model: () => "iPhone",
+      isPhone: () => true,
+      isPad: () => false,
+      screenScale: () => 3
+    }
+  };
+
+  let saved = null;
+
+  /**
+   * Sets the Scriptable globals, remembering what they replaced
+   */
+  env.install = function install() {
+    if (saved) return;
+    saved = {};
+    for (const [name, value] of Object.entries(env.globals)) {
+      saved[name] = Object.getOwnPropertyDescriptor(global, name);
+      global[name] = value;
+    }
+    if (now !== null) {
+      saved.Date = Object.getOwnPropertyDescriptor(global, "Date");
+      global.Date = createFixedDate(now);
+    }
+  };
+
+  /**
+   * Restores the globals replaced by install
+   */
+  env.uninstall = function uninstall() {
+    if (!saved) return;
+    for (const [name, descriptor] of Object.entries(saved)) {
+      if (descriptor) {
+        Object.defineProperty(global, name, descriptor);
+      } else {
+        delete global[name];
+      }
+    }
+    saved = null;
+  };
+
+  /**
+   * Runs a Scriptable script the way the app does: top-level await, importModule
+   * resolving against the script's directory, and fresh copies of its lib modules
+   * @param {string} scriptPath - Path to the script
+   * @param {Object} options - Options
+   * @param {boolean} options.silent - Capture console output in env.logs instead of printing it
+   * @returns {Promise<Object>} The environment, with widget set if the script called Script.setWidget
+   */
+  env.runScript = async function runScript(scriptPath, { silent = true } = {}) {
+    const scriptDir = path.dirname(path.resolve(scriptPath));
+    for (const cached of Object.keys(require.cache)) {
+      if (cached.startsWith(path.join(scriptDir, "lib") + path.sep)) {
+        delete require.cache[cached];
+      }
+    }
+
+    const importModule = modulePath => require(path.resolve(scriptDir, modulePath));
+    // Kept so callers can reach the module instances the script used, e.g. its configured runtime
+    env.importModule = importModule;
+    const source = fs.readFileSync(scriptPath, "utf8");
+    const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+
+    env.install();
+    if (silent) {
+      for (const level of Object.keys(consoleMethods)) {
+        console[level] = (...values) => logs.push({ level, message: values.map(String).join(" ") });
+      }
+    }
+    try {
+      await new AsyncFunction("importModule", source)(importModule);
+    } finally {
+      Object.assign(console, consoleMethods);
+      env.uninstall();
+    }
+    return env;
+  };
+
+  /**
+   * Removes the temporary directory of a "tempdir" environment
+   */
+  env.dispose = function dispose() {
+    env.uninstall();
+    if (backend.dispose) backend.dispose();
+  };
+
+  return env;
+}
+
+module.exports = {
+  createFixedDate,
+  createScriptableEnvironment
+};
@@ -0,0 +1,131 @@
+// FileManager stand-in over an in-memory map or a temporary directory
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Backend keeping files in a Map of path to contents
+ */
+function createMemoryBackend() {
+  const files = new Map();
+  const directories = new Set();
+  const times = new Map();
+  return {
+    root: "/scriptable",
+    exists: filePath => files.has(filePath) || directories.has(filePath),
+    isDirectory: filePath => directories.has(filePath),
+    read: filePath => (files.has(filePath) ? files.get(filePath) : null),
+    write: (filePath, contents) => {
+      files.set(filePath, contents);
+      if (!times.has(filePath)) times.set(filePath, { created: new Date() });
+      times.get(filePath).modified = new Date();
+    },
+    remove: filePath => {
+      files.delete(filePath);
+      directories.delete(filePath);
+      for (const key of [...files.keys()].filter(key => key.startsWith(`${filePath}/`))) {
+        files.delete(key);
+      }
+    },
+    list: directory => [...files.keys(), ...directories]
+      .filter(key => path.posix.dirname(key) === directory)
+      .map(key => path.posix.basename(key)),
+    mkdir: directory => directories.add(directory),
+    size: filePath => (files.has(filePath) ? Buffer.byteLength(files.get(filePath)) : 0),
+    times: filePath => times.get(filePath) || null
+  };
+}
+
+/**
+ * Backend on the real filesystem under a fresh temporary directory
+ */
+function createTempDirBackend() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "scriptable-"));
+  const stat = filePath => (fs.existsSync(filePath) ? fs.statSync(filePath) : null);
+  return {
+    root,
+    exists: filePath => fs.existsSync(filePath),
+    isDirectory: filePath => Boolean(stat(filePath) && stat(filePath).isDirectory()),
+    read: filePath => (fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null),
+    write: (filePath, contents) => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, contents);
+    },
+    remove: filePath => fs.rmSync(filePath, { recursive: true, force: true }),
+    list: directory => (fs.existsSync(directory) ? fs.readdirSync(directory) : []),
+    mkdir: directory => fs.mkdirSync(directory, { recursive: true }),
+    size: filePath => (stat(filePath) ? stat(filePath).size : 0),
+    times: filePath => (stat(filePath) ? { created: stat(filePath).birthtime, modified: stat(filePath).mtime } : null),
+    dispose: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+/**
+ * FileManager over a backend; local and iCloud managers get separate documents directories
+ */
+class FileManager {
+  constructor(backend, storage) {
+    this.backend = backend;
+    this.storage = storage;
+  }
+
+  documentsDirectory() { return path.posix.join(this.backend.root, this.storage, "Documents"); }
+  libraryDirectory() { return path.posix.join(this.backend.root, this.storage, "Library"); }
+  cacheDirectory() { return path.posix.join(this.backend.root, this.storage, "Caches"); }
+  temporaryDirectory() { return path.posix.join(this.backend.root, this.storage, "tmp"); }
+  joinPath(left, right) { return path.posix.join(left, right); }
+
+  fileExists(filePath) { return this.backend.exists(filePath); }
+  isDirectory(filePath) { return this.backend.isDirectory(filePath); }
+  readString(filePath) { return this.backend.read(filePath); }
+  writeString(filePath, contents) { this.backend.write(filePath, String(contents)); }
+  remove(filePath) { this.backend.remove(filePath); }
+  listContents(directory) { return this.backend.list(directory); }
+  createDirectory(directory) { this.backend.mkdir(directory); }
+
+  fileName(filePath, includeExtension = false) {
+    return includeExtension ? path.posix.basename(filePath) : path.posix.basename(filePath, path.posix.extname(filePath));
+  }
+
+  fileExtension(filePath) { return path.posix.extname(filePath).slice(1); }
+  // Scriptable reports file sizes in kilobytes
+  fileSize(filePath) { return this.backend.size(filePath) / 1000; }
+
+  creationDate(filePath) {
+    const times = this.backend.times(filePath);
+    return times ? times.created : null;
+  }
+
+  modificationDate(filePath) {
+    const times = this.backend.times(filePath);
+    return times ? times.modified : null;
+  }
+
+  isFileStoredIniCloud() { return this.storage === "iCloud"; }
+  isFileDownloaded() { return true; }
+  async downloadFileFromiCloud() {}
+}
+
+/**
+ * Creates the FileManager class exposed to scripts, bound to one backend
+ * @param {string} kind - "memory" or "tempdir"
+ * @returns {Object} { FileManager (with static local and iCloud), backend }
+ */
+function createFileManagerClass(kind = "memory") {
+  if (kind !== "memory" && kind !== "tempdir") {
+    throw new Error(`Unknown file backend "${kind}", expected memory or tempdir`);
+  }
+  const backend = kind === "tempdir" ? createTempDirBackend() : createMemoryBackend();
+  const local = new FileManager(backend, "local");
+  const iCloud = new FileManager(backend, "iCloud");
+  return {
+    FileManager: { local: () => local, iCloud: () => iCloud },
+    backend
+  };
+}
+
+module.exports = {
+  FileManager,
+  createFileManagerClass
+};
@@ -0,0 +1,178 @@
+// ListWidget stand-ins that keep the element tree, so tests can read back what a widget shows
+
+const { Color, Font, Size } = require("./primitives");
+
+/**
+ * Base of the widget elements; records alignment calls as a plain property
+ */
+class WidgetElement {
+  constructor(type) {
+    this.type = type;
+    this.url = null;
+  }
+}
+
+class WidgetText extends WidgetElement {
+  constructor(text) {
+    super("text");
+    this.text = text;
+    this.textColor = new Color("FFFFFF");
+    this.font = Font.body();
+    this.textOpacity = 1;
+    this.lineLimit = 0;
+    this.minimumScaleFactor = 1;
+    this.alignment = "left";
+  }
+
+  leftAlignText() { this.alignment = "left"; }
+  centerAlignText() { this.alignment = "center"; }
+  rightAlignText() { this.alignment = "right"; }
+}
+
+class WidgetDate extends WidgetText {
+  constructor(date) {
+    super(date.toISOString());
+    this.type = "date";
+    this.date = date;
+    this.style = "date";
+  }
+
+  applyTimeStyle() { this.style = "time"; }
+  applyDateStyle() { this.style = "date"; }
+  applyRelativeStyle() { this.style = "relative"; }
+  applyOffsetStyle() { this.style = "offset"; }
+  applyTimerStyle() { this.style = "timer"; }
+}
+
+class WidgetImage extends WidgetElement {
+  constructor(image) {
+    super("image");
+    this.image = image;
+    this.imageSize = null;
+    this.resizable = true;
+    this.cornerRadius = 0;
+    this.alignment = "left";
+  }
+
+  leftAlignImage() { this.alignment = "left"; }
+  centerAlignImage() { this.alignment = "center"; }
+  rightAlignImage() { this.alignment = "right"; }
+}
+
+class WidgetSpacer extends WidgetElement {
+  constructor(length) {
+    super("spacer");
+    this.length = length === undefined ? null : length;
+  }
+}
+
+/**
+ * Container holding elements in order
+ */
+class WidgetContainer extends WidgetElement {
+  constructor(type) {
+    super(type);
+    this.children = [];
+    this.backgroundColor = null;
+    this.backgroundImage = null;
+    this.backgroundGradient = null;
+    this.spacing = 0;
+    this.padding = null;
+  }
+
+  add(element) {
+    this.children.push(element);
+    return element;
+  }
+
+  addText(text) { return this.add(new WidgetText(text)); }
+  addDate(date) { return this.add(new WidgetDate(date)); }
+  addImage(image) { return this.add(new WidgetImage(image)); }
+  addSpacer(length) { return this.add(new WidgetSpacer(length)); }
+  addStack() { return this.add(new WidgetStack()); }
+
+  setPadding(top, leading, bottom, trailing) {
+    this.padding = { top, leading, bottom, trailing };
+  }
+
+  useDefaultPadding() {
+    this.padding = null;
+  }
+}
+
+class WidgetStack extends WidgetContainer {
+  constructor() {
+    super("stack");
+    this.layout = "horizontal";
+    this.alignContent = "center";
+    this.size = new Size(0, 0);
+    this.cornerRadius = 0;
+    this.borderWidth = 0;
+    this.borderColor = null;
+  }
+
+  layoutHorizontally() { this.layout = "horizontal"; }
+  layoutVertically() { this.layout = "vertical"; }
+  topAlignContent() { this.alignContent = "top"; }
+  centerAlignContent() { this.alignContent = "center"; }
+  bottomAlignContent() { this.alignContent = "bottom"; }
+}
+
+/**
+ * Widget root; the present methods record the family they were called for
+ */
+class ListWidget extends WidgetContainer {
+  constructor() {
+    super("widget");
+    this.refreshAfterDate = null;
+    this.addAccessoryWidgetBackground = false;
+    this.presentedAs = null;
+  }
+
+  async present(family) {
+    this.presentedAs = family;
+  }
+
+  presentSmall() { return this.present("small"); }
+  presentMedium() { return this.present("medium"); }
+  presentLarge() { return this.present("large"); }
+  presentExtraLarge() { return this.present("extraLarge"); }
+  presentAccessoryInline() { return this.present("accessoryInline"); }
+  presentAccessoryCircular() { return this.present("accessoryCircular"); }
+  presentAccessoryRectangular() { return this.present("accessoryRectangular"); }
+}
+
+/**
+ * Collects every element of a type in a widget, depth first (not part of the Scriptable API)
+ * @param {WidgetContainer} container - Widget or stack
+ * @param {string} type - Element type: "text", "date", "image", "spacer" or "stack"
+ * @returns {Array<WidgetElement>} Matching elements in display order
+ */
+function collectElements(container, type) {
+  const found = [];
+  for (const child of container.children) {
+    if (child.type === type) found.push(child);
+    if (child.children) found.push(...collectElements(child, type));
+  }
+  return found;
+}
+
+/**
+ * Returns the strings a widget shows, in display order (not part of the Scriptable API)
+ * @param {WidgetContainer} container - Widget or stack
+ * @returns {Array<string>} Texts
+ */
+function collectTexts(container) {
+  return collectElements(container, "text").map(element => element.text);
+}
+
+module.exports = {
+  ListWidget,
+  WidgetStack,
+  WidgetText,
+  WidgetDate,
+  WidgetImage,
+  WidgetSpacer,
+  collectElements,
+  collectTexts
+};
@@ -0,0 +1,45 @@
+// Notification stand-in that records scheduled notifications instead of posting them
+
+/**
+ * Creates a Notification class bound to a log
+ * @param {Array<Object>} log - Receives { identifier, title, subtitle, body, threadIdentifier, openURL, userInfo }
+ *   for every notification scheduled
+ * @returns {Function} Notification class
+ */
+function createNotificationClass(log) {
+  return class Notification {
+    constructor() {
+      this.identifier = null;
+      this.title = "";
+      this.subtitle = "";
+      this.body = "";
+      this.threadIdentifier = "";
+      this.openURL = null;
+      this.userInfo = {};
+      this.sound = null;
+      this.deliveryDate = null;
+    }
+
+    async schedule() {
+      const { identifier, title, subtitle, body, threadIdentifier, openURL, userInfo } = this;
+      log.push({ identifier, title, subtitle, body, threadIdentifier, openURL, userInfo });
+    }
+
+    async remove() {
+      const index = log.findIndex(entry => entry.identifier === this.identifier);
+      if (index >= 0) log.splice(index, 1);
+    }
+
+    static async allPending() {
+      return [];
+    }
+
+    static async allDelivered() {
+      return [];
+    }
+  };
+}
+
+module.exports = {
+  createNotificationClass
+};
@@ -0,0 +1,195 @@
+// Value types of the Scriptable API: colors, fonts, geometry, paths and images
+
+/**
+ * Color given as a hex string with an optional alpha
+ */
+class Color {
+  constructor(hex, alpha = 1) {
+    const digits = String(hex).replace(/^#/, "");
+    this.hex = digits.length === 3 ? digits.split("").map(digit => digit + digit).join("") : digits;
+    this.hex = this.hex.toUpperCase();
+    this.alpha = alpha;
+    this.red = parseInt(this.hex.slice(0, 2), 16) / 255;
+    this.green = parseInt(this.hex.slice(2, 4), 16) / 255;
+    this.blue = parseInt(this.hex.slice(4, 6), 16) / 255;
+  }
+
+  static dynamic(lightColor, darkColor) {
+    const color = new Color(lightColor.hex, lightColor.alpha);
+    color.darkColor = darkColor;
+    return color;
+  }
+
+  toJSON() {
+    return { hex: this.hex, alpha: this.alpha };
+  }
+}
+
+const NAMED_COLORS = {
+  black: "000000", darkGray: "555555", lightGray: "AAAAAA", white: "FFFFFF", gray: "808080",
+  red: "FF0000", green: "00FF00", blue: "0000FF", cyan: "00FFFF", yellow: "FFFF00",
+  magenta: "FF00FF", orange: "FF8000", purple: "800080", brown: "996633"
+};
+for (const [name, hex] of Object.entries(NAMED_COLORS)) {
+  Color[name] = () => new Color(hex);
+}
+Color.clear = () => new Color("000000", 0);
+
+/**
+ * Font given by name and size; the system font factories use descriptive names
+ */
+class Font {
+  constructor(name, size) {
+    this.name = name;
+    this.size = size;
+  }
+
+  toJSON() {
+    return { name: this.name, size: this.size };
+  }
+}
+
+const SYSTEM_FONTS = [
+  "systemFont", "ultraLightSystemFont", "thinSystemFont", "lightSystemFont", "regularSystemFont",
+  "mediumSystemFont", "semiboldSystemFont", "boldSystemFont", "heavySystemFont", "blackSystemFont",
+  "italicSystemFont", "ultraLightMonospacedSystemFont", "regularMonospacedSystemFont",
+  "boldMonospacedSystemFont", "regularRoundedSystemFont", "boldRoundedSystemFont"
+];
+for (const name of SYSTEM_FONTS) {
+  Font[name] = size => new Font(name, size);
+}
+for (const style of ["largeTitle", "title1", "title2", "title3", "headline", "subheadline", "body", "callout", "footnote", "caption1", "caption2"]) {
+  Font[style] = () => new Font(style, null);
+}
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+class Size {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+}
+
+class Rect {
+  constructor(x, y, width, height) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
+  get minX() { return this.x; }
+  get minY() { return this.y; }
+  get maxX() { return this.x + this.width; }
+  get maxY() { return this.y + this.height; }
+  get midX() { return this.x + this.width / 2; }
+  get midY() { return this.y + this.height / 2; }
+  get origin() { return new Point(this.x, this.y); }
+  get size() { return new Size(this.width, this.height); }
+
+  toJSON() {
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+  }
+}
+
+// Path elements that end at a point, as opposed to whole shapes
+const POINT_ELEMENTS = ["move", "line", "curve", "quadCurve"];
+
+/**
+ * Path that records its elements, so tests can inspect the drawn geometry
+ */
+class Path {
+  constructor() {
+    this.elements = [];
+  }
+
+  move(point) {
+    this.elements.push({ type: "move", x: point.x, y: point.y });
+  }
+
+  addLine(point) {
+    this.elements.push({ type: "line", x: point.x, y: point.y });
+  }
+
+  addLines(points) {
+    points.forEach((point, i) => (i === 0 ? this.move(point) : this.addLine(point)));
+  }
+
+  addRect(rect) {
+    this.elements.push({ type: "rect", ...rect.toJSON() });
+  }
+
+  addEllipse(rect) {
+    this.elements.push({ type: "ellipse", ...rect.toJSON() });
+  }
+
+  addRoundedRect(rect, cornerWidth, cornerHeight) {
+    this.elements.push({ type: "roundedRect", ...rect.toJSON(), cornerWidth, cornerHeight });
+  }
+
+  addCurve(point, control1, control2) {
+    this.elements.push({ type: "curve", x: point.x, y: point.y, control1, control2 });
+  }
+
+  addQuadCurve(point, control) {
+    this.elements.push({ type: "quadCurve", x: point.x, y: point.y, control });
+  }
+
+  closeSubpath() {
+    this.elements.push({ type: "close" });
+  }
+
+  /**
+   * Points the path passes through, in order (not part of the Scriptable API)
+   * @returns {Array<Object>} Points with x and y
+   */
+  points() {
+    return this.elements
+      .filter(element => POINT_ELEMENTS.includes(element.type))
+      .map(({ x, y }) => ({ x, y }));
+  }
+}
+
+/**
+ * Image produced by DrawContext.getImage, carrying the recorded drawing
+ */
+class Image {
+  constructor(size = new Size(0, 0), drawing = []) {
+    this.size = size;
+    this.drawing = drawing;
+  }
+
+  static fromData() {
+    return new Image();
+  }
+
+  static fromFile() {
+    return new Image();
+  }
+}
+
+class LinearGradient {
+  constructor() {
+    this.colors = [];
+    this.locations = [];
+    this.startPoint = new Point(0, 0);
+    this.endPoint = new Point(0, 1);
+  }
+}
+
+module.exports = {
+  Color,
+  Font,
+  Point,
+  Size,
+  Rect,
+  Path,
+  Image,
+  LinearGradient
+};
@@ -0,0 +1,111 @@
+// Request stand-in that answers from a route table instead of the network
+
+const fs = require("fs");
+const path = require("path");
+
+const OFFLINE_MESSAGE = "The Internet connection appears to be offline.";
+const TIMEOUT_MESSAGE = "The request timed out.";
+
+// Media types reported for routed files without a Content-Type header
+const FILE_MEDIA_TYPES = { ".xml": "application/xml", ".csv": "text/csv", ".json": "application/json", ".html": "text/html" };
+
+/**
+ * Tells whether a route answers a URL
+ * @param {Object} route - Route; route.url is a substring, RegExp or predicate function
+ * @param {string} url - Requested URL
+ * @returns {boolean} True on a match
+ */
+function routeMatches(route, url) {
+  if (typeof route.url === "function") return route.url(url);
+  if (route.url instanceof RegExp) return route.url.test(url);
+  return url.includes(route.url);
+}
+
+/**
+ * Reads the media type of a routed response, as Request.response.mimeType reports it
+ * @param {Object} route - Route
+ * @returns {string|null} Media type, or null when neither a header nor the file name gives one
+ */
+function getRouteMediaType(route) {
+  const header = Object.keys(route.headers || {}).find(name => name.toLowerCase() === "content-type");
+  if (header) return route.headers[header].split(";")[0].trim();
+  return route.file ? FILE_MEDIA_TYPES[path.extname(route.file)] || null : null;
+}
+
+/**
+ * Creates a Request class bound to a route table
+ * Routes are checked in order; each is { url, status, headers, times, body | file | error | timeout | passthrough },
+ * where body may be a function of the URL, timeout fails the way a request without a response
+ * does, times limits how many requests the route answers (later routes answer the rest), and
+ * passthrough sends the request to the real network with fetch. Unrouted URLs fail like an
+ * offline device.
+ * @param {Array<Object>} routes - Route table
+ * @param {Array<Object>} log - Receives { url, method } for every request loaded
+ * @returns {Function} Request class
+ */
+function createRequestClass(routes, log) {
+  // Requests answered by each route, for routes with times
+  const answered = new Map();
+  return class Request {
+    constructor(url) {
+      this.url = url;
+      this.method = "GET";
+      this.headers = {};
+      this.body = null;
+      this.timeoutInterval = 60;
+      this.response = null;
+    }
+
+    async load() {
+      log.push({ url: this.url, method: this.method });
+      const route = routes.find(candidate => routeMatches(candidate, this.url) && !(answered.get(candidate) >= candidate.times));
+      if (!route) {
+        throw new Error(OFFLINE_MESSAGE);
+      }
+      answered.set(route, (answered.get(route) || 0) + 1);
+      if (route.error) {
+        throw new Error(route.error);
+      }
+      if (route.timeout) {
+        throw new Error(TIMEOUT_MESSAGE);
+      }
+      if (route.passthrough) {
+        return this.fetch();
+      }
+
+      this.response = {
+        url: this.url,
+        statusCode: route.status || 200,
+        mimeType: getRouteMediaType(route),
+        headers: { ...route.headers }
+      };
+      if (route.file) return fs.readFileSync(route.file, "utf8");
+      return typeof route.body === "function" ? route.body(this.url) : route.body || "";
+    }
+
+    async fetch() {
+      const response = await fetch(this.url, { method: this.method, headers: this.headers, body: this.body || undefined });
+      this.response = {
+        url: response.url,
+        statusCode: response.status,
+        mimeType: (response.headers.get("content-type") || "").split(";")[0].trim() || null,
+        headers: Object.fromEntries(response.headers.entries())
+      };
+      return response.text();
+    }
+
+    async loadString() {
+      return this.load();
+    }
+
+    async loadJSON() {
+      return JSON.parse(await this.load());
+    }
+  };
+}
+
+module.exports = {
+  OFFLINE_MESSAGE,
+  TIMEOUT_MESSAGE,
+  createRequestClass
+};
@@ -0,0 +1,38 @@
+// Timer stand-in: time doesn't pass in tests, so a scheduled timer fires on the next turn of
+// the event loop, whatever its interval; repeating timers fire once
+
+/**
+ * Creates a Timer class bound to a log
+ * @param {Array<Object>} log - Receives { timeInterval, repeats } for every timer scheduled
+ * @returns {Function} Timer class
+ */
+function createTimerClass(log) {
+  return class Timer {
+    constructor() {
+      this.timeInterval = 0;
+      this.repeats = false;
+      this.handle = null;
+    }
+
+    schedule(callback) {
+      log.push({ timeInterval: this.timeInterval, repeats: this.repeats });
+      this.handle = setImmediate(callback);
+    }
+
+    invalidate() {
+      clearImmediate(this.handle);
+    }
+
+    static schedule(timeInterval, repeats, callback) {
+      const timer = new Timer();
+      timer.timeInterval = timeInterval;
+      timer.repeats = repeats;
+      timer.schedule(callback);
+      return timer;
+    }
+  };
+}
+
+module.exports = {
+  createTimerClass
+};
@@ -0,0 +1,196 @@
+// UITable, Alert, DatePicker and ShareSheet stand-ins
+// Nothing is shown: tables are handed to a test callback when presented, alerts and
+// date pickers answer from queues of scripted responses, and shared items are recorded
+
+/**
+ * Table cell; the static factories match Scriptable's UITableCell
+ */
+class UITableCell {
+  constructor(type, properties) {
+    this.type = type;
+    Object.assign(this, properties);
+    this.widthWeight = 1;
+    this.alignment = "left";
+    this.titleColor = null;
+    this.subtitleColor = null;
+    this.titleFont = null;
+    this.subtitleFont = null;
+    this.onTap = null;
+    this.dismissOnTap = false;
+  }
+
+  static text(title = "", subtitle = "") {
+    return new UITableCell("text", { title, subtitle });
+  }
+
+  static image(image) {
+    return new UITableCell("image", { image });
+  }
+
+  static imageAtURL(url) {
+    return new UITableCell("image", { url });
+  }
+
+  static button(title) {
+    return new UITableCell("button", { title });
+  }
+
+  leftAligned() { this.alignment = "left"; }
+  centerAligned() { this.alignment = "center"; }
+  rightAligned() { this.alignment = "right"; }
+}
+
+class UITableRow {
+  constructor() {
+    this.cells = [];
+    this.height = 44;
+    this.cellSpacing = 0;
+    this.isHeader = false;
+    this.dismissOnSelect = true;
+    this.onSelect = null;
+    this.backgroundColor = null;
+  }
+
+  addCell(cell) {
+    this.cells.push(cell);
+  }
+
+  addText(title, subtitle) {
+    const cell = UITableCell.text(title, subtitle);
+    this.addCell(cell);
+    return cell;
+  }
+
+  addImage(image) {
+    const cell = UITableCell.image(image);
+    this.addCell(cell);
+    return cell;
+  }
+
+  addImageAtURL(url) {
+    const cell = UITableCell.imageAtURL(url);
+    this.addCell(cell);
+    return cell;
+  }
+
+  addButton(title) {
+    const cell = UITableCell.button(title);
+    this.addCell(cell);
+    return cell;
+  }
+}
+
+/**
+ * Takes the next scripted response from a queue
+ * @param {Array} queue - Responses; functions are called with the prompt and their result used
+ * @param {Object} prompt - The alert or date picker asking
+ * @param {string} kind - What is asking, for the error when the queue is empty
+ * @returns {*} Response
+ */
+function takeResponse(queue, prompt, kind) {
+  if (queue.length === 0) {
+    throw new Error(`No scripted response left for ${kind} "${prompt.title || ""}"`);
+  }
+  const response = queue.shift();
+  return typeof response === "function" ? response(prompt) : response;
+}
+
+/**
+ * Creates the UI classes bound to an environment
+ * @param {Object} env - Environment; presented tables and alerts are recorded on it
+ * @param {Object} options - Options
+ * @param {Function|null} options.onPresentTable - Called with each presented table; the
+ *   table stays presented until the returned promise settles, so tests can tap its rows
+ * @param {Array} options.alertResponses - Action indexes (-1 cancels) for presented alerts
+ * @param {Array} options.datePickerResponses - Dates picked, null for a cancelled picker
+ * @returns {Object} UITable, UITableRow, UITableCell, Alert, DatePicker and ShareSheet
+ */
+function createUIClasses(env, { onPresentTable = null, alertResponses = [], datePickerResponses = [] } = {}) {
+  class UITable {
+    constructor() {
+      this.rows = [];
+      this.showSeparators = false;
+      this.reloadCount = 0;
+    }
+
+    addRow(row) { this.rows.push(row); }
+    removeRow(row) { this.rows = this.rows.filter(candidate => candidate !== row); }
+    removeAllRows() { this.rows = []; }
+    reload() { this.reloadCount++; }
+
+    async present(fullscreen = false) {
+      this.fullscreen = fullscreen;
+      env.presentedTables.push(this);
+      if (onPresentTable) {
+        await onPresentTable(this);
+      }
+    }
+  }
+
+  class Alert {
+    constructor() {
+      this.title = "";
+      this.message = "";
+      this.actions = [];
+      this.textFields = [];
+    }
+
+    addAction(title) { this.actions.push({ title, style: "default" }); }
+    addDestructiveAction(title) { this.actions.push({ title, style: "destructive" }); }
+    addCancelAction(title) { this.cancelAction = title; }
+    addTextField(placeholder = "", text = "") { this.textFields.push({ placeholder, text }); }
+    textFieldValue(index) { return this.textFields[index].text; }
+
+    async present() {
+      const response = takeResponse(alertResponses, this, "alert");
+      env.alerts.push({ title: this.title, message: this.message, actions: this.actions.map(action => action.title), response });
+      return response;
+    }
+
+    presentAlert() { return this.present(); }
+    presentSheet() { return this.present(); }
+  }
+
+  class DatePicker {
+    constructor() {
+      this.initialDate = new Date();
+      this.minimumDate = null;
+      this.maximumDate = null;
+    }
+
+    async pickDate() {
+      const response = takeResponse(datePickerResponses, this, "date picker");
+      if (response === null) {
+        throw new Error("The date picker was cancelled");
+      }
+      return new Date(response);
+    }
+
+    pickDateAndTime() { return this.pickDate(); }
+  }
+
+  class ShareSheet {
+    static async present(activityItems) {
+      env.sharedItems.push(activityItems);
+      return { completed: true, activity_type: null };
+    }
+  }
+
+  return { UITable, UITableRow, UITableCell, Alert, DatePicker, ShareSheet };
+}
+
+/**
+ * Returns the cell titles of a table row by row (not part of the Scriptable API)
+ * @param {UITable} table - Table
+ * @returns {Array<Array<string>>} Titles of each row's text and button cells
+ */
+function collectTableTitles(table) {
+  return table.rows.map(row => row.cells.filter(cell => cell.type !== "image").map(cell => cell.title));
+}
+
+module.exports = {
+  UITableRow,
+  UITableCell,
+  createUIClasses,
+  collectTableTitles
+};
@@ -0,0 +1,103 @@
+// Exports Treasury curves as CSV or JSON under Node, e.g. to pull them into a spreadsheet
+// Without a date range the export holds the curves the widget shows (current and comparison
+// curves); with one it holds every curve published in the range.
+//
+// Usage: node scripts/export_curves.js [options]
+//   --format <format>      csv (default) or json
+//   --from <date>          First date of a range (YYYY-MM-DD)
+//   --to <date>            Last date of a range (YYYY-MM-DD), defaults to the latest curve
+//   --parameter <string>   Widget parameter, e.g. "spans=1M,1Y" or "dataset=real"
+//   --feed <file>          Read this saved Treasury XML feed instead of downloading
+//   --now <time>           Export as of this time (ISO 8601)
+//   --dir <folder>         Write the export into this folder, named after its dataset and dates
+//   --out <file>           Write the export here; without --dir or --out it goes to standard output
+
+const fs = require("fs");
+const path = require("path");
+const { parseArguments, runWidget } = require("./shim_run");
+const { EXPORT_FORMATS } = require("../lib/curve_export");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses the command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options: format, from, to, parameter, feed, now, dir, out
+ */
+function parseOptions(argv) {
+  const options = parseArguments(argv, {
+    format: "csv",
+    from: null,
+    to: null,
+    parameter: null,
+    feed: null,
+    now: null,
+    dir: null,
+    out: null
+  });
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    throw new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}, got "${options.format}"`);
+  }
+  for (const name of ["from", "to"]) {
+    if (options[name] !== null && !DATE_PATTERN.test(options[name])) {
+      throw new Error(`${name} must be a YYYY-MM-DD date, got "${options[name]}"`);
+    }
+  }
+  if (options.to && !options.from) {
+    throw new Error("to needs a from date");
+  }
+  return options;
+}
+
+/**
+ * Runs the widget and exports its curves
+ * @param {Object} options - Options from parseOptions
+ * @returns {Promise<Object>} { contents, fileName }
+ */
+async function exportCurves(options) {
+  const env = await runWidget({ ...options, family: "medium" });
+  try {
+    // Same module instances as the run, so the data comes from the run's cache
+    const runtime = env.importModule("lib/widget_runtime");
+    const treasuryData = env.importModule("lib/treasury_data");
+    const curveExport = env.importModule("lib/curve_export");
+
+    // Progress messages of the data modules go to standard error, which keeps the export on standard output clean
+    console.log = (...args) => console.error(...args);
+    const allData = await treasuryData.fetchAllYieldData(true);
+    const curves = options.from
+      ? await treasuryData.fetchCurvesInRange(options.from, options.to || allData.current.date)
+      : curveExport.collectShownCurves(allData);
+    if (curves.length === 0) {
+      throw new Error(`No Treasury data is available from ${options.from} to ${options.to || allData.current.date}`);
+    }
+
+    const { dataset } = runtime.getSettings();
+    return {
+      contents: curveExport.formatCurves(curves, options.format, { dataset, exportedAt: runtime.now().toISOString() }),
+      fileName: curveExport.getExportFileName(curves, dataset, options.format)
+    };
+  } finally {
+    env.dispose();
+  }
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const { contents, fileName } = await exportCurves(options);
+  if (options.dir) {
+    fs.mkdirSync(options.dir, { recursive: true });
+    const filePath = path.join(options.dir, fileName);
+    fs.writeFileSync(filePath, contents);
+    console.error(`Exported to ${filePath}`);
+  } else if (options.out) {
+    fs.writeFileSync(options.out, contents);
+  } else {
+    process.stdout.write(contents);
+  }
+}
+
+main().catch(error => {
+  console.error(`Couldn't export the curves: ${error.message}`);
+  process.exitCode = 1;
+});
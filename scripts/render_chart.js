@@ -0,0 +1,76 @@
+// Renders the widget's chart to SVG under Node, e.g. for a daily chat post or a dashboard
+// The widget script runs in the Scriptable shim first, so the chart uses the script's own
+// configuration constants and widget parameter syntax.
+// Only SVG is written; for a PNG, convert the SVG with an SVG tool, e.g.
+// rsvg-convert -z 2 yield_curve.svg > yield_curve.png
+//
+// Usage: node scripts/render_chart.js [options]
+//   --family <family>      medium (default), large or extraLarge
+//   --parameter <string>   Widget parameter, e.g. "spans=1W,1M;theme=light" or "mode=delta"
+//   --feed <file>          Read this saved Treasury XML feed instead of downloading
+//   --now <time>           Render as of this time (ISO 8601), e.g. to reproduce an older chart
+//   --out <file>           Write the SVG here instead of standard output; an .svg file or no extension
+
+const fs = require("fs");
+const path = require("path");
+const { parseArguments, runWidget } = require("./shim_run");
+
+const CHART_FAMILIES = ["medium", "large", "extraLarge"];
+
+/**
+ * Parses the command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options: family, parameter, feed, now, out
+ */
+function parseOptions(argv) {
+  const options = parseArguments(argv, { family: "medium", parameter: null, feed: null, now: null, out: null });
+  if (!CHART_FAMILIES.includes(options.family)) {
+    throw new Error(`family must be one of ${CHART_FAMILIES.join(", ")}, got "${options.family}"`);
+  }
+  // An SVG document in a .png file would only fail later, in whatever opens it
+  const extension = options.out ? path.extname(options.out).toLowerCase() : "";
+  if (extension !== "" && extension !== ".svg") {
+    throw new Error(`only SVG is written, got --out ${options.out}; convert the SVG for other formats, e.g. with rsvg-convert`);
+  }
+  return options;
+}
+
+/**
+ * Runs the widget and renders its chart
+ * @param {Object} options - Options from parseArguments
+ * @returns {Promise<string>} SVG document
+ */
+async function renderChart(options) {
+  const env = await runWidget(options);
+  try {
+    // Same module instances as the run, so the data comes from the run's cache
+    const runtime = env.importModule("lib/widget_runtime");
+    const treasuryData = env.importModule("lib/treasury_data");
+    const yieldChart = env.importModule("lib/yield_chart");
+    const svgRenderer = env.importModule("lib/svg_renderer");
+
+    // Progress messages of the data modules go to standard error, which keeps the SVG on standard output clean
+    console.log = (...args) => console.error(...args);
+    const settings = runtime.getSettings();
+    const allData = await treasuryData.fetchAllYieldData(settings.showHistorical || settings.mode !== "curve");
+    const scene = yieldChart.buildChartScene(allData, null, runtime.getOptions().chartSizes[options.family]);
+    return svgRenderer.renderSceneToSvg(scene);
+  } finally {
+    env.dispose();
+  }
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const svg = await renderChart(options);
+  if (options.out) {
+    fs.writeFileSync(options.out, svg);
+  } else {
+    process.stdout.write(svg);
+  }
+}
+
+main().catch(error => {
+  console.error(`Couldn't render the chart: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,67 @@
+// Shared by the command line scripts: option parsing and a widget run in the Scriptable shim,
+// so the scripts use the widget script's own configuration constants and parameter syntax
+
+const path = require("path");
+const { createScriptableEnvironment, collectElements, collectTexts } = require("../scriptable-shim");
+
+const SCRIPT = path.join(__dirname, "..", "us_treasury_yield_curve_widget.js");
+
+/**
+ * Parses "--name value" options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} defaults - Every accepted option with its default value
+ * @returns {Object} Options
+ */
+function parseArguments(argv, defaults) {
+  const options = { ...defaults };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${argv[i]}`);
+    }
+    options[name] = argv[i + 1];
+  }
+  return options;
+}
+
+/**
+ * Runs the widget script in the shim, reading a saved feed or downloading from Treasury
+ * The caller disposes the returned environment; its importModule loads the same module
+ * instances as the run, so later calls share the run's configuration and cache
+ * @param {Object} options - Options
+ * @param {string} options.family - Widget family to run as
+ * @param {string|null} options.parameter - Widget parameter
+ * @param {string|null} options.feed - Saved Treasury XML feed to read instead of downloading
+ * @param {string|null} options.now - Time to run at (ISO 8601), null for now
+ * @returns {Promise<Object>} Environment from createScriptableEnvironment, installed
+ * @throws {Error} With the widget's message when it shows no chart (bad parameter, no data)
+ */
+async function runWidget({ family, parameter, feed, now }) {
+  const env = createScriptableEnvironment({
+    routes: feed
+      ? [{ url: "field_tdr_date_value=", file: path.resolve(feed) }]
+      : [{ url: () => true, passthrough: true }],
+    files: "tempdir",
+    widgetFamily: family,
+    widgetParameter: parameter,
+    now
+  });
+
+  try {
+    await env.runScript(SCRIPT);
+    // A widget without a chart shows what went wrong instead
+    if (!env.widget || collectElements(env.widget, "image").length === 0) {
+      throw new Error(env.widget ? collectTexts(env.widget).join(": ") : "The widget script didn't produce a widget");
+    }
+    env.install();
+    return env;
+  } catch (error) {
+    env.dispose();
+    throw error;
+  }
+}
+
+module.exports = {
+  parseArguments,
+  runWidget
+};
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { createScriptableEnvironment } = require("../scriptable-shim");
+const runtime = require("../lib/widget_runtime");
+const treasuryData = require("../lib/treasury_data");
+const alertNotifier = require("../lib/alert_notifier");
+
+const FEED_2024 = path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml");
+const DOCUMENTS = "/scriptable/local/Documents";
+
+const DEFAULTS = {
+  spans: ["1W"],
+  showHistorical: true,
+  maturities: null,
+  dataset: "nominal",
+  mode: "curve",
+  storage: "local"
+};
+
+// From Wednesday July 3 to Friday July 5 the 10Y fell from 4.36% to 4.28%, the 2Y by 11 bp
+// and the 3Y by 10 bp
+const RULES = [
+  { type: "level", tenor: "10Y", level: 4.3 },
+  { type: "move", bp: 10 },
+  { type: "spreadFlip", spread: "2s10s" }
+];
+
+describe("alert notifier", () => {
+  let env;
+
+  function startRun(alertRules, settings = {}) {
+    treasuryData.resetRunState();
+    // Saturday July 6: Friday's curve is the current one
+    runtime.configure({ defaults: DEFAULTS, themes: {}, cacheLimits: {}, alertRules, now: () => new Date("2024-07-06T14:00:00Z") });
+    runtime.setSettings({ ...DEFAULTS, ...settings });
+  }
+
+  // Friday's curve is in the cache from an earlier refresh, so the alerts check it
+  async function checkFriday() {
+    await treasuryData.fetchYieldDataForDate("2024-07-05");
+    return alertNotifier.checkAlerts();
+  }
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    env = createScriptableEnvironment({
+      routes: [{ url: "daily_treasury_yield_curve&field_tdr_date_value=2024", file: FEED_2024 }]
+    });
+    env.install();
+  });
+
+  afterEach(() => {
+    env.dispose();
+    mock.restoreAll();
+  });
+
+  it("posts a notification for each rule that fires", async () => {
+    startRun(RULES);
+
+    const posted = await checkFriday();
+
+    assert.equal(posted.length, 2);
+    assert.deepEqual(env.notifications.map(notification => [notification.title, notification.body]), [
+      ["10Y yield fell below 4.30%", "10Y at 4.28% on 2024-07-05, from 4.36% the business day before"],
+      ["2 maturities moved 10 bp or more", "2Y -11 bp, 3Y -10 bp on 2024-07-05"]
+    ]);
+    assert.equal(env.notifications[0].identifier, "nominal:level:10Y:4.3:either@2024-07-05");
+    const state = JSON.parse(env.backend.read(`${DOCUMENTS}/treasury_alert_state.json`));
+    assert.deepEqual(Object.keys(state.fired), ["nominal:level:10Y:4.3:either", "nominal:move:any:10"]);
+  });
+
+  it("doesn't repeat an alert on later refreshes of the same curve", async () => {
+    startRun(RULES);
+    await checkFriday();
+    startRun(RULES);
+
+    assert.deepEqual(await checkFriday(), []);
+    assert.equal(env.notifications.length, 2);
+  });
+
+  it("checks each rule against its own dataset, whatever the widget shows", async () => {
+    startRun([...RULES, { type: "move", bp: 10, dataset: "real" }], { dataset: "real" });
+
+    const posted = await checkFriday();
+
+    // The real feed isn't available here, which doesn't keep the nominal rules from firing
+    assert.deepEqual(posted.map(alert => alert.rule.dataset), ["nominal", "nominal"]);
+    assert.ok(env.requests.some(request => /daily_treasury_real_yield_curve/.test(request.url)));
+  });
+
+  it("checks every maturity, not only the ones the widget plots", async () => {
+    startRun(RULES, { maturities: ["2Y", "5Y"] });
+
+    const posted = await checkFriday();
+
+    assert.deepEqual(env.notifications.map(notification => notification.title), [
+      "10Y yield fell below 4.30%",
+      "2 maturities moved 10 bp or more"
+    ]);
+    assert.equal(posted.length, 2);
+  });
+
+  it("does nothing without rules", async () => {
+    startRun([]);
+
+    assert.deepEqual(await checkFriday(), []);
+    assert.equal(env.backend.exists(`${DOCUMENTS}/treasury_alert_state.json`), false);
+  });
+});
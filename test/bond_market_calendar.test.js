@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const calendar = require("../lib/bond_market_calendar");
+
+const day = calendar.parseISODate;
+const iso = calendar.formatISODate;
+
+describe("holidays", () => {
+  it("observes fixed holidays on the nearest weekday", () => {
+    // July 4, 2026 is a Saturday and Christmas 2022 a Sunday
+    assert.equal(calendar.getHolidayName(day("2026-07-03")), "Independence Day");
+    assert.equal(calendar.getHolidayName(day("2022-12-26")), "Christmas Day");
+  });
+
+  it("doesn't move New Year's Day back into the previous year", () => {
+    assert.equal(calendar.isHoliday(day("2021-12-31")), false);
+    assert.equal(calendar.isBusinessDay(day("2021-12-31")), true);
+  });
+
+  it("only observes Juneteenth from 2022", () => {
+    assert.equal(calendar.isHoliday(day("2021-06-18")), false);
+    assert.equal(calendar.getHolidayName(day("2022-06-20")), "Juneteenth");
+  });
+
+  it("places Good Friday relative to Easter", () => {
+    assert.equal(iso(calendar.getEasterSunday(2024)), "2024-03-31");
+    assert.equal(calendar.getHolidayName(day("2024-03-29")), "Good Friday");
+  });
+
+  it("treats weekends as non-business days", () => {
+    assert.equal(calendar.isWeekend(day("2024-07-06")), true);
+    assert.equal(calendar.isBusinessDay(day("2024-07-06")), false);
+    assert.equal(calendar.isBusinessDay(day("2024-07-05")), true);
+  });
+});
+
+describe("business-day arithmetic", () => {
+  it("steps over holidays and weekends", () => {
+    assert.equal(iso(calendar.nextBusinessDay(day("2024-07-03"))), "2024-07-05");
+    assert.equal(iso(calendar.previousBusinessDay(day("2024-07-05"))), "2024-07-03");
+    assert.equal(iso(calendar.previousBusinessDay(day("2024-07-08"))), "2024-07-05");
+  });
+
+  it("lands on the adjacent business day when starting from a weekend", () => {
+    assert.equal(iso(calendar.addBusinessDays(day("2024-07-06"), -1)), "2024-07-05");
+    assert.equal(iso(calendar.getClosestPreviousBusinessDay(day("2024-07-07"))), "2024-07-05");
+  });
+
+  it("adds business days across a holiday week", () => {
+    assert.equal(iso(calendar.addBusinessDays(day("2024-07-01"), 5)), "2024-07-09");
+    assert.equal(iso(calendar.addBusinessDays(day("2024-07-01"), 0)), "2024-07-01");
+  });
+
+  it("counts business days in either direction", () => {
+    assert.equal(calendar.countBusinessDays(day("2024-07-01"), day("2024-07-08")), 4);
+    assert.equal(calendar.countBusinessDays(day("2024-07-08"), day("2024-07-01")), -4);
+  });
+});
@@ -0,0 +1,385 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const chartScene = require("../lib/chart_scene");
+const tenorAxis = require("../lib/tenor_axis");
+const { parseDatasetFeed } = require("../lib/treasury_datasets");
+const { renderSceneToSvg } = require("../lib/svg_renderer");
+
+const SIZE = { width: 350, height: 150 };
+const MARGINS = { top: 25, bottom: 35, left: 40 };
+const DARK = {
+  background: "#1c1c1e",
+  title: "#FFFFFF",
+  text: "#999999",
+  grid: "#333333",
+  axis: "#666666",
+  error: "#FF3B30",
+  positive: "#34C759",
+  negative: "#FF3B30"
+};
+const LIGHT = {
+  background: "#FFFFFF",
+  title: "#000000",
+  text: "#6C6C70",
+  grid: "#E5E5EA",
+  axis: "#AEAEB2",
+  error: "#FF3B30",
+  positive: "#248A3D",
+  negative: "#D70015"
+};
+const SETTINGS = { mode: "curve", dataset: "nominal", xAxis: "log", deltaStyle: "bars" };
+
+const SNAPSHOT_DIR = path.join(__dirname, "snapshots");
+const { curves } = parseDatasetFeed(
+  "nominal",
+  fs.readFileSync(path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml"), "utf8")
+);
+
+function createAllData() {
+  return {
+    current: { date: "2024-07-08", yieldData: curves.get("2024-07-08"), cacheStatus: "Cached data" },
+    "1W": { date: "2024-07-01", yieldData: curves.get("2024-07-01"), label: "1 week ago", span: "1W" },
+    "2024-07-03": { date: "2024-07-03", yieldData: curves.get("2024-07-03"), label: "Jul 3, 2024", span: "2024-07-03" }
+  };
+}
+
+function createHistoryData() {
+  const dates = [...curves.keys()].sort();
+  return {
+    current: createAllData().current,
+    history: {
+      days: dates.length,
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      curves: dates.map(date => ({ date, yieldData: curves.get(date) }))
+    }
+  };
+}
+
+function buildScene(settings = {}, { theme = DARK, allData = createAllData() } = {}) {
+  return chartScene.buildChartScene(allData, { size: SIZE, theme, margins: MARGINS, settings: { ...SETTINGS, ...settings } });
+}
+
+function elementsOfType(scene, type) {
+  return scene.elements.filter(element => element.type === type);
+}
+
+/**
+ * Compares an SVG rendering with its stored snapshot
+ * Run with UPDATE_SNAPSHOTS=1 to write the snapshots after an intended change, then review the diff
+ */
+function assertMatchesSnapshot(name, svg) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.svg`);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, svg);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `Missing snapshot ${name}.svg; run with UPDATE_SNAPSHOTS=1 to create it`);
+  assert.equal(svg, fs.readFileSync(file, "utf8"), `${name}.svg differs from the rendered chart`);
+}
+
+describe("computeChartRect", () => {
+  it("leaves the text margins around the plot area", () => {
+    assert.deepEqual(chartScene.computeChartRect(SIZE, 1, MARGINS), { x: 40, y: 25, width: 289, height: 90 });
+  });
+
+  it("takes extra legend rows from the plot height", () => {
+    assert.equal(chartScene.computeChartRect(SIZE, 3, MARGINS).height, 70);
+    assert.equal(chartScene.computeChartRect(SIZE, 0, MARGINS).height, 90);
+  });
+});
+
+describe("layoutLegend", () => {
+  it("wraps entries onto rows that fit the width", () => {
+    const entries = ["Current", "1 week ago", "2 weeks ago", "1 month ago", "YTD start"]
+      .map(label => ({ label, color: "#FFFFFF" }));
+    const rows = chartScene.layoutLegend(entries, 120);
+
+    assert.ok(rows.length > 1);
+    assert.deepEqual(rows.flat().map(entry => entry.label), entries.map(entry => entry.label));
+    for (const row of rows) {
+      assert.equal(row[0].x, 0);
+      assert.ok(row[row.length - 1].x + row[row.length - 1].width <= 120);
+    }
+  });
+});
+
+describe("buildYieldCurveScene", () => {
+  it("places every current yield at its maturity inside the plot area", () => {
+    const scene = buildScene();
+    const chartRect = chartScene.computeChartRect(SIZE, 1, MARGINS);
+    const yieldData = curves.get("2024-07-08");
+    const xForMonths = tenorAxis.createTenorScale(tenorAxis.collectTenors([yieldData]), "log", chartRect.x, chartRect.width);
+
+    const current = elementsOfType(scene, "line").find(line => line.color === chartScene.CURRENT_CURVE_COLOR);
+    assert.equal(current.points.length, yieldData.length);
+    current.points.forEach((point, i) => {
+      assert.ok(Math.abs(point.x - xForMonths(yieldData[i].months)) < 1e-9);
+      assert.ok(point.y >= chartRect.y && point.y <= chartRect.y + chartRect.height);
+    });
+  });
+
+  it("gives each historical curve a palette color and a legend entry", () => {
+    const scene = buildScene();
+    const lines = elementsOfType(scene, "line").filter(line => line.points.length > 2);
+
+    assert.deepEqual(lines.map(line => line.color), [...chartScene.HISTORICAL_CURVE_PALETTE.slice(0, 2), chartScene.CURRENT_CURVE_COLOR]);
+    const texts = elementsOfType(scene, "text").map(text => text.text);
+    assert.ok(["Current", "1 week ago", "Jul 3, 2024"].every(label => texts.includes(label)));
+  });
+
+  it("titles the chart after the dataset", () => {
+    const title = elementsOfType(buildScene({ dataset: "breakeven" }), "text").find(text => text.weight === "bold");
+    assert.equal(title.text, "Breakeven Inflation (Nominal − Real)");
+  });
+
+  it("shows a message instead of an empty chart", () => {
+    const scene = buildScene({}, { allData: { current: null } });
+    assert.deepEqual(elementsOfType(scene, "text").map(text => text.text), ["No yield data available"]);
+  });
+});
+
+describe("curve fit overlay", () => {
+  it("draws the fitted curve under the current curve, with a legend entry", () => {
+    const scene = buildScene({ fit: "svensson" });
+    const fitted = elementsOfType(scene, "line").filter(line => line.color === chartScene.FITTED_CURVE_COLOR);
+
+    assert.equal(fitted.length, 1);
+    assert.equal(fitted[0].points.length, 60);
+    assert.ok(elementsOfType(scene, "text").some(text => text.text === "Svensson fit"));
+  });
+
+  it("marks each quoted yield's residual when asked", () => {
+    const scene = buildScene({ fit: "nelsonSiegel", showResiduals: true });
+    const residuals = elementsOfType(scene, "line").filter(line => line.points.length === 2 && line.lineWidth === 2);
+
+    assert.equal(residuals.length, 13);
+    assert.ok(residuals.every(line => line.points[0].x === line.points[1].x));
+  });
+
+  it("fits every maturity, but marks the residuals only at the plotted ones", () => {
+    const allData = createAllData();
+    const full = allData.current.yieldData;
+    allData.current = { ...allData.current, yieldData: full.filter(point => ["2Y", "10Y", "30Y"].includes(point.label)), fullYieldData: full };
+    const scene = buildScene({ fit: "svensson", showResiduals: true }, { allData });
+    const residuals = elementsOfType(scene, "line").filter(line => line.points.length === 2 && line.lineWidth === 2);
+
+    assert.ok(elementsOfType(scene, "text").some(text => text.text === "Svensson fit"));
+    assert.equal(residuals.length, 3);
+  });
+
+  it("fills maturities a comparison curve doesn't quote from its fit", () => {
+    const allData = createAllData();
+    allData["1W"].yieldData = allData["1W"].yieldData.filter(point => point.label !== "20Y");
+    const { curves: filled } = chartScene.applyCurveFits(
+      Object.entries(allData).map(([key, data]) => ({ key, data })),
+      "nelsonSiegel"
+    );
+
+    assert.equal(filled[1].data.yieldData.find(point => point.label === "20Y").fitted, true);
+
+    const bars = elementsOfType(buildScene({ mode: "delta", fit: "nelsonSiegel" }, { allData: { current: allData.current, "1W": allData["1W"] } }), "rect")
+      .filter(element => element.alpha === 0.5);
+    assert.equal(bars.length, 1);
+  });
+});
+
+describe("zero and forward overlays", () => {
+  it("draws the bootstrapped curves within the quoted maturities, with legend entries", () => {
+    const scene = buildScene({ overlays: ["zero", "forward"] });
+    const lineOf = key => elementsOfType(scene, "line").find(line => line.color === chartScene.OVERLAY_STYLES[key].color);
+    const texts = elementsOfType(scene, "text").map(text => text.text);
+
+    assert.equal(lineOf("zero").points.length, 64);
+    assert.equal(lineOf("forward").points.length, 58);
+    assert.ok(texts.includes("Zero curve") && texts.includes("1y forward"));
+  });
+
+  it("bootstraps from every maturity, keeping the overlays within the plotted ones", () => {
+    const full = curves.get("2024-07-08");
+    const shown = full.filter(point => ["2Y", "10Y"].includes(point.label));
+    const [zero] = chartScene.buildOverlayCurves(full, ["zero"], shown);
+    const [fromAll] = chartScene.buildOverlayCurves(full, ["zero"]);
+
+    assert.deepEqual([zero.points[0].months, zero.points[zero.points.length - 1].months], [24, 120]);
+    assert.deepEqual(zero.points, fromAll.points.filter(point => point.months >= 24 && point.months <= 120));
+  });
+
+  it("leaves out the overlays on curves too short to bootstrap", () => {
+    const yieldData = curves.get("2024-07-08").filter(point => point.label === "10Y");
+
+    assert.deepEqual(chartScene.buildOverlayCurves(yieldData, ["zero"]), []);
+    assert.deepEqual(chartScene.buildOverlayCurves(curves.get("2024-07-08")), []);
+  });
+});
+
+describe("dashPolyline", () => {
+  it("splits a polyline into dashes, carrying the pattern across corners", () => {
+    const dashes = chartScene.dashPolyline([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }], [4, 2]);
+
+    assert.deepEqual(dashes, [
+      [{ x: 0, y: 0 }, { x: 4, y: 0 }],
+      [{ x: 6, y: 0 }, { x: 10, y: 0 }],
+      [{ x: 10, y: 2 }, { x: 10, y: 6 }],
+      [{ x: 10, y: 8 }, { x: 10, y: 10 }]
+    ]);
+  });
+});
+
+describe("palettes and curve styles", () => {
+  it("colors the curves from the colorblind palette", () => {
+    const scene = buildScene({ palette: "colorblind" });
+    const lines = elementsOfType(scene, "line").filter(line => line.points.length > 2);
+    const { colorblind } = chartScene.CURVE_PALETTES;
+
+    assert.deepEqual(lines.map(line => line.color), [...colorblind.historical.slice(0, 2), colorblind.current]);
+  });
+
+  it("dashes each comparison curve with its own pattern, the current curve staying solid", () => {
+    const scene = buildScene({ curveStyle: "dashes" });
+    const linesOf = color => elementsOfType(scene, "line").filter(line => line.color === color);
+    const [first, second] = chartScene.HISTORICAL_CURVE_PALETTE;
+
+    assert.ok(linesOf(first).length > 10);
+    assert.ok(linesOf(second).length > linesOf(first).length);
+    assert.equal(linesOf(chartScene.CURRENT_CURVE_COLOR).filter(line => line.points.length > 2).length, 1);
+  });
+
+  it("marks each comparison curve's maturities with its own shape", () => {
+    const scene = buildScene({ curveStyle: "markers" });
+    const [first, second] = chartScene.HISTORICAL_CURVE_PALETTE;
+    const maturities = curves.get("2024-07-01").length;
+
+    // Squares for the first curve, triangles for the second, each also in the legend
+    assert.equal(elementsOfType(scene, "rect").filter(shape => shape.color === first && shape.width === shape.height).length, maturities + 1);
+    assert.equal(elementsOfType(scene, "polygon").filter(shape => shape.color === second).length, curves.get("2024-07-03").length + 1);
+    assert.deepEqual(
+      chartScene.getCurveStyles([{ key: "current" }, { key: "1W" }], "markers"),
+      { current: { dash: null, marker: "circle" }, "1W": { dash: null, marker: "square" } }
+    );
+  });
+});
+
+describe("value labels", () => {
+  const isYieldLabel = text => /^\d\.\d\d$/.test(text.text);
+
+  it("labels yields of the current curve without overlaps, benchmarks first", () => {
+    const scene = buildScene({ valueLabels: true });
+    const labels = elementsOfType(scene, "text").filter(isYieldLabel);
+    const yields = curves.get("2024-07-08").map(point => point.yield.toFixed(2));
+
+    assert.ok(labels.length >= 4);
+    assert.ok(labels.every(label => yields.includes(label.text)));
+    for (let i = 0; i < labels.length; i++) {
+      for (let j = i + 1; j < labels.length; j++) {
+        assert.ok(!(labels[i].x < labels[j].x + labels[j].width && labels[j].x < labels[i].x + labels[i].width &&
+          labels[i].y < labels[j].y + labels[j].height && labels[j].y < labels[i].y + labels[i].height));
+      }
+    }
+    // The 10Y yield is the first benchmark
+    assert.ok(labels.some(label => label.text === "4.28"));
+  });
+
+  it("rings and labels only the high and low when highlighting extremes", () => {
+    const scene = buildScene({ highlightExtremes: true });
+    const labels = elementsOfType(scene, "text").filter(isYieldLabel);
+    const rings = elementsOfType(scene, "ellipse").filter(ellipse => ellipse.width === 9);
+
+    assert.deepEqual(labels.map(label => [label.text, label.color, label.weight]), [["4.23", DARK.negative, "bold"], ["5.48", DARK.positive, "bold"]]);
+    assert.deepEqual(rings.map(ring => ring.color), [DARK.positive, DARK.negative]);
+    assert.equal(elementsOfType(buildScene(), "ellipse").filter(ellipse => ellipse.width === 9).length, 0);
+  });
+});
+
+describe("buildHistoryScene", () => {
+  const HISTORY_SETTINGS = { mode: "history", historySeries: ["3M", "2Y", "10Y", "2s10s"] };
+
+  it("lays out panels in two columns, or four on wide charts", () => {
+    const bounds = { x: 10, y: 25, width: 330, height: 105 };
+    const panels = chartScene.layoutPanels(4, bounds);
+
+    assert.deepEqual(panels.map(panel => [panel.x, panel.y]), [[10, 25], [179, 25], [10, 81.5], [179, 81.5]]);
+    assert.equal(chartScene.layoutPanels(4, { ...bounds, width: 600 })[3].y, 25);
+  });
+
+  it("annotates each series with its current value, low and high", () => {
+    const texts = elementsOfType(buildScene(HISTORY_SETTINGS, { allData: createHistoryData() }), "text").map(text => text.text);
+
+    assert.ok(texts.includes("last 5 business days"));
+    assert.ok(texts.includes("10Y"));
+    assert.ok(texts.includes("4.28%"));
+    assert.ok(texts.includes("L 4.28% 7/5"));
+    assert.ok(texts.includes("H 4.48% 7/1"));
+    assert.ok(texts.includes("2s10s"));
+    assert.ok(texts.includes("L -35 bp 7/3"));
+  });
+
+  it("shows a message without a history", () => {
+    const scene = buildScene(HISTORY_SETTINGS, { allData: { current: createAllData().current, history: null } });
+    assert.deepEqual(elementsOfType(scene, "text").map(text => text.text), ["Yield History", "No history available"]);
+  });
+});
+
+describe("buildSparklineScene", () => {
+  it("spans the width and ends in a dot on the last value", () => {
+    const scene = chartScene.buildSparklineScene([4.5, 4.2, 4.4], { width: 130, height: 44 }, "#007AFF");
+    const [line, dot] = scene.elements;
+
+    assert.deepEqual(line.points.map(point => point.x), [3, 65, 127]);
+    assert.equal(line.points[1].y, 41);
+    assert.equal(dot.type, "ellipse");
+    assert.equal(dot.x + dot.width / 2, 127);
+  });
+
+  it("is empty with fewer than two values", () => {
+    assert.deepEqual(chartScene.buildSparklineScene([4.5], { width: 130, height: 44 }, "#007AFF").elements, []);
+  });
+});
+
+describe("SVG snapshots", () => {
+  it("renders the yield curve chart with historical curves", () => {
+    assertMatchesSnapshot("yield_curve_medium_dark", renderSceneToSvg(buildScene()));
+  });
+
+  it("renders the delta chart as bars", () => {
+    assertMatchesSnapshot("delta_bars_light", renderSceneToSvg(buildScene({ mode: "delta" }, { theme: LIGHT })));
+  });
+
+  it("renders the delta chart as a line on an index axis", () => {
+    assertMatchesSnapshot("delta_line_dark", renderSceneToSvg(buildScene({ mode: "delta", deltaStyle: "line", xAxis: "index" })));
+  });
+
+  it("renders the yield curve chart with a fitted curve and residuals", () => {
+    assertMatchesSnapshot("yield_curve_fit_light", renderSceneToSvg(buildScene({ fit: "svensson", showResiduals: true }, { theme: LIGHT })));
+  });
+
+  it("renders the yield curve chart with zero and forward overlays", () => {
+    assertMatchesSnapshot("yield_curve_overlays_dark", renderSceneToSvg(buildScene({ overlays: ["zero", "forward"] }, { allData: { current: createAllData().current } })));
+  });
+
+  it("renders the yield curve chart in the colorblind palette with markers", () => {
+    assertMatchesSnapshot("yield_curve_colorblind_markers_light", renderSceneToSvg(buildScene({ palette: "colorblind", curveStyle: "markers" }, { theme: LIGHT })));
+  });
+
+  it("renders the yield curve chart with dashed comparison curves", () => {
+    assertMatchesSnapshot("yield_curve_dashes_dark", renderSceneToSvg(buildScene({ curveStyle: "dashes" })));
+  });
+
+  it("renders the yield curve chart with value labels and the high and low ringed", () => {
+    assertMatchesSnapshot("yield_curve_value_labels_light", renderSceneToSvg(buildScene({ valueLabels: true, highlightExtremes: true }, { theme: LIGHT })));
+  });
+
+  it("renders the history chart", () => {
+    const settings = { mode: "history", historySeries: ["3M", "2Y", "10Y", "2s10s"] };
+    assertMatchesSnapshot("history_medium_dark", renderSceneToSvg(buildScene(settings, { allData: createHistoryData() })));
+  });
+
+  it("renders the sparkline", () => {
+    const values = curves.get("2024-07-08").map(point => point.yield);
+    assertMatchesSnapshot("sparkline", renderSceneToSvg(chartScene.buildSparklineScene(values, { width: 130, height: 44 }, "#007AFF")));
+  });
+});
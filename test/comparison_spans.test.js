@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseSpan, resolveSpans } = require("../lib/comparison_spans");
+const { parseISODate } = require("../lib/bond_market_calendar");
+
+// Easter Sunday 2024, two days after the Good Friday close
+const TODAY = parseISODate("2024-03-31");
+
+const ANCHORS = { fomcMeetings: ["2024-03-25"], namedDates: { Election: "2024-11-05", "Bank run": "2023-03-12" } };
+
+function resolve(specs) {
+  return resolveSpans(specs, TODAY).map(span => [span.key, span.dateString]);
+}
+
+describe("parseSpan", () => {
+  it("labels relative spans", () => {
+    assert.equal(parseSpan("1W").label, "1 week ago");
+    assert.equal(parseSpan("10b").label, "10 business days ago");
+    assert.equal(parseSpan("YTD start").label, "YTD start");
+    assert.equal(parseSpan("2024-02-29").label, "Feb 29, 2024");
+  });
+
+  it("reads legacy day counts, writing whole weeks as weeks", () => {
+    assert.equal(parseSpan(14).key, "2W");
+    assert.equal(parseSpan("10").key, "10D");
+  });
+
+  it("rejects malformed specs and impossible dates", () => {
+    assert.throws(() => parseSpan("2024-02-30"), /Invalid comparison date/);
+    assert.throws(() => parseSpan("3Q"), /Invalid comparison span/);
+    assert.throws(() => parseSpan(0), /Invalid comparison span/);
+    assert.throws(() => parseSpan("Election"), /Invalid comparison span/);
+    assert.throws(() => parseSpan("Leap", { namedDates: { Leap: "2023-02-29" } }), /Invalid date for "Leap"/);
+    assert.throws(() => parseSpan("FOMC", { fomcMeetings: ["March"] }), /Invalid FOMC meeting date/);
+  });
+});
+
+describe("resolveSpans", () => {
+  it("snaps dates back to the closest business day", () => {
+    // One week back is Sunday the 24th; Good Friday the 29th is closed
+    assert.deepEqual(resolve(["1W", "1D"]), [["1W", "2024-03-22"], ["1D", "2024-03-28"]]);
+  });
+
+  it("clamps months to the end of shorter months", () => {
+    assert.deepEqual(resolve(["1M"]), [["1M", "2024-02-29"]]);
+  });
+
+  it("resolves YTD to the last close of the previous year", () => {
+    assert.deepEqual(resolve(["YTD"]), [["YTD", "2023-12-29"]]);
+  });
+
+  it("resolves quarter and month starts to the last close before them", () => {
+    // December 31, 2023 was a Sunday
+    assert.deepEqual(resolve(["QTD", "MTD start"]), [["QTD", "2023-12-29"], ["MTD", "2024-02-29"]]);
+    assert.deepEqual(
+      resolveSpans(["QTD"], parseISODate("2024-07-09")).map(span => [span.dateString, span.label]),
+      [["2024-06-28", "QTD start Jun 28, 2024"]]
+    );
+  });
+
+  it("resolves the last FOMC decision, including added meetings", () => {
+    assert.deepEqual(resolve(["FOMC"]), [["FOMC", "2024-03-20"]]);
+    assert.deepEqual(
+      resolveSpans(["fomc"], TODAY, ANCHORS).map(span => [span.dateString, span.label]),
+      [["2024-03-25", "FOMC Mar 25, 2024"]]
+    );
+    assert.deepEqual(resolveSpans(["FOMC", "1W"], parseISODate("2021-01-04")).map(span => span.key), ["1W"]);
+  });
+
+  it("resolves named dates to the last close on or before them, labelled with it", () => {
+    const spans = resolveSpans(["election", "Bank run"], parseISODate("2025-01-06"), ANCHORS);
+
+    assert.deepEqual(spans.map(span => [span.key, span.dateString, span.label]), [
+      ["Election", "2024-11-05", "Election Nov 5, 2024"],
+      ["Bank run", "2023-03-10", "Bank run Mar 10, 2023"]
+    ]);
+  });
+
+  it("labels YTD with its date", () => {
+    assert.equal(resolveSpans(["YTD"], TODAY)[0].label, "YTD start Dec 29, 2023");
+  });
+
+  it("drops duplicate spans", () => {
+    assert.deepEqual(resolve(["1W", 7, "1w"]), [["1W", "2024-03-22"]]);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  toBasisPoints,
+  formatBasisPoints,
+  computeSpread,
+  computeSpreads,
+  findInvertedSegments,
+  isInverted,
+  computeTenorChanges,
+  findBiggestMovers,
+  findExtremes,
+  analyzeCurves
+} = require("../lib/curve_analytics");
+
+// 2024-07-05 par yield curve: inverted from the bills to the 5Y, upward sloping after
+const CURVE = [
+  { label: "1M", months: 1, yield: 5.48 },
+  { label: "3M", months: 3, yield: 5.46 },
+  { label: "6M", months: 6, yield: 5.32 },
+  { label: "1Y", months: 12, yield: 5.0 },
+  { label: "2Y", months: 24, yield: 4.6 },
+  { label: "5Y", months: 60, yield: 4.22 },
+  { label: "10Y", months: 120, yield: 4.28 },
+  { label: "30Y", months: 360, yield: 4.47 }
+];
+
+describe("toBasisPoints", () => {
+  it("converts percentage points without floating point noise", () => {
+    assert.equal(toBasisPoints(4.28 - 4.6), -32);
+    assert.equal(toBasisPoints(0.015), 1.5);
+  });
+});
+
+describe("formatBasisPoints", () => {
+  it("rounds and signs basis points, with or without the unit", () => {
+    assert.equal(formatBasisPoints(12.4), "+12 bp");
+    assert.equal(formatBasisPoints(-3.2), "-3 bp");
+    assert.equal(formatBasisPoints(0, false), "0");
+  });
+});
+
+describe("computeSpreads", () => {
+  it("computes the named spreads in basis points", () => {
+    assert.deepEqual(computeSpreads(CURVE).map(spread => [spread.name, spread.bp]), [
+      ["2s10s", -32],
+      ["3m10y", -118],
+      ["5s30s", 25]
+    ]);
+  });
+
+  it("skips spreads whose maturities are missing", () => {
+    const real = CURVE.filter(point => point.months >= 60);
+    assert.deepEqual(computeSpreads(real).map(spread => spread.name), ["5s30s"]);
+    assert.equal(computeSpread(real, "2Y", "10Y"), null);
+  });
+
+  it("flags the curve as inverted only by the signal spreads", () => {
+    assert.equal(isInverted(computeSpreads(CURVE)), true);
+    assert.equal(isInverted([{ name: "5s30s", bp: -5, inversionSignal: false }]), false);
+  });
+});
+
+describe("findInvertedSegments", () => {
+  it("merges consecutive falling steps into one segment", () => {
+    const segments = findInvertedSegments(CURVE);
+    assert.equal(segments.length, 1);
+    assert.equal(segments[0].start.label, "1M");
+    assert.equal(segments[0].end.label, "5Y");
+    assert.equal(segments[0].bp, -126);
+  });
+
+  it("returns separate segments for separate inversions, in maturity order", () => {
+    const humped = [
+      { label: "10Y", months: 120, yield: 4.1 },
+      { label: "1Y", months: 12, yield: 4.4 },
+      { label: "2Y", months: 24, yield: 4.3 },
+      { label: "5Y", months: 60, yield: 4.2 },
+      { label: "20Y", months: 240, yield: 4.5 },
+      { label: "30Y", months: 360, yield: 4.4 }
+    ];
+    assert.deepEqual(
+      findInvertedSegments(humped).map(segment => [segment.start.label, segment.end.label, segment.bp]),
+      [["1Y", "10Y", -30], ["20Y", "30Y", -10]]
+    );
+  });
+
+  it("finds nothing on an upward sloping curve", () => {
+    assert.deepEqual(findInvertedSegments(CURVE.slice(5)), []);
+  });
+});
+
+describe("computeTenorChanges", () => {
+  it("matches maturities present in both curves", () => {
+    const weekAgo = [
+      { label: "2Y", months: 24, yield: 4.71 },
+      { label: "10Y", months: 120, yield: 4.36 },
+      { label: "20Y", months: 240, yield: 4.66 }
+    ];
+    assert.deepEqual(computeTenorChanges(CURVE, weekAgo), [
+      { label: "2Y", months: 24, bp: -11 },
+      { label: "10Y", months: 120, bp: -8 }
+    ]);
+  });
+});
+
+describe("findBiggestMovers", () => {
+  it("keeps the largest absolute changes, in maturity order", () => {
+    const changes = [
+      { label: "3M", months: 3, bp: -2 },
+      { label: "2Y", months: 24, bp: -14.5 },
+      { label: "5Y", months: 60, bp: 0.3 },
+      { label: "10Y", months: 120, bp: 9 },
+      { label: "30Y", months: 360, bp: 11 }
+    ];
+    assert.deepEqual(findBiggestMovers(changes, 3).map(change => change.label), ["2Y", "10Y", "30Y"]);
+    assert.deepEqual(findBiggestMovers(changes, 10).map(change => change.label), ["3M", "2Y", "10Y", "30Y"]);
+  });
+});
+
+describe("findExtremes", () => {
+  it("finds the highest and lowest yields", () => {
+    const { min, max } = findExtremes(CURVE);
+
+    assert.equal(min.label, "5Y");
+    assert.equal(max.label, "1M");
+    assert.equal(findExtremes(CURVE.map(point => ({ ...point, yield: 4 }))), null);
+    assert.equal(findExtremes(CURVE.slice(0, 1)), null);
+  });
+});
+
+describe("analyzeCurves", () => {
+  it("compares the current curve to every historical curve", () => {
+    const weekAgo = CURVE.map(point => ({ ...point, yield: point.yield + 0.1 }));
+    const analysis = analyzeCurves({
+      current: { yieldData: CURVE },
+      "1W": { label: "1 week ago", yieldData: weekAgo }
+    });
+    assert.equal(analysis.inverted, true);
+    assert.equal(analysis.invertedSegments.length, 1);
+    assert.deepEqual(analysis.changes.map(entry => entry.label), ["1 week ago"]);
+    assert.ok(analysis.changes[0].changes.every(change => change.bp === -10));
+  });
+
+  it("returns null without a current curve", () => {
+    assert.equal(analyzeCurves({}), null);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const curveExport = require("../lib/curve_export");
+
+const CURRENT = {
+  date: "2024-07-08",
+  yieldData: [
+    { label: "3M", months: 3, yield: 5.46 },
+    { label: "2Y", months: 24, yield: 4.62 },
+    { label: "10Y", months: 120, yield: 4.28 }
+  ]
+};
+const WEEK_AGO = {
+  date: "2024-07-02",
+  label: "1 week ago",
+  span: "1W",
+  yieldData: [
+    { label: "1M", months: 1, yield: 5.48 },
+    { label: "2Y", months: 24, yield: 4.74 },
+    { label: "10Y", months: 120, yield: 4.43 }
+  ]
+};
+
+describe("collectShownCurves", () => {
+  it("labels the current curve and keeps the comparison labels", () => {
+    const curves = curveExport.collectShownCurves({ current: CURRENT, "1W": WEEK_AGO, "2W": null });
+
+    assert.deepEqual(curves.map(curve => [curve.date, curve.label]), [["2024-07-08", "Current"], ["2024-07-02", "1 week ago"]]);
+  });
+});
+
+describe("formatCurvesAsCsv", () => {
+  it("writes one row per curve and one column per maturity, shortest first", () => {
+    const csv = curveExport.formatCurvesAsCsv(curveExport.collectShownCurves({ current: CURRENT, "1W": WEEK_AGO }));
+
+    assert.equal(csv, [
+      "date,curve,1M,3M,2Y,10Y",
+      "2024-07-08,Current,,5.46,4.62,4.28",
+      "2024-07-02,1 week ago,5.48,,4.74,4.43",
+      ""
+    ].join("\n"));
+  });
+
+  it("leaves out the curve column for unlabelled curves", () => {
+    const csv = curveExport.formatCurvesAsCsv([CURRENT]);
+
+    assert.equal(csv.split("\n")[0], "date,3M,2Y,10Y");
+  });
+
+  it("quotes labels with separators", () => {
+    const csv = curveExport.formatCurvesAsCsv([{ ...CURRENT, label: "Jul 3, 2024" }]);
+
+    assert.equal(csv.split("\n")[1], "2024-07-08,\"Jul 3, 2024\",5.46,4.62,4.28");
+  });
+});
+
+describe("formatCurvesAsJson", () => {
+  it("keys each curve's yields by maturity after the metadata", () => {
+    const json = JSON.parse(curveExport.formatCurvesAsJson([CURRENT, WEEK_AGO], { dataset: "nominal" }));
+
+    assert.equal(json.dataset, "nominal");
+    assert.deepEqual(json.tenors, ["1M", "3M", "2Y", "10Y"]);
+    assert.deepEqual(json.curves[0], { date: "2024-07-08", yields: { "3M": 5.46, "2Y": 4.62, "10Y": 4.28 } });
+    assert.equal(json.curves[1].label, "1 week ago");
+  });
+});
+
+describe("formatCurves", () => {
+  it("rejects unknown formats", () => {
+    assert.throws(() => curveExport.formatCurves([CURRENT], "xlsx"), /Unknown export format "xlsx"/);
+  });
+});
+
+describe("getExportFileName", () => {
+  it("names the file after the dataset and the dates covered", () => {
+    assert.equal(curveExport.getExportFileName([CURRENT, WEEK_AGO], "nominal", "csv"), "treasury_nominal_2024-07-02_2024-07-08.csv");
+    assert.equal(curveExport.getExportFileName([CURRENT], "nominal+real", "json"), "treasury_nominal_real_2024-07-08.json");
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const curveFit = require("../lib/curve_fit");
+const { parseDatasetFeed } = require("../lib/treasury_datasets");
+
+const { curves } = parseDatasetFeed(
+  "nominal",
+  fs.readFileSync(path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml"), "utf8")
+);
+const MONDAY = curves.get("2024-07-08");
+
+describe("parseMaturity", () => {
+  it("converts maturity labels to months", () => {
+    assert.equal(curveFit.parseMaturity("15Y"), 180);
+    assert.equal(curveFit.parseMaturity("18m"), 18);
+    assert.equal(curveFit.parseMaturity("26W"), 6);
+    assert.equal(curveFit.parseMaturity(300), 300);
+    assert.throws(() => curveFit.parseMaturity("LT>10Y"), /Not a maturity/);
+  });
+});
+
+describe("fitCurve", () => {
+  it("recovers the parameters of a Nelson-Siegel curve", () => {
+    const params = { beta0: 4.5, beta1: 1, beta2: -2, beta3: 0, tau1: 2, tau2: null };
+    const yieldData = MONDAY.map(point => ({ ...point, yield: curveFit.interpolateYield({ params }, point.months) }));
+
+    const fit = curveFit.fitCurve(yieldData, "nelsonSiegel");
+
+    assert.equal(fit.model, "nelsonSiegel");
+    assert.ok(Math.abs(fit.params.beta0 - 4.5) < 1e-4);
+    assert.ok(Math.abs(fit.params.tau1 - 2) < 1e-3);
+    assert.ok(fit.rmse < 0.01);
+  });
+
+  it("fits the quoted curve within a few basis points, Svensson more closely", () => {
+    const nelsonSiegel = curveFit.fitCurve(MONDAY, "nelsonSiegel");
+    const svensson = curveFit.fitCurve(MONDAY, "svensson");
+
+    assert.equal(nelsonSiegel.residuals.length, 13);
+    assert.ok(nelsonSiegel.rmse < 5);
+    assert.ok(svensson.rmse < nelsonSiegel.rmse);
+    assert.ok(svensson.params.tau2 >= 2 * svensson.params.tau1);
+    assert.ok(nelsonSiegel.residuals.every(residual => Math.abs(residual.bp) < 10));
+  });
+
+  it("falls back to Nelson-Siegel with too few maturities for Svensson, and gives up below four", () => {
+    const fewer = MONDAY.filter(point => ["3M", "2Y", "5Y", "10Y", "30Y"].includes(point.label));
+
+    assert.equal(curveFit.fitCurve(fewer, "svensson").model, "nelsonSiegel");
+    assert.equal(curveFit.fitCurve(fewer.slice(0, 3), "nelsonSiegel"), null);
+    assert.throws(() => curveFit.fitCurve(MONDAY, "spline"), /Unknown curve model/);
+  });
+});
+
+describe("interpolateYield", () => {
+  it("reads the fitted curve between quoted maturities", () => {
+    const fit = curveFit.fitCurve(MONDAY, "svensson");
+    const fifteen = curveFit.interpolateYield(fit, "15Y");
+
+    assert.ok(fifteen > 4.28 && fifteen < 4.55);
+    assert.equal(curveFit.interpolateYield(fit, 180), fifteen);
+  });
+});
+
+describe("fillGaps", () => {
+  const TENORS = MONDAY.map(({ label, months }) => ({ label, months }));
+
+  it("fills the maturities a curve doesn't quote inside its quoted range", () => {
+    // 1M is shorter than any maturity the curve still quotes, so it stays missing
+    const older = MONDAY.filter(point => !["1M", "4M", "20Y"].includes(point.label));
+    const filled = curveFit.fillGaps(older, TENORS, curveFit.fitCurve(older, "nelsonSiegel"));
+
+    assert.deepEqual(filled.filter(point => point.fitted).map(point => point.label), ["4M", "20Y"]);
+    assert.deepEqual(filled.map(point => point.label), TENORS.map(tenor => tenor.label).filter(label => label !== "1M"));
+  });
+
+  it("leaves the curve alone without a fit", () => {
+    assert.equal(curveFit.fillGaps(MONDAY, TENORS, null), MONDAY);
+  });
+});
+
+describe("sampleFit", () => {
+  it("samples the fit evenly in log maturity", () => {
+    const samples = curveFit.sampleFit(curveFit.fitCurve(MONDAY, "nelsonSiegel"), 1, 360, 5);
+
+    assert.deepEqual(samples.map(sample => Math.round(sample.months)), [1, 4, 19, 83, 360]);
+  });
+});
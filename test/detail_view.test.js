@@ -0,0 +1,288 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { createScriptableEnvironment, collectTableTitles, collectElements } = require("../scriptable-shim");
+
+const SCRIPT = path.join(__dirname, "..", "us_treasury_yield_curve_widget.js");
+const FEED_2024 = path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml");
+
+// Tuesday July 9, 10:00 Eastern: Monday's curve is the latest one published
+const NOW = "2024-07-09T14:00:00Z";
+
+/**
+ * Finds the row with a cell of the given title
+ * @param {UITable} table - Presented table
+ * @param {string} title - Cell title
+ * @returns {UITableRow} Row
+ */
+function findRow(table, title) {
+  return table.rows.find(row => row.cells.some(cell => cell.title === title));
+}
+
+/**
+ * Finds the cell of the given title
+ * @param {UITable} table - Presented table
+ * @param {string} title - Cell title
+ * @returns {UITableCell} Cell
+ */
+function findCell(table, title) {
+  return findRow(table, title).cells.find(cell => cell.title === title);
+}
+
+describe("detail view", () => {
+  let env;
+
+  function runInApp(options) {
+    env = createScriptableEnvironment({
+      routes: [{ url: "daily_treasury_yield_curve&field_tdr_date_value=2024", file: FEED_2024 }],
+      widgetFamily: null,
+      widgetParameter: "spans=1W",
+      now: NOW,
+      ...options
+    });
+    return env.runScript(SCRIPT);
+  }
+
+  afterEach(() => {
+    env.dispose();
+  });
+
+  it("presents the chart, spreads and every tenor against each comparison", async () => {
+    await runInApp();
+
+    const [table] = env.presentedTables;
+    const titles = collectTableTitles(table);
+    assert.equal(table.fullscreen, true);
+    assert.equal(table.rows[0].cells[0].type, "image");
+    assert.equal(table.rows[0].cells[0].image.size.width, 350);
+    assert.deepEqual(titles.find(row => row[0] === "Spread"), ["Spread", "Now", "vs 1W"]);
+    assert.deepEqual(titles.find(row => row[0] === "2s10s"), ["2s10s", "-34 bp", "-3"]);
+    assert.deepEqual(titles.find(row => row[0] === "Tenor"), ["Tenor", "Yield", "vs 1W"]);
+    assert.deepEqual(titles.find(row => row[0] === "10Y"), ["10Y", "4.28%", "-15"]);
+    assert.equal(env.widget, null);
+    assert.equal(env.completed, true);
+  });
+
+  it("opens with the settings of the tapped widget", async () => {
+    await runInApp({ widgetParameter: null, queryParameters: { parameter: "spans=3D" } });
+
+    const titles = collectTableTitles(env.presentedTables[0]);
+    assert.deepEqual(titles.find(row => row[0] === "Tenor"), ["Tenor", "Yield", "vs 3D"]);
+  });
+
+  it("switches the chart between curve and delta mode", async () => {
+    const charts = [];
+    await runInApp({
+      onPresentTable: table => {
+        charts.push(table.rows[0].cells[0].image);
+        findCell(table, "Delta").onTap();
+        charts.push(table.rows[0].cells[0].image);
+        assert.ok(findCell(table, "● Delta"));
+        assert.ok(findCell(table, "Curve"));
+      }
+    });
+
+    const [curve, delta] = charts;
+    // The delta chart draws its bars as filled rectangles, the curve chart only the background
+    const countRects = image => image.drawing.filter(call => call.method === "fillRect").length;
+    assert.ok(countRects(delta) > countRects(curve));
+    assert.equal(env.presentedTables[0].reloadCount, 2);
+  });
+
+  it("reads the history when the history chart is first shown", async () => {
+    const charts = [];
+    await runInApp({
+      widgetParameter: "spans=1W;days=5",
+      onPresentTable: async table => {
+        await findCell(table, "History").onTap();
+        charts.push(table.rows[0].cells[0].image);
+      }
+    });
+
+    const [history] = charts;
+    const texts = history.drawing.filter(call => call.method === "drawTextInRect").map(call => call.text);
+    assert.ok(texts.includes("last 5 business days"));
+    assert.ok(env.backend.exists("/scriptable/local/Documents/treasury_history_nominal.json"));
+  });
+
+  it("reads maturities Treasury doesn't quote from the fitted curve", async () => {
+    await runInApp({ widgetParameter: "spans=1W;fit=svensson" });
+
+    const titles = collectTableTitles(env.presentedTables[0]);
+    assert.deepEqual(titles.find(row => row[0] === "Svensson fit"), ["Svensson fit", "RMSE 2.4 bp"]);
+    assert.deepEqual(titles.find(row => row[0] === "15Y (fit)"), ["15Y (fit)", "4.46%"]);
+  });
+
+  it("fits every maturity, whatever maturities are shown", async () => {
+    await runInApp({ widgetParameter: "spans=1W;fit=svensson;maturities=2Y,10Y,30Y" });
+
+    const titles = collectTableTitles(env.presentedTables[0]);
+    assert.deepEqual(titles.find(row => row[0] === "Svensson fit"), ["Svensson fit", "RMSE 2.4 bp"]);
+    assert.deepEqual(titles.find(row => row[0] === "15Y (fit)"), ["15Y (fit)", "4.46%"]);
+  });
+
+  it("lists forward and zero-coupon rates against each comparison", async () => {
+    await runInApp({ widgetParameter: "spans=1W;forwards=1y1y,5y5y,30y1y" });
+
+    const titles = collectTableTitles(env.presentedTables[0]);
+    assert.deepEqual(titles.find(row => row[0] === "Forward"), ["Forward", "Rate", "vs 1W"]);
+    assert.deepEqual(titles.find(row => row[0] === "5y5y").slice(0, 2), ["5y5y", "4.35%"]);
+    assert.deepEqual(titles.find(row => row[0] === "10Y zero").slice(0, 2), ["10Y zero", "4.28%"]);
+    assert.equal(titles.find(row => row[0] === "30y1y"), undefined);
+  });
+
+  it("bootstraps the rates from every maturity, whatever maturities are shown", async () => {
+    await runInApp({ widgetParameter: "spans=1W;maturities=2Y,10Y;forwards=5y5y" });
+
+    const titles = collectTableTitles(env.presentedTables[0]);
+    assert.deepEqual(titles.find(row => row[0] === "5y5y").slice(0, 2), ["5y5y", "4.35%"]);
+    assert.deepEqual(titles.find(row => row[0] === "10Y zero").slice(0, 2), ["10Y zero", "4.28%"]);
+  });
+
+  it("compares with a date picked in the view", async () => {
+    await runInApp({
+      alertResponses: [1],
+      datePickerResponses: ["2024-07-03T12:00:00"],
+      onPresentTable: table => findRow(table, "Delta compares with").onSelect()
+    });
+
+    const [alert] = env.alerts;
+    assert.deepEqual(alert.actions, ["1 week ago (2024-07-02)", "Choose a date…"]);
+    const table = env.presentedTables[0];
+    const titles = collectTableTitles(table);
+    assert.deepEqual(titles.find(row => row[0] === "Tenor"), ["Tenor", "Yield", "vs 1W", "vs 2024-07-03"]);
+    assert.equal(findCell(table, "Delta compares with").subtitle, "Jul 3, 2024 (2024-07-03)");
+  });
+
+  it("keeps the comparison when the date picker is dismissed", async () => {
+    await runInApp({
+      alertResponses: [1],
+      datePickerResponses: [null],
+      onPresentTable: table => findRow(table, "Delta compares with").onSelect()
+    });
+
+    const table = env.presentedTables[0];
+    assert.equal(table.reloadCount, 1);
+    assert.equal(findCell(table, "Delta compares with").subtitle, "1 week ago (2024-07-02)");
+  });
+
+  it("shares the curves shown as CSV", async () => {
+    await runInApp({
+      widgetParameter: "spans=1W;maturities=2Y,10Y",
+      alertResponses: [0, 0],
+      onPresentTable: table => findCell(table, "Export…").onTap()
+    });
+
+    assert.deepEqual(env.alerts.map(alert => alert.actions), [["Curves shown", "Date range…"], ["CSV", "JSON"]]);
+    assert.deepEqual(env.sharedItems, [["date,curve,2Y,10Y\n2024-07-08,Current,4.62,4.28\n2024-07-02,1 week ago,4.74,4.43\n"]]);
+  });
+
+  it("exports every curve in a picked date range as JSON", async () => {
+    await runInApp({
+      alertResponses: [1, 1],
+      datePickerResponses: ["2024-07-05T12:00:00", "2024-07-02T12:00:00"],
+      onPresentTable: table => findCell(table, "Export…").onTap()
+    });
+
+    const json = JSON.parse(env.sharedItems[0][0]);
+    assert.equal(json.dataset, "nominal");
+    assert.deepEqual(json.curves.map(curve => curve.date), ["2024-07-02", "2024-07-03", "2024-07-05"]);
+  });
+
+  it("notes a comparison that couldn't be downloaded in the status row", async () => {
+    // Only the 2024 feed is routed, so the 2023 download fails as if offline
+    await runInApp({ widgetParameter: "spans=1W,2023-12-29" });
+
+    const titles = collectTableTitles(env.presentedTables[0]);
+    assert.deepEqual(titles.find(row => row[0] === "Spread"), ["Spread", "Now", "vs 1W"]);
+    assert.ok(titles.some(row => row[0] === "2024-07-08 • Fresh data • comparison offline"));
+  });
+
+  it("shows an export that can't be saved in an alert", async () => {
+    await runInApp({
+      files: "tempdir",
+      alertResponses: [0, 0, 0],
+      onPresentTable: table => {
+        // A file where the export folder should be makes the write fail
+        const runtime = env.importModule("lib/widget_runtime");
+        runtime.configure({ ...runtime.getOptions(), exportDirectory: "Exports" });
+        env.backend.write(`${env.backend.root}/local/Documents/Exports`, "");
+        return findCell(table, "Export…").onTap();
+      }
+    });
+
+    const failure = env.alerts[env.alerts.length - 1];
+    assert.equal(failure.title, "Export failed");
+    assert.match(failure.message, /Exports/);
+  });
+
+  it("previews the widget with its history in history mode", async () => {
+    let preview = null;
+    await runInApp({
+      widgetParameter: "spans=1W;mode=history;days=5",
+      onPresentTable: table => {
+        const widgetLayouts = env.importModule("lib/widget_layouts");
+        widgetLayouts.presentPreview = async widget => {
+          preview = widget;
+        };
+        return findCell(table, "Preview widget").onTap();
+      }
+    });
+
+    const [chart] = collectElements(preview, "image");
+    const texts = chart.image.drawing.filter(call => call.method === "drawTextInRect").map(call => call.text);
+    assert.ok(texts.includes("last 5 business days"));
+    assert.ok(!texts.includes("No history available"));
+  });
+
+  it("previews the delta widget against the comparison picked in the view", async () => {
+    let preview = null;
+    await runInApp({
+      widgetParameter: "spans=1W;mode=delta",
+      alertResponses: [1],
+      datePickerResponses: ["2024-07-03T12:00:00"],
+      onPresentTable: async table => {
+        await findRow(table, "Delta compares with").onSelect();
+        const widgetLayouts = env.importModule("lib/widget_layouts");
+        widgetLayouts.presentPreview = async widget => {
+          preview = widget;
+        };
+        await findCell(table, "Preview widget").onTap();
+      }
+    });
+
+    const [chart] = collectElements(preview, "image");
+    const texts = chart.image.drawing.filter(call => call.method === "drawTextInRect").map(call => call.text);
+    assert.ok(texts.includes("Change since Jul 3, 2024 (bp)"));
+  });
+
+  it("saves exports to the configured folder", async () => {
+    await runInApp();
+    const runtime = env.importModule("lib/widget_runtime");
+    const detailView = env.importModule("lib/detail_view");
+    runtime.configure({ ...runtime.getOptions(), exportDirectory: "Exports" });
+    env.install();
+
+    const savedPath = await detailView.saveExport("date\n", "treasury_nominal_2024-07-08.csv");
+
+    assert.equal(savedPath, "/scriptable/local/Documents/Exports/treasury_nominal_2024-07-08.csv");
+    assert.equal(env.backend.read(savedPath), "date\n");
+    assert.deepEqual(env.sharedItems, []);
+  });
+
+  it("falls back to the default settings for an invalid parameter", async () => {
+    await runInApp({ widgetParameter: "spans=3Q", alertResponses: [0] });
+
+    assert.equal(env.alerts[0].message, "Invalid parameter: Invalid comparison span: 3Q\nShowing the default settings.");
+    assert.equal(env.presentedTables.length, 1);
+  });
+
+  it("reports when no current data can be fetched", async () => {
+    await runInApp({ routes: [], alertResponses: [0] });
+
+    assert.equal(env.alerts[0].message, "Offline: Treasury couldn't be reached");
+    assert.equal(env.presentedTables.length, 0);
+    assert.equal(env.completed, true);
+  });
+});
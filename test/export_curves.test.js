@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "export_curves.js");
+const FEED_2024 = path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml");
+
+function exportCurves(...args) {
+  return spawnSync(process.execPath, [SCRIPT, "--feed", FEED_2024, "--now", "2024-07-09T14:00:00Z", ...args], {
+    encoding: "utf8",
+    timeout: 60000
+  });
+}
+
+describe("export_curves script", () => {
+  it("writes the curves the widget shows as CSV to standard output", () => {
+    const result = exportCurves("--parameter", "spans=1W;maturities=2Y,10Y");
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, "date,curve,2Y,10Y\n2024-07-08,Current,4.62,4.28\n2024-07-02,1 week ago,4.74,4.43\n");
+    assert.match(result.stderr, /Fetching current yield data/);
+  });
+
+  it("writes a date range as JSON into a folder", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-export-"));
+    try {
+      const result = exportCurves("--parameter", "spans=1W", "--from", "2024-07-03", "--format", "json", "--dir", dir);
+
+      assert.equal(result.status, 0, result.stderr);
+      const json = JSON.parse(fs.readFileSync(path.join(dir, "treasury_nominal_2024-07-03_2024-07-08.json"), "utf8"));
+      assert.deepEqual(json.curves.map(curve => curve.date), ["2024-07-03", "2024-07-05", "2024-07-08"]);
+      assert.equal(json.exportedAt, "2024-07-09T14:00:00.000Z");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects an unknown format", () => {
+    const result = exportCurves("--format", "xlsx");
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /format must be one of csv, json/);
+  });
+});
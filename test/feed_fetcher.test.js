@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createScriptableEnvironment } = require("../scriptable-shim");
+const feedFetcher = require("../lib/feed_fetcher");
+const { FeedFormatError } = require("../lib/treasury_feed_parser");
+
+const URL = "https://home.treasury.gov/feed";
+
+describe("toFeedError", () => {
+  it("tells offline devices, timeouts, other connection failures and changed feeds apart", () => {
+    const kindOf = error => feedFetcher.toFeedError(error, URL).kind;
+
+    assert.equal(kindOf(new Error("The Internet connection appears to be offline.")), "offline");
+    assert.equal(kindOf(new Error("The request timed out.")), "timeout");
+    assert.equal(kindOf(new Error("A server with the specified hostname could not be found.")), "network");
+    assert.equal(kindOf(new FeedFormatError("Received an HTML page instead of the XML feed")), "format");
+    assert.equal(feedFetcher.toFeedError(new Error("The request timed out."), URL).url, URL);
+  });
+});
+
+describe("checkResponse", () => {
+  it("rejects error statuses and unexpected media types", () => {
+    assert.throws(
+      () => feedFetcher.checkResponse({ statusCode: 503, headers: {} }, URL, ["xml"]),
+      error => error.kind === "http" && error.status === 503
+    );
+    assert.throws(
+      () => feedFetcher.checkResponse({ statusCode: 200, headers: { "content-type": "text/html; charset=UTF-8" } }, URL, ["xml"]),
+      error => error.kind === "format" && /received text\/html/.test(error.message)
+    );
+    feedFetcher.checkResponse({ statusCode: 200, mimeType: "application/atom+xml", headers: {} }, URL, ["xml"]);
+    feedFetcher.checkResponse({ statusCode: 200, headers: {} }, URL, ["xml"]);
+  });
+});
+
+describe("fetchText", () => {
+  let env;
+
+  function install(routes) {
+    env = createScriptableEnvironment({ routes });
+    env.install();
+  }
+
+  beforeEach(() => mock.method(console, "warn", () => {}));
+
+  afterEach(() => {
+    env.dispose();
+    mock.restoreAll();
+  });
+
+  it("retries timeouts and server errors with a doubling wait", async () => {
+    install([
+      { url: URL, timeout: true, times: 1 },
+      { url: URL, status: 503, times: 1 },
+      { url: URL, headers: { "Content-Type": "application/xml" }, body: "<feed/>" }
+    ]);
+
+    const text = await feedFetcher.fetchText(URL, { mediaTypes: ["xml"], retries: 2, backoffSeconds: 1 });
+
+    assert.equal(text, "<feed/>");
+    assert.equal(env.requests.length, 3);
+    assert.deepEqual(env.timers.map(timer => timer.timeInterval), [1000, 2000]);
+  });
+
+  it("gives up after the last retry with the last failure", async () => {
+    install([{ url: URL, timeout: true }]);
+
+    await assert.rejects(feedFetcher.fetchText(URL, { retries: 1 }), error => error.kind === "timeout");
+    assert.equal(env.requests.length, 2);
+  });
+
+  it("doesn't retry when the device is offline or the request can't succeed", async () => {
+    install([{ url: "/missing", status: 404 }]);
+
+    await assert.rejects(feedFetcher.fetchText(URL, { retries: 3 }), error => error.kind === "offline");
+    await assert.rejects(feedFetcher.fetchText(`${URL}/missing`, { retries: 3 }), error => error.status === 404);
+    assert.equal(env.requests.length, 2);
+    assert.equal(env.timers.length, 0);
+  });
+});
+
+describe("describeFeedError", () => {
+  it("names the failure for the widget", () => {
+    const error = kind => new feedFetcher.FeedError("failed", { kind, status: kind === "http" ? 503 : null });
+
+    assert.equal(feedFetcher.describeFeedError(error("http")), "Treasury feed unavailable (HTTP 503)");
+    assert.equal(feedFetcher.describeFeedError(error("format")), "Treasury feed changed");
+    assert.equal(feedFetcher.describeFeedError(null), null);
+  });
+});
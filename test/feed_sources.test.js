@@ -0,0 +1,82 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const feedSources = require("../lib/feed_sources");
+const { FeedFormatError } = require("../lib/treasury_feed_parser");
+
+// Treasury's CSV download lists the newest day first
+const TREASURY_CSV = [
+  "Date,\"1 Mo\",\"2 Mo\",\"3 Mo\",\"4 Mo\",\"6 Mo\",\"1 Yr\",\"2 Yr\",\"3 Yr\",\"5 Yr\",\"7 Yr\",\"10 Yr\",\"20 Yr\",\"30 Yr\"",
+  "07/08/2024,5.48,5.47,5.46,5.41,5.29,4.98,4.62,4.39,4.23,4.23,4.28,4.55,4.47",
+  "07/05/2024,5.49,5.48,5.46,5.41,5.28,4.97,4.60,4.38,4.22,4.22,4.28,4.55,4.47",
+  ""
+].join("\r\n");
+
+// FRED marks market holidays with a dot
+const FRED_CSV = [
+  "observation_date,DGS1MO,DGS3MO,DGS6MO,DGS1,DGS2,DGS3,DGS5,DGS7,DGS10,DGS20,DGS30",
+  "2024-07-04,.,.,.,.,.,.,.,.,.,.,.",
+  "2024-07-05,5.49,5.46,5.28,4.97,4.60,4.38,4.22,4.22,4.28,4.55,4.47"
+].join("\n");
+
+function sourceNamed(dataset, name) {
+  return feedSources.getSources(dataset, 2024).find(source => source.name === name);
+}
+
+describe("parseCsv", () => {
+  it("splits quoted cells with commas and doubled quotes", () => {
+    assert.deepEqual(feedSources.parseCsv('a,"b, c","say ""hi"""\r\n\r\n1,2,3'), [["a", "b, c", 'say "hi"'], ["1", "2", "3"]]);
+  });
+});
+
+describe("CSV sources", () => {
+  it("reads Treasury's CSV download into curves in date order", () => {
+    const { curves, drift } = sourceNamed("nominal", "treasuryCsv").parse(TREASURY_CSV);
+
+    assert.deepEqual([...curves.keys()], ["2024-07-05", "2024-07-08"]);
+    assert.deepEqual(curves.get("2024-07-08").find(point => point.label === "10Y"), { label: "10Y", months: 120, yield: 4.28 });
+    assert.equal(curves.get("2024-07-08").length, 13);
+    assert.deepEqual(drift.missingFields, []);
+  });
+
+  it("reads the 6-week column of current CSV downloads", () => {
+    const csv = [
+      "Date,\"1 Mo\",\"1.5 Month\",\"2 Mo\",\"3 Mo\",\"4 Mo\",\"6 Mo\",\"1 Yr\",\"2 Yr\",\"3 Yr\",\"5 Yr\",\"7 Yr\",\"10 Yr\",\"20 Yr\",\"30 Yr\"",
+      "03/03/2025,4.36,4.34,4.33,4.32,4.30,4.24,4.06,3.94,3.92,3.99,4.08,4.18,4.52,4.44"
+    ].join("\r\n");
+    const { curves, drift } = sourceNamed("nominal", "treasuryCsv").parse(csv);
+
+    assert.deepEqual(curves.get("2025-03-03")[1], { label: "1.5M", months: 1.5, yield: 4.34 });
+    assert.deepEqual(drift.missingFields, []);
+  });
+
+  it("reads the FRED series, skipping holidays and the maturities FRED doesn't have", () => {
+    const { curves, drift } = sourceNamed("nominal", "fred").parse(FRED_CSV);
+
+    assert.deepEqual([...curves.keys()], ["2024-07-05"]);
+    assert.deepEqual(curves.get("2024-07-05").map(point => point.label), ["1M", "3M", "6M", "1Y", "2Y", "3Y", "5Y", "7Y", "10Y", "20Y", "30Y"]);
+    assert.equal(drift.undatedEntries, 0);
+  });
+
+  it("rejects documents that aren't the expected CSV", () => {
+    const parse = sourceNamed("nominal", "treasuryCsv").parse;
+
+    assert.throws(() => parse("<!DOCTYPE html><html></html>"), FeedFormatError);
+    assert.throws(() => parse("Date,Price\n07/08/2024,100"), /none of the expected columns/);
+  });
+});
+
+describe("getSources", () => {
+  it("tries the XML feed, then the CSV download, then FRED", () => {
+    const sources = feedSources.getSources("real", 2024);
+
+    assert.deepEqual(sources.map(source => source.label), ["Treasury XML", "Treasury CSV", "FRED"]);
+    assert.match(sources[1].url, /daily-treasury-rates\.csv\/2024\/all\?type=daily_treasury_real_yield_curve&/);
+    assert.equal(sources[2].url, "https://fred.stlouisfed.org/graph/fredgraph.csv?id=DFII5,DFII7,DFII10,DFII20,DFII30&cosd=2024-01-01&coed=2024-12-31");
+  });
+
+  it("only lists the sources a dataset has columns in", () => {
+    assert.deepEqual(feedSources.getSources("bills", 2024).map(source => source.name), ["treasuryXml", "treasuryCsv"]);
+    assert.deepEqual(feedSources.getSources("longTerm", 2024).map(source => source.name), ["treasuryXml"]);
+  });
+});
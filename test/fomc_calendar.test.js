@@ -0,0 +1,35 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const fomcCalendar = require("../lib/fomc_calendar");
+const { parseISODate } = require("../lib/bond_market_calendar");
+
+describe("getMeetingDates", () => {
+  it("keeps eight scheduled decisions a year, all on weekdays", () => {
+    const dates = fomcCalendar.getMeetingDates();
+    const years = new Set(dates.map(date => date.slice(0, 4)));
+
+    assert.equal(dates.length, years.size * 8);
+    assert.ok(dates.every(date => ![0, 6].includes(parseISODate(date).getDay())));
+  });
+
+  it("adds meetings in date order without duplicates", () => {
+    const dates = fomcCalendar.getMeetingDates(["2027-01-27", "2020-03-15", "2024-06-12"]);
+
+    assert.equal(dates[0], "2020-03-15");
+    assert.equal(dates[dates.length - 1], "2027-01-27");
+    assert.equal(dates.filter(date => date === "2024-06-12").length, 1);
+    assert.throws(() => fomcCalendar.getMeetingDates(["2024-06-31"]), /Invalid FOMC meeting date/);
+  });
+});
+
+describe("findLastMeeting", () => {
+  it("finds the last decision before the day", () => {
+    assert.equal(fomcCalendar.findLastMeeting(parseISODate("2024-07-09")), "2024-06-12");
+    // The decision day itself doesn't count
+    assert.equal(fomcCalendar.findLastMeeting(parseISODate("2024-07-31")), "2024-06-12");
+    assert.equal(fomcCalendar.findLastMeeting(parseISODate("2024-08-01")), "2024-07-31");
+    assert.equal(fomcCalendar.findLastMeeting(parseISODate("2024-07-09"), ["2024-07-01"]), "2024-07-01");
+    assert.equal(fomcCalendar.findLastMeeting(parseISODate("2021-01-01")), null);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const forwardRates = require("../lib/forward_rates");
+const { parseDatasetFeed } = require("../lib/treasury_datasets");
+
+const { curves } = parseDatasetFeed(
+  "nominal",
+  fs.readFileSync(path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml"), "utf8")
+);
+const MONDAY = curves.get("2024-07-08");
+
+// Textbook bootstrap: par yields of 4%, 4.5% and 5% at six months, one year and eighteen months
+// give discount factors 1 / 1.02, (1 - 0.0225 × 0.980392) / 1.0225 and
+// (1 - 0.025 × (0.980392 + 0.956422)) / 1.025
+const TEXTBOOK = [
+  { label: "6M", months: 6, yield: 4 },
+  { label: "1Y", months: 12, yield: 4.5 },
+  { label: "18M", months: 18, yield: 5 }
+];
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+describe("parseForwardLabel", () => {
+  it("reads the start and length in years", () => {
+    assert.deepEqual(forwardRates.parseForwardLabel("5Y5Y"), { label: "5y5y", start: 5, length: 5 });
+    assert.deepEqual(forwardRates.parseForwardLabel("6m6m"), { label: "6m6m", start: 0.5, length: 0.5 });
+    assert.throws(() => forwardRates.parseForwardLabel("5y"), /Not a forward rate/);
+    assert.throws(() => forwardRates.parseForwardLabel("1y0y"), /needs a length/);
+  });
+});
+
+describe("bootstrapZeroCurve", () => {
+  it("matches the textbook discount factors and zero rates", () => {
+    const { nodes } = forwardRates.bootstrapZeroCurve(TEXTBOOK);
+
+    assert.deepEqual(nodes.map(node => node.years), [0.5, 1, 1.5]);
+    assertClose(nodes[0].discount, 0.980392157);
+    assertClose(nodes[1].discount, 0.956421688);
+    assertClose(nodes[2].discount, 0.928370394);
+    assertClose(nodes[1].zero, 4.50563902);
+    assertClose(nodes[2].zero, 5.01685556);
+  });
+
+  it("reprices every half-year par bond at par", () => {
+    const curve = forwardRates.bootstrapZeroCurve(MONDAY);
+    const halfYears = curve.nodes.filter(node => node.years >= 0.5);
+
+    assert.equal(halfYears.length, 60);
+    halfYears.forEach((node, i) => {
+      const coupons = halfYears.slice(0, i + 1).reduce((sum, earlier) => sum + earlier.discount, 0);
+      assertClose((node.par / 200) * coupons + node.discount, 1, 1e-12);
+    });
+  });
+
+  it("keeps bill yields as zero rates and needs two maturities", () => {
+    const curve = forwardRates.bootstrapZeroCurve(MONDAY);
+
+    assert.deepEqual(curve.nodes.slice(0, 4).map(node => [node.years * 12, node.zero]), [[1, 5.48], [2, 5.47], [3, 5.46], [4, 5.41]]);
+    assert.equal(forwardRates.bootstrapZeroCurve(MONDAY.slice(0, 1)), null);
+  });
+});
+
+describe("forwardRate", () => {
+  it("matches the textbook forward rates", () => {
+    const curve = forwardRates.bootstrapZeroCurve(TEXTBOOK);
+
+    // 2 × (0.980392 / 0.956422 − 1)
+    assertClose(forwardRates.forwardRate(curve, 0.5, 0.5), 5.01253133);
+    assertClose(forwardRates.forwardRate(curve, 1, 0.5), 6.0431256);
+    assert.equal(forwardRates.forwardRate(curve, 1, 1), null);
+  });
+
+  it("equals the par yield on a flat curve", () => {
+    const flat = MONDAY.map(point => ({ ...point, yield: 4 }));
+
+    for (const forward of forwardRates.computeForwards(flat)) {
+      assertClose(forward.rate, 4, 1e-9);
+    }
+    assertClose(forwardRates.zeroRate(forwardRates.bootstrapZeroCurve(flat), 7.25), 4, 1e-9);
+  });
+});
+
+describe("computeForwards", () => {
+  it("computes the named forwards of the quoted curve", () => {
+    const forwards = forwardRates.computeForwards(MONDAY);
+
+    assert.deepEqual(
+      forwards.map(forward => [forward.label, forward.rate.toFixed(2)]),
+      [["1y1y", "4.24"], ["2y1y", "3.90"], ["5y5y", "4.35"], ["10y10y", "5.01"]]
+    );
+  });
+
+  it("leaves out forwards that end beyond the curve", () => {
+    const shortEnd = MONDAY.filter(point => point.months <= 60);
+
+    assert.deepEqual(forwardRates.computeForwards(shortEnd, ["2y1y", "5y5y"]).map(forward => forward.rate === null), [false, true]);
+  });
+});
+
+describe("curve points", () => {
+  it("plots one-year forwards at their start, up to a year before the longest maturity", () => {
+    const points = forwardRates.getForwardCurvePoints(forwardRates.bootstrapZeroCurve(MONDAY));
+
+    assert.equal(points[0].months, 6);
+    assert.equal(points[points.length - 1].months, 348);
+    assert.equal(forwardRates.getZeroCurvePoints(forwardRates.bootstrapZeroCurve(MONDAY)).length, 64);
+  });
+});
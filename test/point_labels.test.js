@@ -0,0 +1,54 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const pointLabels = require("../lib/point_labels");
+
+const BOUNDS = { x: 0, y: 0, width: 100, height: 60 };
+
+describe("segmentIntersectsRect", () => {
+  const box = { x: 10, y: 10, width: 20, height: 10 };
+
+  it("finds segments that cross or end inside the rectangle", () => {
+    assert.equal(pointLabels.segmentIntersectsRect({ x: 0, y: 15 }, { x: 40, y: 15 }, box), true);
+    assert.equal(pointLabels.segmentIntersectsRect({ x: 0, y: 0 }, { x: 15, y: 15 }, box), true);
+    assert.equal(pointLabels.segmentIntersectsRect({ x: 20, y: 0 }, { x: 20, y: 5 }, box), false);
+    assert.equal(pointLabels.segmentIntersectsRect({ x: 0, y: 30 }, { x: 30, y: 25 }, box), false);
+  });
+
+  it("checks each segment of a polyline", () => {
+    assert.equal(pointLabels.polylineIntersectsRect([{ x: 0, y: 0 }, { x: 5, y: 25 }, { x: 40, y: 15 }], box), true);
+    assert.equal(pointLabels.polylineIntersectsRect([{ x: 0, y: 0 }, { x: 5, y: 5 }], box), false);
+  });
+});
+
+describe("placeLabels", () => {
+  it("puts a label above its point when nothing is in the way", () => {
+    const [label] = pointLabels.placeLabels([{ x: 50, y: 30, text: "4.28" }], { bounds: BOUNDS });
+
+    assert.equal(label.rect.x + label.rect.width / 2, 50);
+    assert.equal(label.rect.y + label.rect.height, 27);
+  });
+
+  it("moves a label off a curve and off the labels placed before it", () => {
+    const line = [{ x: 0, y: 24 }, { x: 100, y: 24 }];
+    const [label] = pointLabels.placeLabels([{ x: 50, y: 30, text: "4.28" }], { bounds: BOUNDS, lines: [line] });
+    assert.equal(label.rect.y, 33);
+
+    const placed = pointLabels.placeLabels(
+      [{ x: 50, y: 30, text: "4.28" }, { x: 52, y: 30, text: "4.30" }],
+      { bounds: BOUNDS }
+    );
+    assert.equal(placed.length, 2);
+    assert.equal(pointLabels.rectsOverlap(placed[0].rect, placed[1].rect), false);
+  });
+
+  it("stays inside the bounds and leaves out labels without room", () => {
+    const [corner] = pointLabels.placeLabels([{ x: 2, y: 2, text: "5.48" }], { bounds: BOUNDS });
+    assert.ok(corner.rect.x >= 0 && corner.rect.y >= 0);
+
+    const crowded = [40, 42, 44, 46, 48, 50, 52, 54, 56].map(x => ({ x, y: 30, text: x.toFixed(2) }));
+    const placed = pointLabels.placeLabels(crowded, { bounds: BOUNDS, points: crowded });
+    assert.ok(placed.length < crowded.length);
+    assert.equal(placed[0].text, "40.00");
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getEasternOffsetHours,
+  toEasternTime,
+  fromEasternTime,
+  getLatestExpectedCurveDate,
+  getNextPublicationTime,
+  isCurveOverdue,
+  getRefreshDate
+} = require("../lib/publication_schedule");
+
+describe("Eastern Time", () => {
+  it("switches between EST and EDT at 2:00 local time", () => {
+    // 2024: DST from Sunday March 10 to Sunday November 3
+    assert.equal(getEasternOffsetHours(new Date("2024-03-10T06:59:00Z")), -5);
+    assert.equal(getEasternOffsetHours(new Date("2024-03-10T07:00:00Z")), -4);
+    assert.equal(getEasternOffsetHours(new Date("2024-11-03T05:59:00Z")), -4);
+    assert.equal(getEasternOffsetHours(new Date("2024-11-03T06:00:00Z")), -5);
+  });
+
+  it("converts between instants and the Eastern wall clock", () => {
+    assert.deepEqual(toEasternTime(new Date("2024-07-09T02:30:00Z")), { dateString: "2024-07-08", hour: 22, minute: 30 });
+    assert.equal(fromEasternTime("2024-07-08", 17, 0).toISOString(), "2024-07-08T21:00:00.000Z");
+    assert.equal(fromEasternTime("2024-12-02", 17, 0).toISOString(), "2024-12-02T22:00:00.000Z");
+  });
+});
+
+describe("getLatestExpectedCurveDate", () => {
+  it("expects today's curve only after the publication time", () => {
+    assert.equal(getLatestExpectedCurveDate(new Date("2024-07-08T20:59:00Z")), "2024-07-05");
+    assert.equal(getLatestExpectedCurveDate(new Date("2024-07-08T21:00:00Z")), "2024-07-08");
+  });
+
+  it("expects the last business day's curve on weekends and holidays", () => {
+    assert.equal(getLatestExpectedCurveDate(new Date("2024-07-06T18:00:00Z")), "2024-07-05");
+    // July 4 is a holiday; late on the 4th the 3rd is still the latest curve
+    assert.equal(getLatestExpectedCurveDate(new Date("2024-07-04T23:00:00Z")), "2024-07-03");
+  });
+});
+
+describe("getNextPublicationTime", () => {
+  it("is today's publication time before it, the next business day's after", () => {
+    assert.equal(getNextPublicationTime(new Date("2024-07-08T14:00:00Z")).toISOString(), "2024-07-08T21:00:00.000Z");
+    assert.equal(getNextPublicationTime(new Date("2024-07-08T21:00:00Z")).toISOString(), "2024-07-09T21:00:00.000Z");
+  });
+
+  it("skips weekends and holidays", () => {
+    assert.equal(getNextPublicationTime(new Date("2024-07-03T22:00:00Z")).toISOString(), "2024-07-05T21:00:00.000Z");
+    assert.equal(getNextPublicationTime(new Date("2024-07-06T12:00:00Z")).toISOString(), "2024-07-08T21:00:00.000Z");
+  });
+});
+
+describe("isCurveOverdue", () => {
+  it("flags a curve once the next one is late beyond the grace period", () => {
+    assert.equal(isCurveOverdue("2024-07-05", new Date("2024-07-08T22:00:00Z")), false);
+    assert.equal(isCurveOverdue("2024-07-05", new Date("2024-07-08T22:30:00Z")), true);
+    assert.equal(isCurveOverdue("2024-07-05", new Date("2024-07-07T12:00:00Z")), false);
+  });
+});
+
+describe("getRefreshDate", () => {
+  it("waits for the next publication when the data is current", () => {
+    assert.equal(getRefreshDate("2024-07-05", new Date("2024-07-08T12:00:00Z")).toISOString(), "2024-07-08T21:00:00.000Z");
+  });
+
+  it("retries soon when the expected curve is missing", () => {
+    assert.equal(getRefreshDate("2024-07-05", new Date("2024-07-08T21:10:00Z")).toISOString(), "2024-07-08T21:40:00.000Z");
+    assert.equal(getRefreshDate(null, new Date("2024-07-08T12:00:00Z")).toISOString(), "2024-07-08T12:30:00.000Z");
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "render_chart.js");
+const FEED_2024 = path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml");
+
+function renderChart(...args) {
+  return spawnSync(process.execPath, [SCRIPT, "--feed", FEED_2024, "--now", "2024-07-09T14:00:00Z", ...args], {
+    encoding: "utf8",
+    timeout: 60000
+  });
+}
+
+describe("render_chart script", () => {
+  it("writes the widget's chart as SVG to standard output", () => {
+    const result = renderChart("--parameter", "spans=1W", "--family", "large");
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^<svg [^>]*width="350" height="190"/);
+    assert.match(result.stdout, />1 week ago</);
+    assert.match(result.stdout, />2024-07-08 • Cached data</);
+    assert.match(result.stderr, /Fetching current yield data/);
+  });
+
+  it("fails with the widget's message for an invalid parameter", () => {
+    const result = renderChart("--parameter", "spans=3Q");
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, "");
+    assert.match(result.stderr, /Invalid parameter: Invalid comparison span: 3Q/);
+  });
+
+  it("refuses an output file for another image format", () => {
+    const result = renderChart("--out", "yield_curve.png");
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /only SVG is written, got --out yield_curve.png/);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { formatNumber, renderSceneToSvg } = require("../lib/svg_renderer");
+
+function render(element) {
+  return renderSceneToSvg({ width: 100, height: 50, elements: [element] }).split("\n")[1].trim();
+}
+
+describe("renderSceneToSvg", () => {
+  it("sizes the document to the scene", () => {
+    const svg = renderSceneToSvg({ width: 350, height: 150, elements: [] });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="350" height="150" viewBox="0 0 350 150"/);
+    assert.match(svg, /<\/svg>\n$/);
+  });
+
+  it("draws rects and ellipses filled, with the alpha as opacity", () => {
+    assert.equal(
+      render({ type: "rect", x: 1, y: 2, width: 3, height: 4, color: "#FF3B30", alpha: 0.15 }),
+      '<rect x="1" y="2" width="3" height="4" fill="#FF3B30" fill-opacity="0.15"/>'
+    );
+    assert.equal(
+      render({ type: "ellipse", x: 8, y: 8, width: 4, height: 4, color: "#007AFF", alpha: 1 }),
+      '<ellipse cx="10" cy="10" rx="2" ry="2" fill="#007AFF"/>'
+    );
+  });
+
+  it("strokes lines as polylines", () => {
+    assert.equal(
+      render({ type: "line", points: [{ x: 0, y: 1 / 3 }, { x: 10, y: 5 }], color: "#666666", alpha: 1, lineWidth: 1 }),
+      '<polyline points="0,0.33 10,5" fill="none" stroke="#666666" stroke-width="1" stroke-linejoin="round"/>'
+    );
+  });
+
+  it("fills polygons", () => {
+    assert.equal(
+      render({ type: "polygon", points: [{ x: 5, y: 0 }, { x: 10, y: 8 }, { x: 0, y: 8 }], color: "#E69F00", alpha: 0.9 }),
+      '<polygon points="5,0 10,8 0,8" fill="#E69F00" fill-opacity="0.9"/>'
+    );
+  });
+
+  it("anchors text to the side of its box it is aligned to", () => {
+    const text = { type: "text", text: "2s10s <inverted> & more", x: 10, y: 20, width: 30, height: 12, size: 10, weight: "bold", color: "#FFFFFF", alpha: 1 };
+    assert.equal(
+      render({ ...text, align: "right" }),
+      '<text x="40" y="28.5" font-size="10" font-weight="700" text-anchor="end" fill="#FFFFFF">2s10s &lt;inverted&gt; &amp; more</text>'
+    );
+    assert.match(render({ ...text, align: "center" }), /x="25" y="28.5" font-size="10" font-weight="700" text-anchor="middle"/);
+  });
+
+  it("rejects unknown elements", () => {
+    assert.throws(() => render({ type: "arc" }), /Unknown scene element type: arc/);
+  });
+});
+
+describe("formatNumber", () => {
+  it("keeps at most two decimals and never prints -0", () => {
+    assert.equal(formatNumber(12.3456), "12.35");
+    assert.equal(formatNumber(-0.001), "0");
+  });
+});
@@ -0,0 +1,358 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { createScriptableEnvironment } = require("../scriptable-shim");
+const runtime = require("../lib/widget_runtime");
+const treasuryData = require("../lib/treasury_data");
+
+const FEED_2024 = path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml");
+const DOCUMENTS = "/scriptable/local/Documents";
+
+const DEFAULTS = {
+  spans: ["1W"],
+  showHistorical: true,
+  maturities: null,
+  dataset: "nominal",
+  mode: "curve",
+  compareTo: null,
+  deltaStyle: "bars",
+  xAxis: "index",
+  theme: "dark",
+  storage: "local"
+};
+
+// Tuesday July 9, 10:00 Eastern: Monday's curve is the latest one published
+const TUESDAY_MORNING = new Date("2024-07-09T14:00:00Z");
+
+describe("treasury data", () => {
+  let env;
+  let clock;
+
+  function startRun(settings = {}, options = {}) {
+    treasuryData.resetRunState();
+    runtime.configure({ defaults: DEFAULTS, themes: {}, cacheLimits: {}, now: () => clock, ...options });
+    runtime.setSettings({ ...DEFAULTS, ...settings });
+  }
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    mock.method(console, "warn", () => {});
+    env = createScriptableEnvironment({
+      routes: [{ url: "daily_treasury_yield_curve&field_tdr_date_value=2024", file: FEED_2024 }]
+    });
+    env.install();
+    clock = TUESDAY_MORNING;
+    startRun();
+  });
+
+  afterEach(() => {
+    env.dispose();
+    mock.restoreAll();
+  });
+
+  it("answers the current curve from one feed download and caches it", async () => {
+    const data = await treasuryData.fetchYieldDataForDate();
+
+    assert.equal(data.date, "2024-07-08");
+    assert.equal(data.yieldData.find(point => point.label === "10Y").yield, 4.28);
+    assert.equal(data.fromCache, false);
+    assert.equal(data.stale, false);
+    assert.equal(env.requests.length, 1);
+
+    const manifest = JSON.parse(env.backend.read(`${DOCUMENTS}/treasury_cache_manifest.json`));
+    const entry = manifest.entries["treasury_yield_cache_20240708.json"];
+    assert.equal(entry.final, true);
+    assert.match(entry.url, /field_tdr_date_value=2024$/);
+  });
+
+  it("serves a later run from the cache without the network", async () => {
+    await treasuryData.fetchYieldDataForDate();
+    startRun();
+
+    const data = await treasuryData.fetchYieldDataForDate();
+
+    assert.equal(data.fromCache, true);
+    assert.equal(data.date, "2024-07-08");
+    assert.equal(env.requests.length, 1);
+  });
+
+  it("answers every date in a year from the same download", async () => {
+    await treasuryData.fetchYieldDataForDate("2024-07-02");
+    // Independence Day snaps back to the 3rd, which has data
+    const holiday = await treasuryData.fetchYieldDataForDate("2024-07-04");
+
+    assert.equal(holiday.date, "2024-07-03");
+    assert.equal(env.requests.length, 1);
+    assert.deepEqual(
+      env.backend.list(DOCUMENTS).filter(name => name.startsWith("treasury_yield_cache_")).sort(),
+      ["treasury_yield_cache_20240702.json", "treasury_yield_cache_20240703.json"]
+    );
+  });
+
+  it("falls back to the previous year's feed before the first entry of the year", async () => {
+    const data = await treasuryData.fetchYieldDataForDate("2024-06-28");
+
+    assert.equal(data, null);
+    assert.deepEqual(env.requests.map(request => request.url.slice(-4)), ["2024", "2023"]);
+  });
+
+  it("falls back to Treasury's CSV download when the XML feed is an error page", async () => {
+    env.dispose();
+    env = createScriptableEnvironment({
+      routes: [
+        { url: "pages/xml", headers: { "Content-Type": "text/html" }, body: "<!DOCTYPE html><html><body>Maintenance</body></html>" },
+        { url: "daily-treasury-rates.csv", headers: { "Content-Type": "text/csv" }, body: "Date,\"10 Yr\",\"30 Yr\"\n07/08/2024,4.28,4.47\n" }
+      ]
+    });
+    env.install();
+
+    const data = await treasuryData.fetchYieldDataForDate();
+
+    assert.equal(data.date, "2024-07-08");
+    assert.equal(data.cacheStatus, "Fresh data via Treasury CSV");
+    assert.deepEqual(data.yieldData.map(point => point.label), ["10Y", "30Y"]);
+    assert.equal(treasuryData.getFeedError().kind, "format");
+    // The curve lacks tenors the XML feed has, so it's only kept until the feed can be read again
+    const { entries: [entry] } = await treasuryData.getCacheInfo();
+    assert.equal(entry.source, "treasuryCsv");
+    assert.equal(entry.final, false);
+  });
+
+  it("reports the XML feed's failure when no source answers", async () => {
+    env.dispose();
+    env = createScriptableEnvironment({ routes: [{ url: /./, status: 503 }] });
+    env.install();
+
+    const allData = await treasuryData.fetchAllYieldData(false);
+
+    assert.deepEqual(allData, {});
+    assert.equal(treasuryData.getFeedError().status, 503);
+    assert.match(treasuryData.getFeedError().url, /pages\/xml/);
+    // Each of the three sources is tried twice
+    assert.equal(env.requests.length, 6);
+  });
+
+  it("records a failed comparison download apart from the current curve", async () => {
+    await treasuryData.fetchYieldDataForDate();
+    startRun({ spans: ["2023-12-29"] });
+
+    const allData = await treasuryData.fetchAllYieldData();
+
+    assert.equal(allData.current.feedStatus, undefined);
+    assert.equal(allData["2023-12-29"], undefined);
+    assert.equal(treasuryData.getFeedError(), null);
+    assert.equal(treasuryData.getComparisonFeedError().kind, "offline");
+  });
+
+  it("notes a fallback source on the current curve only when it stood in for the current curve", async () => {
+    env.dispose();
+    env = createScriptableEnvironment({
+      routes: [
+        { url: "daily_treasury_yield_curve&field_tdr_date_value=2024", file: FEED_2024 },
+        { url: "pages/xml", headers: { "Content-Type": "text/html" }, body: "<!DOCTYPE html><html><body>Maintenance</body></html>" },
+        { url: "daily-treasury-rates.csv/2023", headers: { "Content-Type": "text/csv" }, body: "Date,\"10 Yr\",\"30 Yr\"\n12/29/2023,3.88,4.03\n" }
+      ]
+    });
+    env.install();
+    startRun({ spans: ["2023-12-29"] });
+
+    const allData = await treasuryData.fetchAllYieldData();
+
+    assert.equal(allData.current.feedStatus, undefined);
+    assert.equal(allData["2023-12-29"].cacheStatus, "Fresh data via Treasury CSV");
+    assert.equal(treasuryData.getComparisonFeedError().kind, "format");
+  });
+
+  it("shows the last known curve offline and counts the comparison spans back from it", async () => {
+    await treasuryData.fetchYieldDataForDate("2024-07-01");
+    await treasuryData.fetchYieldDataForDate("2024-07-03");
+    // Only the 2024 feed is routed, so the 2025 download fails as if offline
+    clock = new Date("2025-01-07T14:00:00Z");
+    startRun({ spans: ["2B"] });
+
+    const allData = await treasuryData.fetchAllYieldData();
+
+    assert.equal(allData.current.date, "2024-07-03");
+    assert.equal(allData.current.asOf, "2024-07-03");
+    assert.equal(allData.current.cacheStatus, "Last known curve");
+    assert.equal(allData.current.stale, true);
+    assert.equal(allData.current.feedStatus, "offline");
+    // Two business days before July 3 rather than before today
+    assert.equal(allData["2B"].date, "2024-07-01");
+  });
+
+  it("still returns nothing offline without a cached curve", async () => {
+    clock = new Date("2025-01-07T14:00:00Z");
+    startRun();
+
+    assert.equal(await treasuryData.fetchYieldDataForDate(), null);
+  });
+
+  it("marks the current curve stale once a newer one is overdue", async () => {
+    // Wednesday 19:00 Eastern, Tuesday's and Wednesday's curves are both missing from the feed
+    clock = new Date("2024-07-10T23:00:00Z");
+    startRun();
+
+    const data = await treasuryData.fetchYieldDataForDate();
+
+    assert.equal(data.date, "2024-07-08");
+    assert.equal(data.stale, true);
+  });
+
+  it("keeps the earlier curve for good for a past business day that never got a curve", async () => {
+    // Wednesday 19:00 Eastern: Tuesday's curve is missing from the feed, Wednesday's may still be posted
+    clock = new Date("2024-07-10T23:00:00Z");
+    startRun();
+
+    const tuesday = await treasuryData.fetchYieldDataForDate("2024-07-09");
+    await treasuryData.fetchYieldDataForDate("2024-07-10");
+    const { entries } = await treasuryData.getCacheInfo();
+
+    assert.equal(tuesday.date, "2024-07-08");
+    assert.equal(entries.find(entry => entry.date === "2024-07-09").final, true);
+    assert.equal(entries.find(entry => entry.date === "2024-07-10").final, false);
+
+    // Hours later Tuesday is still answered from the cache, Wednesday is looked up again
+    clock = new Date("2024-07-11T03:00:00Z");
+    startRun();
+    assert.equal((await treasuryData.fetchYieldDataForDate("2024-07-09")).fromCache, true);
+    assert.equal(env.requests.length, 1);
+    await treasuryData.fetchYieldDataForDate("2024-07-10");
+    assert.equal(env.requests.length, 2);
+  });
+
+  it("fetches the historical comparison curves for the configured spans", async () => {
+    startRun({ spans: ["1W", "2024-07-03"], maturities: ["2Y", "10Y"] });
+
+    const allData = await treasuryData.fetchAllYieldData();
+
+    assert.deepEqual(Object.keys(allData), ["current", "1W", "2024-07-03"]);
+    assert.equal(allData["1W"].date, "2024-07-02");
+    assert.equal(allData["1W"].label, "1 week ago");
+    assert.deepEqual(allData.current.yieldData.map(point => point.label), ["2Y", "10Y"]);
+    assert.equal(env.requests.length, 1);
+  });
+
+  it("fetches the curves of anchors, labelled with their dates", async () => {
+    startRun(
+      { spans: ["FOMC", "Jobs report"] },
+      { anchors: { fomcMeetings: ["2024-07-03"], namedDates: { "Jobs report": "2024-07-05" } } }
+    );
+
+    const allData = await treasuryData.fetchAllYieldData();
+
+    assert.deepEqual(
+      ["FOMC", "Jobs report"].map(key => [allData[key].date, allData[key].label]),
+      [["2024-07-03", "FOMC Jul 3, 2024"], ["2024-07-05", "Jobs report Jul 5, 2024"]]
+    );
+  });
+
+  it("fetches every curve in a date range from the year feed", async () => {
+    startRun({ maturities: ["2Y", "10Y"] });
+
+    const curves = await treasuryData.fetchCurvesInRange("2024-07-02", "2024-07-05");
+
+    assert.deepEqual(curves.map(curve => curve.date), ["2024-07-02", "2024-07-03", "2024-07-05"]);
+    assert.deepEqual(curves[0].yieldData.map(point => point.label), ["2Y", "10Y"]);
+    assert.equal(env.requests.length, 1);
+    // Range exports don't fill the per-date cache
+    assert.equal(env.backend.list(DOCUMENTS).length, 0);
+  });
+
+  it("falls back to the cached curves in a range when the feed can't be reached", async () => {
+    let online = true;
+    env.dispose();
+    env = createScriptableEnvironment({ routes: [{ url: url => online && url.endsWith("=2024"), file: FEED_2024 }] });
+    env.install();
+    await treasuryData.fetchYieldDataForDate("2024-07-03");
+    await treasuryData.fetchYieldDataForDate();
+    online = false;
+    startRun();
+
+    const curves = await treasuryData.fetchCurvesInRange("2024-07-01", "2024-07-08");
+
+    assert.deepEqual(curves.map(curve => curve.date), ["2024-07-03", "2024-07-08"]);
+  });
+
+  it("builds the history from the year feed and extends it on later runs", async () => {
+    const history = await treasuryData.fetchHistory("2024-07-08", 5);
+
+    assert.equal(history.startDate, "2024-07-01");
+    assert.deepEqual(history.curves.map(curve => curve.date), ["2024-07-01", "2024-07-02", "2024-07-03", "2024-07-05", "2024-07-08"]);
+    assert.equal(env.requests.length, 1);
+    const stored = JSON.parse(env.backend.read(`${DOCUMENTS}/treasury_history_nominal.json`));
+    assert.equal(stored.coveredTo, "2024-07-08");
+
+    startRun();
+    const again = await treasuryData.fetchHistory("2024-07-05", 4);
+
+    assert.deepEqual(again.curves.map(curve => curve.date), ["2024-07-01", "2024-07-02", "2024-07-03", "2024-07-05"]);
+    assert.equal(env.requests.length, 1);
+
+    await treasuryData.clearCache({ all: true });
+    assert.equal(env.backend.exists(`${DOCUMENTS}/treasury_history_nominal.json`), false);
+  });
+
+  it("answers the history from the stored curves when the feed can't be reached", async () => {
+    let online = true;
+    env.dispose();
+    env = createScriptableEnvironment({ routes: [{ url: url => online && url.endsWith("=2024"), file: FEED_2024 }] });
+    env.install();
+    await treasuryData.fetchHistory("2024-07-05", 4);
+    online = false;
+    startRun();
+
+    const history = await treasuryData.fetchHistory("2024-07-08", 5);
+
+    assert.deepEqual(history.curves.map(curve => curve.date), ["2024-07-01", "2024-07-02", "2024-07-03", "2024-07-05"]);
+  });
+
+  it("fetches the history instead of the comparison curves in history mode", async () => {
+    startRun({ mode: "history", historyDays: 3 });
+
+    const allData = await treasuryData.fetchAllYieldData();
+
+    assert.deepEqual(Object.keys(allData), ["current", "history"]);
+    assert.deepEqual(allData.history.curves.map(curve => curve.date), ["2024-07-03", "2024-07-05", "2024-07-08"]);
+  });
+
+  it("lists and clears the cache", async () => {
+    await treasuryData.fetchYieldDataForDate();
+    await treasuryData.fetchYieldDataForDate("2024-07-05");
+
+    const info = await treasuryData.getCacheInfo();
+    assert.deepEqual(info.entries.map(entry => entry.date), ["2024-07-05", "2024-07-08"]);
+
+    assert.equal(await treasuryData.clearCache({ dateString: "2024-07-05" }), 1);
+    assert.equal(await treasuryData.clearCache({ all: true }), 1);
+    assert.deepEqual(env.backend.list(DOCUMENTS), []);
+  });
+});
+
+describe("treasury data on a real filesystem", () => {
+  it("writes the cache to the documents directory", async () => {
+    mock.method(console, "log", () => {});
+    const env = createScriptableEnvironment({
+      files: "tempdir",
+      routes: [{ url: "field_tdr_date_value=2024", file: FEED_2024 }]
+    });
+    env.install();
+    try {
+      treasuryData.resetRunState();
+      runtime.configure({ defaults: DEFAULTS, themes: {}, cacheLimits: {}, now: () => TUESDAY_MORNING });
+
+      await treasuryData.fetchYieldDataForDate();
+
+      const fm = env.globals.FileManager.local();
+      assert.deepEqual(fm.listContents(fm.documentsDirectory()).sort(), [
+        "treasury_cache_manifest.json",
+        "treasury_yield_cache_20240708.json"
+      ]);
+    } finally {
+      env.dispose();
+      mock.restoreAll();
+    }
+  });
+});
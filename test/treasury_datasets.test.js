@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getFeedUrl, parseDatasetFeed, computeBreakeven, getAllTenorLabels, getViewTenorLabels } = require("../lib/treasury_datasets");
+
+function feed(entries) {
+  return `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:d="http://schemas.microsoft.com/ado/2007/08/dataservices" xmlns:m="http://schemas.microsoft.com/ado/2007/08/dataservices/metadata">
+    ${entries.map(properties => `<entry><content type="application/xml"><m:properties>${properties}</m:properties></content></entry>`).join("\n")}
+  </feed>`;
+}
+
+describe("getFeedUrl", () => {
+  it("requests the dataset's feed for the year", () => {
+    assert.equal(
+      getFeedUrl("real", 2024),
+      "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/pages/xml?data=daily_treasury_real_yield_curve&field_tdr_date_value=2024"
+    );
+    assert.throws(() => getFeedUrl("corporate", 2024), /Unknown dataset/);
+  });
+});
+
+describe("parseDatasetFeed", () => {
+  it("maps real yield fields to maturities", () => {
+    const { curves, drift } = parseDatasetFeed("real", feed([
+      `<d:NEW_DATE m:type="Edm.DateTime">2024-07-05T00:00:00</d:NEW_DATE>
+       <d:TC_5YEAR m:type="Edm.Double">1.93</d:TC_5YEAR>
+       <d:TC_7YEAR m:type="Edm.Double">1.94</d:TC_7YEAR>
+       <d:TC_10YEAR m:type="Edm.Double">1.99</d:TC_10YEAR>
+       <d:TC_20YEAR m:type="Edm.Double">2.17</d:TC_20YEAR>
+       <d:TC_30YEAR m:type="Edm.Double">2.23</d:TC_30YEAR>`
+    ]));
+    assert.deepEqual(curves.get("2024-07-05")[2], { label: "10Y", months: 120, yield: 1.99 });
+    assert.deepEqual(drift.missingFields, []);
+  });
+
+  it("reads bill coupon-equivalent yields by their index date", () => {
+    const { curves } = parseDatasetFeed("bills", feed([
+      `<d:INDEX_DATE m:type="Edm.DateTime">2024-07-05T00:00:00</d:INDEX_DATE>
+       <d:ROUND_B1_CLOSE_4WK_2 m:type="Edm.Double">5.27</d:ROUND_B1_CLOSE_4WK_2>
+       <d:ROUND_B1_YIELD_4WK_2 m:type="Edm.Double">5.38</d:ROUND_B1_YIELD_4WK_2>
+       <d:ROUND_B1_YIELD_13WK_2 m:type="Edm.Double">5.39</d:ROUND_B1_YIELD_13WK_2>`
+    ]));
+    assert.deepEqual(curves.get("2024-07-05").map(point => [point.label, point.yield]), [["4W", 5.38], ["13W", 5.39]]);
+  });
+
+  it("reads the 6-week tenor of current nominal feeds, and doesn't miss it in older ones", () => {
+    const row = date => `<d:Id m:type="Edm.Int32">8800</d:Id>
+       <d:NEW_DATE m:type="Edm.DateTime">${date}T00:00:00</d:NEW_DATE>
+       <d:BC_1MONTH m:type="Edm.Double">4.36</d:BC_1MONTH>
+       <d:BC_1_5MONTH m:type="Edm.Double">4.34</d:BC_1_5MONTH>
+       <d:BC_2MONTH m:type="Edm.Double">4.33</d:BC_2MONTH>
+       <d:BC_3MONTH m:type="Edm.Double">4.32</d:BC_3MONTH>
+       <d:BC_4MONTH m:type="Edm.Double">4.30</d:BC_4MONTH>
+       <d:BC_6MONTH m:type="Edm.Double">4.24</d:BC_6MONTH>
+       <d:BC_1YEAR m:type="Edm.Double">4.06</d:BC_1YEAR>
+       <d:BC_2YEAR m:type="Edm.Double">3.94</d:BC_2YEAR>
+       <d:BC_3YEAR m:type="Edm.Double">3.92</d:BC_3YEAR>
+       <d:BC_5YEAR m:type="Edm.Double">3.99</d:BC_5YEAR>
+       <d:BC_7YEAR m:type="Edm.Double">4.08</d:BC_7YEAR>
+       <d:BC_10YEAR m:type="Edm.Double">4.18</d:BC_10YEAR>
+       <d:BC_20YEAR m:type="Edm.Double">4.52</d:BC_20YEAR>
+       <d:BC_30YEAR m:type="Edm.Double">4.44</d:BC_30YEAR>
+       <d:BC_30YEARDISPLAY m:type="Edm.Double">4.44</d:BC_30YEARDISPLAY>`;
+    const { curves, drift } = parseDatasetFeed("nominal", feed([row("2025-03-03")]));
+
+    assert.deepEqual(curves.get("2025-03-03").slice(0, 3), [
+      { label: "1M", months: 1, yield: 4.36 },
+      { label: "1.5M", months: 1.5, yield: 4.34 },
+      { label: "2M", months: 2, yield: 4.33 }
+    ]);
+    assert.equal(curves.get("2025-03-03").length, 14);
+    assert.deepEqual([drift.unknownFields, drift.missingFields], [[], []]);
+
+    const withoutSixWeeks = date => row(date).replace(/<d:BC_1_5MONTH[^]*?<\/d:BC_1_5MONTH>/, "");
+    assert.deepEqual(parseDatasetFeed("nominal", feed([withoutSixWeeks("2024-07-05")])).drift.missingFields, []);
+    assert.deepEqual(parseDatasetFeed("nominal", feed([withoutSixWeeks("2025-03-03")])).drift.missingFields, ["BC_1_5MONTH"]);
+  });
+
+  it("merges pivoted long-term rate entries into one record per date", () => {
+    const { curves, drift } = parseDatasetFeed("longTerm", feed([
+      `<d:QUOTE_DATE m:type="Edm.DateTime">2024-07-05T00:00:00</d:QUOTE_DATE>
+       <d:RATE_TYPE>BC_20year</d:RATE_TYPE><d:RATE m:type="Edm.Double">4.55</d:RATE>`,
+      `<d:QUOTE_DATE m:type="Edm.DateTime">2024-07-05T00:00:00</d:QUOTE_DATE>
+       <d:RATE_TYPE>Over_10_Years</d:RATE_TYPE><d:RATE m:type="Edm.Double">4.51</d:RATE>`
+    ]));
+    assert.deepEqual(curves.get("2024-07-05"), [
+      { label: "LT>10Y", months: null, yield: 4.51 },
+      { label: "20Y CMT", months: 240, yield: 4.55 }
+    ]);
+    assert.deepEqual(drift.missingFields, ["Real_Rate"]);
+  });
+});
+
+describe("computeBreakeven", () => {
+  it("subtracts real from nominal yields at the tenors both curves quote", () => {
+    const nominal = [
+      { label: "2Y", months: 24, yield: 4.6 },
+      { label: "5Y", months: 60, yield: 4.22 },
+      { label: "10Y", months: 120, yield: 4.28 }
+    ];
+    const real = [
+      { label: "5Y", months: 60, yield: 1.93 },
+      { label: "10Y", months: 120, yield: 1.99 },
+      { label: "30Y", months: 360, yield: 2.23 }
+    ];
+    assert.deepEqual(computeBreakeven(nominal, real), [
+      { label: "5Y", months: 60, yield: 2.29 },
+      { label: "10Y", months: 120, yield: 2.29 }
+    ]);
+  });
+});
+
+describe("getAllTenorLabels", () => {
+  it("lists each label once across datasets", () => {
+    const labels = getAllTenorLabels();
+    assert.ok(labels.includes("10Y") && labels.includes("13W"));
+    assert.equal(labels.filter(label => label === "10Y").length, 1);
+  });
+});
+
+describe("getViewTenorLabels", () => {
+  it("lists the maturities each dataset view plots", () => {
+    assert.deepEqual(getViewTenorLabels("real"), ["5Y", "7Y", "10Y", "20Y", "30Y"]);
+    assert.deepEqual(getViewTenorLabels("breakeven"), ["5Y", "7Y", "10Y", "20Y", "30Y"]);
+    assert.ok(getViewTenorLabels("nominal+real").includes("4M"));
+    assert.ok(!getViewTenorLabels("bills").includes("10Y"));
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const {
+  FeedFormatError,
+  decodeEntities,
+  parseXml,
+  normalizeFeedDate,
+  parseTreasuryFeed,
+  hasSchemaDrift,
+  describeSchemaDrift
+} = require("../lib/treasury_feed_parser");
+
+const KNOWN_FIELDS = [
+  "BC_1MONTH", "BC_2MONTH", "BC_3MONTH", "BC_4MONTH", "BC_6MONTH", "BC_1YEAR", "BC_2YEAR",
+  "BC_3YEAR", "BC_5YEAR", "BC_7YEAR", "BC_10YEAR", "BC_20YEAR", "BC_30YEAR"
+];
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+describe("parseXml", () => {
+  it("resolves namespaces independently of prefixes", () => {
+    const document = parseXml('<a xmlns="urn:atom" xmlns:x="urn:data"><x:b x:type="t">1</x:b></a>');
+    const root = document.children[0];
+    assert.equal(root.namespace, "urn:atom");
+    assert.equal(root.children[0].localName, "b");
+    assert.equal(root.children[0].namespace, "urn:data");
+    assert.deepEqual(root.children[0].attributes.type, { value: "t", namespace: "urn:data" });
+  });
+
+  it("keeps CDATA verbatim and decodes entities in text and attributes", () => {
+    const document = parseXml('<a title="&quot;x&quot;"><![CDATA[<raw> &amp;]]> &lt;&#65;&#x42;&gt;</a>');
+    const root = document.children[0];
+    assert.equal(root.attributes.title.value, '"x"');
+    assert.equal(root.text, "<raw> &amp; <AB>");
+  });
+
+  it("handles self-closing elements and '>' inside attribute values", () => {
+    const document = parseXml('<a><b note="x > y" /><c/></a>');
+    assert.deepEqual(document.children[0].children.map(child => child.name), ["b", "c"]);
+    assert.equal(document.children[0].children[0].attributes.note.value, "x > y");
+  });
+
+  it("rejects mismatched and unterminated markup", () => {
+    assert.throws(() => parseXml("<a><b></a>"), FeedFormatError);
+    assert.throws(() => parseXml("<a><b>"), FeedFormatError);
+    assert.throws(() => parseXml("<a><!-- open"), FeedFormatError);
+  });
+});
+
+describe("decodeEntities", () => {
+  it("leaves unknown entities untouched", () => {
+    assert.equal(decodeEntities("&nbsp;&amp;"), "&nbsp;&");
+  });
+});
+
+describe("normalizeFeedDate", () => {
+  it("normalizes the date formats the feed has used", () => {
+    assert.equal(normalizeFeedDate("2024-07-05T00:00:00"), "2024-07-05");
+    assert.equal(normalizeFeedDate("2024-07-05T00:00:00Z"), "2024-07-05");
+    assert.equal(normalizeFeedDate("2024-07-05T00:00:00-04:00"), "2024-07-05");
+    assert.equal(normalizeFeedDate("2024-07-05"), "2024-07-05");
+    assert.equal(normalizeFeedDate("/Date(1720137600000)/"), "2024-07-05");
+    assert.equal(normalizeFeedDate("7/5/2024"), "2024-07-05");
+  });
+
+  it("returns null for anything else", () => {
+    assert.equal(normalizeFeedDate("July 5"), null);
+  });
+});
+
+describe("parseTreasuryFeed", () => {
+  it("parses every entry of a saved year feed into typed records", () => {
+    const feed = parseTreasuryFeed(readFixture("daily_treasury_yield_curve_2024.xml"), { knownFields: KNOWN_FIELDS });
+
+    assert.equal(feed.updated, "2024-07-08T22:30:12Z");
+    assert.deepEqual(feed.records.map(record => record.date), [
+      "2024-07-01", "2024-07-02", "2024-07-03", "2024-07-05", "2024-07-08"
+    ]);
+    assert.deepEqual(Object.keys(feed.records[0].fields), KNOWN_FIELDS);
+    assert.equal(feed.records[3].fields.BC_10YEAR, 4.28);
+    assert.equal(feed.records[3].fields.BC_30YEARDISPLAY, undefined);
+    assert.equal(hasSchemaDrift(feed.drift), false);
+  });
+
+  it("reads prefix changes, CDATA, entities and m:null and reports drift", () => {
+    const feed = parseTreasuryFeed(readFixture("feed_edge_cases.xml"), { knownFields: KNOWN_FIELDS });
+
+    assert.deepEqual(feed.records.map(record => record.date), ["2025-02-28", "2025-03-03"]);
+    const fields = feed.records[1].fields;
+    assert.equal(fields.BC_1MONTH, 4.36);
+    assert.equal(fields.BC_1YEAR, 4.09);
+    assert.equal(fields.BC_4MONTH, null);
+    assert.equal(fields.BC_20YEAR, null);
+    assert.equal(fields.BC_1_5MONTH, 4.35);
+
+    assert.deepEqual(feed.drift, {
+      unknownFields: ["BC_1_5MONTH"],
+      missingFields: [],
+      invalidValues: [{ date: "2025-02-28", field: "BC_10YEAR", value: "pending" }],
+      undatedEntries: 1
+    });
+    assert.equal(
+      describeSchemaDrift(feed.drift),
+      "new fields BC_1_5MONTH; 1 unreadable values; 1 entries without a date"
+    );
+  });
+
+  it("reports known fields that no longer appear", () => {
+    const feed = parseTreasuryFeed(readFixture("daily_treasury_yield_curve_2024.xml"), {
+      knownFields: [...KNOWN_FIELDS, "BC_15YEAR"]
+    });
+    assert.deepEqual(feed.drift.missingFields, ["BC_15YEAR"]);
+  });
+
+  it("rejects an HTML error page", () => {
+    assert.throws(
+      () => parseTreasuryFeed(readFixture("treasury_error_page.html")),
+      { name: "FeedFormatError", message: /HTML page/ }
+    );
+  });
+
+  it("rejects XML that isn't an Atom feed", () => {
+    assert.throws(() => parseTreasuryFeed("<error>busy</error>"), /Expected an Atom feed but found <error>/);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { WidgetConfigError, parseWidgetParameter, resolveWidgetConfig, resolveDefaultSettings } = require("../lib/widget_config");
+const { getAllTenorLabels } = require("../lib/treasury_datasets");
+
+const DEFAULTS = {
+  spans: ["1W", "2W"],
+  showHistorical: true,
+  maturities: null,
+  dataset: "nominal",
+  mode: "curve",
+  compareTo: null,
+  deltaStyle: "bars",
+  historySeries: ["3M", "2Y", "10Y", "30Y"],
+  historyDays: 90,
+  fit: "none",
+  showResiduals: false,
+  overlays: [],
+  forwards: ["1y1y", "2y1y", "5y5y", "10y10y"],
+  xAxis: "log",
+  theme: "dark",
+  storage: "local"
+};
+const MATURITIES = ["3M", "2Y", "10Y", "30Y"];
+
+describe("parseWidgetParameter", () => {
+  it("reads key=value pairs and JSON objects", () => {
+    assert.deepEqual(parseWidgetParameter(" spans=1M,YTD; theme=light "), { spans: "1M,YTD", theme: "light" });
+    assert.deepEqual(parseWidgetParameter('{"spans":["1M"]}'), { spans: ["1M"] });
+    assert.deepEqual(parseWidgetParameter(null), {});
+  });
+
+  it("rejects pairs without a value and JSON that isn't an object", () => {
+    assert.throws(() => parseWidgetParameter("spans"), WidgetConfigError);
+    assert.throws(() => parseWidgetParameter("[1]"), WidgetConfigError);
+  });
+});
+
+describe("resolveWidgetConfig", () => {
+  it("merges overrides over the defaults, accepting aliases and any case", () => {
+    const settings = resolveWidgetConfig("periods=1M;tenors=2y,10Y;mode=Delta;vs=YTD;historical=off", DEFAULTS, MATURITIES);
+
+    assert.deepEqual(settings.spans, ["1M"]);
+    assert.deepEqual(settings.maturities, ["2Y", "10Y"]);
+    assert.equal(settings.mode, "delta");
+    assert.equal(settings.compareTo, "YTD");
+    assert.equal(settings.showHistorical, false);
+    assert.equal(settings.theme, "dark");
+  });
+
+  it("turns off the historical curves with spans=none", () => {
+    assert.deepEqual(resolveWidgetConfig("spans=none", DEFAULTS, MATURITIES).spans, []);
+  });
+
+  it("reads the history chart's series and length", () => {
+    const settings = resolveWidgetConfig("mode=history;history=10y,2S10S;days=365", DEFAULTS, MATURITIES);
+
+    assert.equal(settings.mode, "history");
+    assert.deepEqual(settings.historySeries, ["10Y", "2s10s"]);
+    assert.equal(settings.historyDays, 365);
+    assert.throws(() => resolveWidgetConfig("history=10Y,1Q", DEFAULTS, MATURITIES), /history must be one of 3M, 2Y, 10Y, 30Y, 2s10s, 3m10y, 5s30s/);
+    assert.throws(() => resolveWidgetConfig("days=1000", DEFAULTS, MATURITIES), /days must be a whole number from 5 to 520/);
+  });
+
+  it("reads the curve fit model, accepting its short names", () => {
+    assert.equal(resolveWidgetConfig("fit=svensson;residuals=on", DEFAULTS, MATURITIES).fit, "svensson");
+    assert.equal(resolveWidgetConfig("fit=NS", DEFAULTS, MATURITIES).fit, "nelsonSiegel");
+    assert.equal(resolveWidgetConfig("showResiduals=yes", DEFAULTS, MATURITIES).showResiduals, true);
+    assert.throws(() => resolveWidgetConfig("fit=spline", DEFAULTS, MATURITIES), /fit must be one of none, nelsonSiegel, svensson/);
+  });
+
+  it("reads the curve overlays and forward rates", () => {
+    assert.deepEqual(resolveWidgetConfig("overlays=zero,Forward", DEFAULTS, MATURITIES).overlays, ["zero", "forward"]);
+    assert.deepEqual(resolveWidgetConfig("overlay=none", DEFAULTS, MATURITIES).overlays, []);
+    assert.deepEqual(resolveWidgetConfig("forwards=5Y5Y,6m6m", DEFAULTS, MATURITIES).forwards, ["5y5y", "6m6m"]);
+    assert.throws(() => resolveWidgetConfig("overlays=par", DEFAULTS, MATURITIES), /overlays must be one of zero, forward/);
+    assert.throws(() => resolveWidgetConfig("forwards=5y", DEFAULTS, MATURITIES), WidgetConfigError);
+  });
+
+  it("reads the theme, curve palette and curve style", () => {
+    const settings = resolveWidgetConfig("theme=highcontrast;colors=colorblind;style=dashes", DEFAULTS, MATURITIES);
+
+    assert.equal(settings.theme, "highContrast");
+    assert.equal(settings.palette, "colorblind");
+    assert.equal(settings.curveStyle, "dashes");
+    assert.equal(resolveWidgetConfig("theme=auto;curveStyle=markers", DEFAULTS, MATURITIES).curveStyle, "markers");
+    assert.throws(() => resolveWidgetConfig("palette=neon", DEFAULTS, MATURITIES), /palette must be one of standard, colorblind/);
+  });
+
+  it("reads the value label and extremes switches", () => {
+    const settings = resolveWidgetConfig("labels=yes;extremes=on;tenors=3M,2Y,10Y", DEFAULTS, MATURITIES);
+
+    assert.equal(settings.valueLabels, true);
+    assert.equal(settings.highlightExtremes, true);
+    assert.deepEqual(settings.maturities, ["3M", "2Y", "10Y"]);
+    assert.throws(() => resolveWidgetConfig("labels=some", DEFAULTS, MATURITIES), /labels must be true or false/);
+  });
+
+  it("accepts anchors and the named dates passed in", () => {
+    const anchors = { namedDates: { Election: "2024-11-05" } };
+
+    assert.deepEqual(resolveWidgetConfig("spans=FOMC,QTD,election", DEFAULTS, MATURITIES, anchors).spans, ["FOMC", "QTD", "election"]);
+    assert.equal(resolveWidgetConfig("vs=Election;mode=delta", DEFAULTS, MATURITIES, anchors).compareTo, "Election");
+    assert.throws(() => resolveWidgetConfig("spans=Election", DEFAULTS, MATURITIES), /Invalid comparison span: Election/);
+  });
+
+  it("explains invalid values", () => {
+    assert.throws(() => resolveWidgetConfig("theme=blue", DEFAULTS, MATURITIES), /theme must be one of dark, light/);
+    assert.throws(() => resolveWidgetConfig("maturities=10Y", DEFAULTS, MATURITIES), /at least two entries/);
+    assert.throws(() => resolveWidgetConfig("colour=red", DEFAULTS, MATURITIES), /Unknown parameter "colour"/);
+  });
+
+  it("only accepts maturities the dataset quotes", () => {
+    assert.deepEqual(resolveWidgetConfig("dataset=real;maturities=10Y,30Y", DEFAULTS, MATURITIES).maturities, ["10Y", "30Y"]);
+    assert.throws(() => resolveWidgetConfig("dataset=real;maturities=3M,10Y", DEFAULTS, MATURITIES), /maturities 3M aren't quoted for dataset real/);
+    assert.throws(() => resolveWidgetConfig("dataset=breakeven", { ...DEFAULTS, maturities: ["2Y", "10Y"] }, MATURITIES), /maturities 2Y/);
+  });
+});
+
+describe("resolveDefaultSettings", () => {
+  it("checks the defaults as a widget parameter, spelling choices canonically", () => {
+    const settings = resolveDefaultSettings({ ...DEFAULTS, dataset: "Real", theme: "HIGHCONTRAST", maturities: ["10Y", "30Y"] }, MATURITIES);
+
+    assert.equal(settings.dataset, "real");
+    assert.equal(settings.theme, "highContrast");
+    assert.deepEqual(settings.maturities, ["10Y", "30Y"]);
+    assert.deepEqual(resolveDefaultSettings(DEFAULTS, MATURITIES), DEFAULTS);
+  });
+
+  it("rejects an invalid default", () => {
+    assert.throws(() => resolveDefaultSettings({ ...DEFAULTS, dataset: "nominall" }, MATURITIES), WidgetConfigError);
+    assert.throws(() => resolveDefaultSettings({ ...DEFAULTS, dataset: "nominall" }, MATURITIES), /Invalid default setting: dataset must be one of/);
+    assert.throws(() => resolveDefaultSettings({ ...DEFAULTS, dataset: "real", maturities: ["4M", "10Y"] }, getAllTenorLabels()), /maturities 4M aren't quoted/);
+  });
+});
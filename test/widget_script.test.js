@@ -0,0 +1,140 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { createScriptableEnvironment, collectElements, collectTexts } = require("../scriptable-shim");
+
+const SCRIPT = path.join(__dirname, "..", "us_treasury_yield_curve_widget.js");
+const FEED_2024 = path.join(__dirname, "fixtures", "daily_treasury_yield_curve_2024.xml");
+
+// Tuesday July 9, 10:00 Eastern; the next curve is due at 17:00 Eastern (21:00 UTC)
+const NOW = "2024-07-09T14:00:00Z";
+const NEXT_PUBLICATION = "2024-07-09T21:00:00.000Z";
+
+describe("widget script", () => {
+  let env;
+
+  function createEnvironment(options) {
+    env = createScriptableEnvironment({
+      routes: [{ url: "daily_treasury_yield_curve&field_tdr_date_value=2024", file: FEED_2024 }],
+      widgetParameter: "spans=1W",
+      now: NOW,
+      ...options
+    });
+    return env;
+  }
+
+  afterEach(() => {
+    env.dispose();
+  });
+
+  it("renders the chart in a medium widget", async () => {
+    await createEnvironment({ widgetFamily: "medium" }).runScript(SCRIPT);
+
+    const [chart] = collectElements(env.widget, "image");
+    assert.equal(chart.image.size.width, 350);
+    assert.ok(chart.image.drawing.some(call => call.method === "strokePath"));
+    assert.equal(env.widget.refreshAfterDate.toISOString(), NEXT_PUBLICATION);
+    assert.equal(env.completed, true);
+  });
+
+  it("renders the history chart in history mode", async () => {
+    await createEnvironment({ widgetFamily: "medium", widgetParameter: "mode=history;days=5;history=10Y,2s10s" }).runScript(SCRIPT);
+
+    const [chart] = collectElements(env.widget, "image");
+    const texts = chart.image.drawing.filter(call => call.method === "drawTextInRect").map(call => call.text);
+    assert.ok(texts.includes("Yield History"));
+    assert.ok(texts.includes("H 4.48% 7/1"));
+    assert.equal(env.requests.length, 1);
+  });
+
+  it("shows the 2s10s spread and day-over-day change in a small widget", async () => {
+    await createEnvironment({ widgetFamily: "small" }).runScript(SCRIPT);
+
+    assert.deepEqual(collectTexts(env.widget), ["2s10s spread", "-34 bp", "-2 bp 1D", "2024-07-08"]);
+  });
+
+  it("lays out a yield table in a large widget", async () => {
+    await createEnvironment({ widgetFamily: "large" }).runScript(SCRIPT);
+
+    const texts = collectTexts(env.widget);
+    assert.deepEqual(texts.slice(0, 3), ["Tenor", "Yield", "1D"]);
+    assert.equal(texts[texts.indexOf("10Y") + 1], "4.28%");
+  });
+
+  it("shows the 10-year yield on the lock screen", async () => {
+    await createEnvironment({ widgetFamily: "accessoryRectangular" }).runScript(SCRIPT);
+
+    assert.deepEqual(collectTexts(env.widget), ["10Y Treasury", "4.28%  0 bp", "2024-07-08"]);
+  });
+
+  it("follows the device's appearance, also in high contrast", async () => {
+    await createEnvironment({ widgetFamily: "small", darkAppearance: false }).runScript(SCRIPT);
+    assert.equal(env.widget.backgroundColor.hex, "FFFFFF");
+    env.dispose();
+
+    await createEnvironment({ widgetFamily: "small", widgetParameter: "theme=highContrast" }).runScript(SCRIPT);
+    assert.equal(env.widget.backgroundColor.hex, "000000");
+  });
+
+  it("opens the detail view in the app", async () => {
+    await createEnvironment({ widgetFamily: null }).runScript(SCRIPT);
+
+    assert.equal(env.widget, null);
+    assert.equal(env.presentedTables.length, 1);
+    assert.equal(env.completed, true);
+  });
+
+  it("opens the detail view with the widget's parameter when tapped", async () => {
+    await createEnvironment({ widgetFamily: "small" }).runScript(SCRIPT);
+
+    assert.equal(env.widget.url, "scriptable:///run/US%20Treasury%20Yield%20Curve?parameter=spans%3D1W");
+  });
+
+  it("serves a second run from the cache", async () => {
+    createEnvironment({ widgetFamily: "small" });
+    await env.runScript(SCRIPT);
+    await env.runScript(SCRIPT);
+
+    assert.equal(env.requests.length, 1);
+  });
+
+  it("reports an invalid widget parameter on the widget", async () => {
+    await createEnvironment({ widgetFamily: "medium", widgetParameter: "spans=3Q" }).runScript(SCRIPT);
+
+    assert.deepEqual(collectTexts(env.widget), ["US Treasury Yield Curve", "Invalid parameter: Invalid comparison span: 3Q"]);
+    assert.equal(env.requests.length, 0);
+  });
+
+  it("retries soon when the feed can't be reached", async () => {
+    await createEnvironment({ widgetFamily: "small", routes: [] }).runScript(SCRIPT);
+
+    assert.deepEqual(collectTexts(env.widget), ["US Treasury Yield Curve", "Offline: Treasury couldn't be reached"]);
+    assert.equal(env.widget.refreshAfterDate.toISOString(), "2024-07-09T14:30:00.000Z");
+    assert.ok(env.logs.some(entry => entry.level === "error"));
+    // Offline, neither a retry nor another source can help
+    assert.equal(env.requests.length, 1);
+  });
+
+  it("shows the last known curve when the feed can't be reached", async () => {
+    await createEnvironment({ widgetFamily: "small" }).runScript(SCRIPT);
+    const files = env.backend.list("/scriptable/local/Documents").map(name => `/scriptable/local/Documents/${name}`);
+    const cachedFiles = files.map(file => [file, env.backend.read(file)]);
+    env.dispose();
+
+    // Two days later with no connection, on the same device
+    createEnvironment({ widgetFamily: "small", routes: [], now: "2024-07-11T14:00:00Z" });
+    cachedFiles.forEach(([file, contents]) => env.backend.write(file, contents));
+    await env.runScript(SCRIPT);
+
+    assert.deepEqual(collectTexts(env.widget), ["2s10s spread", "-34 bp", "-2 bp 1D", "as of 2024-07-08 • update overdue"]);
+    assert.equal(env.widget.refreshAfterDate.toISOString(), "2024-07-11T14:30:00.000Z");
+  });
+
+  it("says so when the feed no longer reads as expected", async () => {
+    const errorPage = { status: 200, headers: { "Content-Type": "text/html; charset=UTF-8" }, body: "<!DOCTYPE html><html></html>" };
+    await createEnvironment({ widgetFamily: "small", routes: [{ url: /./, ...errorPage }] }).runScript(SCRIPT);
+
+    assert.deepEqual(collectTexts(env.widget), ["US Treasury Yield Curve", "Treasury feed changed"]);
+  });
+});
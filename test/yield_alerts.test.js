@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const yieldAlerts = require("../lib/yield_alerts");
+
+function curve(date, yields) {
+  return { date, yieldData: Object.entries(yields).map(([label, value]) => ({ label, yield: value })) };
+}
+
+const FRIDAY = curve("2024-07-05", { "3M": 5.46, "2Y": 4.6, "10Y": 4.28, "30Y": 4.47 });
+const MONDAY = curve("2024-07-08", { "3M": 5.45, "2Y": 4.25, "10Y": 4.31, "30Y": 4.49 });
+
+function normalize(rule) {
+  return yieldAlerts.normalizeRule(rule);
+}
+
+describe("normalizeRule", () => {
+  it("fills in the dataset, direction and id", () => {
+    assert.deepEqual(normalize({ type: "level", tenor: "10Y", level: 4.5 }), {
+      type: "level",
+      tenor: "10Y",
+      level: 4.5,
+      direction: "either",
+      dataset: "nominal",
+      id: "nominal:level:10Y:4.5:either"
+    });
+    assert.equal(normalize({ type: "move", bp: 10, dataset: "real", id: "big moves" }).id, "big moves");
+    assert.equal(normalize({ type: "move", bp: 10 }).id, "nominal:move:any:10");
+  });
+
+  it("rejects rules it can't check", () => {
+    assert.throws(() => normalize({ type: "cross" }), yieldAlerts.AlertRuleError);
+    assert.throws(() => normalize({ type: "spreadFlip", spread: "2s5s" }), /Unknown spread "2s5s"/);
+    assert.throws(() => normalize({ type: "level", tenor: "15Y", level: 4 }), /Unknown maturity "15Y"/);
+    assert.throws(() => normalize({ type: "level", tenor: "10Y", level: "4.5" }), /needs a level/);
+    assert.throws(() => normalize({ type: "move", bp: -5 }), /positive bp/);
+  });
+
+  it("rejects datasets and maturities the rule's dataset doesn't have", () => {
+    assert.throws(() => normalize({ type: "move", bp: 10, dataset: "nominall" }), /Unknown dataset "nominall"/);
+    assert.throws(() => normalize({ type: "level", tenor: "1M", level: 2, dataset: "real" }), /Unknown maturity "1M" in level alert rule for dataset real/);
+    assert.throws(() => normalize({ type: "spreadFlip", spread: "2s10s", dataset: "breakeven" }), yieldAlerts.AlertRuleError);
+    assert.equal(normalize({ type: "spreadFlip", spread: "5s30s", dataset: "real" }).dataset, "real");
+  });
+});
+
+describe("normalizeRules", () => {
+  beforeEach(() => mock.method(console, "error", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("leaves out invalid rules", () => {
+    const rules = yieldAlerts.normalizeRules([{ type: "move", bp: 10 }, { type: "level", tenor: "10Y" }]);
+    assert.deepEqual(rules.map(rule => rule.type), ["move"]);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+describe("evaluateRule", () => {
+  it("fires when a spread changes sign", () => {
+    const alert = yieldAlerts.evaluateRule(normalize({ type: "spreadFlip", spread: "2s10s" }), MONDAY, FRIDAY);
+    assert.equal(alert.title, "2s10s spread no longer inverted");
+    assert.equal(alert.body, "2s10s went from -32 bp to +6 bp on 2024-07-08");
+    assert.equal(yieldAlerts.evaluateRule(normalize({ type: "spreadFlip", spread: "5s30s" }), MONDAY, FRIDAY), null);
+  });
+
+  it("fires when a yield crosses a level in the watched direction", () => {
+    const rule = { type: "level", tenor: "10Y", level: 4.3 };
+    assert.equal(yieldAlerts.evaluateRule(normalize(rule), MONDAY, FRIDAY).title, "10Y yield rose above 4.30%");
+    assert.equal(yieldAlerts.evaluateRule(normalize({ ...rule, direction: "below" }), MONDAY, FRIDAY), null);
+    assert.equal(yieldAlerts.evaluateRule(normalize(rule), FRIDAY, MONDAY).title, "10Y yield fell below 4.30%");
+    assert.equal(yieldAlerts.evaluateRule(normalize({ ...rule, level: 4.5 }), MONDAY, FRIDAY), null);
+  });
+
+  it("lists the maturities that moved by the threshold or more", () => {
+    const alert = yieldAlerts.evaluateRule(normalize({ type: "move", bp: 3 }), MONDAY, FRIDAY);
+    assert.equal(alert.title, "2 maturities moved 3 bp or more");
+    assert.equal(alert.body, "2Y -35 bp, 10Y +3 bp on 2024-07-08");
+
+    const single = yieldAlerts.evaluateRule(normalize({ type: "move", bp: 3, tenor: "10Y" }), MONDAY, FRIDAY);
+    assert.equal(single.title, "10Y yield moved +3 bp");
+    assert.equal(yieldAlerts.evaluateRule(normalize({ type: "move", bp: 50 }), MONDAY, FRIDAY), null);
+  });
+});
+
+describe("alert state", () => {
+  const rule = normalize({ type: "move", bp: 3 });
+
+  it("remembers the curve date each rule fired for", () => {
+    const [alert] = yieldAlerts.evaluateRules([rule], MONDAY, FRIDAY);
+    const state = yieldAlerts.recordAlert(yieldAlerts.createEmptyState(), alert, "2024-07-08", new Date("2024-07-09T14:00:00Z"));
+
+    assert.deepEqual(state.fired[rule.id], {
+      date: "2024-07-08",
+      firedAt: "2024-07-09T14:00:00.000Z",
+      title: "2 maturities moved 3 bp or more"
+    });
+    assert.equal(yieldAlerts.hasFired(state, rule, "2024-07-08"), true);
+    assert.equal(yieldAlerts.hasFired(state, rule, "2024-07-09"), false);
+  });
+
+  it("stores the state in one file next to the cache", () => {
+    const files = new Map();
+    const fm = {
+      documentsDirectory: () => "/docs",
+      joinPath: (directory, name) => `${directory}/${name}`,
+      fileExists: path => files.has(path),
+      readString: path => files.get(path),
+      writeString: (path, contents) => files.set(path, contents),
+      remove: path => files.delete(path)
+    };
+    const store = yieldAlerts.createAlertStateStore(fm);
+    const [alert] = yieldAlerts.evaluateRules([rule], MONDAY, FRIDAY);
+    const state = yieldAlerts.recordAlert(store.load(), alert, "2024-07-08", new Date("2024-07-09T14:00:00Z"));
+
+    store.save(state);
+
+    assert.deepEqual([...files.keys()], ["/docs/treasury_alert_state.json"]);
+    assert.deepEqual(store.load(), state);
+    assert.equal(store.clear(), 1);
+    assert.deepEqual(store.load(), yieldAlerts.createEmptyState());
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MANIFEST_FILE, CACHE_SCHEMA_VERSION, getCacheFileName, createYieldCache } = require("../lib/yield_cache");
+
+const NAMESPACES = ["treasury_yield_cache", "treasury_real_yield_cache"];
+const CURVE = { date: "2024-07-05", yieldData: [{ label: "10Y", months: 120, yield: 4.28 }] };
+
+// Just the FileManager methods the cache uses, over a Map of path to contents
+function createMemoryFileManager(initialFiles = {}) {
+  const files = new Map(Object.entries(initialFiles));
+  return {
+    files,
+    documentsDirectory: () => "/docs",
+    joinPath: (directory, name) => `${directory}/${name}`,
+    fileExists: path => files.has(path),
+    readString: path => files.get(path),
+    writeString: (path, contents) => files.set(path, contents),
+    remove: path => files.delete(path),
+    listContents: directory => [...files.keys()]
+      .filter(path => path.startsWith(`${directory}/`))
+      .map(path => path.slice(directory.length + 1))
+  };
+}
+
+describe("createYieldCache", () => {
+  let fm;
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    fm = createMemoryFileManager({ "/docs/notes.txt": "not ours" });
+    clock = new Date("2024-07-08T12:00:00Z");
+    cache = createYieldCache(fm, { namespaces: NAMESPACES, now: () => clock });
+  });
+
+  it("records retrieval time, url, dataset and schema version in the manifest", () => {
+    cache.set("treasury_yield_cache", "2024-07-05", CURVE, { dataset: "nominal", url: "https://example.test/feed", source: "treasuryXml" });
+
+    assert.deepEqual(JSON.parse(fm.files.get("/docs/treasury_yield_cache_20240705.json")), CURVE);
+    const manifest = JSON.parse(fm.files.get(`/docs/${MANIFEST_FILE}`));
+    assert.deepEqual(manifest.entries["treasury_yield_cache_20240705.json"], {
+      dataset: "nominal",
+      date: "2024-07-05",
+      dataDate: "2024-07-05",
+      final: true,
+      retrievedAt: "2024-07-08T12:00:00.000Z",
+      lastUsedAt: "2024-07-08T12:00:00.000Z",
+      url: "https://example.test/feed",
+      source: "treasuryXml",
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      bytes: JSON.stringify(CURVE).length
+    });
+  });
+
+  it("serves stored curves, also to a new cache over the same files", () => {
+    cache.set("treasury_yield_cache", "2024-07-05", CURVE, { dataset: "nominal" });
+    const reopened = createYieldCache(fm, { namespaces: NAMESPACES, now: () => clock });
+    assert.deepEqual(reopened.get("treasury_yield_cache", "2024-07-05").data, CURVE);
+    assert.equal(reopened.get("treasury_real_yield_cache", "2024-07-05"), null);
+  });
+
+  it("serves a curve stored before its date was published only briefly", () => {
+    cache.set("treasury_yield_cache", "2024-07-08", CURVE, { dataset: "nominal" });
+    assert.equal(cache.list().entries[0].final, false);
+    assert.ok(cache.get("treasury_yield_cache", "2024-07-08"));
+
+    clock = new Date("2024-07-08T13:30:00Z");
+    assert.equal(cache.get("treasury_yield_cache", "2024-07-08"), null);
+  });
+
+  it("serves an earlier curve stored as final for its date for good", () => {
+    cache.set("treasury_yield_cache", "2024-07-09", CURVE, { dataset: "nominal", final: true });
+
+    clock = new Date("2024-08-01T12:00:00Z");
+    assert.deepEqual(cache.get("treasury_yield_cache", "2024-07-09").data, CURVE);
+    assert.equal(cache.list().entries[0].dataDate, CURVE.date);
+  });
+
+  it("finds the newest cached curve, provisional ones included", () => {
+    const older = { ...CURVE, date: "2024-07-03" };
+    cache.set("treasury_yield_cache", "2024-07-03", older, { dataset: "nominal" });
+    cache.set("treasury_yield_cache", "2024-07-08", CURVE, { dataset: "nominal" });
+    cache.set("treasury_real_yield_cache", "2024-07-09", { ...CURVE, date: "2024-07-09" }, { dataset: "real" });
+
+    // Hours later the provisional entry for July 8 is no longer served for its date, but its curve is the newest
+    clock = new Date("2024-07-09T12:00:00Z");
+    assert.equal(cache.get("treasury_yield_cache", "2024-07-08"), null);
+    const latest = cache.getLatest("treasury_yield_cache");
+    assert.deepEqual(latest.data, CURVE);
+    assert.equal(latest.entry.date, "2024-07-08");
+    assert.equal(cache.getLatest("treasury_bill_rates_cache"), null);
+  });
+
+  it("ignores data files the manifest doesn't know and prunes them", () => {
+    fm.files.set(`/docs/${getCacheFileName("treasury_yield_cache", "2024-07-01")}`, JSON.stringify(CURVE));
+    assert.equal(cache.get("treasury_yield_cache", "2024-07-01"), null);
+    assert.deepEqual(cache.list().untrackedFiles, ["treasury_yield_cache_20240701.json"]);
+
+    assert.deepEqual(cache.prune(), ["treasury_yield_cache_20240701.json"]);
+    assert.equal(fm.files.has("/docs/treasury_yield_cache_20240701.json"), false);
+  });
+
+  it("treats entries of another schema version as misses", () => {
+    cache.set("treasury_yield_cache", "2024-07-05", CURVE, { dataset: "nominal" });
+    const manifest = JSON.parse(fm.files.get(`/docs/${MANIFEST_FILE}`));
+    manifest.entries["treasury_yield_cache_20240705.json"].schemaVersion = CACHE_SCHEMA_VERSION - 1;
+    fm.files.set(`/docs/${MANIFEST_FILE}`, JSON.stringify(manifest));
+
+    const reopened = createYieldCache(fm, { namespaces: NAMESPACES, now: () => clock });
+    assert.equal(reopened.get("treasury_yield_cache", "2024-07-05"), null);
+  });
+
+  it("prunes entries unused for too long", () => {
+    cache.set("treasury_yield_cache", "2024-07-01", CURVE, { dataset: "nominal" });
+    clock = new Date("2024-08-01T12:00:00Z");
+    cache.set("treasury_yield_cache", "2024-07-05", CURVE, { dataset: "nominal" });
+    clock = new Date("2024-08-25T12:00:00Z");
+    assert.deepEqual(cache.prune(), ["treasury_yield_cache_20240701.json"]);
+    assert.deepEqual(cache.list().entries.map(entry => entry.date), ["2024-07-05"]);
+  });
+
+  it("prunes least recently used entries beyond the size limit", () => {
+    const bytes = JSON.stringify(CURVE).length;
+    cache = createYieldCache(fm, { namespaces: NAMESPACES, limits: { maxBytes: bytes * 2 }, now: () => clock });
+    cache.set("treasury_yield_cache", "2024-07-01", CURVE, { dataset: "nominal" });
+    clock = new Date("2024-07-08T12:01:00Z");
+    cache.set("treasury_yield_cache", "2024-07-02", CURVE, { dataset: "nominal" });
+    clock = new Date("2024-07-08T12:02:00Z");
+    cache.get("treasury_yield_cache", "2024-07-01");
+    clock = new Date("2024-07-08T12:03:00Z");
+    cache.set("treasury_yield_cache", "2024-07-03", CURVE, { dataset: "nominal" });
+
+    assert.deepEqual(cache.list().entries.map(entry => entry.date), ["2024-07-01", "2024-07-03"]);
+    assert.equal(cache.list().totalBytes, bytes * 2);
+  });
+
+  it("clears every file it owns and nothing else", () => {
+    cache.set("treasury_yield_cache", "2024-07-05", CURVE, { dataset: "nominal" });
+    cache.set("treasury_real_yield_cache", "2024-07-05", CURVE, { dataset: "real" });
+    fm.files.set("/docs/treasury_yield_cache_20230103.json", "{}");
+
+    assert.equal(cache.clear(), 3);
+    assert.deepEqual([...fm.files.keys()], ["/docs/notes.txt"]);
+    assert.deepEqual(cache.list(), { entries: [], totalBytes: 0, untrackedFiles: [] });
+  });
+
+  it("removes single entries", () => {
+    cache.set("treasury_yield_cache", "2024-07-05", CURVE, { dataset: "nominal" });
+    assert.equal(cache.remove("treasury_yield_cache", "2024-07-05"), true);
+    assert.equal(cache.remove("treasury_yield_cache", "2024-07-05"), false);
+    assert.deepEqual(cache.list().entries, []);
+  });
+});
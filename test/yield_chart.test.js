@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createScriptableEnvironment } = require("../scriptable-shim");
+const runtime = require("../lib/widget_runtime");
+const tenorAxis = require("../lib/tenor_axis");
+const chartScene = require("../lib/chart_scene");
+const yieldChart = require("../lib/yield_chart");
+
+const SIZE = { width: 350, height: 150 };
+const MARGINS = { top: 25, bottom: 35, left: 40 };
+const THEME = {
+  background: "#1c1c1e",
+  title: "#FFFFFF",
+  text: "#999999",
+  grid: "#333333",
+  axis: "#666666",
+  error: "#FF3B30",
+  positive: "#34C759",
+  negative: "#FF3B30"
+};
+const DEFAULTS = {
+  spans: ["1W"],
+  showHistorical: true,
+  maturities: null,
+  dataset: "nominal",
+  mode: "curve",
+  compareTo: null,
+  deltaStyle: "bars",
+  xAxis: "log",
+  theme: "dark",
+  storage: "local"
+};
+
+// 2024-07-08 curve, inverted from the 1M to the 5Y, and the curve a week earlier
+const CURRENT = [
+  { label: "1M", months: 1, yield: 5.48 },
+  { label: "3M", months: 3, yield: 5.46 },
+  { label: "6M", months: 6, yield: 5.29 },
+  { label: "1Y", months: 12, yield: 4.98 },
+  { label: "2Y", months: 24, yield: 4.62 },
+  { label: "3Y", months: 36, yield: 4.39 },
+  { label: "5Y", months: 60, yield: 4.23 },
+  { label: "7Y", months: 84, yield: 4.23 },
+  { label: "10Y", months: 120, yield: 4.28 },
+  { label: "20Y", months: 240, yield: 4.55 },
+  { label: "30Y", months: 360, yield: 4.47 }
+];
+const WEEK_AGO = CURRENT.map((point, i) => ({ ...point, yield: point.yield + (i % 2 === 0 ? 0.1 : -0.05) }));
+
+function createAllData(current = {}) {
+  return {
+    current: { date: "2024-07-08", yieldData: CURRENT, ...current },
+    "1W": { date: "2024-07-01", yieldData: WEEK_AGO, label: "1 week ago", span: "1W" }
+  };
+}
+
+function calls(image, method) {
+  return image.drawing.filter(call => call.method === method);
+}
+
+describe("yield chart", () => {
+  let env;
+
+  before(() => {
+    env = createScriptableEnvironment();
+    env.install();
+  });
+
+  after(() => {
+    env.dispose();
+  });
+
+  beforeEach(() => {
+    runtime.configure({ chartSizes: { medium: SIZE }, chartTextMargins: MARGINS, themes: { dark: THEME }, defaults: DEFAULTS });
+  });
+
+  describe("createYieldCurveChart", () => {
+    it("draws every element of the chart scene", () => {
+      const scene = yieldChart.buildChartScene(createAllData(), null, SIZE);
+      const image = yieldChart.createYieldCurveChart(createAllData(), null, SIZE);
+      const drawMethods = { rect: "fillRect", ellipse: "fillEllipse", line: "strokePath", text: "drawTextInRect" };
+
+      assert.deepEqual(image.drawing.map(call => call.method), scene.elements.map(element => drawMethods[element.type]));
+    });
+
+    it("plots the current curve inside the plot area at each maturity's x position", () => {
+      const image = yieldChart.createYieldCurveChart(createAllData(), null, SIZE);
+      const chartRect = chartScene.computeChartRect(SIZE, 1, MARGINS);
+      const xForMonths = tenorAxis.createTenorScale(tenorAxis.collectTenors([CURRENT]), "log", chartRect.x, chartRect.width);
+
+      const currentPath = calls(image, "strokePath").find(call => call.lineWidth === 2.5);
+      const points = currentPath.path;
+      assert.equal(points.length, CURRENT.length);
+      points.forEach((point, i) => {
+        assert.ok(Math.abs(point.x - xForMonths(CURRENT[i].months)) < 1e-9);
+        assert.ok(point.y >= chartRect.y && point.y <= chartRect.y + chartRect.height);
+      });
+      // Higher yields are drawn higher up
+      assert.ok(points[0].y < points[4].y);
+    });
+
+    it("draws the historical curve under the current one", () => {
+      const image = yieldChart.createYieldCurveChart(createAllData(), null, SIZE);
+      const strokes = calls(image, "strokePath").filter(call => call.path.length === CURRENT.length);
+
+      assert.deepEqual(strokes.map(call => call.lineWidth), [1.5, 2.5]);
+      assert.equal(strokes[1].color.hex, "007AFF");
+    });
+
+    it("shades the inverted part of the curve", () => {
+      const image = yieldChart.createYieldCurveChart(createAllData(), null, SIZE);
+      const chartRect = chartScene.computeChartRect(SIZE, 1, MARGINS);
+      const shading = calls(image, "fillRect").filter(call => call.color.alpha === 0.15);
+
+      // 1M to 5Y falls, then 20Y to 30Y
+      assert.equal(shading.length, 2);
+      assert.equal(shading[0].rect.x, chartRect.x);
+      assert.equal(shading[0].rect.height, chartRect.height);
+    });
+
+    it("labels tenors without overlapping", () => {
+      const image = yieldChart.createYieldCurveChart(createAllData(), null, SIZE);
+      const chartRect = chartScene.computeChartRect(SIZE, 1, MARGINS);
+      const ticks = calls(image, "drawTextInRect").filter(call => call.rect.y === chartRect.y + chartRect.height + 5);
+
+      assert.ok(ticks.length >= 4);
+      for (let i = 1; i < ticks.length; i++) {
+        const previous = ticks[i - 1];
+        const distance = ticks[i].rect.x - previous.rect.x;
+        assert.ok(distance >= (previous.text.length + ticks[i].text.length) * 4.5 / 2);
+      }
+    });
+
+    it("writes the status line in the error color when the data is overdue", () => {
+      const image = yieldChart.createYieldCurveChart(createAllData({ stale: true }), null, SIZE);
+      const status = calls(image, "drawTextInRect").find(call => call.text.startsWith("2024-07-08"));
+
+      assert.match(status.text, new RegExp(chartScene.STALE_DATA_NOTE));
+      assert.equal(status.color.hex, "FF3B30");
+    });
+
+    it("shows a message when there is no data", () => {
+      const image = yieldChart.createYieldCurveChart({ current: null }, null, SIZE);
+      assert.deepEqual(calls(image, "drawTextInRect").map(call => call.text), ["No yield data available"]);
+    });
+  });
+
+  describe("delta chart", () => {
+    it("draws rises above the zero baseline and falls below it", () => {
+      runtime.setSettings({ ...DEFAULTS, mode: "delta" });
+      const image = yieldChart.createYieldCurveChart(createAllData(), null, SIZE);
+      const bars = calls(image, "fillRect").filter(call => ["34C759", "FF3B30"].includes(call.color.hex));
+      // The zero baseline is the horizontal line drawn in the axis color right before the bars
+      const baseline = calls(image, "strokePath").filter(call => call.color.hex === "666666").pop().path;
+      const zeroY = baseline[0].y;
+
+      assert.equal(bars.length, CURRENT.length);
+      bars.forEach((bar, i) => {
+        const rose = CURRENT[i].yield > WEEK_AGO[i].yield;
+        if (rose) {
+          assert.ok(Math.abs(bar.rect.y + bar.rect.height - zeroY) < 1e-9);
+        } else {
+          assert.ok(Math.abs(bar.rect.y - zeroY) < 1e-9);
+        }
+      });
+      assert.equal(calls(image, "drawTextInRect")[0].text, "Change since 1 week ago (bp)");
+    });
+  });
+});
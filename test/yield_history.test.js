@@ -0,0 +1,153 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const yieldHistory = require("../lib/yield_history");
+
+function curve(date, twoYear, tenYear) {
+  return {
+    date,
+    yieldData: [
+      { label: "2Y", months: 24, yield: twoYear },
+      { label: "10Y", months: 120, yield: tenYear }
+    ]
+  };
+}
+
+const CURVES = [
+  curve("2024-07-01", 4.77, 4.48),
+  curve("2024-07-02", 4.74, 4.43),
+  curve("2024-07-03", 4.71, 4.36),
+  curve("2024-07-05", 4.6, 4.28),
+  curve("2024-07-08", 4.62, 4.28)
+];
+
+// Just the FileManager methods the store uses, over a Map of path to contents
+function createMemoryFileManager() {
+  const files = new Map();
+  return {
+    files,
+    documentsDirectory: () => "/docs",
+    joinPath: (directory, name) => `${directory}/${name}`,
+    fileExists: path => files.has(path),
+    readString: path => files.get(path),
+    writeString: (path, contents) => files.set(path, contents),
+    remove: path => files.delete(path),
+    listContents: directory => [...files.keys()]
+      .filter(path => path.startsWith(`${directory}/`))
+      .map(path => path.slice(directory.length + 1))
+  };
+}
+
+describe("getMissingRange", () => {
+  const history = yieldHistory.mergeHistory(null, CURVES.slice(0, 3), { start: "2024-07-01", end: "2024-07-03" });
+
+  it("reads the whole range without a history", () => {
+    assert.deepEqual(yieldHistory.getMissingRange(null, "2024-07-01", "2024-07-08"), { start: "2024-07-01", end: "2024-07-08" });
+  });
+
+  it("reads nothing for a covered range", () => {
+    assert.equal(yieldHistory.getMissingRange(history, "2024-07-02", "2024-07-03"), null);
+  });
+
+  it("extends the history from its last date", () => {
+    assert.deepEqual(yieldHistory.getMissingRange(history, "2024-07-02", "2024-07-08"), { start: "2024-07-03", end: "2024-07-08" });
+  });
+
+  it("reads the whole range when it starts before the history", () => {
+    assert.deepEqual(yieldHistory.getMissingRange(history, "2024-06-28", "2024-07-03"), { start: "2024-06-28", end: "2024-07-03" });
+  });
+});
+
+describe("mergeHistory", () => {
+  it("joins an overlapping range onto the history", () => {
+    const first = yieldHistory.mergeHistory(null, CURVES.slice(0, 3), { start: "2024-07-01", end: "2024-07-03" });
+    const merged = yieldHistory.mergeHistory(first, CURVES.slice(2), { start: "2024-07-03", end: "2024-07-08" });
+
+    assert.equal(merged.schemaVersion, yieldHistory.HISTORY_SCHEMA_VERSION);
+    assert.equal(merged.coveredFrom, "2024-07-01");
+    assert.equal(merged.coveredTo, "2024-07-08");
+    assert.deepEqual(Object.keys(merged.curves).sort(), CURVES.map(entry => entry.date));
+  });
+
+  it("replaces the history with a range that doesn't touch it", () => {
+    const first = yieldHistory.mergeHistory(null, CURVES.slice(0, 2), { start: "2024-07-01", end: "2024-07-02" });
+    const merged = yieldHistory.mergeHistory(first, CURVES.slice(3), { start: "2024-07-05", end: "2024-07-08" });
+
+    assert.equal(merged.coveredFrom, "2024-07-05");
+    assert.deepEqual(Object.keys(merged.curves), ["2024-07-05", "2024-07-08"]);
+  });
+
+  it("keeps at most MAX_HISTORY_DAYS curves", () => {
+    const start = Date.UTC(2022, 0, 3);
+    const many = Array.from({ length: yieldHistory.MAX_HISTORY_DAYS + 2 }, (_, i) =>
+      curve(new Date(start + i * 86400000).toISOString().slice(0, 10), 4, 4)
+    );
+    const merged = yieldHistory.mergeHistory(null, many, { start: many[0].date, end: many[many.length - 1].date });
+
+    assert.equal(Object.keys(merged.curves).length, yieldHistory.MAX_HISTORY_DAYS);
+    assert.equal(merged.coveredFrom, many[2].date);
+  });
+});
+
+describe("getHistoryCurves", () => {
+  it("returns the curves of a range, oldest first", () => {
+    const history = yieldHistory.mergeHistory(null, [...CURVES].reverse(), { start: "2024-07-01", end: "2024-07-08" });
+
+    assert.deepEqual(yieldHistory.getHistoryCurves(history, "2024-07-02", "2024-07-05").map(entry => entry.date), [
+      "2024-07-02",
+      "2024-07-03",
+      "2024-07-05"
+    ]);
+  });
+});
+
+describe("buildSeries", () => {
+  it("builds maturity series in percent and spread series in basis points", () => {
+    const [tenYear, spread, missing] = yieldHistory.buildSeries(CURVES, ["10Y", "2s10s", "30Y"]);
+
+    assert.equal(tenYear.unit, "%");
+    assert.deepEqual(tenYear.points.map(point => point.value), [4.48, 4.43, 4.36, 4.28, 4.28]);
+    assert.equal(spread.unit, "bp");
+    assert.deepEqual(spread.points.map(point => point.value), [-29, -31, -35, -32, -34]);
+    assert.deepEqual(missing.points, []);
+  });
+});
+
+describe("summarizeSeries", () => {
+  it("finds the low, the high and the latest value, earliest first on ties", () => {
+    const [tenYear] = yieldHistory.buildSeries(CURVES, ["10Y"]);
+    const summary = yieldHistory.summarizeSeries(tenYear);
+
+    assert.deepEqual(summary.min, { date: "2024-07-05", value: 4.28 });
+    assert.deepEqual(summary.max, { date: "2024-07-01", value: 4.48 });
+    assert.deepEqual(summary.current, { date: "2024-07-08", value: 4.28 });
+  });
+
+  it("has nothing to summarize for an empty series", () => {
+    assert.equal(yieldHistory.summarizeSeries({ key: "30Y", unit: "%", points: [] }), null);
+  });
+});
+
+describe("createHistoryStore", () => {
+  it("stores one history file per dataset and clears them all", () => {
+    const fm = createMemoryFileManager();
+    const store = yieldHistory.createHistoryStore(fm);
+    const history = yieldHistory.mergeHistory(null, CURVES, { start: "2024-07-01", end: "2024-07-08" });
+
+    store.save("nominal", history);
+    store.save("nominal+real", history);
+
+    assert.deepEqual(store.load("nominal"), history);
+    assert.equal(store.load("real"), null);
+    assert.deepEqual([...fm.files.keys()], ["/docs/treasury_history_nominal.json", "/docs/treasury_history_nominal_real.json"]);
+    assert.equal(store.clear(), 2);
+    assert.equal(fm.files.size, 0);
+  });
+
+  it("ignores a history stored in another format", () => {
+    const fm = createMemoryFileManager();
+    fm.writeString("/docs/treasury_history_nominal.json", JSON.stringify({ schemaVersion: 0, curves: {} }));
+
+    assert.equal(yieldHistory.createHistoryStore(fm).load("nominal"), null);
+  });
+});